@@ -7,6 +7,10 @@ const memcached = memjs.Client.create(process.env.MEMCACHED_HOST, {
   password: process.env.MEMCACHED_PASSWORD
 });
 
+// Binary protocol: an incr/decr with this expiration fails on a missing key instead of creating it
+const NO_CREATE = 0xffffffff;
+const KEY_NOT_FOUND = 'Key not found';
+
 // Test Memcached connection
 async function testConnection() {
   try {
@@ -84,6 +88,49 @@ const cacheHelpers = {
     });
   },
   
+  // Set a value only if the key does not exist yet (atomic); resolves false if it already exists
+  add: async (key, value, expiresInSeconds = 60) => {
+    return new Promise((resolve, reject) => {
+      memcached.add(key, JSON.stringify(value), { expires: expiresInSeconds }, (err, success) => {
+        if (err) reject(err);
+        else resolve(Boolean(success));
+      });
+    });
+  },
+
+  // Set a value only if the key still exists (atomic); resolves false if it is missing
+  replace: async (key, value, expiresInSeconds = 60) => {
+    return new Promise((resolve, reject) => {
+      memcached.replace(key, JSON.stringify(value), { expires: expiresInSeconds }, (err, success) => {
+        if (err) reject(err);
+        else resolve(Boolean(success));
+      });
+    });
+  },
+
+  // Atomically increment a counter, created at 1 if missing; resolves the new value
+  increment: async (key, expiresInSeconds = 60) => {
+    return new Promise((resolve, reject) => {
+      memcached.increment(key, 1, { initial: 1, expires: expiresInSeconds }, (err, success, value) => {
+        if (err) reject(err);
+        else resolve(Number(value));
+      });
+    });
+  },
+
+  // Atomically decrement a counter (memcached stops at 0); resolves the new value, or 0 if missing.
+  // A missing or expired counter is not recreated: without NO_CREATE, memcached would create it
+  // at 0 with no expiration
+  decrement: async (key) => {
+    return new Promise((resolve, reject) => {
+      memcached.decrement(key, 1, { expires: NO_CREATE }, (err, success, value) => {
+        if (err && err.message.endsWith(KEY_NOT_FOUND)) resolve(0);
+        else if (err) reject(err);
+        else resolve(success ? Number(value) : 0);
+      });
+    });
+  },
+
   // Delete a key from cache
   delete: async (key) => {
     return new Promise((resolve, reject) => {
@@ -50,6 +50,9 @@ app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
 
+// Purge périodique des étudiants et agents archivés (désactivée par défaut)
+require('./services/archivePurge').startArchivePurgeJob();
+
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
@@ -0,0 +1,86 @@
+const { Etudiant } = require('../model');
+const { getStatusCode } = require('../utils/http');
+
+// Noms sous lesquels l'année académique est lue par défaut
+const DEFAULT_KEYS = ['anneeId', 'annee_id'];
+
+/**
+ * Lit l'année académique demandée dans les paramètres de route, la chaîne de requête ou le corps
+ * @param {Object} req - Requête Express
+ * @param {Array<string>} keys - Noms acceptés, par ordre de priorité
+ * @returns {*} - Valeur reçue, ou undefined
+ */
+function requestedAnnee(req, keys) {
+  const sources = [req.params, req.query, req.body];
+  for (const source of sources) {
+    if (!source) continue;
+    for (const key of keys) {
+      if (source[key] !== undefined && source[key] !== '') return source[key];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Renseigne req.anneeId avec l'année académique demandée ou, si la requête n'en précise pas,
+ * avec l'année active. A placer après les middlewares qui lisent le corps (upload...).
+ * @param {Object} options - { required, keys } required : sans année demandée ni année active, répond 404
+ *                           (true par défaut), sinon req.anneeId vaut null ;
+ *                           keys : noms sous lesquels lire l'année (anneeId, annee_id par défaut)
+ * @returns {Function} - Middleware Express
+ */
+function withAnnee(options = {}) {
+  const { required = true, keys = DEFAULT_KEYS } = options;
+
+  return async (req, res, next) => {
+    try {
+      const requested = requestedAnnee(req, keys);
+
+      if (requested !== undefined) {
+        const anneeId = Number(requested);
+        if (!Number.isInteger(anneeId) || anneeId < 1) {
+          return res.status(400).json({
+            success: false,
+            message: 'anneeId doit être un identifiant valide'
+          });
+        }
+        req.anneeId = anneeId;
+        return next();
+      }
+
+      const active = await Etudiant.getActiveAnnee();
+      if (active.success) {
+        req.anneeId = active.data[0].id;
+        return next();
+      }
+
+      if (getStatusCode(active) !== 404) {
+        return res.status(getStatusCode(active)).json({
+          success: false,
+          message: active.error
+        });
+      }
+
+      if (required) {
+        return res.status(404).json({
+          success: false,
+          message: 'Aucune année académique précisée ni active'
+        });
+      }
+
+      req.anneeId = null;
+      next();
+    } catch (error) {
+      console.error('Erreur lors de la détermination de l\'année académique :', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erreur interne du serveur',
+        error: error.message
+      });
+    }
+  };
+}
+
+module.exports = {
+  withAnnee
+};
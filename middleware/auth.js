@@ -0,0 +1,133 @@
+const jwt = require('jsonwebtoken');
+const { Agent } = require('../model');
+const sessions = require('../services/sessions');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Middleware to authenticate token
+// The token must also belong to a session that has not been revoked (logout, admin removal...)
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) return res.status(401).json({ error: 'Authentication required' });
+
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
+    if (err) return res.status(403).json({ error: 'Invalid or expired token' });
+
+    try {
+      if (!(await sessions.isActive(user.sid))) {
+        return res.status(401).json({ error: 'Session revoked' });
+      }
+    } catch (error) {
+      console.error('Session check error:', error);
+      // Session store down: fail closed, a revoked session must never be accepted
+      if (error.code === 'STORE_UNAVAILABLE') {
+        return res.status(503).json({ error: 'Session store unavailable' });
+      }
+      return res.status(500).json({ error: 'Server error' });
+    }
+
+    // A temporary password only gives access to the routes that let the user replace it
+    if (user.mustChangePassword && !req.allowPendingPasswordChange) {
+      return res.status(403).json({ error: 'Password change required', mustChangePassword: true });
+    }
+
+    req.user = user;
+    next();
+  });
+};
+
+/**
+ * Autorise authenticateToken à accepter un jeton dont le mot de passe doit encore être changé
+ * (première connexion). A placer avant authenticateToken sur les routes concernées.
+ */
+const allowPendingPasswordChange = (req, res, next) => {
+  req.allowPendingPasswordChange = true;
+  next();
+};
+
+/**
+ * Vérifie que l'utilisateur authentifié est un administrateur.
+ * Le rôle porté par le jeton ne suffit pas : l'appartenance à la table
+ * administration est revérifiée à chaque requête.
+ * A utiliser après authenticateToken.
+ */
+const requireAdmin = async (req, res, next) => {
+  try {
+    if (!req.user || req.user.role !== 'admin' || !req.user.agentId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès réservé aux administrateurs'
+      });
+    }
+
+    const isAdmin = await Agent.isAdmin(req.user.agentId);
+    if (!isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès réservé aux administrateurs'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Admin check error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Vérifie que le jeton appartient à un étudiant (portail étudiant).
+ * A utiliser après authenticateToken.
+ */
+const requireEtudiant = (req, res, next) => {
+  if (!req.user || req.user.type !== 'etudiant' || !req.user.etudiantId) {
+    return res.status(403).json({
+      success: false,
+      message: 'Accès réservé aux étudiants'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Vérifie que le jeton appartient à un agent (saisie des cotes...).
+ * A utiliser après authenticateToken.
+ */
+const requireAgent = (req, res, next) => {
+  if (!req.user || !req.user.agentId) {
+    return res.status(403).json({
+      success: false,
+      message: 'Accès réservé aux agents'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Exige un administrateur authentifié pour toutes les requêtes qui modifient des données
+ * (POST, PUT, PATCH, DELETE). Les lectures passent sans contrôle supplémentaire.
+ */
+const adminOnlyMutations = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  authenticateToken(req, res, () => requireAdmin(req, res, next));
+};
+
+module.exports = {
+  authenticateToken,
+  allowPendingPasswordChange,
+  requireAdmin,
+  requireEtudiant,
+  requireAgent,
+  adminOnlyMutations
+};
@@ -0,0 +1,74 @@
+const loginThrottle = require('../services/loginThrottle');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Limite les tentatives sur une route qui vérifie un mot de passe.
+ *
+ * - refuse la requête (429) si le compte ou l'IP est verrouillé
+ * - réserve la tentative avant que la route ne vérifie le mot de passe
+ * - retarde la réponse après plusieurs tentatives sur le compte
+ * - garde la réservation comme échec quand la route répond 401, remet le compte à zéro
+ *   quand elle répond 200, libère la réservation sinon
+ *
+ * @param {string} scope - agent, admin, etudiant ou user
+ * @param {string|Function} loginField - Champ du corps de la requête qui contient le login,
+ *                                       ou fonction (req) => login (ex: utilisateur du jeton)
+ * @returns {Function} - Middleware Express
+ */
+function throttleLogin(scope, loginField) {
+  const resolveLogin = typeof loginField === 'function'
+    ? loginField
+    : req => req.body && req.body[loginField];
+
+  return async (req, res, next) => {
+    const login = resolveLogin(req);
+    if (!login) {
+      // Requête incomplète : la route répond 400 sans vérifier de mot de passe
+      return next();
+    }
+
+    let reservation;
+    try {
+      reservation = await loginThrottle.reserveAttempt(scope, login, req.ip);
+
+      if (reservation.locked) {
+        res.set('Retry-After', String(reservation.retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: 'Trop de tentatives de connexion. Réessayez plus tard.',
+          retryAfter: reservation.retryAfter
+        });
+      }
+
+      if (reservation.delayMs > 0) {
+        await sleep(reservation.delayMs);
+      }
+    } catch (error) {
+      console.error('Login throttle error:', error);
+      return res.status(error.code === 'STORE_UNAVAILABLE' ? 503 : 500).json({
+        success: false,
+        message: 'Erreur interne du serveur',
+        error: error.message
+      });
+    }
+
+    // Une requête interrompue avant la réponse garde sa réservation
+    res.on('finish', () => {
+      const { attempt } = reservation;
+      const update = res.statusCode === 401
+        ? loginThrottle.recordFailure(attempt)
+        : res.statusCode === 200
+          ? loginThrottle.recordSuccess(attempt)
+          : loginThrottle.release(attempt);
+
+      update.catch(error => console.error('Login throttle update error:', error));
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  throttleLogin
+};
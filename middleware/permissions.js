@@ -0,0 +1,80 @@
+const { permissions: permissionService } = require('../services');
+
+/**
+ * Charge (une seule fois par requête) les permissions effectives de l'utilisateur.
+ * Les jetons étudiants n'ont aucune permission agent.
+ * @param {Object} req - Requête Express (req.user renseigné par authenticateToken)
+ * @returns {Promise<Array<string>>}
+ */
+async function loadPermissions(req) {
+  if (req.permissions) {
+    return req.permissions;
+  }
+
+  if (!req.user || !req.user.agentId) {
+    req.permissions = [];
+    return req.permissions;
+  }
+
+  const { permissions } = await permissionService.getAgentPermissions(req.user.agentId, {
+    adminSession: req.user.role === 'admin'
+  });
+
+  req.permissions = permissions;
+  return permissions;
+}
+
+/**
+ * Exige une permission pour accéder à la route. A utiliser après authenticateToken.
+ *
+ * Le resolver optionnel calcule la portée de la ressource visée à partir de la requête
+ * (ex: req => `annee:${req.params.id}`) ; la permission demandée devient alors
+ * "<permission>:<portée>". Un resolver qui renvoie null signale une ressource introuvable.
+ * Il peut renvoyer plusieurs portées (ex: niveau du jury et section du chef de section) :
+ * l'accès est accordé si l'une d'elles est couverte.
+ *
+ * @param {string} permission - Permission demandée (ex: 'finance:read')
+ * @param {Function} resourceResolver - (req) => Promise<string|Array<string>|null> (optionnel)
+ * @returns {Function} - Middleware Express
+ */
+function can(permission, resourceResolver = null) {
+  return async (req, res, next) => {
+    try {
+      let required = [permission];
+
+      if (resourceResolver) {
+        const scope = await resourceResolver(req);
+        if (scope === null || scope === undefined) {
+          return res.status(404).json({
+            success: false,
+            message: 'Ressource introuvable'
+          });
+        }
+        required = [].concat(scope).map(item => `${permission}:${item}`);
+      }
+
+      const permissions = await loadPermissions(req);
+      if (!required.some(item => permissionService.hasPermission(permissions, item))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Permission insuffisante',
+          required: required.length === 1 ? required[0] : required
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erreur interne du serveur',
+        error: error.message
+      });
+    }
+  };
+}
+
+module.exports = {
+  can,
+  loadPermissions
+};
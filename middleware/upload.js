@@ -0,0 +1,65 @@
+const path = require('path');
+const multer = require('multer');
+const { SPREADSHEET_EXTENSIONS } = require('../utils/spreadsheet');
+
+const MAX_SPREADSHEET_SIZE = 5 * 1024 * 1024;
+const MAX_IMAGE_SIZE = 2 * 1024 * 1024;
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_SPREADSHEET_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+      return cb(new Error(`Format non pris en charge (${SPREADSHEET_EXTENSIONS.join(', ')} uniquement)`));
+    }
+    cb(null, true);
+  }
+});
+
+// Le type annoncé est vérifié ici, le contenu réel l'est au décodage (services/avatars)
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!IMAGE_TYPES.includes(file.mimetype)) {
+      return cb(new Error('Format d\'image non pris en charge (JPEG, PNG ou WebP uniquement)'));
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Transforme une erreur d'envoi de fichier en réponse 400 au format de l'API
+ * @param {Function} handler - Middleware multer
+ * @returns {Function} - Middleware Express
+ */
+function withUploadErrors(handler) {
+  return (req, res, next) => {
+    handler(req, res, (error) => {
+      if (error) {
+        const message = error.code === 'LIMIT_FILE_SIZE'
+          ? 'Fichier trop volumineux'
+          : error.message;
+        return res.status(400).json({ success: false, message });
+      }
+      next();
+    });
+  };
+}
+
+/**
+ * Reçoit un fichier CSV ou XLSX dans le champ "file" (gardé en mémoire : req.file.buffer)
+ */
+const uploadSpreadsheet = withUploadErrors(spreadsheetUpload.single('file'));
+
+/**
+ * Reçoit une image JPEG, PNG ou WebP de 2 Mo au plus dans le champ "avatar" (req.file.buffer)
+ */
+const uploadImage = withUploadErrors(imageUpload.single('avatar'));
+
+module.exports = {
+  uploadSpreadsheet,
+  uploadImage
+};
@@ -0,0 +1,6 @@
+-- Les hash scrypt (services/password.js) dépassent la taille des anciennes colonnes.
+-- Les mots de passe existants en clair sont re-hachés à la première connexion réussie.
+ALTER TABLE agent MODIFY mdp VARCHAR(255) NULL;
+ALTER TABLE administration MODIFY mdp VARCHAR(255) NOT NULL;
+ALTER TABLE etudiant MODIFY mdp VARCHAR(255) NULL;
+ALTER TABLE users MODIFY password VARCHAR(255) NOT NULL;
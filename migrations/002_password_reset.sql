@@ -0,0 +1,18 @@
+-- Changement de mot de passe obligatoire à la première connexion
+-- (comptes créés par createAgent / createEtudiant avec un mot de passe provisoire).
+ALTER TABLE agent ADD COLUMN must_change_password TINYINT(1) NOT NULL DEFAULT 0;
+ALTER TABLE etudiant ADD COLUMN must_change_password TINYINT(1) NOT NULL DEFAULT 0;
+
+-- Jetons de réinitialisation de mot de passe (usage unique, durée limitée).
+-- Seule l'empreinte SHA-256 du jeton est conservée.
+CREATE TABLE IF NOT EXISTS password_reset (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_type ENUM('agent', 'etudiant') NOT NULL,
+  user_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_password_reset_token (token_hash),
+  KEY idx_password_reset_user (user_type, user_id)
+);
@@ -0,0 +1,15 @@
+-- Journal des verrouillages temporaires déclenchés par les échecs de connexion répétés
+-- (services/loginThrottle.js). scope : agent, admin, etudiant, user ou ip.
+CREATE TABLE IF NOT EXISTS login_lockout (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  scope VARCHAR(20) NOT NULL,
+  identifier VARCHAR(255) NOT NULL,
+  ip VARCHAR(45) NULL,
+  failures INT NOT NULL,
+  locked_until DATETIME NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  unlocked_at DATETIME NULL,
+  unlocked_by INT NULL,
+  KEY idx_login_lockout_identifier (scope, identifier),
+  KEY idx_login_lockout_created (created_at)
+);
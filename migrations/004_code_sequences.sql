@@ -0,0 +1,20 @@
+-- Compteurs des codes générés (matricules, codes de jury) : une ligne par préfixe
+-- (ex: "matricule:E25{SEQ}"), incrémentée dans une transaction par model/SequenceModel.js
+-- pour que deux créations simultanées n'obtiennent jamais le même numéro.
+CREATE TABLE IF NOT EXISTS code_sequence (
+  counter_key VARCHAR(150) NOT NULL PRIMARY KEY,
+  value INT NOT NULL,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Modèles de codes configurables (voir utils/codePattern.js), par section et/ou année académique.
+-- Sans ligne applicable, le modèle par défaut du type de code est utilisé.
+CREATE TABLE IF NOT EXISTS code_pattern (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  target ENUM('matricule', 'jury') NOT NULL,
+  id_section INT NULL,
+  id_annee INT NULL,
+  pattern VARCHAR(50) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_code_pattern_target (target, id_section, id_annee)
+);
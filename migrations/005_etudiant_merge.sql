@@ -0,0 +1,13 @@
+-- Journal des fusions de doublons (EtudiantModel.mergeEtudiants) : la fiche du doublon supprimé
+-- est conservée (sans mot de passe) avec le nombre de lignes rattachées à l'étudiant conservé.
+CREATE TABLE IF NOT EXISTS etudiant_merge_log (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  id_survivant INT NOT NULL,
+  id_doublon INT NOT NULL,
+  doublon_data TEXT NOT NULL,
+  details TEXT NOT NULL,
+  id_agent INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_etudiant_merge_survivant (id_survivant),
+  KEY idx_etudiant_merge_doublon (id_doublon)
+);
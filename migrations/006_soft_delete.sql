@@ -0,0 +1,11 @@
+-- Suppression logique des étudiants et des agents : une fiche archivée garde ses données
+-- (inscriptions, paiements, cotes) jusqu'à sa restauration ou sa purge (services/archivePurge.js).
+ALTER TABLE etudiant
+  ADD COLUMN deleted_at DATETIME NULL DEFAULT NULL,
+  ADD COLUMN deleted_by INT NULL DEFAULT NULL,
+  ADD KEY idx_etudiant_deleted_at (deleted_at);
+
+ALTER TABLE agent
+  ADD COLUMN deleted_at DATETIME NULL DEFAULT NULL,
+  ADD COLUMN deleted_by INT NULL DEFAULT NULL,
+  ADD KEY idx_agent_deleted_at (deleted_at);
@@ -0,0 +1,9 @@
+-- Année académique active : l'année en cours est désignée explicitement au lieu d'être
+-- déduite de la plus grande date de début. Une seule année est active à la fois
+-- (EtudiantModel.setActiveAnnee). La dernière année existante devient l'année active.
+ALTER TABLE annee
+  ADD COLUMN active TINYINT(1) NOT NULL DEFAULT 0;
+
+UPDATE annee
+SET active = 1
+WHERE id = (SELECT id FROM (SELECT id FROM annee ORDER BY debut DESC LIMIT 1) AS derniere);
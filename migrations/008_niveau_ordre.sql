@@ -0,0 +1,9 @@
+-- Rang de chaque niveau dans son système (G1 = 1, G2 = 2...) : le passage d'année
+-- (services/anneeRollover.js) inscrit les étudiants admis au niveau de rang suivant.
+ALTER TABLE niveau
+  ADD COLUMN ordre INT NULL DEFAULT NULL;
+
+-- Valeur initiale déduite du premier nombre de l'intitulé (à vérifier après migration)
+UPDATE niveau
+SET ordre = CAST(REGEXP_SUBSTR(intitule, '[0-9]+') AS UNSIGNED)
+WHERE ordre IS NULL AND intitule REGEXP '[0-9]';
@@ -0,0 +1,28 @@
+-- Barèmes de cotation (voir utils/bareme.js) : pour une matière, pour les matières d'une promotion,
+-- ou pour toutes les matières (id_matiere et id_promotion nuls). Le barème le plus précis s'applique ;
+-- sans aucune ligne, le barème par défaut (composantes sur 20 de même poids, note sur 20, seuil 10).
+-- portee garantit une seule ligne par matière, par promotion et une seule ligne générale.
+CREATE TABLE IF NOT EXISTS bareme_cotation (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  id_matiere INT NULL,
+  id_promotion INT NULL,
+  max_tp DECIMAL(7,2) NOT NULL,
+  max_td DECIMAL(7,2) NOT NULL,
+  max_examen DECIMAL(7,2) NOT NULL,
+  max_rattrapage DECIMAL(7,2) NOT NULL,
+  poids_tp DECIMAL(7,2) NOT NULL,
+  poids_td DECIMAL(7,2) NOT NULL,
+  poids_examen DECIMAL(7,2) NOT NULL,
+  echelle DECIMAL(7,2) NOT NULL,
+  seuil DECIMAL(7,2) NOT NULL,
+  politique_rattrapage ENUM('remplace', 'meilleure', 'plafonnee') NOT NULL,
+  portee VARCHAR(30) AS (CASE
+    WHEN id_matiere IS NOT NULL THEN CONCAT('matiere:', id_matiere)
+    WHEN id_promotion IS NOT NULL THEN CONCAT('promotion:', id_promotion)
+    ELSE 'general'
+  END) STORED,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_bareme_cotation_portee (portee),
+  KEY idx_bareme_cotation_promotion (id_promotion)
+);
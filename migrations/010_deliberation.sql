@@ -0,0 +1,58 @@
+-- Délibérations des jurys (voir model/DeliberationModel.js et utils/deliberation.js).
+--
+-- Règles de décision : une liste ordonnée par association niveau-jury, ou générale (id_niveau_jury nul).
+-- portee garantit qu'une liste ne mélange pas deux portées et qu'un ordre n'y figure qu'une fois.
+CREATE TABLE IF NOT EXISTS deliberation_regle (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  id_niveau_jury INT NULL,
+  ordre INT NOT NULL,
+  code VARCHAR(20) NOT NULL,
+  libelle VARCHAR(100) NOT NULL,
+  moyenne_min DECIMAL(6,2) NOT NULL,
+  max_echecs INT NULL,
+  credits_min DECIMAL(5,2) NULL,
+  admis TINYINT(1) NOT NULL DEFAULT 0,
+  portee VARCHAR(30) AS (IF(id_niveau_jury IS NULL, 'general', CONCAT('niveau_jury:', id_niveau_jury))) STORED,
+  UNIQUE KEY uq_deliberation_regle_ordre (portee, ordre)
+);
+
+-- Décision de chaque étudiant délibéré par une association niveau-jury.
+-- decision_calculee : décision des règles ; decision : décision retenue (différente en cas de dérogation,
+-- justifiée par justification). Une délibération publiée n'est plus modifiable.
+CREATE TABLE IF NOT EXISTS deliberation (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  id_niveau_jury INT NOT NULL,
+  id_annee INT NOT NULL,
+  id_etudiant INT NOT NULL,
+  id_promotion INT NOT NULL,
+  moyenne DECIMAL(6,2) NOT NULL,
+  credits_total DECIMAL(7,2) NOT NULL,
+  credits_valides DECIMAL(7,2) NOT NULL,
+  echecs INT NOT NULL,
+  matieres_echouees TEXT NULL,
+  decision_calculee VARCHAR(20) NOT NULL,
+  decision VARCHAR(20) NOT NULL,
+  libelle VARCHAR(100) NOT NULL,
+  admis TINYINT(1) NOT NULL,
+  derogation TINYINT(1) NOT NULL DEFAULT 0,
+  justification TEXT NULL,
+  statut ENUM('brouillon', 'publie') NOT NULL DEFAULT 'brouillon',
+  calcule_le DATETIME NOT NULL,
+  publie_le DATETIME NULL,
+  UNIQUE KEY uq_deliberation_etudiant (id_niveau_jury, id_etudiant),
+  KEY idx_deliberation_etudiant (id_etudiant, id_annee)
+);
+
+-- Journal des délibérations : calculs, dérogations, publications et annulations de publication
+CREATE TABLE IF NOT EXISTS deliberation_historique (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  id_niveau_jury INT NOT NULL,
+  id_deliberation INT NULL,
+  id_agent INT NOT NULL,
+  action ENUM('calcul', 'derogation', 'publication', 'annulation') NOT NULL,
+  ancienne_decision VARCHAR(20) NULL,
+  nouvelle_decision VARCHAR(20) NULL,
+  justification TEXT NULL,
+  date_action DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_deliberation_historique (id_niveau_jury, date_action)
+);
@@ -0,0 +1,71 @@
+-- Référentiel des sections et options du secondaire (voir utils/exetat.js) : les valeurs saisies
+-- (fiche administrative, import) y sont ramenées par désignation ou par alias. Les administrateurs
+-- le complètent par /api/etudiants/administratif/references. aliases : noms séparés par "|".
+CREATE TABLE IF NOT EXISTS exetat_section (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  designation VARCHAR(100) NOT NULL,
+  aliases VARCHAR(500) NOT NULL DEFAULT '',
+  UNIQUE KEY uq_exetat_section_designation (designation)
+);
+
+CREATE TABLE IF NOT EXISTS exetat_option (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  id_section INT NOT NULL,
+  designation VARCHAR(100) NOT NULL,
+  aliases VARCHAR(500) NOT NULL DEFAULT '',
+  UNIQUE KEY uq_exetat_option_designation (id_section, designation),
+  CONSTRAINT fk_exetat_option_section FOREIGN KEY (id_section) REFERENCES exetat_section (id) ON DELETE CASCADE
+);
+
+-- Liste de référence initiale
+INSERT IGNORE INTO exetat_section (designation, aliases) VALUES
+  ('Scientifique', 'science|sciences'),
+  ('Littéraire', 'lettres'),
+  ('Commerciale', 'commercial|commerciale et administrative'),
+  ('Pédagogique', 'pedagogie'),
+  ('Technique', 'technique industrielle|professionnelle');
+
+INSERT IGNORE INTO exetat_option (id_section, designation, aliases)
+SELECT s.id, o.designation, o.aliases
+FROM exetat_section s
+JOIN (
+  SELECT 'Scientifique' AS section, 'Biologie-Chimie' AS designation, 'biochimie|bio-chimie|chimie-biologie|bc' AS aliases
+  UNION ALL
+  SELECT 'Scientifique' AS section, 'Mathématique-Physique' AS designation, 'math-physique|maths-physique|mathematiques-physique|mp' AS aliases
+  UNION ALL
+  SELECT 'Littéraire' AS section, 'Latin-Philosophie' AS designation, 'latin-philo|lp' AS aliases
+  UNION ALL
+  SELECT 'Littéraire' AS section, 'Latin-Grec' AS designation, 'lg' AS aliases
+  UNION ALL
+  SELECT 'Commerciale' AS section, 'Commerciale et Gestion' AS designation, 'commerciale|commercial et gestion|gestion|cg' AS aliases
+  UNION ALL
+  SELECT 'Commerciale' AS section, 'Secrétariat-Administration' AS designation, 'secretariat|secretariat administratif|sa' AS aliases
+  UNION ALL
+  SELECT 'Pédagogique' AS section, 'Pédagogie Générale' AS designation, 'pedagogie|pg' AS aliases
+  UNION ALL
+  SELECT 'Pédagogique' AS section, 'Normale' AS designation, 'ecole normale' AS aliases
+  UNION ALL
+  SELECT 'Pédagogique' AS section, 'Éducation Physique' AS designation, 'ep' AS aliases
+  UNION ALL
+  SELECT 'Technique' AS section, 'Électricité' AS designation, 'electricite generale' AS aliases
+  UNION ALL
+  SELECT 'Technique' AS section, 'Électronique' AS designation, '' AS aliases
+  UNION ALL
+  SELECT 'Technique' AS section, 'Mécanique Générale' AS designation, 'mecanique' AS aliases
+  UNION ALL
+  SELECT 'Technique' AS section, 'Mécanique Automobile' AS designation, 'auto|mecanique auto' AS aliases
+  UNION ALL
+  SELECT 'Technique' AS section, 'Construction' AS designation, 'batiment|construction batiment' AS aliases
+  UNION ALL
+  SELECT 'Technique' AS section, 'Chimie Industrielle' AS designation, '' AS aliases
+  UNION ALL
+  SELECT 'Technique' AS section, 'Informatique' AS designation, 'informatique de gestion' AS aliases
+  UNION ALL
+  SELECT 'Technique' AS section, 'Agronomie Générale' AS designation, 'agronomie|agri' AS aliases
+  UNION ALL
+  SELECT 'Technique' AS section, 'Vétérinaire' AS designation, '' AS aliases
+  UNION ALL
+  SELECT 'Technique' AS section, 'Nutrition' AS designation, '' AS aliases
+  UNION ALL
+  SELECT 'Technique' AS section, 'Coupe et Couture' AS designation, 'coupe couture' AS aliases
+) o ON o.section = s.designation;
@@ -0,0 +1,17 @@
+-- Barèmes de cotation datés (voir utils/bareme.js et PromotionModel.baremeMatiereSql) : un barème s'applique
+-- à partir de l'année id_annee, jusqu'à l'année d'un barème plus récent de même portée. Modifier un barème
+-- ne recalcule donc plus les notes des années antérieures.
+-- Les barèmes existants (id_annee nul) s'appliquent aux années qu'aucun barème daté de même portée ne couvre.
+ALTER TABLE bareme_cotation
+  DROP INDEX uq_bareme_cotation_portee,
+  DROP COLUMN portee;
+
+ALTER TABLE bareme_cotation
+  ADD COLUMN id_annee INT NULL AFTER id_promotion,
+  ADD COLUMN portee VARCHAR(45) AS (CONCAT(CASE
+    WHEN id_matiere IS NOT NULL THEN CONCAT('matiere:', id_matiere)
+    WHEN id_promotion IS NOT NULL THEN CONCAT('promotion:', id_promotion)
+    ELSE 'general'
+  END, '@', COALESCE(id_annee, 'toutes'))) STORED,
+  ADD UNIQUE KEY uq_bareme_cotation_portee (portee),
+  ADD KEY idx_bareme_cotation_annee (id_annee);
@@ -0,0 +1,13 @@
+-- Seuils de compensation LMD (voir utils/lmd.js et DeliberationModel.seuilsLmdSql) : par niveau,
+-- ou généraux (id_niveau nul). Comme les barèmes, des seuils s'appliquent à partir de l'année id_annee,
+-- jusqu'à l'année de seuils plus récents de même portée. Sans seuils configurés : DEFAULT_SEUILS_LMD.
+CREATE TABLE IF NOT EXISTS lmd_seuil (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  id_niveau INT NULL,
+  id_annee INT NOT NULL,
+  seuil_ue DECIMAL(5,2) NOT NULL,
+  note_eliminatoire DECIMAL(5,2) NOT NULL,
+  portee VARCHAR(45) AS (CONCAT(IF(id_niveau IS NULL, 'general', CONCAT('niveau:', id_niveau)), '@', id_annee)) STORED,
+  UNIQUE KEY uq_lmd_seuil_portee (portee),
+  KEY idx_lmd_seuil_annee (id_annee)
+);
@@ -1,19 +1,25 @@
 const Model = require('./Model');
+const passwordService = require('../services/password');
+const sessionService = require('../services/sessions');
 
 /**
  * Modèle pour la gestion de la table 'agent'
- * Structure: agent(id, nom, post_nom, prenom, sexe, matricule, grade, statut, mdp, telephone, adresse, e_mail, avatar, date_naiss)
+ * Structure: agent(id, nom, post_nom, prenom, sexe, matricule, grade, statut, mdp, telephone, adresse, e_mail, avatar, date_naiss,
+ *                  deleted_at, deleted_by)
+ *
+ * La suppression est logique : deleteAgent renseigne deleted_at et l'agent disparaît des listes,
+ * des recherches et de l'authentification jusqu'à restoreAgent. purgeArchivedAgents le supprime définitivement.
  */
 class AgentModel extends Model {
   /**
    * Récupère tous les agents
-   * @param {Object} options - Options de pagination et de tri
+   * @param {Object} options - Options de pagination et de tri, includeArchived pour inclure les agents archivés
    * @returns {Promise<Object>} - Résultat avec métadonnées
    */
   async getAllAgents(options = {}) {
     const { limit = null, offset = 0, sortBy = 'nom', sortDir = 'ASC' } = options;
     
-    let sql = 'SELECT * FROM agent';
+    let sql = `SELECT * FROM agent WHERE ${this.notArchived('agent', options)}`;
     const params = [];
     
     // Ajouter le tri
@@ -31,10 +37,14 @@ class AgentModel extends Model {
   /**
    * Récupère un agent par son ID
    * @param {number} id - ID de l'agent
+   * @param {Object} options - { includeArchived } (un agent archivé est introuvable par défaut)
    * @returns {Promise<Object>} - Résultat avec métadonnées
    */
-  async getAgentById(id) {
-    const result = await this.query('SELECT * FROM agent WHERE id = ?', [id]);
+  async getAgentById(id, options = {}) {
+    const result = await this.query(
+      `SELECT * FROM agent WHERE id = ? AND ${this.notArchived('agent', options)}`,
+      [id]
+    );
     
     if (result.success && (Array.isArray(result.data) && result.data.length === 0)) {
       return this.errorResponse('Agent not found', 404);
@@ -46,10 +56,14 @@ class AgentModel extends Model {
   /**
    * Récupère un agent par son matricule
    * @param {string} matricule - Matricule de l'agent
+   * @param {Object} options - { includeArchived } (un agent archivé est introuvable par défaut)
    * @returns {Promise<Object>} - Résultat avec métadonnées
    */
-  async getAgentByMatricule(matricule) {
-    const result = await this.query('SELECT * FROM agent WHERE matricule = ?', [matricule]);
+  async getAgentByMatricule(matricule, options = {}) {
+    const result = await this.query(
+      `SELECT * FROM agent WHERE matricule = ? AND ${this.notArchived('agent', options)}`,
+      [matricule]
+    );
     
     if (result.success && (Array.isArray(result.data) && result.data.length === 0)) {
       return this.errorResponse('Agent not found', 404);
@@ -61,10 +75,14 @@ class AgentModel extends Model {
   /**
    * Récupère un agent par son email
    * @param {string} email - Email de l'agent
+   * @param {Object} options - { includeArchived } (un agent archivé est introuvable par défaut)
    * @returns {Promise<Object>} - Résultat avec métadonnées
    */
-  async getAgentByEmail(email) {
-    const result = await this.query('SELECT * FROM agent WHERE e_mail = ?', [email]);
+  async getAgentByEmail(email, options = {}) {
+    const result = await this.query(
+      `SELECT * FROM agent WHERE e_mail = ? AND ${this.notArchived('agent', options)}`,
+      [email]
+    );
     
     if (result.success && (Array.isArray(result.data) && result.data.length === 0)) {
       return this.errorResponse('Agent not found', 404);
@@ -76,7 +94,7 @@ class AgentModel extends Model {
   /**
    * Recherche des agents selon différents critères
    * @param {string} searchTerm - Terme de recherche
-   * @param {Object} options - Options de pagination et de tri
+   * @param {Object} options - Options de pagination et de tri, includeArchived pour inclure les agents archivés
    * @returns {Promise<Object>} - Résultat avec métadonnées
    */
   async searchAgents(searchTerm, options = {}) {
@@ -84,12 +102,13 @@ class AgentModel extends Model {
     
     let sql = `
       SELECT * FROM agent 
-      WHERE nom LIKE ? 
+      WHERE (nom LIKE ? 
          OR post_nom LIKE ? 
          OR prenom LIKE ? 
          OR matricule LIKE ? 
          OR grade LIKE ? 
-         OR e_mail LIKE ?
+         OR e_mail LIKE ?)
+        AND ${this.notArchived('agent', options)}
     `;
     const searchParam = `%${searchTerm}%`;
     const params = [searchParam, searchParam, searchParam, searchParam, searchParam, searchParam];
@@ -109,13 +128,13 @@ class AgentModel extends Model {
   /**
    * Filtre les agents selon différents critères
    * @param {Object} filters - Critères de filtrage
-   * @param {Object} options - Options de pagination et de tri
+   * @param {Object} options - Options de pagination et de tri, includeArchived pour inclure les agents archivés
    * @returns {Promise<Object>} - Résultat avec métadonnées
    */
   async filterAgents(filters = {}, options = {}) {
     const { limit = null, offset = 0, sortBy = 'nom', sortDir = 'ASC' } = options;
     
-    let sql = 'SELECT * FROM agent WHERE 1=1';
+    let sql = `SELECT * FROM agent WHERE ${this.notArchived('agent', options)}`;
     const params = [];
     
     // Appliquer les filtres
@@ -174,6 +193,20 @@ class AgentModel extends Model {
       }
     }
     
+    // Vérifier puis hacher le mot de passe s'il est fourni (mêmes règles que resetPassword)
+    if (agentData.mdp) {
+      const weaknesses = passwordService.checkStrength(agentData.mdp, [agentData.matricule, agentData.e_mail]);
+      if (weaknesses.length > 0) {
+        return this.errorResponse(weaknesses.join('. '), 400);
+      }
+      agentData.mdp = await passwordService.hashPassword(agentData.mdp);
+    }
+    
+    // Le mot de passe choisi par l'administrateur est provisoire : l'agent devra le changer à sa première connexion
+    if (agentData.must_change_password === undefined) {
+      agentData.must_change_password = 1;
+    }
+    
     // Préparer les champs et valeurs pour l'insertion
     const fields = Object.keys(agentData);
     const values = fields.map(field => agentData[field]);
@@ -225,6 +258,16 @@ class AgentModel extends Model {
       }
     }
     
+    // Vérifier puis hacher le mot de passe s'il est modifié, avec le matricule et l'e-mail retenus après la mise à jour
+    if (agentData.mdp) {
+      const { matricule, e_mail } = { ...agentExists.data[0], ...agentData };
+      const weaknesses = passwordService.checkStrength(agentData.mdp, [matricule, e_mail]);
+      if (weaknesses.length > 0) {
+        return this.errorResponse(weaknesses.join('. '), 400);
+      }
+      agentData.mdp = await passwordService.hashPassword(agentData.mdp);
+    }
+    
     // Construire la requête SQL dynamiquement
     const fields = Object.keys(agentData);
     const setClause = fields.map(field => `${field} = ?`).join(', ');
@@ -246,25 +289,105 @@ class AgentModel extends Model {
   }
 
   /**
-   * Supprime un agent
+   * Archive un agent (suppression logique) : il n'apparaît plus dans les listes et ne peut plus se connecter
    * @param {number} id - ID de l'agent
+   * @param {number|null} deletedBy - ID de l'agent qui archive
    * @returns {Promise<Object>} - Résultat avec métadonnées
    */
-  async deleteAgent(id) {
+  async deleteAgent(id, deletedBy = null) {
     // Vérifier si l'agent existe
     const agentExists = await this.getAgentById(id);
     if (!agentExists.success) {
       return agentExists;
     }
     
-    // Vérifier si l'agent est référencé dans d'autres tables (à adapter selon votre schéma)
-    // Par exemple, vérifiez s'il existe des affectations pour cet agent
-    // const hasAffectations = await this.query('SELECT id FROM affectation WHERE id_agent = ? LIMIT 1', [id]);
-    // if (hasAffectations.success && Array.isArray(hasAffectations.data) && hasAffectations.data.length > 0) {
-    //   return this.errorResponse('Cannot delete agent that has affectations', 400);
-    // }
-    
-    return this.query('DELETE FROM agent WHERE id = ?', [id]);
+    const result = await this.query(
+      'UPDATE agent SET deleted_at = NOW(), deleted_by = ? WHERE id = ? AND deleted_at IS NULL',
+      [deletedBy, id]
+    );
+
+    // Fermer les sessions ouvertes par l'agent archivé
+    if (result.success) {
+      await sessionService.revokeSubject('agent', id);
+    }
+
+    return result;
+  }
+
+  /**
+   * Restaure un agent archivé
+   * @param {number} id - ID de l'agent
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async restoreAgent(id) {
+    const agent = await this.getAgentById(id, { includeArchived: true });
+    if (!agent.success) {
+      return agent;
+    }
+
+    if (!agent.data[0].deleted_at) {
+      return this.errorResponse('Agent is not archived', 409);
+    }
+
+    return this.query('UPDATE agent SET deleted_at = NULL, deleted_by = NULL WHERE id = ?', [id]);
+  }
+
+  /**
+   * Supprime définitivement les agents archivés depuis plus de retentionDays jours.
+   * Les agents qui ont saisi des cotes ou siègent dans un jury sont conservés.
+   * @param {number} retentionDays - Durée de conservation des agents archivés, en jours
+   * @returns {Promise<Object>} - Résultat avec { purged, skipped: [{ id, reason }], avatars } dans data ;
+   *                              avatars : valeurs de la colonne avatar des fiches supprimées (images à effacer)
+   */
+  async purgeArchivedAgents(retentionDays) {
+    const candidates = await this.query(
+      `SELECT a.id, a.avatar,
+              EXISTS (SELECT 1 FROM insertion i WHERE i.id_agent = a.id) AS has_insertions,
+              EXISTS (SELECT 1 FROM jury j WHERE j.id_president = a.id OR j.id_secretaire = a.id OR j.id_membre = a.id) AS has_jury
+       FROM agent a
+       WHERE a.deleted_at IS NOT NULL AND a.deleted_at < NOW() - INTERVAL ? DAY`,
+      [retentionDays]
+    );
+    if (!candidates.success) {
+      return candidates;
+    }
+
+    const report = { purged: [], skipped: [], avatars: [] };
+
+    for (const candidate of candidates.data) {
+      if (candidate.has_insertions || candidate.has_jury) {
+        report.skipped.push({
+          id: candidate.id,
+          reason: candidate.has_insertions ? 'grades entered by this agent' : 'jury membership'
+        });
+        continue;
+      }
+
+      const deleted = await this.transaction(async (tx) => {
+        // L'agent a pu être restauré depuis la sélection
+        const locked = await tx.query(
+          'SELECT id FROM agent WHERE id = ? AND deleted_at IS NOT NULL FOR UPDATE',
+          [candidate.id]
+        );
+        if (!locked.success) return locked;
+        if (locked.data.length === 0) return tx.errorResponse('Agent restored in the meantime', 409);
+
+        for (const table of ['administratif_agent', 'origine_agent', 'affectation', 'administration']) {
+          const result = await tx.query(`DELETE FROM ${table} WHERE id_agent = ?`, [candidate.id]);
+          if (!result.success) return result;
+        }
+        return tx.query('DELETE FROM agent WHERE id = ?', [candidate.id]);
+      });
+
+      if (deleted.success) {
+        report.purged.push(candidate.id);
+        if (candidate.avatar) report.avatars.push(candidate.avatar);
+      } else {
+        report.skipped.push({ id: candidate.id, reason: deleted.error });
+      }
+    }
+
+    return this.successResponse(report);
   }
 
   /**
@@ -282,17 +405,43 @@ class AgentModel extends Model {
     }
     
     // Vérifier si l'ancien mot de passe correspond
-    const passwordCheck = await this.query(
-      'SELECT id FROM agent WHERE id = ? AND mdp = ?', 
-      [id, oldPassword]
-    );
-    
-    if (passwordCheck.success && Array.isArray(passwordCheck.data) && passwordCheck.data.length === 0) {
+    const { valid } = await passwordService.verifyPassword(oldPassword, agentExists.data[0].mdp);
+    if (!valid) {
       return this.errorResponse('Incorrect password', 401);
     }
     
-    // Mettre à jour le mot de passe
-    return this.query('UPDATE agent SET mdp = ? WHERE id = ?', [newPassword, id]);
+    if (oldPassword === newPassword) {
+      return this.errorResponse('The new password must differ from the current one', 400);
+    }
+    
+    return this.resetPassword(id, newPassword);
+  }
+
+  /**
+   * Remplace le mot de passe d'un agent sans demander l'ancien (réinitialisation par jeton).
+   * Le changement obligatoire de première connexion est levé.
+   * @param {number} id - ID de l'agent
+   * @param {string} newPassword - Nouveau mot de passe
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async resetPassword(id, newPassword) {
+    const agentExists = await this.getAgentById(id);
+    if (!agentExists.success) {
+      return agentExists;
+    }
+    
+    // Vérifier la robustesse du nouveau mot de passe
+    const { matricule, e_mail } = agentExists.data[0];
+    const weaknesses = passwordService.checkStrength(newPassword, [matricule, e_mail]);
+    if (weaknesses.length > 0) {
+      return this.errorResponse(weaknesses.join('. '), 400);
+    }
+    
+    const hashedPassword = await passwordService.hashPassword(newPassword);
+    return this.query(
+      'UPDATE agent SET mdp = ?, must_change_password = 0 WHERE id = ?',
+      [hashedPassword, id]
+    );
   }
 
   /**
@@ -322,36 +471,49 @@ class AgentModel extends Model {
       return this.errorResponse('Login and password are required', 400);
     }
     
-    // Vérifier si le login est un email ou un matricule
+    // Vérifier si le login est un email ou un matricule (un agent archivé ne peut plus se connecter)
     let sql;
     if (login.includes('@')) {
-      sql = 'SELECT * FROM agent WHERE e_mail = ? AND mdp = ?';
+      sql = 'SELECT * FROM agent WHERE e_mail = ? AND deleted_at IS NULL';
     } else {
-      sql = 'SELECT * FROM agent WHERE matricule = ? AND mdp = ?';
+      sql = 'SELECT * FROM agent WHERE matricule = ? AND deleted_at IS NULL';
     }
     
-    const result = await this.query(sql, [login, password]);
+    const result = await this.query(sql, [login]);
     
-    if (result.success && Array.isArray(result.data) && result.data.length === 0) {
+    if (!result.success) {
+      return result;
+    }
+    
+    if (Array.isArray(result.data) && result.data.length === 0) {
       return this.errorResponse('Invalid credentials', 401);
     }
     
-    // Ne pas renvoyer le mot de passe dans la réponse
-    if (result.success && Array.isArray(result.data) && result.data.length > 0) {
-      const agent = result.data[0];
-      delete agent.mdp; // Supprimer le mot de passe des données renvoyées
+    const agent = result.data[0];
+    const { valid, needsRehash } = await passwordService.verifyPassword(password, agent.mdp);
+    if (!valid) {
+      return this.errorResponse('Invalid credentials', 401);
     }
     
+    // Remplacer un ancien mot de passe en clair par son hash
+    if (needsRehash) {
+      const hashedPassword = await passwordService.hashPassword(password);
+      await this.query('UPDATE agent SET mdp = ? WHERE id = ?', [hashedPassword, agent.id]);
+    }
+    
+    // Ne pas renvoyer le mot de passe dans la réponse
+    delete agent.mdp;
+    
     return result;
   }
 
   /**
    * Compte le nombre total d'agents
-   * @param {Object} filters - Filtres optionnels
+   * @param {Object} filters - Filtres optionnels (includeArchived pour compter aussi les agents archivés)
    * @returns {Promise<number>} - Nombre d'agents
    */
   async countAgents(filters = {}) {
-    let sql = 'SELECT COUNT(*) AS count FROM agent WHERE 1=1';
+    let sql = `SELECT COUNT(*) AS count FROM agent WHERE ${this.notArchived('agent', filters)}`;
     const params = [];
     
     // Appliquer les filtres
@@ -380,7 +542,7 @@ class AgentModel extends Model {
   }
 
   /**
-   * Récupère les statistiques des agents (par sexe, grade, statut)
+   * Récupère les statistiques des agents (par sexe, grade, statut), agents archivés exclus
    * @returns {Promise<Object>} - Statistiques des agents
    */
   async getAgentStats() {
@@ -392,13 +554,13 @@ class AgentModel extends Model {
     };
     
     // Nombre total d'agents
-    const totalResult = await this.query('SELECT COUNT(*) AS count FROM agent');
+    const totalResult = await this.query('SELECT COUNT(*) AS count FROM agent WHERE deleted_at IS NULL');
     if (totalResult.success && Array.isArray(totalResult.data) && totalResult.data.length > 0) {
       stats.total = totalResult.data[0].count;
     }
     
     // Répartition par sexe
-    const sexResult = await this.query('SELECT sexe, COUNT(*) AS count FROM agent GROUP BY sexe');
+    const sexResult = await this.query('SELECT sexe, COUNT(*) AS count FROM agent WHERE deleted_at IS NULL GROUP BY sexe');
     if (sexResult.success && Array.isArray(sexResult.data)) {
       sexResult.data.forEach(row => {
         stats.bySex[row.sexe] = row.count;
@@ -406,7 +568,7 @@ class AgentModel extends Model {
     }
     
     // Répartition par grade
-    const gradeResult = await this.query('SELECT grade, COUNT(*) AS count FROM agent GROUP BY grade');
+    const gradeResult = await this.query('SELECT grade, COUNT(*) AS count FROM agent WHERE deleted_at IS NULL GROUP BY grade');
     if (gradeResult.success && Array.isArray(gradeResult.data)) {
       gradeResult.data.forEach(row => {
         stats.byGrade[row.grade] = row.count;
@@ -414,7 +576,7 @@ class AgentModel extends Model {
     }
     
     // Répartition par statut
-    const statutResult = await this.query('SELECT statut, COUNT(*) AS count FROM agent GROUP BY statut');
+    const statutResult = await this.query('SELECT statut, COUNT(*) AS count FROM agent WHERE deleted_at IS NULL GROUP BY statut');
     if (statutResult.success && Array.isArray(statutResult.data)) {
       statutResult.data.forEach(row => {
         stats.byStatus[row.statut] = row.count;
@@ -554,6 +716,7 @@ async getAdministratifAgent(agentId) {
       SELECT aa.*, a.nom, a.post_nom, a.prenom, a.matricule
       FROM administratif_agent aa
       JOIN agent a ON aa.id_agent = a.id
+      WHERE a.deleted_at IS NULL
       ORDER BY a.nom, a.post_nom, a.prenom
     `);
   }
@@ -654,7 +817,7 @@ async getAdministratifAgent(agentId) {
       SELECT a.*, aa.diplome, aa.niveau
       FROM agent a
       JOIN administratif_agent aa ON a.id = aa.id_agent
-      WHERE 1=1
+      WHERE ${this.notArchived('a', options)}
     `;
     const params = [];
     
@@ -807,6 +970,7 @@ async getAdministratifAgent(agentId) {
              a.grade, a.statut, a.telephone, a.e_mail, a.avatar
       FROM administration adm
       JOIN agent a ON adm.id_agent = a.id
+      WHERE a.deleted_at IS NULL
       ORDER BY ${sortBy} ${sortDir}
     `;
     
@@ -821,13 +985,16 @@ async getAdministratifAgent(agentId) {
   }
 
   /**
-   * Vérifie si un agent est administrateur du système
+   * Vérifie si un agent est administrateur du système (un agent archivé ne l'est plus)
    * @param {number} agentId - ID de l'agent
    * @returns {Promise<boolean>} - True si l'agent est administrateur
    */
   async isAdmin(agentId) {
     const result = await this.query(
-      'SELECT id FROM administration WHERE id_agent = ? LIMIT 1',
+      `SELECT adm.id FROM administration adm
+       JOIN agent a ON adm.id_agent = a.id
+       WHERE adm.id_agent = ? AND a.deleted_at IS NULL
+       LIMIT 1`,
       [agentId]
     );
     
@@ -904,12 +1071,11 @@ async getAdministratifAgent(agentId) {
       return this.errorResponse('Password is required', 400);
     }
     
-    // Dans une application réelle, nous devrions hasher le mot de passe avant de l'enregistrer
-    // Exemple: const hashedPassword = await bcrypt.hash(password, 10);
+    const hashedPassword = await passwordService.hashPassword(password);
     
     return this.query(
       'INSERT INTO administration (id_agent, mdp) VALUES (?, ?)',
-      [agentId, password]
+      [agentId, hashedPassword]
     );
   }
 
@@ -931,27 +1097,29 @@ async getAdministratifAgent(agentId) {
       return this.errorResponse('This agent is not an administrator', 404);
     }
     
-    // Vérifier si le mot de passe actuel est correct
-    const passwordCheck = await this.query(
-      'SELECT id FROM administration WHERE id_agent = ? AND mdp = ?',
-      [agentId, currentPassword]
-    );
+    if (!adminInfo.success) {
+      return adminInfo;
+    }
     
-    if (passwordCheck.success && (Array.isArray(passwordCheck.data) && passwordCheck.data.length === 0)) {
+    // Vérifier si le mot de passe actuel est correct
+    const { valid } = await passwordService.verifyPassword(currentPassword, adminInfo.data[0].mdp);
+    if (!valid) {
       return this.errorResponse('Current password is incorrect', 401);
     }
     
-    // Valider le nouveau mot de passe
-    if (!newPassword || newPassword.trim() === '') {
-      return this.errorResponse('New password is required', 400);
+    // Valider la robustesse du nouveau mot de passe
+    const agentResult = await this.getAgentById(agentId);
+    const personalValues = agentResult.success ? [agentResult.data[0].matricule, agentResult.data[0].e_mail] : [];
+    const weaknesses = passwordService.checkStrength(newPassword, personalValues);
+    if (weaknesses.length > 0) {
+      return this.errorResponse(weaknesses.join('. '), 400);
     }
     
-    // Dans une application réelle, nous devrions hasher le nouveau mot de passe
-    // Exemple: const hashedPassword = await bcrypt.hash(newPassword, 10);
+    const hashedPassword = await passwordService.hashPassword(newPassword);
     
     return this.query(
       'UPDATE administration SET mdp = ? WHERE id_agent = ?',
-      [newPassword, agentId]
+      [hashedPassword, agentId]
     );
   }
 
@@ -967,7 +1135,14 @@ async getAdministratifAgent(agentId) {
       return this.errorResponse('This agent is not an administrator', 404);
     }
     
-    return this.query('DELETE FROM administration WHERE id_agent = ?', [agentId]);
+    const result = await this.query('DELETE FROM administration WHERE id_agent = ?', [agentId]);
+
+    // Les jetons délivrés pendant qu'il était administrateur ne doivent plus être utilisables
+    if (result.success) {
+      await sessionService.revokeSubject('agent', agentId);
+    }
+
+    return result;
   }
 
   /**
@@ -991,16 +1166,31 @@ async getAdministratifAgent(agentId) {
     
     // Vérifier si l'agent est administrateur et si le mot de passe est correct
     const adminAuth = await this.query(
-      'SELECT adm.id, adm.id_agent FROM administration adm WHERE adm.id_agent = ? AND adm.mdp = ?',
-      [agentId, password]
+      'SELECT adm.id, adm.id_agent, adm.mdp FROM administration adm WHERE adm.id_agent = ?',
+      [agentId]
     );
     
-    if (adminAuth.success && (Array.isArray(adminAuth.data) && adminAuth.data.length === 0)) {
+    if (!adminAuth.success) {
+      return adminAuth;
+    }
+    
+    if (Array.isArray(adminAuth.data) && adminAuth.data.length === 0) {
       return this.errorResponse('Invalid credentials or insufficient privileges', 401);
     }
     
-    // Récupérer les informations complètes de l'administrateur
     const adminInfo = adminAuth.data[0];
+    const { valid, needsRehash } = await passwordService.verifyPassword(password, adminInfo.mdp);
+    if (!valid) {
+      return this.errorResponse('Invalid credentials or insufficient privileges', 401);
+    }
+    
+    // Remplacer un ancien mot de passe en clair par son hash
+    if (needsRehash) {
+      const hashedPassword = await passwordService.hashPassword(password);
+      await this.query('UPDATE administration SET mdp = ? WHERE id = ?', [hashedPassword, adminInfo.id]);
+    }
+    
+    // Récupérer les informations complètes de l'administrateur
     const agent = agentResult.data[0];
     
     // Ne pas renvoyer le mot de passe dans la réponse
@@ -1043,6 +1233,7 @@ async getAdministratifAgent(agentId) {
              (SELECT COUNT(*) FROM jury j WHERE j.id_president = a.id OR j.id_secretaire = a.id OR j.id_membre = a.id) as jury_count
       FROM administration adm
       JOIN agent a ON adm.id_agent = a.id
+      WHERE a.deleted_at IS NULL
       ORDER BY a.nom, a.post_nom
     `;
     
@@ -1085,7 +1276,10 @@ async getAdministratifAgent(agentId) {
     
     const agent = agentResult.data[0];
     const fullInfo = { ...agent, administratif: null, is_admin: false };
-    
+
+    // Ne pas renvoyer le mot de passe dans le profil
+    delete fullInfo.mdp;
+
     // Récupérer les informations administratives (si elles existent)
     const adminResult = await this.getAdministratifAgent(id).catch(() => null);
     if (adminResult && adminResult.success) {
@@ -1,4 +1,13 @@
 const EtudiantModel = require('./EtudiantModel');
+const SequenceModel = require('./SequenceModel');
+const sessionService = require('../services/sessions');
+const { checkCote } = require('../utils/bareme');
+
+// Colonnes de la table jury désignant ses membres
+const JURY_MEMBER_FIELDS = ['id_president', 'id_secretaire', 'id_membre'];
+
+const sequences = new SequenceModel();
+
 /**
  * Modèle pour la gestion des cotes et jurys
  * 
@@ -156,7 +165,11 @@ class CotesModel extends EtudiantModel {
       }
     } else {
       // Générer un code pour le jury
-      juryData.code = await this.generateJuryCode(juryData.id_section);
+      const code = await this.generateJuryCode(juryData.id_section);
+      if (!code.success) {
+        return code;
+      }
+      juryData.code = code.data;
     }
     
     // Vérifier si un jury avec cette désignation existe déjà pour cette section
@@ -259,7 +272,14 @@ class CotesModel extends EtudiantModel {
     const values = fields.map(field => juryData[field]);
     values.push(id);
     
-    return this.query(`UPDATE jury SET ${setClause} WHERE id = ?`, values);
+    const result = await this.query(`UPDATE jury SET ${setClause} WHERE id = ?`, values);
+
+    // Composition modifiée : les anciens et nouveaux membres doivent se reconnecter
+    if (result.success && JURY_MEMBER_FIELDS.some(field => field in juryData)) {
+      await this.revokeJurySessions(juryExists.data[0], juryData);
+    }
+
+    return result;
   }
 
   /**
@@ -280,45 +300,100 @@ class CotesModel extends EtudiantModel {
       return this.errorResponse('Cannot delete jury that is assigned to levels', 400);
     }
     
-    return this.query('DELETE FROM jury WHERE id = ?', [id]);
+    const result = await this.query('DELETE FROM jury WHERE id = ?', [id]);
+
+    if (result.success) {
+      await this.revokeJurySessions(juryExists.data[0]);
+    }
+
+    return result;
+  }
+
+  /**
+   * Ferme les sessions des membres de jury concernés par un changement de composition.
+   * Les rôles de jury sont inscrits dans le jeton à la connexion ; ils ne doivent pas
+   * survivre au retrait d'un membre.
+   * @param {...Object} jurys - Lignes jury (ou données de mise à jour) portant id_president, id_secretaire, id_membre
+   * @returns {Promise<void>}
+   */
+  async revokeJurySessions(...jurys) {
+    const agentIds = new Set();
+
+    for (const jury of jurys) {
+      for (const field of JURY_MEMBER_FIELDS) {
+        if (jury && jury[field]) {
+          agentIds.add(jury[field]);
+        }
+      }
+    }
+
+    for (const agentId of agentIds) {
+      await sessionService.revokeSubject('agent', agentId);
+    }
   }
 
   /**
-   * Génère un code unique pour un nouveau jury
+   * Génère un code unique pour un nouveau jury selon le modèle configuré
+   * (par défaut <initiales de la section>-<numéro sur 3 chiffres>, voir SequenceModel)
    * @param {number} sectionId - ID de la section
-   * @returns {Promise<string>} - Code unique
+   * @returns {Promise<Object>} - Résultat avec le code dans data
    */
   async generateJuryCode(sectionId) {
-    // Récupérer le code de la section
-    const sectionResult = await this.query('SELECT designation FROM section WHERE id = ?', [sectionId]);
-    let sectionPrefix = 'JURY';
-    
-    if (sectionResult.success && Array.isArray(sectionResult.data) && sectionResult.data.length > 0) {
-      // Prendre les initiales de la désignation de la section
-      const designation = sectionResult.data[0].designation;
-      sectionPrefix = designation.split(' ')
-        .map(word => word.charAt(0))
-        .join('')
-        .toUpperCase();
-    }
-    
-    // Récupérer le dernier jury de cette section pour construire le code suivant
-    const lastJuryResult = await this.query(
-      "SELECT code FROM jury WHERE id_section = ? ORDER BY id DESC LIMIT 1",
-      [sectionId]
-    );
-    
-    let number = 1;
-    
-    if (lastJuryResult.success && Array.isArray(lastJuryResult.data) && lastJuryResult.data.length > 0) {
-      const lastCode = lastJuryResult.data[0].code;
-      const match = lastCode.match(/\d+$/);
-      if (match) {
-        number = parseInt(match[0], 10) + 1;
-      }
+    return this.use(sequences).generateCode('jury', { sectionId });
+  }
+
+  /**
+   * Récupère les rôles occupés par un agent dans les jurys
+   * @param {number} agentId - ID de l'agent
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async getJuryRolesByAgent(agentId) {
+    const sql = `
+      SELECT j.id as jury_id, j.code as jury_code, j.designation as jury_designation,
+             j.id_section, j.autorisation,
+             CASE
+               WHEN j.id_president = ? THEN 'president'
+               WHEN j.id_secretaire = ? THEN 'secretaire'
+               ELSE 'membre'
+             END as role
+      FROM jury j
+      WHERE j.id_president = ? OR j.id_secretaire = ? OR j.id_membre = ?
+      ORDER BY j.designation
+    `;
+
+    return this.query(sql, [agentId, agentId, agentId, agentId, agentId]);
+  }
+
+  /**
+   * Récupère les niveaux (par année académique) sur lesquels un agent siège dans un jury
+   * @param {number} agentId - ID de l'agent
+   * @param {number} anneeId - ID de l'année académique (optionnel)
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async getNiveauxJuryByAgent(agentId, anneeId = null) {
+    let sql = `
+      SELECT nj.id as niveau_jury_id, nj.id_niveau, nj.id_annee,
+             j.id as jury_id, j.code as jury_code, j.autorisation,
+             CASE
+               WHEN j.id_president = ? THEN 'president'
+               WHEN j.id_secretaire = ? THEN 'secretaire'
+               ELSE 'membre'
+             END as role
+      FROM niveau_jury nj
+      JOIN jury j ON nj.id_jury = j.id
+      WHERE (j.id_president = ? OR j.id_secretaire = ? OR j.id_membre = ?)
+    `;
+
+    const params = [agentId, agentId, agentId, agentId, agentId];
+
+    if (anneeId) {
+      sql += ' AND nj.id_annee = ?';
+      params.push(anneeId);
     }
-    
-    return `${sectionPrefix}-${number.toString().padStart(3, '0')}`;
+
+    sql += ' ORDER BY nj.id_annee DESC, nj.id_niveau';
+
+    return this.query(sql, params);
   }
 
   /**
@@ -368,8 +443,10 @@ class CotesModel extends EtudiantModel {
     const sql = `
       SELECT nj.*,
              n.intitule as niveau_intitule,
+             n.systeme as niveau_systeme,
              j.designation as jury_designation,
              j.code as jury_code,
+             j.id_section,
              s.designation as section_designation,
              a.debut as annee_debut,
              a.fin as annee_fin
@@ -517,6 +594,118 @@ class CotesModel extends EtudiantModel {
     return this.query('DELETE FROM niveau_jury WHERE id = ?', [niveauJuryId]);
   }
 
+  /**
+   * ------------ MÉTHODES POUR LA SAISIE DES COTES ------------
+   */
+  
+  /**
+   * Récupère une fiche de cotation avec l'étudiant, la matière, le niveau / la section
+   * de la promotion de la matière et les notes calculées selon le barème de la matière
+   * @param {number} id - ID de la fiche de cotation
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async getFicheCotationById(id) {
+    const sql = `
+      SELECT fc.*,
+             e.nom, e.post_nom, e.prenom, e.matricule,
+             m.designation as matiere_designation, m.code as matiere_code,
+             u.id_promotion, p.id_niveau, p.id_section,
+             an.debut as annee_debut, an.fin as annee_fin
+      FROM (${this.ficheCotationSql()}) fc
+      JOIN etudiant e ON fc.id_etudiant = e.id
+      JOIN matiere m ON fc.id_matiere = m.id
+      JOIN unite u ON m.id_unite = u.id
+      JOIN promotion p ON u.id_promotion = p.id
+      JOIN annee an ON fc.id_annee = an.id
+      WHERE fc.id = ?
+    `;
+    
+    const result = await this.query(sql, [id]);
+    
+    if (result.success && (Array.isArray(result.data) && result.data.length === 0)) {
+      return this.errorResponse('Fiche de cotation not found', 404);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Crée ou complète la fiche de cotation d'un étudiant pour une matière et une année (setFicheCotation)
+   * au nom d'un membre du jury, et enregistre chaque cote modifiée dans insertion.
+   * Seules les cotes fournies sont écrites ; null efface une cote.
+   * 409 si la délibération de l'étudiant pour l'année est publiée (voir setFicheCotation).
+   * Le tout se fait dans une transaction.
+   * @param {number} etudiantId - ID de l'étudiant
+   * @param {number} matiereId - ID de la matière
+   * @param {number} anneeId - ID de l'année académique
+   * @param {Object} cotationData - { tp, td, examen, rattrapage }
+   * @param {number} agentId - ID de l'agent qui saisit
+   * @param {string} description - Description de la modification (optionnelle)
+   * @returns {Promise<Object>} - Résultat avec { fiche, created, modifications } dans data
+   */
+  async enregistrerFiche(etudiantId, matiereId, anneeId, cotationData, agentId, description = '') {
+    const juryResult = await this.getJuryAutorise(agentId, matiereId, anneeId);
+    if (!juryResult.success) {
+      return juryResult;
+    }
+    
+    const rattrapage = cotationData.rattrapage !== undefined && cotationData.rattrapage !== null;
+    if (juryResult.data.autorisation === 'restreinte' && rattrapage) {
+      return this.errorResponse('Ce jury n\'est pas autorisé à modifier les rattrapages', 403);
+    }
+    
+    return this.transaction(async (tx) => {
+      const before = await tx.query(
+        'SELECT * FROM fiche_cotation WHERE id_etudiant = ? AND id_matiere = ? AND id_annee = ? FOR UPDATE',
+        [etudiantId, matiereId, anneeId]
+      );
+      if (!before.success) {
+        return before;
+      }
+      
+      // Effacer un rattrapage (rattrapage: null) revient aussi à le modifier
+      const previous = before.data[0] || null;
+      if (previous && previous.rattrapage !== null && cotationData.rattrapage === null && juryResult.data.autorisation === 'restreinte') {
+        return tx.errorResponse('Ce jury n\'est pas autorisé à modifier les rattrapages', 403);
+      }
+      
+      const saved = await tx.setFicheCotation(etudiantId, matiereId, anneeId, cotationData);
+      if (!saved.success) {
+        return saved;
+      }
+      
+      const ficheId = previous ? previous.id : saved.metadata.insertId;
+      const after = await tx.query('SELECT * FROM fiche_cotation WHERE id = ?', [ficheId]);
+      if (!after.success) {
+        return after;
+      }
+      
+      const fiche = after.data[0];
+      let modifications = 0;
+      
+      for (const cote of ['tp', 'td', 'examen', 'rattrapage']) {
+        const ancienne = previous ? previous[cote] : null;
+        if (ancienne === fiche[cote] || (ancienne !== null && fiche[cote] !== null && Number(ancienne) === Number(fiche[cote]))) {
+          continue;
+        }
+        
+        const logged = await tx.logInsertion(
+          ficheId,
+          agentId,
+          cote,
+          ancienne,
+          description || `Saisie de la cote ${cote} : ${ancienne === null ? '-' : ancienne} -> ${fiche[cote] === null ? '-' : fiche[cote]}`
+        );
+        if (!logged.success) {
+          return logged;
+        }
+        modifications++;
+      }
+      
+      return tx.successResponse({ fiche, created: !previous, modifications });
+    });
+  }
+
   /**
    * ------------ MÉTHODES POUR LA GESTION DES LOGS D'INSERTION DE COTES ------------
    */
@@ -555,6 +744,22 @@ class CotesModel extends EtudiantModel {
     return this.query(sql, params);
   }
 
+  /**
+   * Niveaux et sections des matières cotées pendant une année (portées de son journal de saisie)
+   * @param {number} anneeId - ID de l'année académique
+   * @returns {Promise<Object>} - Résultat avec métadonnées ({ id_niveau, id_section } par ligne)
+   */
+  async getNiveauxSectionsByAnnee(anneeId) {
+    return this.query(`
+      SELECT DISTINCT p.id_niveau, p.id_section
+      FROM fiche_cotation fc
+      JOIN matiere m ON fc.id_matiere = m.id
+      JOIN unite u ON m.id_unite = u.id
+      JOIN promotion p ON u.id_promotion = p.id
+      WHERE fc.id_annee = ?
+    `, [anneeId]);
+  }
+
   /**
    * Récupère un log d'insertion par Annee
    * @param {number} id - ID du log d'insertion
@@ -571,12 +776,15 @@ class CotesModel extends EtudiantModel {
              e.id as etudiant_id,
              m.designation as matiere_designation, m.code as matiere_code,
              CONCAT(an.debut, ' - ', an.fin) as annee_acad,
-             an.id as annee_id
+             an.id as annee_id,
+             p.id_niveau, p.id_section
       FROM insertion i
       JOIN fiche_cotation fc ON i.id_fiche_cotation = fc.id
       JOIN agent a ON i.id_agent = a.id
       JOIN etudiant e ON fc.id_etudiant = e.id
       JOIN matiere m ON fc.id_matiere = m.id
+      JOIN unite u ON m.id_unite = u.id
+      JOIN promotion p ON u.id_promotion = p.id
       JOIN annee an ON fc.id_annee = an.id
       WHERE an.id = ?
     `;
@@ -851,9 +1059,15 @@ class CotesModel extends EtudiantModel {
       return this.errorResponse('Invalid cote type', 400);
     }
     
-    // Valider la nouvelle valeur
-    if (nouvelleValeur < 0 || nouvelleValeur > 20) {
-      return this.errorResponse('La cote doit être comprise entre 0 et 20', 400);
+    // Valider la nouvelle valeur selon le barème de la matière
+    const baremeResult = await this.getBaremeMatiere(fiche.id_matiere, fiche.id_annee);
+    if (!baremeResult.success) {
+      return baremeResult;
+    }
+    
+    const coteError = checkCote(cote, nouvelleValeur, baremeResult.data);
+    if (coteError) {
+      return this.errorResponse(coteError, 400);
     }
     
     // Vérifier que l'agent est membre d'un jury autorisé pour cette modification
@@ -903,6 +1117,11 @@ class CotesModel extends EtudiantModel {
       return this.errorResponse('Ce jury n\'est pas autorisé à modifier les rattrapages', 403);
     }
     
+    const publiee = await this._cotesPubliees(fiche.id_etudiant, anneeId);
+    if (publiee) {
+      return publiee;
+    }
+    
     // Récupérer l'ancienne valeur
     const ancienneValeur = fiche[cote];
     
@@ -922,30 +1141,20 @@ class CotesModel extends EtudiantModel {
   }
 
   /**
-   * Vérifie si un agent est autorisé à modifier une fiche de cotation
+   * Cherche le jury par lequel un agent peut coter une matière pour une année académique :
+   * jury dont il est membre, assigné au niveau de la promotion de la matière pour cette année
    * @param {number} agentId - ID de l'agent
-   * @param {number} ficheId - ID de la fiche de cotation
-   * @returns {Promise<Object>} - Résultat avec métadonnées sur l'autorisation
+   * @param {number} matiereId - ID de la matière
+   * @param {number} anneeId - ID de l'année académique
+   * @returns {Promise<Object>} - Résultat avec { id, autorisation, designation, role } dans data
    */
-  async verifierAutorisation(agentId, ficheId) {
-    // Vérifier si la fiche de cotation existe
-    const ficheResult = await this.query('SELECT * FROM fiche_cotation WHERE id = ?', [ficheId]);
-    if (ficheResult.success && (Array.isArray(ficheResult.data) && ficheResult.data.length === 0)) {
-      return this.errorResponse('Fiche de cotation not found', 404);
-    }
-    
-    const fiche = ficheResult.data[0];
-    
+  async getJuryAutorise(agentId, matiereId, anneeId) {
     // Vérifier si l'agent existe
     const agentResult = await this.query('SELECT * FROM agent WHERE id = ?', [agentId]);
     if (agentResult.success && (Array.isArray(agentResult.data) && agentResult.data.length === 0)) {
       return this.errorResponse('Agent not found', 404);
     }
     
-    // On récupère la matière et l'année de la fiche de cotation
-    const matiereId = fiche.id_matiere;
-    const anneeId = fiche.id_annee;
-    
     // Récupérer l'information sur la matière pour connaître son unité et sa promotion
     const matiereResult = await this.query(`
       SELECT m.*, u.id_promotion
@@ -988,7 +1197,34 @@ class CotesModel extends EtudiantModel {
       return this.errorResponse('Agent is not authorized to modify this grade', 403);
     }
     
-    const jury = juryCheck.data[0];
+    if (!juryCheck.success) {
+      return juryCheck;
+    }
+    
+    return this.successResponse(juryCheck.data[0]);
+  }
+
+  /**
+   * Vérifie si un agent est autorisé à modifier une fiche de cotation
+   * @param {number} agentId - ID de l'agent
+   * @param {number} ficheId - ID de la fiche de cotation
+   * @returns {Promise<Object>} - Résultat avec métadonnées sur l'autorisation
+   */
+  async verifierAutorisation(agentId, ficheId) {
+    // Vérifier si la fiche de cotation existe
+    const ficheResult = await this.query('SELECT * FROM fiche_cotation WHERE id = ?', [ficheId]);
+    if (ficheResult.success && (Array.isArray(ficheResult.data) && ficheResult.data.length === 0)) {
+      return this.errorResponse('Fiche de cotation not found', 404);
+    }
+    
+    const fiche = ficheResult.data[0];
+    
+    const juryResult = await this.getJuryAutorise(agentId, fiche.id_matiere, fiche.id_annee);
+    if (!juryResult.success) {
+      return juryResult;
+    }
+    
+    const jury = juryResult.data;
     
     // Préparer les autorisations
     const autorisations = {
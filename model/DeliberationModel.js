@@ -0,0 +1,1098 @@
+const CotesModel = require('./CotesModel');
+const { MOYENNE_ECHELLE, syntheseFiches } = require('../utils/bareme');
+const {
+  DEFAULT_REGLES,
+  MIN_JUSTIFICATION_LENGTH,
+  validateRegles,
+  appliquerRegles
+} = require('../utils/deliberation');
+const {
+  SYSTEME_LMD,
+  DEFAULT_SEUILS_LMD,
+  isLmd,
+  validateSeuilsLmd,
+  capitaliserFiches,
+  compenserUnites,
+  bilanSemestres
+} = require('../utils/lmd');
+
+/**
+ * Modèle pour les délibérations des jurys
+ * Structure des tables:
+ * - deliberation_regle(id, id_niveau_jury, ordre, code, libelle, moyenne_min, max_echecs, credits_min, admis, portee)
+ * - deliberation(id, id_niveau_jury, id_annee, id_etudiant, id_promotion, moyenne, credits_total, credits_valides,
+ *                echecs, matieres_echouees, decision_calculee, decision, libelle, admis, derogation, justification,
+ *                statut, calcule_le, publie_le)
+ * - deliberation_historique(id, id_niveau_jury, id_deliberation, id_agent, action, ancienne_decision,
+ *                           nouvelle_decision, justification, date_action)
+ * - lmd_seuil(id, id_niveau, id_annee, seuil_ue, note_eliminatoire, portee)
+ *
+ * Une association niveau-jury délibère sur les étudiants inscrits, pour son année, dans les promotions
+ * de son niveau et de la section du jury. Pour chacun, toutes les matières de sa promotion comptent
+ * (une matière sans fiche est non validée, note 0) ; la décision vient des règles (utils/deliberation.js).
+ * Niveaux LMD (utils/lmd.js) : les fiches des années précédentes sont capitalisées et les matières
+ * compensées dans leur UE (selon les seuils du niveau pour l'année) comptent comme validées.
+ * Le jury peut déroger à une décision en la justifiant. Une délibération publiée est visible des
+ * étudiants et n'est plus modifiable tant que la publication n'est pas annulée.
+ * Chaque calcul, dérogation, publication et annulation est inscrit dans deliberation_historique.
+ */
+class DeliberationModel extends CotesModel {
+  /**
+   * ------------ MÉTHODES POUR LA GESTION DES RÈGLES DE DÉCISION ------------
+   */
+
+  /**
+   * Récupère les règles applicables : celles de l'association niveau-jury, sinon les règles générales,
+   * sinon les règles par défaut
+   * @param {number|null} niveauJuryId - ID de l'association niveau-jury (null : règles générales)
+   * @returns {Promise<Object>} - Résultat avec { origine: niveau_jury|general|defaut, regles } dans data
+   */
+  async getRegles(niveauJuryId = null) {
+    const result = await this.query(
+      `SELECT id_niveau_jury, code, libelle, moyenne_min, max_echecs, credits_min, admis
+       FROM deliberation_regle
+       WHERE id_niveau_jury <=> ? OR id_niveau_jury IS NULL
+       ORDER BY id_niveau_jury IS NULL, ordre`,
+      [niveauJuryId]
+    );
+
+    if (!result.success) {
+      return result;
+    }
+
+    if (result.data.length === 0) {
+      return this.successResponse({ origine: 'defaut', regles: DEFAULT_REGLES });
+    }
+
+    // Les règles de l'association, si elle en a, passent avant les règles générales
+    const portee = result.data[0].id_niveau_jury;
+    const regles = result.data
+      .filter(row => row.id_niveau_jury === portee)
+      .map(row => ({
+        code: row.code,
+        libelle: row.libelle,
+        moyenne_min: Number(row.moyenne_min),
+        max_echecs: row.max_echecs,
+        credits_min: row.credits_min === null ? null : Number(row.credits_min),
+        admis: Boolean(row.admis)
+      }));
+
+    return this.successResponse({ origine: portee === null ? 'general' : 'niveau_jury', regles });
+  }
+
+  /**
+   * Remplace les règles d'une association niveau-jury ou les règles générales
+   * @param {number|null} niveauJuryId - ID de l'association niveau-jury (null : règles générales)
+   * @param {Array<Object>} regles - Règles dans l'ordre d'évaluation (voir utils/deliberation.js)
+   * @returns {Promise<Object>} - Résultat avec les règles enregistrées dans data
+   */
+  async setRegles(niveauJuryId, regles) {
+    const validation = validateRegles(regles, MOYENNE_ECHELLE);
+    if (validation.errors) {
+      return this.errorResponse(validation.errors.join(' ; '), 400);
+    }
+
+    if (niveauJuryId) {
+      const niveauJury = await this.getNiveauJuryById(niveauJuryId);
+      if (!niveauJury.success) {
+        return niveauJury;
+      }
+    }
+
+    return this.transaction(async (tx) => {
+      const deleted = await tx.query('DELETE FROM deliberation_regle WHERE id_niveau_jury <=> ?', [niveauJuryId || null]);
+      if (!deleted.success) {
+        return deleted;
+      }
+
+      for (const [index, regle] of validation.regles.entries()) {
+        const inserted = await tx.query(
+          `INSERT INTO deliberation_regle (id_niveau_jury, ordre, code, libelle, moyenne_min, max_echecs, credits_min, admis)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [niveauJuryId || null, index + 1, regle.code, regle.libelle, regle.moyenne_min, regle.max_echecs, regle.credits_min, regle.admis ? 1 : 0]
+        );
+        if (!inserted.success) {
+          return inserted;
+        }
+      }
+
+      return tx.successResponse({ origine: niveauJuryId ? 'niveau_jury' : 'general', regles: validation.regles });
+    });
+  }
+
+  /**
+   * Supprime les règles d'une association niveau-jury ou les règles générales (les règles plus générales
+   * s'appliquent de nouveau)
+   * @param {number|null} niveauJuryId - ID de l'association niveau-jury (null : règles générales)
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async deleteRegles(niveauJuryId) {
+    const result = await this.query('DELETE FROM deliberation_regle WHERE id_niveau_jury <=> ?', [niveauJuryId || null]);
+
+    if (result.success && result.metadata.affectedRows === 0) {
+      return this.errorResponse('Aucune règle configurée', 404);
+    }
+
+    return result;
+  }
+
+  /**
+   * ------------ MÉTHODES POUR LE CALCUL DES DÉLIBÉRATIONS ------------
+   */
+
+  /**
+   * Calcule le résultat de chaque étudiant délibéré par une association niveau-jury
+   * @param {Object} niveauJury - Ligne de getNiveauJuryById
+   * @param {Array<Object>} regles - Règles de décision
+   * @returns {Promise<Object>} - Résultat avec [{ etudiant, id_promotion, synthese, regle, matieres_echouees }] dans data
+   */
+  async _calculerResultats(niveauJury, regles) {
+    const { id_niveau: niveauId, id_section: sectionId, id_annee: anneeId } = niveauJury;
+    const lmd = isLmd(niveauJury.niveau_systeme);
+
+    const [etudiants, matieres, fiches] = await Promise.all([
+      this.query(`
+        SELECT e.id, e.matricule, e.nom, e.post_nom, e.prenom, MIN(pe.id_promotion) AS id_promotion
+        FROM promotion_etudiant pe
+        JOIN promotion p ON pe.id_promotion = p.id
+        JOIN administratif_etudiant ae ON pe.id_adminEtudiant = ae.id
+        JOIN etudiant e ON ae.id_etudiant = e.id
+        WHERE p.id_niveau = ? AND p.id_section = ? AND pe.id_annee_acad = ? AND e.deleted_at IS NULL
+        GROUP BY e.id, e.matricule, e.nom, e.post_nom, e.prenom
+        ORDER BY e.nom, e.post_nom, e.prenom
+      `, [niveauId, sectionId, anneeId]),
+      this.query(`
+        SELECT m.id, m.designation, m.code, m.credit, m.id_unite, u.id_promotion
+        FROM matiere m
+        JOIN unite u ON m.id_unite = u.id
+        JOIN promotion p ON u.id_promotion = p.id
+        WHERE p.id_niveau = ? AND p.id_section = ?
+        ORDER BY m.semestre, m.designation
+      `, [niveauId, sectionId]),
+      // LMD : fiches de l'année et des années précédentes, capitalisées ci-dessous
+      this.query(`
+        SELECT fc.*, a.debut as annee_debut
+        FROM (${this.ficheCotationSql()}) fc
+        JOIN annee a ON fc.id_annee = a.id
+        JOIN matiere m ON fc.id_matiere = m.id
+        JOIN unite u ON m.id_unite = u.id
+        JOIN promotion p ON u.id_promotion = p.id
+        WHERE ${lmd ? 'a.debut <= ?' : 'fc.id_annee = ?'} AND p.id_niveau = ? AND p.id_section = ?
+      `, [lmd ? niveauJury.annee_debut : anneeId, niveauId, sectionId])
+    ]);
+
+    for (const result of [etudiants, matieres, fiches]) {
+      if (!result.success) {
+        return result;
+      }
+    }
+
+    let seuils = DEFAULT_SEUILS_LMD;
+    if (lmd) {
+      const seuilsResult = await this.getSeuilsLmdNiveau(niveauId, anneeId);
+      if (!seuilsResult.success) {
+        return seuilsResult;
+      }
+      seuils = seuilsResult.data;
+    }
+
+    const fichesByKey = capitaliserFiches(fiches.data);
+
+    const resultats = etudiants.data.map(etudiant => {
+      // Toutes les matières de la promotion : une matière sans fiche compte comme non validée
+      let lignes = matieres.data
+        .filter(matiere => matiere.id_promotion === etudiant.id_promotion)
+        .map(matiere => ({
+          ...(fichesByKey.get(`${etudiant.id}:${matiere.id}`) || { note_finale: null, echelle: MOYENNE_ECHELLE, valide: 0 }),
+          id_matiere: matiere.id,
+          id_unite: matiere.id_unite,
+          matiere_designation: matiere.designation,
+          matiere_code: matiere.code,
+          matiere_credit: matiere.credit
+        }));
+
+      if (lmd) {
+        lignes = compenserUnites(lignes, seuils).map(ligne => ({ ...ligne, valide: ligne.acquise ? 1 : 0 }));
+      }
+
+      const synthese = syntheseFiches(lignes);
+      const { id_promotion: promotionId, ...identite } = etudiant;
+
+      return {
+        etudiant: identite,
+        id_promotion: promotionId,
+        synthese,
+        regle: appliquerRegles(synthese, regles),
+        matieres_echouees: synthese.fiches_echouees.map(fiche => ({
+          id: fiche.id_matiere,
+          designation: fiche.matiere_designation,
+          code: fiche.matiere_code,
+          note_finale: fiche.note_finale === null ? null : Number(fiche.note_finale),
+          echelle: Number(fiche.echelle)
+        }))
+      };
+    });
+
+    return this.successResponse(resultats);
+  }
+
+  /**
+   * Enregistre une entrée du journal des délibérations
+   * @param {Object} entry - { niveauJuryId, deliberationId, agentId, action, ancienne, nouvelle, justification }
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async _logHistorique(entry) {
+    const { niveauJuryId, deliberationId = null, agentId, action, ancienne = null, nouvelle = null, justification = null } = entry;
+
+    return this.query(
+      `INSERT INTO deliberation_historique
+         (id_niveau_jury, id_deliberation, id_agent, action, ancienne_decision, nouvelle_decision, justification)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [niveauJuryId, deliberationId, agentId, action, ancienne, nouvelle, justification]
+    );
+  }
+
+  /**
+   * Calcule (ou recalcule) la délibération d'une association niveau-jury et enregistre les décisions.
+   * Les dérogations déjà accordées sont conservées ; les étudiants qui ne sont plus inscrits sont retirés.
+   * @param {number} niveauJuryId - ID de l'association niveau-jury
+   * @param {number} agentId - ID de l'agent qui lance le calcul
+   * @returns {Promise<Object>} - Résultat avec la délibération (voir getDeliberation) dans data
+   */
+  async calculerDeliberation(niveauJuryId, agentId) {
+    const niveauJuryResult = await this.getNiveauJuryById(niveauJuryId);
+    if (!niveauJuryResult.success) {
+      return niveauJuryResult;
+    }
+
+    const niveauJury = niveauJuryResult.data[0];
+
+    const reglesResult = await this.getRegles(niveauJuryId);
+    if (!reglesResult.success) {
+      return reglesResult;
+    }
+
+    const result = await this.transaction(async (tx) => {
+      const existing = await tx.query(
+        'SELECT * FROM deliberation WHERE id_niveau_jury = ? FOR UPDATE',
+        [niveauJuryId]
+      );
+      if (!existing.success) {
+        return existing;
+      }
+
+      if (existing.data.some(row => row.statut === 'publie')) {
+        return tx.errorResponse('Délibération publiée : annulez la publication avant de la recalculer', 409);
+      }
+
+      const resultats = await tx._calculerResultats(niveauJury, reglesResult.data.regles);
+      if (!resultats.success) {
+        return resultats;
+      }
+
+      if (resultats.data.length === 0) {
+        return tx.errorResponse('Aucun étudiant inscrit dans ce niveau pour cette année', 404);
+      }
+
+      const existingByEtudiant = new Map(existing.data.map(row => [row.id_etudiant, row]));
+
+      for (const resultat of resultats.data) {
+        const { synthese, regle } = resultat;
+        const precedente = existingByEtudiant.get(resultat.etudiant.id);
+        existingByEtudiant.delete(resultat.etudiant.id);
+
+        const calcule = [
+          resultat.id_promotion,
+          synthese.moyenne,
+          synthese.credits_total,
+          synthese.credits_valides,
+          synthese.echecs,
+          JSON.stringify(resultat.matieres_echouees),
+          regle.code
+        ];
+
+        let deliberationId;
+        let decision = regle.code;
+
+        if (!precedente) {
+          const inserted = await tx.query(
+            `INSERT INTO deliberation
+               (id_niveau_jury, id_annee, id_etudiant, id_promotion, moyenne, credits_total, credits_valides, echecs,
+                matieres_echouees, decision_calculee, decision, libelle, admis, calcule_le)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+            [niveauJuryId, niveauJury.id_annee, resultat.etudiant.id, ...calcule, regle.code, regle.libelle, regle.admis ? 1 : 0]
+          );
+          if (!inserted.success) {
+            return inserted;
+          }
+          deliberationId = inserted.metadata.insertId;
+        } else if (precedente.derogation) {
+          // La décision du jury est maintenue ; seul le résultat calculé est mis à jour
+          decision = precedente.decision;
+          deliberationId = precedente.id;
+          const updated = await tx.query(
+            `UPDATE deliberation
+             SET id_promotion = ?, moyenne = ?, credits_total = ?, credits_valides = ?, echecs = ?,
+                 matieres_echouees = ?, decision_calculee = ?, calcule_le = NOW()
+             WHERE id = ?`,
+            [...calcule, deliberationId]
+          );
+          if (!updated.success) {
+            return updated;
+          }
+        } else {
+          deliberationId = precedente.id;
+          const updated = await tx.query(
+            `UPDATE deliberation
+             SET id_promotion = ?, moyenne = ?, credits_total = ?, credits_valides = ?, echecs = ?,
+                 matieres_echouees = ?, decision_calculee = ?, decision = ?, libelle = ?, admis = ?, calcule_le = NOW()
+             WHERE id = ?`,
+            [...calcule, regle.code, regle.libelle, regle.admis ? 1 : 0, deliberationId]
+          );
+          if (!updated.success) {
+            return updated;
+          }
+        }
+
+        if (!precedente || precedente.decision !== decision) {
+          const logged = await tx._logHistorique({
+            niveauJuryId,
+            deliberationId,
+            agentId,
+            action: 'calcul',
+            ancienne: precedente ? precedente.decision : null,
+            nouvelle: decision
+          });
+          if (!logged.success) {
+            return logged;
+          }
+        }
+      }
+
+      // Étudiants délibérés auparavant mais qui ne sont plus inscrits dans le niveau
+      const retires = Array.from(existingByEtudiant.values());
+      if (retires.length > 0) {
+        const deleted = await tx.query(
+          `DELETE FROM deliberation WHERE id IN (${retires.map(() => '?').join(',')})`,
+          retires.map(row => row.id)
+        );
+        if (!deleted.success) {
+          return deleted;
+        }
+      }
+
+      return tx.successResponse(null);
+    });
+
+    if (!result.success) {
+      return result;
+    }
+
+    return this.getDeliberation(niveauJuryId);
+  }
+
+  /**
+   * ------------ MÉTHODES POUR LA CONSULTATION DES DÉLIBÉRATIONS ------------
+   */
+
+  /**
+   * Convertit une ligne de deliberation pour les réponses
+   * @param {Object} row - Ligne de deliberation (avec l'identité de l'étudiant)
+   * @returns {Object}
+   */
+  formatDeliberation(row) {
+    return {
+      ...row,
+      moyenne: Number(row.moyenne),
+      credits_total: Number(row.credits_total),
+      credits_valides: Number(row.credits_valides),
+      admis: Boolean(row.admis),
+      derogation: Boolean(row.derogation),
+      matieres_echouees: row.matieres_echouees ? JSON.parse(row.matieres_echouees) : []
+    };
+  }
+
+  /**
+   * Récupère la délibération d'une association niveau-jury
+   * @param {number} niveauJuryId - ID de l'association niveau-jury
+   * @returns {Promise<Object>} - Résultat avec { niveauJury, statut (non_calculee, brouillon ou publie), echelle,
+   *                              resume: { total, admis, decisions }, etudiants } dans data
+   */
+  async getDeliberation(niveauJuryId) {
+    const niveauJuryResult = await this.getNiveauJuryById(niveauJuryId);
+    if (!niveauJuryResult.success) {
+      return niveauJuryResult;
+    }
+
+    const result = await this.query(`
+      SELECT d.*, e.matricule, e.nom, e.post_nom, e.prenom
+      FROM deliberation d
+      JOIN etudiant e ON d.id_etudiant = e.id
+      WHERE d.id_niveau_jury = ?
+      ORDER BY d.moyenne DESC, e.nom, e.post_nom, e.prenom
+    `, [niveauJuryId]);
+
+    if (!result.success) {
+      return result;
+    }
+
+    const etudiants = result.data.map(row => this.formatDeliberation(row));
+    const decisions = {};
+    for (const etudiant of etudiants) {
+      decisions[etudiant.decision] = (decisions[etudiant.decision] || 0) + 1;
+    }
+
+    let statut = 'non_calculee';
+    if (etudiants.length > 0) {
+      statut = etudiants.every(etudiant => etudiant.statut === 'publie') ? 'publie' : 'brouillon';
+    }
+
+    return this.successResponse({
+      niveauJury: niveauJuryResult.data[0],
+      statut,
+      echelle: MOYENNE_ECHELLE,
+      resume: {
+        total: etudiants.length,
+        admis: etudiants.filter(etudiant => etudiant.admis).length,
+        decisions
+      },
+      etudiants
+    });
+  }
+
+  /**
+   * Récupère la décision d'un étudiant
+   * @param {number} id - ID de la décision
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async getDeliberationById(id) {
+    const result = await this.query(`
+      SELECT d.*, e.matricule, e.nom, e.post_nom, e.prenom
+      FROM deliberation d
+      JOIN etudiant e ON d.id_etudiant = e.id
+      WHERE d.id = ?
+    `, [id]);
+
+    if (result.success && result.data.length === 0) {
+      return this.errorResponse('Décision de délibération non trouvée', 404);
+    }
+
+    if (!result.success) {
+      return result;
+    }
+
+    return this.successResponse([this.formatDeliberation(result.data[0])]);
+  }
+
+  /**
+   * Récupère les décisions publiées d'un étudiant (la plus récente d'abord)
+   * @param {number} etudiantId - ID de l'étudiant
+   * @param {number|null} anneeId - ID de l'année académique (optionnel)
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async getDecisionsPubliees(etudiantId, anneeId = null) {
+    let sql = `
+      SELECT d.id, d.id_annee, d.id_promotion, d.moyenne, d.credits_total, d.credits_valides, d.echecs,
+             d.matieres_echouees, d.decision, d.libelle, d.admis, d.publie_le,
+             a.debut as annee_debut, a.fin as annee_fin,
+             n.intitule as niveau_intitule
+      FROM deliberation d
+      JOIN annee a ON d.id_annee = a.id
+      JOIN niveau_jury nj ON d.id_niveau_jury = nj.id
+      JOIN niveau n ON nj.id_niveau = n.id
+      WHERE d.id_etudiant = ? AND d.statut = 'publie'
+    `;
+    const params = [etudiantId];
+
+    if (anneeId) {
+      sql += ' AND d.id_annee = ?';
+      params.push(anneeId);
+    }
+
+    sql += ' ORDER BY a.debut DESC';
+
+    const result = await this.query(sql, params);
+    if (!result.success) {
+      return result;
+    }
+
+    return this.successResponse(result.data.map(row => ({
+      ...row,
+      moyenne: Number(row.moyenne),
+      credits_total: Number(row.credits_total),
+      credits_valides: Number(row.credits_valides),
+      admis: Boolean(row.admis),
+      matieres_echouees: row.matieres_echouees ? JSON.parse(row.matieres_echouees) : []
+    })));
+  }
+
+  /**
+   * Récupère le journal d'une délibération (le plus récent d'abord)
+   * @param {number} niveauJuryId - ID de l'association niveau-jury
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async getHistoriqueDeliberation(niveauJuryId) {
+    return this.query(`
+      SELECT h.*,
+             a.nom as agent_nom, a.post_nom as agent_post_nom, a.prenom as agent_prenom,
+             d.id_etudiant, e.matricule, e.nom as etudiant_nom, e.post_nom as etudiant_post_nom, e.prenom as etudiant_prenom
+      FROM deliberation_historique h
+      JOIN agent a ON h.id_agent = a.id
+      LEFT JOIN deliberation d ON h.id_deliberation = d.id
+      LEFT JOIN etudiant e ON d.id_etudiant = e.id
+      WHERE h.id_niveau_jury = ?
+      ORDER BY h.date_action DESC, h.id DESC
+    `, [niveauJuryId]);
+  }
+
+  /**
+   * ------------ MÉTHODES POUR LES DÉCISIONS DU JURY ------------
+   */
+
+  /**
+   * Remplace la décision calculée d'un étudiant par celle du jury.
+   * Choisir la décision calculée annule la dérogation ; la justification reste obligatoire.
+   * @param {number} id - ID de la décision
+   * @param {number} agentId - ID de l'agent
+   * @param {string} code - Code de la décision retenue (parmi les règles applicables)
+   * @param {string} justification - Motif de la dérogation
+   * @returns {Promise<Object>} - Résultat avec la décision mise à jour dans data
+   */
+  async derogerDecision(id, agentId, code, justification) {
+    const motif = typeof justification === 'string' ? justification.trim() : '';
+    if (motif.length < MIN_JUSTIFICATION_LENGTH) {
+      return this.errorResponse(`La justification est obligatoire (${MIN_JUSTIFICATION_LENGTH} caractères au moins)`, 400);
+    }
+
+    const result = await this.transaction(async (tx) => {
+      const current = await tx.query('SELECT * FROM deliberation WHERE id = ? FOR UPDATE', [id]);
+      if (!current.success) {
+        return current;
+      }
+      if (current.data.length === 0) {
+        return tx.errorResponse('Décision de délibération non trouvée', 404);
+      }
+
+      const deliberation = current.data[0];
+      if (deliberation.statut === 'publie') {
+        return tx.errorResponse('Délibération publiée : annulez la publication avant de modifier une décision', 409);
+      }
+
+      const reglesResult = await tx.getRegles(deliberation.id_niveau_jury);
+      if (!reglesResult.success) {
+        return reglesResult;
+      }
+
+      const decision = String(code || '').trim().toUpperCase();
+      const regle = reglesResult.data.regles.find(candidate => candidate.code === decision);
+      if (!regle) {
+        return tx.errorResponse(
+          `Décision inconnue : ${code} (${reglesResult.data.regles.map(candidate => candidate.code).join(', ')})`,
+          400
+        );
+      }
+
+      const derogation = decision !== deliberation.decision_calculee;
+      const updated = await tx.query(
+        'UPDATE deliberation SET decision = ?, libelle = ?, admis = ?, derogation = ?, justification = ? WHERE id = ?',
+        [decision, regle.libelle, regle.admis ? 1 : 0, derogation ? 1 : 0, derogation ? motif : null, id]
+      );
+      if (!updated.success) {
+        return updated;
+      }
+
+      return tx._logHistorique({
+        niveauJuryId: deliberation.id_niveau_jury,
+        deliberationId: id,
+        agentId,
+        action: 'derogation',
+        ancienne: deliberation.decision,
+        nouvelle: decision,
+        justification: motif
+      });
+    });
+
+    if (!result.success) {
+      return result;
+    }
+
+    return this.getDeliberationById(id);
+  }
+
+  /**
+   * Publie la délibération d'une association niveau-jury
+   * @param {number} niveauJuryId - ID de l'association niveau-jury
+   * @param {number} agentId - ID de l'agent
+   * @returns {Promise<Object>} - Résultat avec le nombre de décisions publiées dans data
+   */
+  async publierDeliberation(niveauJuryId, agentId) {
+    return this.transaction(async (tx) => {
+      const rows = await tx.query('SELECT id, statut FROM deliberation WHERE id_niveau_jury = ? FOR UPDATE', [niveauJuryId]);
+      if (!rows.success) {
+        return rows;
+      }
+      if (rows.data.length === 0) {
+        return tx.errorResponse('Aucune délibération calculée pour ce niveau', 404);
+      }
+      if (rows.data.every(row => row.statut === 'publie')) {
+        return tx.errorResponse('Délibération déjà publiée', 409);
+      }
+
+      const updated = await tx.query(
+        "UPDATE deliberation SET statut = 'publie', publie_le = NOW() WHERE id_niveau_jury = ?",
+        [niveauJuryId]
+      );
+      if (!updated.success) {
+        return updated;
+      }
+
+      const logged = await tx._logHistorique({ niveauJuryId, agentId, action: 'publication' });
+      if (!logged.success) {
+        return logged;
+      }
+
+      return tx.successResponse({ publiees: rows.data.length });
+    });
+  }
+
+  /**
+   * Annule la publication d'une délibération (elle redevient modifiable)
+   * @param {number} niveauJuryId - ID de l'association niveau-jury
+   * @param {number} agentId - ID de l'agent
+   * @param {string} justification - Motif de l'annulation
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async annulerPublication(niveauJuryId, agentId, justification) {
+    const motif = typeof justification === 'string' ? justification.trim() : '';
+    if (motif.length < MIN_JUSTIFICATION_LENGTH) {
+      return this.errorResponse(`La justification est obligatoire (${MIN_JUSTIFICATION_LENGTH} caractères au moins)`, 400);
+    }
+
+    return this.transaction(async (tx) => {
+      const updated = await tx.query(
+        "UPDATE deliberation SET statut = 'brouillon', publie_le = NULL WHERE id_niveau_jury = ? AND statut = 'publie'",
+        [niveauJuryId]
+      );
+      if (!updated.success) {
+        return updated;
+      }
+      if (updated.metadata.affectedRows === 0) {
+        return tx.errorResponse('Aucune délibération publiée pour ce niveau', 404);
+      }
+
+      return tx._logHistorique({ niveauJuryId, agentId, action: 'annulation', justification: motif });
+    });
+  }
+
+  /**
+   * ------------ MÉTHODES POUR LE SYSTÈME LMD ------------
+   * Seuils de compensation : ceux du niveau, sinon les seuils généraux, sinon DEFAULT_SEUILS_LMD.
+   * Comme les barèmes, des seuils s'appliquent à partir de l'année id_annee, jusqu'à l'année
+   * de seuils plus récents de même portée.
+   */
+
+  /**
+   * Sous-requête scalaire : ID des seuils d'une portée en vigueur l'année ab
+   * @private
+   * @param {string} portee - Condition sur s (ex: 's.id_niveau = nv.id')
+   * @returns {string}
+   */
+  _seuilsLmdEnVigueurSql(portee) {
+    return `(
+        SELECT s.id FROM lmd_seuil s
+        JOIN annee sa ON s.id_annee = sa.id
+        WHERE ${portee} AND sa.debut <= ab.debut
+        ORDER BY sa.debut DESC
+        LIMIT 1
+      )`;
+  }
+
+  /**
+   * Sous-requête donnant les seuils applicables à chaque niveau pour chaque année (à joindre sur id_niveau
+   * et id_annee). origine vaut niveau, general ou defaut.
+   * @returns {string}
+   */
+  seuilsLmdSql() {
+    const columns = Object.keys(DEFAULT_SEUILS_LMD)
+      .map(field => `COALESCE(sn.${field}, sg.${field}, ${DEFAULT_SEUILS_LMD[field]}) AS ${field}`);
+
+    return `
+      SELECT nv.id AS id_niveau, ab.id AS id_annee,
+             ${columns.join(',\n             ')},
+             COALESCE(sn.id, sg.id) AS id_seuil,
+             CASE
+               WHEN sn.id IS NOT NULL THEN 'niveau'
+               WHEN sg.id IS NOT NULL THEN 'general'
+               ELSE 'defaut'
+             END AS origine
+      FROM niveau nv
+      CROSS JOIN annee ab
+      LEFT JOIN lmd_seuil sn ON sn.id = ${this._seuilsLmdEnVigueurSql('s.id_niveau = nv.id')}
+      LEFT JOIN lmd_seuil sg ON sg.id = ${this._seuilsLmdEnVigueurSql('s.id_niveau IS NULL')}
+    `;
+  }
+
+  /**
+   * Convertit les seuils lus en base (DECIMAL renvoyés en texte)
+   * @private
+   * @param {Object} row - Ligne de lmd_seuil ou de seuilsLmdSql
+   * @returns {Object}
+   */
+  _formatSeuilsLmd(row) {
+    const seuils = { ...row };
+    for (const field of Object.keys(DEFAULT_SEUILS_LMD)) {
+      seuils[field] = Number(row[field]);
+    }
+    return seuils;
+  }
+
+  /**
+   * Récupère les seuils de compensation configurés
+   * @param {Object} filters - { niveauId, anneeId } (absents : tous) ; anneeId : seuils datés de cette année
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async getSeuilsLmd(filters = {}) {
+    const { niveauId = null, anneeId = null } = filters;
+
+    let sql = `
+      SELECT s.*, n.intitule as niveau_intitule, a.debut as annee_debut, a.fin as annee_fin
+      FROM lmd_seuil s
+      LEFT JOIN niveau n ON s.id_niveau = n.id
+      JOIN annee a ON s.id_annee = a.id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (niveauId) {
+      sql += ' AND s.id_niveau = ?';
+      params.push(niveauId);
+    }
+
+    if (anneeId) {
+      sql += ' AND s.id_annee = ?';
+      params.push(anneeId);
+    }
+
+    sql += ' ORDER BY s.id_niveau IS NOT NULL, n.ordre, a.debut';
+
+    const result = await this.query(sql, params);
+    if (!result.success) {
+      return result;
+    }
+
+    return this.successResponse(result.data.map(row => this._formatSeuilsLmd(row)), result.metadata);
+  }
+
+  /**
+   * Récupère les seuils de compensation applicables à un niveau pour une année académique
+   * @param {number} niveauId - ID du niveau
+   * @param {number} anneeId - ID de l'année académique
+   * @returns {Promise<Object>} - Résultat avec { seuil_ue, note_eliminatoire, origine, ... } dans data
+   */
+  async getSeuilsLmdNiveau(niveauId, anneeId) {
+    const result = await this.query(
+      `SELECT s.* FROM (${this.seuilsLmdSql()}) s WHERE s.id_niveau = ? AND s.id_annee = ?`,
+      [niveauId, anneeId]
+    );
+
+    if (!result.success) {
+      return result;
+    }
+
+    if (result.data.length === 0) {
+      return this.errorResponse('Niveau ou année académique non trouvé', 404);
+    }
+
+    return this.successResponse(this._formatSeuilsLmd(result.data[0]));
+  }
+
+  /**
+   * Refuse la modification de seuils qui s'appliquent à une délibération publiée
+   * @private
+   * @param {number} seuilId - ID des seuils
+   * @returns {Promise<Object|null>} - Erreur 409, erreur de requête ou null
+   */
+  async _seuilsLmdPublies(seuilId) {
+    const result = await this.query(`
+      SELECT a.debut, a.fin
+      FROM (${this.seuilsLmdSql()}) s
+      JOIN niveau_jury nj ON nj.id_niveau = s.id_niveau AND nj.id_annee = s.id_annee
+      JOIN deliberation d ON d.id_niveau_jury = nj.id AND d.statut = 'publie'
+      JOIN annee a ON s.id_annee = a.id
+      WHERE s.id_seuil = ?
+      LIMIT 1
+    `, [seuilId]);
+
+    if (!result.success) {
+      return result;
+    }
+
+    if (result.data.length > 0) {
+      const { debut, fin } = result.data[0];
+      return this.errorResponse(
+        `Ces seuils s'appliquent à une délibération publiée (${debut}-${fin}) : annulez la publication ou datez les seuils d'une année suivante`,
+        409
+      );
+    }
+
+    return null;
+  }
+
+  /**
+   * Définit les seuils de compensation d'un niveau LMD, ou les seuils généraux, à partir d'une année académique
+   * (remplace les seuils de même portée datés de cette année). Les années précédentes gardent leurs seuils.
+   * Les champs absents prennent la valeur par défaut. Refusé si les seuils s'appliquent à une délibération publiée.
+   * @param {Object} scope - { niveauId } (absent : seuils généraux) et anneeId
+   * @param {Object} seuilsData - { seuil_ue, note_eliminatoire } sur MOYENNE_ECHELLE
+   * @returns {Promise<Object>} - Résultat avec les seuils enregistrés dans data
+   */
+  async setSeuilsLmd(scope, seuilsData) {
+    const { niveauId = null, anneeId = null } = scope;
+
+    if (!anneeId) {
+      return this.errorResponse('L\'année académique à partir de laquelle les seuils s\'appliquent est obligatoire', 400);
+    }
+
+    const { seuils, errors } = validateSeuilsLmd(seuilsData);
+    if (errors) {
+      return this.errorResponse(errors.join(' ; '), 400);
+    }
+
+    if (niveauId) {
+      const niveau = await this.query('SELECT id, systeme FROM niveau WHERE id = ?', [niveauId]);
+      if (!niveau.success) {
+        return niveau;
+      }
+      if (niveau.data.length === 0) {
+        return this.errorResponse('Niveau non trouvé', 404);
+      }
+      if (!isLmd(niveau.data[0].systeme)) {
+        return this.errorResponse('Ce niveau n\'est pas au système LMD', 400);
+      }
+    }
+
+    const annee = await this.query('SELECT id FROM annee WHERE id = ?', [anneeId]);
+    if (annee.success && annee.data.length === 0) {
+      return this.errorResponse('Année académique non trouvée', 404);
+    }
+
+    // La vérification porte sur l'état après l'écriture : une erreur annule la transaction
+    return this.transaction(async (tx) => {
+      const existing = await tx.query(
+        'SELECT id FROM lmd_seuil WHERE id_niveau <=> ? AND id_annee = ? FOR UPDATE',
+        [niveauId, anneeId]
+      );
+
+      if (!existing.success) {
+        return existing;
+      }
+
+      let id;
+      if (existing.data.length > 0) {
+        id = existing.data[0].id;
+        const updated = await tx.query(
+          'UPDATE lmd_seuil SET seuil_ue = ?, note_eliminatoire = ? WHERE id = ?',
+          [seuils.seuil_ue, seuils.note_eliminatoire, id]
+        );
+        if (!updated.success) {
+          return updated;
+        }
+      } else {
+        const inserted = await tx.query(
+          'INSERT INTO lmd_seuil (id_niveau, id_annee, seuil_ue, note_eliminatoire) VALUES (?, ?, ?, ?)',
+          [niveauId, anneeId, seuils.seuil_ue, seuils.note_eliminatoire]
+        );
+        if (!inserted.success) {
+          return inserted;
+        }
+        id = inserted.metadata.insertId;
+      }
+
+      const publies = await tx._seuilsLmdPublies(id);
+      if (publies) {
+        return publies;
+      }
+
+      return tx.successResponse({ id, id_niveau: niveauId, id_annee: anneeId, ...seuils });
+    });
+  }
+
+  /**
+   * Supprime des seuils configurés (les seuils précédents de même portée, ou plus généraux, s'appliquent
+   * de nouveau). Refusé si les seuils s'appliquent à une délibération publiée.
+   * @param {number} id - ID des seuils
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async deleteSeuilsLmd(id) {
+    return this.transaction(async (tx) => {
+      const existing = await tx.query('SELECT id FROM lmd_seuil WHERE id = ? FOR UPDATE', [id]);
+      if (!existing.success) {
+        return existing;
+      }
+
+      if (existing.data.length === 0) {
+        return tx.errorResponse('Seuils non trouvés', 404);
+      }
+
+      const publies = await tx._seuilsLmdPublies(id);
+      if (publies) {
+        return publies;
+      }
+
+      return tx.query('DELETE FROM lmd_seuil WHERE id = ?', [id]);
+    });
+  }
+
+  /**
+   * Bilan LMD d'un étudiant : pour chaque promotion LMD suivie, validation des semestres et des UE
+   * (avec compensation) à partir des fiches capitalisées, crédits capitalisés et UE restant à reprendre.
+   * Avec publiees, seules comptent les années dont la délibération de l'étudiant est publiée : les notes
+   * d'une année en cours de délibération n'apparaissent pas (portail étudiant). Les seuils de compensation
+   * d'une promotion sont ceux de son niveau pour la dernière année retenue. Les promotions d'un autre
+   * système sont ignorées.
+   * @param {number} etudiantId - ID de l'étudiant
+   * @param {Object} options - { publiees } : seulement les années dont la délibération est publiée
+   * @returns {Promise<Object>} - Résultat avec { credits, credits_capitalises, promotions: [{ promotion, annees,
+   *                              seuils, semestres, credits, credits_acquis }], ues_a_reprendre } dans data
+   */
+  async getBilanLmd(etudiantId, options = {}) {
+    // Portail étudiant : années dont la délibération est publiée uniquement
+    const publiees = (etudiant, annee) => (options.publiees ? `AND ${this._deliberationPublieeSql(etudiant, annee)}` : '');
+
+    const etudiantExists = await this.getEtudiantById(etudiantId);
+    if (!etudiantExists.success) {
+      return etudiantExists;
+    }
+
+    const inscriptions = await this.query(`
+      SELECT pe.id_promotion, pe.id_annee_acad as id_annee,
+             a.debut as annee_debut, a.fin as annee_fin,
+             p.orientation as promotion_orientation,
+             p.id_niveau,
+             s.designation as section_designation,
+             n.intitule as niveau_intitule,
+             n.ordre as niveau_ordre
+      FROM promotion_etudiant pe
+      JOIN administratif_etudiant ae ON pe.id_adminEtudiant = ae.id
+      JOIN annee a ON pe.id_annee_acad = a.id
+      JOIN promotion p ON pe.id_promotion = p.id
+      JOIN section s ON p.id_section = s.id
+      JOIN niveau n ON p.id_niveau = n.id
+      WHERE ae.id_etudiant = ? AND UPPER(TRIM(n.systeme)) = ?
+        ${publiees('ae.id_etudiant', 'pe.id_annee_acad')}
+      ORDER BY a.debut
+    `, [etudiantId, SYSTEME_LMD]);
+
+    if (!inscriptions.success) {
+      return inscriptions;
+    }
+
+    const promotionsMap = new Map();
+    for (const inscription of inscriptions.data) {
+      const { id_annee, annee_debut, annee_fin, ...promotion } = inscription;
+      if (!promotionsMap.has(promotion.id_promotion)) {
+        promotionsMap.set(promotion.id_promotion, { promotion, annees: [] });
+      }
+      promotionsMap.get(promotion.id_promotion).annees.push({ id: id_annee, debut: annee_debut, fin: annee_fin });
+    }
+
+    if (promotionsMap.size === 0) {
+      return this.successResponse({ credits: 0, credits_capitalises: 0, promotions: [], ues_a_reprendre: [] });
+    }
+
+    const promotionIds = Array.from(promotionsMap.keys());
+    const placeholders = promotionIds.map(() => '?').join(',');
+
+    const results = await Promise.all([
+      this.query(`
+        SELECT m.id, m.designation, m.code, m.credit, m.semestre,
+               u.id as id_unite, u.code as unite_code, u.designation as unite_designation, u.id_promotion
+        FROM matiere m
+        JOIN unite u ON m.id_unite = u.id
+        WHERE u.id_promotion IN (${placeholders})
+        ORDER BY m.semestre, u.designation, m.designation
+      `, promotionIds),
+      this.query(`
+        SELECT fc.*, a.debut as annee_debut
+        FROM (${this.ficheCotationSql()}) fc
+        JOIN annee a ON fc.id_annee = a.id
+        JOIN matiere m ON fc.id_matiere = m.id
+        JOIN unite u ON m.id_unite = u.id
+        WHERE fc.id_etudiant = ? AND u.id_promotion IN (${placeholders})
+          ${publiees('fc.id_etudiant', 'fc.id_annee')}
+      `, [etudiantId, ...promotionIds]),
+      ...Array.from(promotionsMap.values()).map(({ promotion, annees }) =>
+        this.getSeuilsLmdNiveau(promotion.id_niveau, annees[annees.length - 1].id))
+    ]);
+
+    const [matieres, fiches, ...seuils] = results;
+    for (const result of results) {
+      if (!result.success) {
+        return result;
+      }
+    }
+
+    const fichesByKey = capitaliserFiches(fiches.data);
+    const uesAReprendre = [];
+
+    const promotions = Array.from(promotionsMap.values()).map(({ promotion, annees }, index) => {
+      const { seuil_ue, note_eliminatoire } = seuils[index].data;
+      const seuilsPromotion = { seuil_ue, note_eliminatoire };
+      const lignes = matieres.data
+        .filter(matiere => matiere.id_promotion === promotion.id_promotion)
+        .map(matiere => {
+          const fiche = fichesByKey.get(`${etudiantId}:${matiere.id}`);
+          return {
+            id_matiere: matiere.id,
+            matiere_designation: matiere.designation,
+            matiere_code: matiere.code,
+            matiere_credit: matiere.credit,
+            semestre: matiere.semestre,
+            id_unite: matiere.id_unite,
+            unite_code: matiere.unite_code,
+            unite_designation: matiere.unite_designation,
+            id_fiche: fiche ? fiche.id : null,
+            id_annee: fiche ? fiche.id_annee : null,
+            note_finale: fiche ? fiche.note_finale : null,
+            echelle: fiche ? Number(fiche.echelle) : MOYENNE_ECHELLE,
+            valide: fiche ? Number(fiche.valide) : 0
+          };
+        });
+
+      const bilan = bilanSemestres(lignes, seuilsPromotion);
+
+      for (const semestre of bilan.semestres) {
+        for (const unite of semestre.unites.filter(candidate => !candidate.valide)) {
+          uesAReprendre.push({
+            promotion: promotion.id_promotion,
+            niveau_intitule: promotion.niveau_intitule,
+            semestre: semestre.semestre,
+            unite: { id: unite.id, code: unite.code, designation: unite.designation },
+            moyenne: unite.moyenne,
+            credits_manquants: unite.credits - unite.credits_acquis,
+            matieres: unite.matieres
+              .filter(matiere => !matiere.acquise)
+              .map(matiere => ({
+                id: matiere.id_matiere,
+                designation: matiere.matiere_designation,
+                code: matiere.matiere_code,
+                credit: matiere.matiere_credit,
+                note: matiere.note
+              }))
+          });
+        }
+      }
+
+      return { promotion, annees, seuils: seuilsPromotion, ...bilan };
+    });
+
+    return this.successResponse({
+      credits: promotions.reduce((sum, promotion) => sum + promotion.credits, 0),
+      credits_capitalises: promotions.reduce((sum, promotion) => sum + promotion.credits_acquis, 0),
+      promotions,
+      ues_a_reprendre: uesAReprendre
+    });
+  }
+}
+
+module.exports = DeliberationModel;
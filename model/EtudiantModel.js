@@ -1,16 +1,43 @@
 const PromotionModel = require('./PromotionModel');
+const SequenceModel = require('./SequenceModel');
+const passwordService = require('../services/password');
+const sessionService = require('../services/sessions');
+const { EXETAT_MAX, EXETAT_TRANCHES, buildReferentiel, normalizeSectionOption, parsePourcentageExetat } = require('../utils/exetat');
+const { MOYENNE_ECHELLE, checkCote, syntheseFiches } = require('../utils/bareme');
+
+// Colonnes de la table etudiant modifiables par createEtudiant / updateEtudiant.
+// mdp et must_change_password n'y figurent pas : ils ne changent que par les méthodes dédiées.
+const ETUDIANT_WRITABLE_FIELDS = [
+  'nom', 'post_nom', 'prenom', 'matricule', 'sexe', 'vision',
+  'date_naiss', 'telephone', 'adresse', 'e_mail', 'avatar'
+];
+
+const sequences = new SequenceModel();
+
+// Colonnes de tri acceptées par rechercheAvancee (nom public -> expression SQL)
+const ETUDIANT_SORT_COLUMNS = {
+  id: 'e.id',
+  nom: 'e.nom',
+  post_nom: 'e.post_nom',
+  prenom: 'e.prenom',
+  matricule: 'e.matricule',
+  sexe: 'e.sexe',
+  date_naiss: 'e.date_naiss',
+  pourcentage_exetat: 'MAX(ae.pourcentage_exetat)'
+};
 
 /**
  * Modèle pour la gestion des étudiants
  * Structure de la table principale:
- * - etudiant(id, nom, post_nom, prenom, matricule, sexe, mdp, vision, date_naiss, telephone, adresse, e_mail, avatar)
+ * - etudiant(id, nom, post_nom, prenom, matricule, sexe, mdp, vision, date_naiss, telephone, adresse, e_mail, avatar,
+ *            deleted_at, deleted_by)
  * 
  * Tables associées:
  * - administratif_etudiant(id, id_etudiant, section, option, annee, pourcentage_exetat)
  * - commande_enrollement(id, id_enrollement, id_etudiant, montant, statut, reference, orderNumber)
  * - fiche_cotation(id, id_etudiant, id_matiere, id_annee, tp, td, examen, rattrapage)
  * - promotion_etudiant(id, id_adminEtudiant, date_inscription, id_annee_acad, id_promotion)
- * - annee(id, debut, fin)
+ * - annee(id, debut, fin, active)
  */
 class EtudiantModel extends PromotionModel {
   /**
@@ -19,34 +46,25 @@ class EtudiantModel extends PromotionModel {
   
   /**
    * Récupère tous les étudiants
-   * @param {Object} options - Options de pagination et de tri
+   * @param {Object} options - Options de pagination et de tri (sortBy parmi ETUDIANT_SORT_COLUMNS),
+   *                           includeArchived pour inclure les étudiants archivés
    * @returns {Promise<Object>} - Résultat avec métadonnées
    */
   async getAllEtudiants(options = {}) {
-    const { limit = null, offset = 0, sortBy = 'nom', sortDir = 'ASC' } = options;
-    
-    let sql = 'SELECT * FROM etudiant';
-    const params = [];
-    
-    // Ajouter le tri
-    sql += ` ORDER BY ${sortBy} ${sortDir}`;
-    
-    // Ajouter la pagination
-    if (limit !== null) {
-      sql += ' LIMIT ? OFFSET ?';
-      params.push(parseInt(limit, 10), parseInt(offset, 10));
-    }
-    
-    return this.query(sql, params);
+    return this._listEtudiants(null, options);
   }
 
   /**
    * Récupère un étudiant par son ID
    * @param {number} id - ID de l'étudiant
+   * @param {Object} options - { includeArchived } (un étudiant archivé est introuvable par défaut)
    * @returns {Promise<Object>} - Résultat avec métadonnées
    */
-  async getEtudiantById(id) {
-    const result = await this.query('SELECT * FROM etudiant WHERE id = ?', [id]);
+  async getEtudiantById(id, options = {}) {
+    const result = await this.query(
+      `SELECT * FROM etudiant WHERE id = ? AND ${this.notArchived('etudiant', options)}`,
+      [id]
+    );
     
     if (result.success && (Array.isArray(result.data) && result.data.length === 0)) {
       return this.errorResponse('Etudiant not found', 404);
@@ -58,10 +76,33 @@ class EtudiantModel extends PromotionModel {
   /**
    * Récupère un étudiant par son matricule
    * @param {string} matricule - Matricule de l'étudiant
+   * @param {Object} options - { includeArchived }
    * @returns {Promise<Object>} - Résultat avec métadonnées
    */
-  async getEtudiantByMatricule(matricule) {
-    const result = await this.query('SELECT * FROM etudiant WHERE matricule = ?', [matricule]);
+  async getEtudiantByMatricule(matricule, options = {}) {
+    const result = await this.query(
+      `SELECT * FROM etudiant WHERE matricule = ? AND ${this.notArchived('etudiant', options)}`,
+      [matricule]
+    );
+    
+    if (result.success && (Array.isArray(result.data) && result.data.length === 0)) {
+      return this.errorResponse('Etudiant not found', 404);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Récupère un étudiant par son adresse e-mail
+   * @param {string} email - E-mail de l'étudiant
+   * @param {Object} options - { includeArchived }
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async getEtudiantByEmail(email, options = {}) {
+    const result = await this.query(
+      `SELECT * FROM etudiant WHERE e_mail = ? AND ${this.notArchived('etudiant', options)}`,
+      [email]
+    );
     
     if (result.success && (Array.isArray(result.data) && result.data.length === 0)) {
       return this.errorResponse('Etudiant not found', 404);
@@ -71,26 +112,58 @@ class EtudiantModel extends PromotionModel {
   }
 
   /**
-   * Recherche des étudiants par nom, post-nom ou prénom
+   * Recherche des étudiants par nom, post-nom, prénom ou matricule
    * @param {string} searchTerm - Terme de recherche
-   * @param {Object} options - Options de pagination et de tri
+   * @param {Object} options - Options de pagination et de tri (sortBy parmi ETUDIANT_SORT_COLUMNS),
+   *                           includeArchived pour inclure les étudiants archivés
    * @returns {Promise<Object>} - Résultat avec métadonnées
    */
   async searchEtudiants(searchTerm, options = {}) {
+    return this._listEtudiants(searchTerm, options);
+  }
+
+  /**
+   * Compte les étudiants renvoyés par getAllEtudiants / searchEtudiants (même filtre), par sexe
+   * @param {string|null} searchTerm - Terme de recherche (null pour tous les étudiants)
+   * @param {Object} options - { includeArchived }
+   * @returns {Promise<Object>} - Résultat avec métadonnées (data: [{ sexe, total }])
+   */
+  async countEtudiants(searchTerm, options = {}) {
+    const filter = this._etudiantListFilter(searchTerm, options);
+    return this.query(
+      `SELECT e.sexe, COUNT(*) AS total FROM etudiant e WHERE ${filter.where} GROUP BY e.sexe`,
+      filter.params
+    );
+  }
+
+  /**
+   * Liste paginée des étudiants, sans le mot de passe
+   * @param {string|null} searchTerm - Terme de recherche (null pour tous les étudiants)
+   * @param {Object} options - Options de pagination et de tri, includeArchived
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   * @private
+   */
+  async _listEtudiants(searchTerm, options = {}) {
     const { limit = null, offset = 0, sortBy = 'nom', sortDir = 'ASC' } = options;
     
+    const sort = this.resolveEtudiantSort(sortBy, sortDir);
+    if (!sort) {
+      return this.errorResponse(`Tri invalide. Colonnes autorisées : ${Object.keys(ETUDIANT_SORT_COLUMNS).join(', ')}`, 400);
+    }
+    
+    const filter = this._etudiantListFilter(searchTerm, options);
     let sql = `
-      SELECT * FROM etudiant 
-      WHERE nom LIKE ? OR post_nom LIKE ? OR prenom LIKE ? OR matricule LIKE ?
+      SELECT e.id, e.matricule, e.nom, e.post_nom, e.prenom, e.sexe, e.vision, e.date_naiss,
+             e.telephone, e.adresse, e.e_mail, e.avatar, e.deleted_at,
+             MAX(ae.pourcentage_exetat) AS pourcentage_exetat
+      FROM etudiant e
+      LEFT JOIN administratif_etudiant ae ON ae.id_etudiant = e.id
+      WHERE ${filter.where}
+      GROUP BY e.id
+      ORDER BY ${sort.column} ${sort.direction}, e.id
     `;
+    const params = [...filter.params];
     
-    const searchParam = `%${searchTerm}%`;
-    let params = [searchParam, searchParam, searchParam, searchParam];
-    
-    // Ajouter le tri
-    sql += ` ORDER BY ${sortBy} ${sortDir}`;
-    
-    // Ajouter la pagination
     if (limit !== null) {
       sql += ' LIMIT ? OFFSET ?';
       params.push(parseInt(limit, 10), parseInt(offset, 10));
@@ -99,12 +172,37 @@ class EtudiantModel extends PromotionModel {
     return this.query(sql, params);
   }
 
+  /**
+   * Filtre commun à la liste des étudiants et à son total
+   * @param {string|null} searchTerm - Terme de recherche
+   * @param {Object} options - { includeArchived }
+   * @returns {Object} - { where, params } sur l'alias e
+   * @private
+   */
+  _etudiantListFilter(searchTerm, options = {}) {
+    const conditions = [this.notArchived('e', options)];
+    const params = [];
+    
+    if (searchTerm) {
+      const searchParam = `%${searchTerm}%`;
+      conditions.push('(e.nom LIKE ? OR e.post_nom LIKE ? OR e.prenom LIKE ? OR e.matricule LIKE ?)');
+      params.push(searchParam, searchParam, searchParam, searchParam);
+    }
+    
+    return { where: conditions.join(' AND '), params };
+  }
+
   /**
    * Crée un nouvel étudiant
    * @param {Object} etudiantData - Données de l'étudiant
+   * @param {Object} context - { sectionId, anneeId } utilisés par le modèle de matricule quand il n'est pas fourni
    * @returns {Promise<Object>} - Résultat avec métadonnées
    */
-  async createEtudiant(etudiantData) {
+  async createEtudiant(etudiantData, context = {}) {
+    // Ne garder que les colonnes autorisées ; le mot de passe initial est traité à part
+    const initialPassword = etudiantData.mdp;
+    etudiantData = this.pickEtudiantFields(etudiantData);
+    
     // Vérifier les champs obligatoires
     if (!etudiantData.nom || etudiantData.nom.trim() === '') {
       return this.errorResponse('Le nom est obligatoire', 400);
@@ -132,9 +230,6 @@ class EtudiantModel extends PromotionModel {
       if (matriculeExists.success && Array.isArray(matriculeExists.data) && matriculeExists.data.length > 0) {
         return this.errorResponse('Ce matricule existe déjà', 409);
       }
-    } else {
-      // Générer un matricule si non fourni
-      etudiantData.matricule = await this.generateMatricule();
     }
     
     // Vérifier si l'email existe déjà (s'il est fourni)
@@ -149,6 +244,23 @@ class EtudiantModel extends PromotionModel {
       }
     }
     
+    // Générer un matricule si non fourni (après les vérifications, pour ne pas consommer de numéro inutilement)
+    if (!etudiantData.matricule) {
+      const matricule = await this.generateMatricule(context);
+      if (!matricule.success) {
+        return matricule;
+      }
+      etudiantData.matricule = matricule.data;
+    }
+    
+    // Hacher le mot de passe s'il est fourni
+    if (initialPassword) {
+      etudiantData.mdp = await passwordService.hashPassword(initialPassword);
+    }
+    
+    // Le mot de passe attribué à l'inscription est provisoire : l'étudiant devra le changer à sa première connexion
+    etudiantData.must_change_password = 1;
+    
     // Préparer les champs et valeurs pour l'insertion
     const fields = Object.keys(etudiantData);
     const values = fields.map(field => etudiantData[field]);
@@ -173,11 +285,21 @@ class EtudiantModel extends PromotionModel {
       return etudiantExists;
     }
     
+    // Ne garder que les colonnes autorisées (le mot de passe passe par updateEtudiantPassword)
+    etudiantData = this.pickEtudiantFields(etudiantData);
+    
     // Vérifier si les données sont fournies
-    if (!etudiantData || Object.keys(etudiantData).length === 0) {
+    if (Object.keys(etudiantData).length === 0) {
       return this.errorResponse('Aucune donnée fournie pour la mise à jour', 400);
     }
     
+    // Les champs obligatoires ne peuvent pas être vidés
+    for (const [field, label] of [['nom', 'Le nom'], ['post_nom', 'Le post-nom'], ['prenom', 'Le prénom'], ['sexe', 'Le sexe']]) {
+      if (field in etudiantData && (!etudiantData[field] || String(etudiantData[field]).trim() === '')) {
+        return this.errorResponse(`${label} est obligatoire`, 400);
+      }
+    }
+    
     // Vérifier si le matricule existe déjà pour un autre étudiant
     if (etudiantData.matricule) {
       const matriculeExists = await this.query(
@@ -212,68 +334,251 @@ class EtudiantModel extends PromotionModel {
   }
 
   /**
-   * Supprime un étudiant
+   * Extrait des données reçues les seules colonnes modifiables de la table etudiant
+   * @param {Object} etudiantData - Données reçues
+   * @returns {Object} - Données filtrées
+   */
+  pickEtudiantFields(etudiantData = {}) {
+    return ETUDIANT_WRITABLE_FIELDS
+      .filter(field => etudiantData && etudiantData[field] !== undefined)
+      .reduce((data, field) => {
+        data[field] = etudiantData[field];
+        return data;
+      }, {});
+  }
+
+  /**
+   * Met à jour l'avatar d'un étudiant
    * @param {number} id - ID de l'étudiant
+   * @param {string|null} avatarPath - Clé de l'image d'avatar (voir services/avatars), null pour le retirer
    * @returns {Promise<Object>} - Résultat avec métadonnées
    */
-  async deleteEtudiant(id) {
+  async updateAvatar(id, avatarPath) {
+    // Vérifier si l'étudiant existe
+    const etudiantExists = await this.getEtudiantById(id);
+    if (!etudiantExists.success) {
+      return etudiantExists;
+    }
+
+    return this.query('UPDATE etudiant SET avatar = ? WHERE id = ?', [avatarPath, id]);
+  }
+
+  /**
+   * Archive un étudiant (suppression logique) : il n'apparaît plus dans les listes et ne peut plus
+   * se connecter, mais ses inscriptions, paiements et cotes sont conservés
+   * @param {number} id - ID de l'étudiant
+   * @param {number|null} deletedBy - ID de l'agent qui archive
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async deleteEtudiant(id, deletedBy = null) {
     // Vérifier si l'étudiant existe
     const etudiantExists = await this.getEtudiantById(id);
     if (!etudiantExists.success) {
       return etudiantExists;
     }
     
-    // Vérifier les dépendances (administratif_etudiant, commande_enrollement, fiche_cotation)
-    // Nous allons vérifier si l'étudiant a des données associées dans les tables liées
-    const tables = [
-      { name: 'administratif_etudiant', field: 'id_etudiant' },
-      { name: 'commande_enrollement', field: 'id_etudiant' },
-      { name: 'fiche_cotation', field: 'id_etudiant' },
-      { name: 'origine_etudiant', field: 'id_etudiant' }
-    ];
-    
-    for (const table of tables) {
-      const checkResult = await this.query(
-        `SELECT id FROM ${table.name} WHERE ${table.field} = ? LIMIT 1`,
-        [id]
-      );
-      
-      if (checkResult.success && Array.isArray(checkResult.data) && checkResult.data.length > 0) {
-        return this.errorResponse(
-          `Impossible de supprimer cet étudiant car il possède des données dans la table ${table.name}`,
-          400
+    const result = await this.query(
+      'UPDATE etudiant SET deleted_at = NOW(), deleted_by = ? WHERE id = ? AND deleted_at IS NULL',
+      [deletedBy, id]
+    );
+
+    // Fermer les sessions ouvertes par l'étudiant archivé
+    if (result.success) {
+      await sessionService.revokeSubject('etudiant', id);
+    }
+
+    return result;
+  }
+
+  /**
+   * Restaure un étudiant archivé
+   * @param {number} id - ID de l'étudiant
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async restoreEtudiant(id) {
+    const etudiant = await this.getEtudiantById(id, { includeArchived: true });
+    if (!etudiant.success) {
+      return etudiant;
+    }
+
+    if (!etudiant.data[0].deleted_at) {
+      return this.errorResponse('Cet étudiant n\'est pas archivé', 409);
+    }
+
+    return this.query('UPDATE etudiant SET deleted_at = NULL, deleted_by = NULL WHERE id = ?', [id]);
+  }
+
+  /**
+   * Supprime définitivement les étudiants archivés depuis plus de retentionDays jours.
+   * Les étudiants qui ont des cotes, des paiements ou des décisions de délibération sont conservés.
+   * @param {number} retentionDays - Durée de conservation des étudiants archivés, en jours
+   * @returns {Promise<Object>} - Résultat avec { purged, skipped: [{ id, reason }], avatars } dans data ;
+   *                              avatars : valeurs de la colonne avatar des fiches supprimées (images à effacer)
+   */
+  async purgeArchivedEtudiants(retentionDays) {
+    const candidates = await this.query(
+      `SELECT e.id, e.avatar,
+              EXISTS (SELECT 1 FROM fiche_cotation fc WHERE fc.id_etudiant = e.id) AS has_cotes,
+              EXISTS (SELECT 1 FROM commande_enrollement ce WHERE ce.id_etudiant = e.id) AS has_paiements,
+              EXISTS (SELECT 1 FROM deliberation d WHERE d.id_etudiant = e.id) AS has_deliberations
+       FROM etudiant e
+       WHERE e.deleted_at IS NOT NULL AND e.deleted_at < NOW() - INTERVAL ? DAY`,
+      [retentionDays]
+    );
+    if (!candidates.success) {
+      return candidates;
+    }
+
+    const report = { purged: [], skipped: [], avatars: [] };
+
+    for (const candidate of candidates.data) {
+      const reason = candidate.has_cotes
+        ? 'cotes enregistrées'
+        : candidate.has_paiements
+          ? 'paiements enregistrés'
+          : candidate.has_deliberations ? 'délibérations enregistrées' : null;
+      if (reason) {
+        report.skipped.push({ id: candidate.id, reason });
+        continue;
+      }
+
+      const deleted = await this.transaction(async (tx) => {
+        // L'étudiant a pu être restauré depuis la sélection
+        const locked = await tx.query(
+          'SELECT id FROM etudiant WHERE id = ? AND deleted_at IS NOT NULL FOR UPDATE',
+          [candidate.id]
         );
+        if (!locked.success) return locked;
+        if (locked.data.length === 0) return tx.errorResponse('Étudiant restauré entre-temps', 409);
+
+        const dependencies = [
+          'DELETE pe FROM promotion_etudiant pe JOIN administratif_etudiant ae ON pe.id_adminEtudiant = ae.id WHERE ae.id_etudiant = ?',
+          'DELETE FROM administratif_etudiant WHERE id_etudiant = ?',
+          'DELETE FROM origine_etudiant WHERE id_etudiant = ?'
+        ];
+        for (const sql of dependencies) {
+          const result = await tx.query(sql, [candidate.id]);
+          if (!result.success) return result;
+        }
+        return tx.query('DELETE FROM etudiant WHERE id = ?', [candidate.id]);
+      });
+
+      if (deleted.success) {
+        report.purged.push(candidate.id);
+        if (candidate.avatar) report.avatars.push(candidate.avatar);
+      } else {
+        report.skipped.push({ id: candidate.id, reason: deleted.error });
       }
     }
+
+    return this.successResponse(report);
+  }
+
+  /**
+   * Vérifie les identifiants d'un étudiant (pour connexion au portail)
+   * @param {string} login - Matricule ou email
+   * @param {string} password - Mot de passe
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async verifyEtudiantCredentials(login, password) {
+    if (!login || !password) {
+      return this.errorResponse('Le login et le mot de passe sont obligatoires', 400);
+    }
+    
+    // Vérifier si le login est un email ou un matricule
+    // Un étudiant archivé ne peut plus se connecter
+    const sql = login.includes('@')
+      ? 'SELECT * FROM etudiant WHERE e_mail = ? AND deleted_at IS NULL'
+      : 'SELECT * FROM etudiant WHERE matricule = ? AND deleted_at IS NULL';
+    
+    const result = await this.query(sql, [login]);
+    
+    if (!result.success) {
+      return result;
+    }
     
-    return this.query('DELETE FROM etudiant WHERE id = ?', [id]);
+    if (Array.isArray(result.data) && result.data.length === 0) {
+      return this.errorResponse('Identifiants invalides', 401);
+    }
+    
+    const etudiant = result.data[0];
+    const { valid, needsRehash } = await passwordService.verifyPassword(password, etudiant.mdp);
+    if (!valid) {
+      return this.errorResponse('Identifiants invalides', 401);
+    }
+    
+    // Remplacer un ancien mot de passe en clair par son hash
+    if (needsRehash) {
+      const hashedPassword = await passwordService.hashPassword(password);
+      await this.query('UPDATE etudiant SET mdp = ? WHERE id = ?', [hashedPassword, etudiant.id]);
+    }
+    
+    // Ne pas renvoyer le mot de passe dans la réponse
+    delete etudiant.mdp;
+    
+    return result;
   }
 
   /**
-   * Génère un nouveau matricule pour un étudiant
-   * @returns {Promise<string>} - Nouveau matricule unique
+   * Met à jour le mot de passe d'un étudiant après vérification de l'ancien
+   * @param {number} id - ID de l'étudiant
+   * @param {string} oldPassword - Ancien mot de passe
+   * @param {string} newPassword - Nouveau mot de passe
+   * @returns {Promise<Object>} - Résultat avec métadonnées
    */
-  async generateMatricule() {
-    const year = new Date().getFullYear().toString().substr(-2);
-    const prefix = `E${year}`;
+  async updateEtudiantPassword(id, oldPassword, newPassword) {
+    const etudiantExists = await this.getEtudiantById(id);
+    if (!etudiantExists.success) {
+      return etudiantExists;
+    }
     
-    // Récupérer le dernier matricule pour construire le suivant
-    const result = await this.query(
-      "SELECT matricule FROM etudiant WHERE matricule LIKE ? ORDER BY matricule DESC LIMIT 1",
-      [`${prefix}%`]
-    );
+    const { valid } = await passwordService.verifyPassword(oldPassword, etudiantExists.data[0].mdp);
+    if (!valid) {
+      return this.errorResponse('Mot de passe incorrect', 401);
+    }
     
-    let number = 1;
+    if (oldPassword === newPassword) {
+      return this.errorResponse('Le nouveau mot de passe doit être différent de l\'ancien', 400);
+    }
     
-    if (result.success && Array.isArray(result.data) && result.data.length > 0) {
-      const lastMatricule = result.data[0].matricule;
-      const lastNumber = parseInt(lastMatricule.replace(prefix, ''), 10);
-      if (!isNaN(lastNumber)) {
-        number = lastNumber + 1;
-      }
+    return this.resetEtudiantPassword(id, newPassword);
+  }
+
+  /**
+   * Remplace le mot de passe d'un étudiant sans demander l'ancien (réinitialisation par jeton).
+   * Le changement obligatoire de première connexion est levé.
+   * @param {number} id - ID de l'étudiant
+   * @param {string} newPassword - Nouveau mot de passe
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async resetEtudiantPassword(id, newPassword) {
+    const etudiantExists = await this.getEtudiantById(id);
+    if (!etudiantExists.success) {
+      return etudiantExists;
     }
     
-    return `${prefix}${number.toString().padStart(4, '0')}`;
+    // Vérifier la robustesse du nouveau mot de passe
+    const { matricule, e_mail } = etudiantExists.data[0];
+    const weaknesses = passwordService.checkStrength(newPassword, [matricule, e_mail]);
+    if (weaknesses.length > 0) {
+      return this.errorResponse(weaknesses.join('. '), 400);
+    }
+    
+    const hashedPassword = await passwordService.hashPassword(newPassword);
+    return this.query(
+      'UPDATE etudiant SET mdp = ?, must_change_password = 0 WHERE id = ?',
+      [hashedPassword, id]
+    );
+  }
+
+  /**
+   * Génère un nouveau matricule pour un étudiant selon le modèle configuré
+   * (par défaut E<aa><numéro sur 4 chiffres>, voir SequenceModel)
+   * @param {Object} context - { sectionId, anneeId }
+   * @returns {Promise<Object>} - Résultat avec le matricule dans data
+   */
+  async generateMatricule(context = {}) {
+    return this.use(sequences).generateCode('matricule', context);
   }
 
   /**
@@ -299,9 +604,11 @@ class EtudiantModel extends PromotionModel {
   }
 
   /**
-   * Crée ou met à jour les informations administratives d'un étudiant
+   * Crée ou met à jour les informations administratives d'un étudiant.
+   * La section et l'option du secondaire sont ramenées au référentiel (getExetatReferences)
+   * et le pourcentage à l'exetat doit être celui d'un diplôme obtenu.
    * @param {number} etudiantId - ID de l'étudiant
-   * @param {Object} adminData - Données administratives
+   * @param {Object} adminData - Données administratives { section, option, annee, pourcentage_exetat }
    * @returns {Promise<Object>} - Résultat avec métadonnées
    */
   async setAdministratifEtudiant(etudiantId, adminData) {
@@ -311,13 +618,28 @@ class EtudiantModel extends PromotionModel {
       return etudiantExists;
     }
     
+    const referentiel = await this.getExetatReferentiel();
+    if (!referentiel.success) {
+      return referentiel;
+    }
+    
+    const secondaire = normalizeSectionOption(adminData.section, adminData.option, referentiel.data);
+    if (secondaire.error) {
+      return this.errorResponse(secondaire.error, 400);
+    }
+    
+    const pourcentage = parsePourcentageExetat(adminData.pourcentage_exetat);
+    if (pourcentage.error) {
+      return this.errorResponse(pourcentage.error, 400);
+    }
+    
     // Préparer les données
     const data = {
       id_etudiant: etudiantId,
-      section: adminData.section || null,
-      option: adminData.option || null,
+      section: secondaire.section,
+      option: secondaire.option,
       annee: adminData.annee || null,
-      pourcentage_exetat: adminData.pourcentage_exetat || null
+      pourcentage_exetat: pourcentage.value
     };
     
     // Vérifier si l'étudiant a déjà des informations administratives
@@ -331,7 +653,8 @@ class EtudiantModel extends PromotionModel {
       const adminId = adminExists.data[0].id;
       
       const fields = Object.keys(data).filter(key => key !== 'id_etudiant');
-      const setClause = fields.map(field => `${field} = ?`).join(', ');
+      // option est un mot réservé MySQL : les colonnes sont échappées
+      const setClause = fields.map(field => `\`${field}\` = ?`).join(', ');
       const values = fields.map(field => data[field]);
       values.push(adminId);
       
@@ -346,7 +669,7 @@ class EtudiantModel extends PromotionModel {
       const placeholders = fields.map(() => '?').join(', ');
       
       return this.query(
-        `INSERT INTO administratif_etudiant (${fields.join(', ')}) VALUES (${placeholders})`,
+        `INSERT INTO administratif_etudiant (${fields.map(field => `\`${field}\``).join(', ')}) VALUES (${placeholders})`,
         values
       );
     }
@@ -387,83 +710,366 @@ class EtudiantModel extends PromotionModel {
   }
 
   /**
-   * ------------ MÉTHODES POUR LA GESTION DES COMMANDES D'ENROLLEMENT ------------
+   * ------------ RÉFÉRENTIEL DES SECTIONS ET OPTIONS DU SECONDAIRE ------------
    */
 
   /**
-   * Récupère toutes les commandes 
+   * Récupère le référentiel des sections et options du secondaire
+   * @returns {Promise<Object>} - Résultat avec [{ id, section, aliases, options: [{ id, option, aliases }] }] dans data
    */
-  async getAllCommandesEnrollement() {
-    const sql = `
-      SELECT ce.*, 
-             e.designation as enrollement_designation,
-             e.session as enrollement_session,
-             p.id as promotion_id,
-             p.orientation as promotion_orientation,
-             s.designation as section_designation,
-             n.intitule as niveau_intitule
-      FROM commande_enrollement ce
-      JOIN enrollements e ON ce.id_enrollement = e.id
-      JOIN promotion p ON e.id_promotion = p.id
-      JOIN section s ON p.id_section = s.id
-      JOIN niveau n ON p.id_niveau = n.id
-      ORDER BY ce.id DESC
-    `;
-    
-    return this.query(sql);
+  async getExetatReferences() {
+    const [sections, options] = await Promise.all([
+      this.query('SELECT id, designation, aliases FROM exetat_section ORDER BY designation'),
+      this.query('SELECT id, id_section, designation, aliases FROM exetat_option ORDER BY designation')
+    ]);
+    if (!sections.success) return sections;
+    if (!options.success) return options;
+
+    const splitAliases = (aliases) => String(aliases || '').split('|').filter(Boolean);
+    return this.successResponse(sections.data.map(section => ({
+      id: section.id,
+      section: section.designation,
+      aliases: splitAliases(section.aliases),
+      options: options.data
+        .filter(option => option.id_section === section.id)
+        .map(option => ({ id: option.id, option: option.designation, aliases: splitAliases(option.aliases) }))
+    })));
   }
 
   /**
-   * Récupère toutes les commandes dont le statut est "OK"
+   * Charge le référentiel préparé pour normalizeSectionOption
+   * @returns {Promise<Object>} - Résultat avec le référentiel (voir utils/exetat.buildReferentiel) dans data
    */
+  async getExetatReferentiel() {
+    const references = await this.getExetatReferences();
+    if (!references.success) return references;
+    return this.successResponse(buildReferentiel(references.data));
+  }
 
-  async getAllCommandesEnrollementByStatut(statut = 'OK') {
-    const sql = `
-      SELECT ce.*, 
-             e.designation as enrollement_designation,
-             e.session as enrollement_session,
-             p.id as promotion_id,
-             p.orientation as promotion_orientation,
-             s.designation as section_designation,
-             n.intitule as niveau_intitule
-      FROM commande_enrollement ce
-      JOIN enrollements e ON ce.id_enrollement = e.id
-      JOIN promotion p ON e.id_promotion = p.id
-      JOIN section s ON p.id_section = s.id
-      JOIN niveau n ON p.id_niveau = n.id
-      WHERE ce.statut = ?
-      ORDER BY ce.id DESC
-    `;
-    
-    return this.query(sql, [statut]);
+  /**
+   * Valide une désignation et ses alias
+   * @private
+   * @param {Object} data - { designation, aliases }
+   * @returns {Object} - { designation, aliases } ou { error }
+   */
+  _exetatEntry(data = {}) {
+    const designation = typeof data.designation === 'string' ? data.designation.trim() : '';
+    if (!designation || designation.length > 100) {
+      return { error: 'La désignation est obligatoire (100 caractères au plus)' };
+    }
+
+    const aliases = data.aliases === undefined ? [] : data.aliases;
+    if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string' || alias.includes('|'))) {
+      return { error: 'aliases doit être une liste de noms (sans "|")' };
+    }
+
+    const cleaned = [...new Set(aliases.map(alias => alias.trim()).filter(Boolean))];
+    if (cleaned.join('|').length > 500) {
+      return { error: 'Liste d\'alias trop longue (500 caractères au plus)' };
+    }
+
+    return { designation, aliases: cleaned };
   }
 
   /**
-   * Recupère les soldes des commandes par statut 
+   * Vérifie qu'un référentiel modifié ne contient pas de nom qui désigne deux entrées
+   * @private
+   * @param {Array<Object>} sections - Référentiel modifié (voir getExetatReferences)
+   * @returns {Object|null} - Erreur 409 ou null
    */
-  async getSoldeCommandesEnrollementByAnnee(anneeId){
-    const sql = `
-      SELECT SUM(commande_enrollement.montant) as total_montant, statut
-      FROM commande_enrollement
-      INNER JOIN enrollements ON enrollements.id = commande_enrollement.id_enrollement
-      WHERE enrollements.id_annee = ?
-      GROUP BY statut
+  _exetatConflict(sections) {
+    const { conflicts } = buildReferentiel(sections);
+    if (conflicts.length === 0) return null;
+    return this.errorResponse(`Nom déjà utilisé dans le référentiel : ${conflicts.join(', ')}`, 409);
+  }
 
-    `;
-    
-    return this.query(sql, [anneeId]);
+  /**
+   * Ajoute une section au référentiel
+   * @param {Object} data - { designation, aliases }
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async createExetatSection(data) {
+    const entry = this._exetatEntry(data);
+    if (entry.error) return this.errorResponse(entry.error, 400);
+
+    const references = await this.getExetatReferences();
+    if (!references.success) return references;
+
+    const conflict = this._exetatConflict([
+      ...references.data,
+      { section: entry.designation, aliases: entry.aliases, options: [] }
+    ]);
+    if (conflict) return conflict;
+
+    return this.query(
+      'INSERT INTO exetat_section (designation, aliases) VALUES (?, ?)',
+      [entry.designation, entry.aliases.join('|')]
+    );
   }
 
   /**
-   * Récupère toutes les commandes d'enrollement d'un étudiant
-   * @param {number} etudiantId - ID de l'étudiant
+   * Renomme une section ou remplace ses alias.
+   * Les fiches administratives déjà enregistrées gardent l'ancienne désignation.
+   * @param {number} id - ID de la section
+   * @param {Object} data - { designation, aliases }
    * @returns {Promise<Object>} - Résultat avec métadonnées
    */
-  async getCommandesEnrollementByEtudiant(etudiantId) {
-    // Vérifier si l'étudiant existe
-    const etudiantExists = await this.getEtudiantById(etudiantId);
-    if (!etudiantExists.success) {
-      return etudiantExists;
+  async updateExetatSection(id, data) {
+    const entry = this._exetatEntry(data);
+    if (entry.error) return this.errorResponse(entry.error, 400);
+
+    const references = await this.getExetatReferences();
+    if (!references.success) return references;
+
+    const section = references.data.find(item => item.id === Number(id));
+    if (!section) return this.errorResponse('Section non trouvée', 404);
+
+    const conflict = this._exetatConflict(references.data.map(item => (
+      item === section ? { ...item, section: entry.designation, aliases: entry.aliases } : item
+    )));
+    if (conflict) return conflict;
+
+    return this.query(
+      'UPDATE exetat_section SET designation = ?, aliases = ? WHERE id = ?',
+      [entry.designation, entry.aliases.join('|'), section.id]
+    );
+  }
+
+  /**
+   * Supprime une section et ses options du référentiel
+   * @param {number} id - ID de la section
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async deleteExetatSection(id) {
+    const result = await this.query('DELETE FROM exetat_section WHERE id = ?', [id]);
+    if (result.success && result.metadata.affectedRows === 0) {
+      return this.errorResponse('Section non trouvée', 404);
+    }
+    return result;
+  }
+
+  /**
+   * Ajoute une option à une section du référentiel
+   * @param {number} sectionId - ID de la section
+   * @param {Object} data - { designation, aliases }
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async createExetatOption(sectionId, data) {
+    const entry = this._exetatEntry(data);
+    if (entry.error) return this.errorResponse(entry.error, 400);
+
+    const references = await this.getExetatReferences();
+    if (!references.success) return references;
+
+    const section = references.data.find(item => item.id === Number(sectionId));
+    if (!section) return this.errorResponse('Section non trouvée', 404);
+
+    const conflict = this._exetatConflict(references.data.map(item => (
+      item === section
+        ? { ...item, options: [...item.options, { option: entry.designation, aliases: entry.aliases }] }
+        : item
+    )));
+    if (conflict) return conflict;
+
+    return this.query(
+      'INSERT INTO exetat_option (id_section, designation, aliases) VALUES (?, ?, ?)',
+      [section.id, entry.designation, entry.aliases.join('|')]
+    );
+  }
+
+  /**
+   * Renomme une option ou remplace ses alias
+   * @param {number} id - ID de l'option
+   * @param {Object} data - { designation, aliases }
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async updateExetatOption(id, data) {
+    const entry = this._exetatEntry(data);
+    if (entry.error) return this.errorResponse(entry.error, 400);
+
+    const references = await this.getExetatReferences();
+    if (!references.success) return references;
+
+    const section = references.data.find(item => item.options.some(option => option.id === Number(id)));
+    if (!section) return this.errorResponse('Option non trouvée', 404);
+
+    const conflict = this._exetatConflict(references.data.map(item => (
+      item === section
+        ? {
+          ...item,
+          options: item.options.map(option => (
+            option.id === Number(id) ? { ...option, option: entry.designation, aliases: entry.aliases } : option
+          ))
+        }
+        : item
+    )));
+    if (conflict) return conflict;
+
+    return this.query(
+      'UPDATE exetat_option SET designation = ?, aliases = ? WHERE id = ?',
+      [entry.designation, entry.aliases.join('|'), id]
+    );
+  }
+
+  /**
+   * Supprime une option du référentiel
+   * @param {number} id - ID de l'option
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async deleteExetatOption(id) {
+    const result = await this.query('DELETE FROM exetat_option WHERE id = ?', [id]);
+    if (result.success && result.metadata.affectedRows === 0) {
+      return this.errorResponse('Option non trouvée', 404);
+    }
+    return result;
+  }
+
+  /**
+   * Statistiques d'admission : répartition des pourcentages à l'exetat des étudiants inscrits,
+   * par année académique et par promotion (étudiants archivés exclus)
+   * @param {Object} filtres - { anneeId, promotionId } (optionnels)
+   * @returns {Promise<Object>} - Résultat avec [{ annee, promotion, total, renseignes, moyenne, minimum,
+   *                              maximum, tranches: [{ de, a, nombre }] }] dans data
+   */
+  async getStatistiquesExetat(filtres = {}) {
+    const tranches = EXETAT_TRANCHES.map(([de, a], index) => {
+      const borne = a === EXETAT_MAX ? '<=' : '<';
+      return `SUM(CASE WHEN ae.pourcentage_exetat >= ${de} AND ae.pourcentage_exetat ${borne} ${a} THEN 1 ELSE 0 END) AS tranche_${index}`;
+    });
+    
+    let sql = `
+      SELECT a.id AS annee_id, a.debut, a.fin,
+             p.id AS promotion_id, p.orientation, n.intitule AS niveau_intitule, s.designation AS section_designation,
+             COUNT(*) AS total,
+             COUNT(ae.pourcentage_exetat) AS renseignes,
+             ROUND(AVG(ae.pourcentage_exetat), 2) AS moyenne,
+             MIN(ae.pourcentage_exetat) AS minimum,
+             MAX(ae.pourcentage_exetat) AS maximum,
+             ${tranches.join(',\n             ')}
+      FROM promotion_etudiant pe
+      JOIN administratif_etudiant ae ON pe.id_adminEtudiant = ae.id
+      JOIN etudiant e ON ae.id_etudiant = e.id
+      JOIN annee a ON pe.id_annee_acad = a.id
+      JOIN promotion p ON pe.id_promotion = p.id
+      JOIN niveau n ON p.id_niveau = n.id
+      JOIN section s ON p.id_section = s.id
+      WHERE e.deleted_at IS NULL
+    `;
+    const params = [];
+    
+    if (filtres.anneeId) {
+      sql += ' AND pe.id_annee_acad = ?';
+      params.push(filtres.anneeId);
+    }
+    
+    if (filtres.promotionId) {
+      sql += ' AND pe.id_promotion = ?';
+      params.push(filtres.promotionId);
+    }
+    
+    sql += `
+      GROUP BY a.id, a.debut, a.fin, p.id, p.orientation, n.intitule, n.ordre, s.designation
+      ORDER BY a.debut DESC, s.designation, n.ordre, p.id
+    `;
+    
+    const result = await this.query(sql, params);
+    if (!result.success) {
+      return result;
+    }
+    
+    return this.successResponse(result.data.map(row => ({
+      annee: { id: row.annee_id, debut: row.debut, fin: row.fin },
+      promotion: {
+        id: row.promotion_id,
+        libelle: [row.niveau_intitule, row.section_designation, row.orientation].filter(Boolean).join(' - ')
+      },
+      total: row.total,
+      renseignes: row.renseignes,
+      moyenne: row.moyenne === null ? null : Number(row.moyenne),
+      minimum: row.minimum === null ? null : Number(row.minimum),
+      maximum: row.maximum === null ? null : Number(row.maximum),
+      tranches: EXETAT_TRANCHES.map(([de, a], index) => ({ de, a, nombre: Number(row[`tranche_${index}`]) }))
+    })));
+  }
+
+  /**
+   * ------------ MÉTHODES POUR LA GESTION DES COMMANDES D'ENROLLEMENT ------------
+   */
+
+  /**
+   * Récupère toutes les commandes 
+   */
+  async getAllCommandesEnrollement() {
+    const sql = `
+      SELECT ce.*, 
+             e.designation as enrollement_designation,
+             e.session as enrollement_session,
+             p.id as promotion_id,
+             p.orientation as promotion_orientation,
+             s.designation as section_designation,
+             n.intitule as niveau_intitule
+      FROM commande_enrollement ce
+      JOIN enrollements e ON ce.id_enrollement = e.id
+      JOIN promotion p ON e.id_promotion = p.id
+      JOIN section s ON p.id_section = s.id
+      JOIN niveau n ON p.id_niveau = n.id
+      ORDER BY ce.id DESC
+    `;
+    
+    return this.query(sql);
+  }
+
+  /**
+   * Récupère toutes les commandes dont le statut est "OK"
+   */
+
+  async getAllCommandesEnrollementByStatut(statut = 'OK') {
+    const sql = `
+      SELECT ce.*, 
+             e.designation as enrollement_designation,
+             e.session as enrollement_session,
+             p.id as promotion_id,
+             p.orientation as promotion_orientation,
+             s.designation as section_designation,
+             n.intitule as niveau_intitule
+      FROM commande_enrollement ce
+      JOIN enrollements e ON ce.id_enrollement = e.id
+      JOIN promotion p ON e.id_promotion = p.id
+      JOIN section s ON p.id_section = s.id
+      JOIN niveau n ON p.id_niveau = n.id
+      WHERE ce.statut = ?
+      ORDER BY ce.id DESC
+    `;
+    
+    return this.query(sql, [statut]);
+  }
+
+  /**
+   * Recupère les soldes des commandes par statut 
+   */
+  async getSoldeCommandesEnrollementByAnnee(anneeId){
+    const sql = `
+      SELECT SUM(commande_enrollement.montant) as total_montant, statut
+      FROM commande_enrollement
+      INNER JOIN enrollements ON enrollements.id = commande_enrollement.id_enrollement
+      WHERE enrollements.id_annee = ?
+      GROUP BY statut
+
+    `;
+    
+    return this.query(sql, [anneeId]);
+  }
+
+  /**
+   * Récupère toutes les commandes d'enrollement d'un étudiant
+   * @param {number} etudiantId - ID de l'étudiant
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async getCommandesEnrollementByEtudiant(etudiantId) {
+    // Vérifier si l'étudiant existe
+    const etudiantExists = await this.getEtudiantById(etudiantId);
+    if (!etudiantExists.success) {
+      return etudiantExists;
     }
     
     const sql = `
@@ -635,13 +1241,28 @@ class EtudiantModel extends PromotionModel {
    * ------------ MÉTHODES POUR LA GESTION DES FICHES DE COTATION ------------
    */
   
+  /**
+   * Condition SQL : la délibération de l'étudiant pour l'année est publiée
+   * @private
+   * @param {string} etudiant - Colonne de l'ID de l'étudiant
+   * @param {string} annee - Colonne de l'ID de l'année académique
+   * @returns {string}
+   */
+  _deliberationPublieeSql(etudiant, annee) {
+    return `EXISTS (
+          SELECT 1 FROM deliberation dp
+          WHERE dp.id_etudiant = ${etudiant} AND dp.id_annee = ${annee} AND dp.statut = 'publie'
+        )`;
+  }
+
   /**
    * Récupère les fiches de cotation d'un étudiant
    * @param {number} etudiantId - ID de l'étudiant
    * @param {number} anneeId - ID de l'année académique (optionnel)
+   * @param {Object} options - { publiees } : seulement les années dont la délibération de l'étudiant est publiée
    * @returns {Promise<Object>} - Résultat avec métadonnées
    */
-  async getFichesCotationByEtudiant(etudiantId, anneeId = null) {
+  async getFichesCotationByEtudiant(etudiantId, anneeId = null, options = {}) {
     // Vérifier si l'étudiant existe
     const etudiantExists = await this.getEtudiantById(etudiantId);
     if (!etudiantExists.success) {
@@ -655,15 +1276,8 @@ class EtudiantModel extends PromotionModel {
              m.semestre as matiere_semestre,
              u.designation as unite_designation,
              a.debut as annee_debut,
-             a.fin as annee_fin,
-             (fc.tp + fc.td + fc.examen) as total,
-             CASE
-                WHEN (fc.tp + fc.td + fc.examen) >= 10 THEN 'Réussi'
-                WHEN fc.rattrapage IS NOT NULL AND fc.rattrapage >= 10 THEN 'Réussi via rattrapage'
-                WHEN fc.rattrapage IS NOT NULL AND fc.rattrapage < 10 THEN 'Échoué après rattrapage'
-                ELSE 'Échoué'
-             END as resultat
-      FROM fiche_cotation fc
+             a.fin as annee_fin
+      FROM (${this.ficheCotationSql()}) fc
       JOIN matiere m ON fc.id_matiere = m.id
       JOIN unite u ON m.id_unite = u.id
       JOIN annee a ON fc.id_annee = a.id
@@ -677,6 +1291,10 @@ class EtudiantModel extends PromotionModel {
       params.push(anneeId);
     }
     
+    if (options.publiees) {
+      sql += ` AND ${this._deliberationPublieeSql('fc.id_etudiant', 'fc.id_annee')}`;
+    }
+    
     sql += ' ORDER BY a.debut DESC, m.semestre, u.designation, m.designation';
     
     return this.query(sql, params);
@@ -691,15 +1309,8 @@ class EtudiantModel extends PromotionModel {
   async getFichesCotationByMatiere(matiereId, anneeId) {
     const sql = `
       SELECT fc.*, 
-             e.nom, e.post_nom, e.prenom, e.matricule,
-             (fc.tp + fc.td + fc.examen) as total,
-             CASE
-                WHEN (fc.tp + fc.td + fc.examen) >= 10 THEN 'Réussi'
-                WHEN fc.rattrapage IS NOT NULL AND fc.rattrapage >= 10 THEN 'Réussi via rattrapage'
-                WHEN fc.rattrapage IS NOT NULL AND fc.rattrapage < 10 THEN 'Échoué après rattrapage'
-                ELSE 'Échoué'
-             END as resultat
-      FROM fiche_cotation fc
+             e.nom, e.post_nom, e.prenom, e.matricule
+      FROM (${this.ficheCotationSql()}) fc
       JOIN etudiant e ON fc.id_etudiant = e.id
       WHERE fc.id_matiere = ? AND fc.id_annee = ?
       ORDER BY e.nom, e.post_nom
@@ -709,11 +1320,43 @@ class EtudiantModel extends PromotionModel {
   }
 
   /**
-   * Crée ou met à jour une fiche de cotation
+   * Refuse la modification des cotes d'un étudiant dont la délibération de l'année est publiée :
+   * la décision publiée ne correspondrait plus aux cotes
+   * @private
+   * @param {number} etudiantId - ID de l'étudiant
+   * @param {number} anneeId - ID de l'année académique
+   * @returns {Promise<Object|null>} - Erreur 409, erreur de requête ou null
+   */
+  async _cotesPubliees(etudiantId, anneeId) {
+    const result = await this.query(
+      'SELECT id FROM deliberation WHERE id_etudiant = ? AND id_annee = ? AND statut = \'publie\' LIMIT 1',
+      [etudiantId, anneeId]
+    );
+
+    if (!result.success) {
+      return result;
+    }
+
+    if (result.data.length > 0) {
+      return this.errorResponse(
+        'La délibération de l\'étudiant pour cette année est publiée : annulez la publication avant de modifier ses cotes',
+        409
+      );
+    }
+
+    return null;
+  }
+
+  /**
+   * Crée ou met à jour une fiche de cotation.
+   * Seules les cotes présentes dans cotationData sont écrites : une cote absente garde sa valeur
+   * (nulle à la création de la fiche) et une cote à null est effacée.
+   * L'étudiant doit être inscrit dans la promotion de la matière pour l'année ; 409 si sa délibération
+   * de l'année est publiée.
    * @param {number} etudiantId - ID de l'étudiant
    * @param {number} matiereId - ID de la matière
    * @param {number} anneeId - ID de l'année académique
-   * @param {Object} cotationData - Données de cotation
+   * @param {Object} cotationData - Cotes à écrire { tp, td, examen, rattrapage }
    * @returns {Promise<Object>} - Résultat avec métadonnées
    */
   async setFicheCotation(etudiantId, matiereId, anneeId, cotationData) {
@@ -724,8 +1367,14 @@ class EtudiantModel extends PromotionModel {
     }
     
     // Vérifier si la matière existe
-    const matiereResult = await this.query('SELECT * FROM matiere WHERE id = ?', [matiereId]);
-    if (matiereResult.success && (Array.isArray(matiereResult.data) && matiereResult.data.length === 0)) {
+    const matiereResult = await this.query(
+      'SELECT m.*, u.id_promotion FROM matiere m JOIN unite u ON m.id_unite = u.id WHERE m.id = ?',
+      [matiereId]
+    );
+    if (!matiereResult.success) {
+      return matiereResult;
+    }
+    if (matiereResult.data.length === 0) {
       return this.errorResponse('Matière non trouvée', 404);
     }
     
@@ -735,19 +1384,43 @@ class EtudiantModel extends PromotionModel {
       return this.errorResponse('Année académique non trouvée', 404);
     }
     
-    // Valider les notes
-    const tp = cotationData.tp !== undefined ? parseFloat(cotationData.tp) : 0;
-    const td = cotationData.td !== undefined ? parseFloat(cotationData.td) : 0;
-    const examen = cotationData.examen !== undefined ? parseFloat(cotationData.examen) : 0;
-    const rattrapage = cotationData.rattrapage !== undefined ? parseFloat(cotationData.rattrapage) : null;
+    // Vérifier que l'étudiant suit la matière cette année
+    const inscription = await this.query(
+      `SELECT pe.id FROM promotion_etudiant pe
+       JOIN administratif_etudiant ae ON pe.id_adminEtudiant = ae.id
+       WHERE ae.id_etudiant = ? AND pe.id_promotion = ? AND pe.id_annee_acad = ?
+       LIMIT 1`,
+      [etudiantId, matiereResult.data[0].id_promotion, anneeId]
+    );
+    if (!inscription.success) {
+      return inscription;
+    }
+    if (inscription.data.length === 0) {
+      return this.errorResponse('L\'étudiant n\'est pas inscrit dans la promotion de cette matière pour cette année', 400);
+    }
+    
+    const publiee = await this._cotesPubliees(etudiantId, anneeId);
+    if (publiee) {
+      return publiee;
+    }
+    
+    // Cotes fournies : null efface la cote
+    const notes = {};
+    for (const cote of ['tp', 'td', 'examen', 'rattrapage']) {
+      if (cotationData[cote] === undefined) continue;
+      notes[cote] = cotationData[cote] === null ? null : parseFloat(cotationData[cote]);
+    }
     
-    // Valider que les notes sont dans la plage valide
-    const notes = [tp, td, examen];
-    if (rattrapage !== null) notes.push(rattrapage);
+    // Valider les notes selon le barème de la matière
+    const baremeResult = await this.getBaremeMatiere(matiereId, anneeId);
+    if (!baremeResult.success) {
+      return baremeResult;
+    }
     
-    for (const note of notes) {
-      if (note < 0 || note > 20) {
-        return this.errorResponse('Les notes doivent être comprises entre 0 et 20', 400);
+    for (const [cote, note] of Object.entries(notes)) {
+      const error = note === null ? null : checkCote(cote, note, baremeResult.data);
+      if (error) {
+        return this.errorResponse(error, 400);
       }
     }
     
@@ -756,17 +1429,29 @@ class EtudiantModel extends PromotionModel {
       'SELECT id FROM fiche_cotation WHERE id_etudiant = ? AND id_matiere = ? AND id_annee = ?',
       [etudiantId, matiereId, anneeId]
     );
+    if (!ficheExists.success) {
+      return ficheExists;
+    }
     
-    if (ficheExists.success && Array.isArray(ficheExists.data) && ficheExists.data.length > 0) {
-      // Mettre à jour la fiche existante
+    const fields = Object.keys(notes);
+    
+    if (ficheExists.data.length > 0) {
+      // Mettre à jour les cotes fournies de la fiche existante
+      if (fields.length === 0) {
+        return this.successResponse([], { affectedRows: 0 });
+      }
+      
       const ficheId = ficheExists.data[0].id;
+      const setClause = fields.map(field => `${field} = ?`).join(', ');
       
       return this.query(
-        'UPDATE fiche_cotation SET tp = ?, td = ?, examen = ?, rattrapage = ? WHERE id = ?',
-        [tp, td, examen, rattrapage, ficheId]
+        `UPDATE fiche_cotation SET ${setClause} WHERE id = ?`,
+        [...fields.map(field => notes[field]), ficheId]
       );
     } else {
-      // Créer une nouvelle fiche
+      // Créer une nouvelle fiche (cotes absentes : non saisies)
+      const { tp = null, td = null, examen = null, rattrapage = null } = notes;
+      
       return this.query(
         'INSERT INTO fiche_cotation (id_etudiant, id_matiere, id_annee, tp, td, examen, rattrapage) VALUES (?, ?, ?, ?, ?, ?, ?)',
         [etudiantId, matiereId, anneeId, tp, td, examen, rattrapage]
@@ -775,7 +1460,7 @@ class EtudiantModel extends PromotionModel {
   }
 
   /**
-   * Supprime une fiche de cotation
+   * Supprime une fiche de cotation (409 si la délibération de l'étudiant pour l'année est publiée)
    * @param {number} id - ID de la fiche de cotation
    * @returns {Promise<Object>} - Résultat avec métadonnées
    */
@@ -786,6 +1471,14 @@ class EtudiantModel extends PromotionModel {
       return this.errorResponse('Fiche de cotation non trouvée', 404);
     }
     
+    if (ficheResult.success) {
+      const { id_etudiant: etudiantId, id_annee: anneeId } = ficheResult.data[0];
+      const publiee = await this._cotesPubliees(etudiantId, anneeId);
+      if (publiee) {
+        return publiee;
+      }
+    }
+    
     return this.query('DELETE FROM fiche_cotation WHERE id = ?', [id]);
   }
 
@@ -819,46 +1512,61 @@ class EtudiantModel extends PromotionModel {
       return this.errorResponse('Aucune note trouvée pour cet étudiant dans cette année académique', 404);
     }
     
-    // Calculer la moyenne pondérée
-    let totalPoints = 0;
-    let totalCredits = 0;
-    let reussites = 0;
-    let echecs = 0;
-    
-    for (const fiche of fiches) {
-      const credit = fiche.matiere_credit || 1;
-      let note = fiche.tp + fiche.td + fiche.examen;
-      
-      // Si l'étudiant a une note de rattrapage et qu'elle est meilleure, on la prend
-      if (fiche.rattrapage !== null && fiche.rattrapage > note) {
-        note = fiche.rattrapage;
-      }
-      
-      totalPoints += note * credit;
-      totalCredits += credit;
-      
-      if (note >= 10) {
-        reussites++;
-      } else {
-        echecs++;
-      }
-    }
-    
-    const moyenne = totalCredits > 0 ? totalPoints / totalCredits : 0;
+    // Moyenne pondérée par les crédits ; la note finale de chaque fiche (rattrapage compris)
+    // et sa réussite suivent le barème de la matière
+    const synthese = syntheseFiches(fiches);
     
     return this.successResponse({
       etudiantId,
       anneeId,
       annee_academique: `${anneeResult.data[0].debut}-${anneeResult.data[0].fin}`,
       nombre_matieres: fiches.length,
-      credits_total: totalCredits,
-      moyenne: parseFloat(moyenne.toFixed(2)),
-      reussites,
-      echecs,
-      pourcentage_reussite: parseFloat((reussites * 100 / fiches.length).toFixed(2))
+      credits_total: synthese.credits_total,
+      credits_valides: synthese.credits_valides,
+      moyenne: synthese.moyenne,
+      echelle: MOYENNE_ECHELLE,
+      reussites: synthese.reussites,
+      echecs: synthese.echecs,
+      pourcentage_reussite: parseFloat((synthese.reussites * 100 / fiches.length).toFixed(2))
     });
   }
 
+  /**
+   * Calcule la moyenne d'un étudiant pour chaque année académique où il a des notes
+   * @param {number} etudiantId - ID de l'étudiant
+   * @param {Object} options - { publiees } : seulement les années dont la délibération de l'étudiant est publiée
+   * @returns {Promise<Object>} - Liste des moyennes par année (la plus récente en premier)
+   */
+  async getMoyennesByEtudiant(etudiantId, options = {}) {
+    // Vérifier si l'étudiant existe
+    const etudiantExists = await this.getEtudiantById(etudiantId);
+    if (!etudiantExists.success) {
+      return etudiantExists;
+    }
+    
+    const anneesResult = await this.query(`
+      SELECT DISTINCT a.id, a.debut
+      FROM fiche_cotation fc
+      JOIN annee a ON fc.id_annee = a.id
+      WHERE fc.id_etudiant = ?${options.publiees ? ` AND ${this._deliberationPublieeSql('fc.id_etudiant', 'fc.id_annee')}` : ''}
+      ORDER BY a.debut DESC
+    `, [etudiantId]);
+    
+    if (!anneesResult.success) {
+      return anneesResult;
+    }
+    
+    const moyennes = [];
+    for (const annee of anneesResult.data) {
+      const moyenneResult = await this.calculateMoyenne(etudiantId, annee.id);
+      if (moyenneResult.success) {
+        moyennes.push(moyenneResult.data);
+      }
+    }
+    
+    return this.successResponse(moyennes);
+  }
+
   /**
    * ------------ MÉTHODES POUR LA GESTION DU PARCOURS ACADÉMIQUE ------------
    */
@@ -875,10 +1583,10 @@ class EtudiantModel extends PromotionModel {
       return etudiantExists;
     }
     
-    // Récupérer d'abord les informations administratives
+    // Récupérer d'abord les informations administratives (sans elles, aucun parcours)
     const adminResult = await this.getAdministratifEtudiant(etudiantId);
     if (!adminResult.success) {
-      return adminResult;
+      return adminResult.metadata.code === 404 ? this.successResponse([]) : adminResult;
     }
     
     const adminId = adminResult.data[0].id;
@@ -888,6 +1596,7 @@ class EtudiantModel extends PromotionModel {
              a.debut as annee_debut,
              a.fin as annee_fin,
              p.orientation as promotion_orientation,
+             p.id_niveau, p.id_section,
              s.designation as section_designation,
              n.intitule as niveau_intitule
       FROM promotion_etudiant pe
@@ -964,11 +1673,21 @@ class EtudiantModel extends PromotionModel {
   /**
    * Supprime un parcours académique
    * @param {number} parcoursId - ID du parcours
+   * @param {number|null} etudiantId - ID de l'étudiant auquel le parcours doit appartenir (null : pas de contrôle)
    * @returns {Promise<Object>} - Résultat avec métadonnées
    */
-  async supprimerParcours(parcoursId) {
-    // Vérifier si le parcours existe
-    const parcoursResult = await this.query('SELECT * FROM promotion_etudiant WHERE id = ?', [parcoursId]);
+  async supprimerParcours(parcoursId, etudiantId = null) {
+    // Vérifier si le parcours existe (et appartient à l'étudiant, s'il est précisé)
+    let sql = 'SELECT pe.* FROM promotion_etudiant pe WHERE pe.id = ?';
+    const params = [parcoursId];
+    if (etudiantId !== null) {
+      sql = `SELECT pe.* FROM promotion_etudiant pe
+             JOIN administratif_etudiant ae ON pe.id_adminEtudiant = ae.id
+             WHERE pe.id = ? AND ae.id_etudiant = ?`;
+      params.push(etudiantId);
+    }
+    
+    const parcoursResult = await this.query(sql, params);
     if (parcoursResult.success && (Array.isArray(parcoursResult.data) && parcoursResult.data.length === 0)) {
       return this.errorResponse('Parcours académique non trouvé', 404);
     }
@@ -998,55 +1717,225 @@ class EtudiantModel extends PromotionModel {
   }
 
   /**
-   * ------------ MÉTHODES POUR LA GESTION DES ANNÉES ACADÉMIQUES ------------
-   */
-  
-  /**
-   * Récupère toutes les années académiques
-   * @returns {Promise<Object>} - Résultat avec métadonnées
+   * Récupère les inscriptions d'une année académique (étudiants archivés exclus)
+   * @param {number} anneeId - ID de l'année académique
+   * @param {Object} options - { promotionId } pour se limiter à une promotion
+   * @returns {Promise<Object>} - Résultat avec une ligne par inscription
    */
-  async getAllAnnees() {
-    return this.query('SELECT * FROM annee ORDER BY debut DESC');
+  async getInscriptionsByAnnee(anneeId, options = {}) {
+    let sql = `
+      SELECT pe.id AS parcours_id, pe.id_promotion, pe.date_inscription,
+             e.id AS etudiant_id, e.matricule, e.nom, e.post_nom, e.prenom, e.sexe
+      FROM promotion_etudiant pe
+      JOIN administratif_etudiant ae ON pe.id_adminEtudiant = ae.id
+      JOIN etudiant e ON ae.id_etudiant = e.id
+      WHERE pe.id_annee_acad = ? AND e.deleted_at IS NULL
+    `;
+    const params = [anneeId];
+    
+    if (options.promotionId) {
+      sql += ' AND pe.id_promotion = ?';
+      params.push(options.promotionId);
+    }
+    
+    sql += ' ORDER BY pe.id_promotion, e.nom, e.post_nom, e.prenom';
+    return this.query(sql, params);
   }
 
   /**
-   * Recupérer la dernière année académique
+   * Verrouille les informations administratives d'un étudiant jusqu'à la fin de la transaction,
+   * puis renvoie ses inscriptions de l'année : deux inscriptions simultanées du même étudiant
+   * sont traitées l'une après l'autre. A appeler dans transaction().
+   * @param {number} etudiantId - ID de l'étudiant
+   * @param {number} anneeId - ID de l'année académique
+   * @returns {Promise<Object>} - Résultat avec les inscriptions de l'année (vide s'il n'y en a pas)
    */
-
-  async getLastAnnee() {
-    const result = await this.query('SELECT * FROM annee ORDER BY debut DESC LIMIT 1');
-    
-    if (result.success && (Array.isArray(result.data) && result.data.length === 0)) {
-      return this.errorResponse('Aucune année académique trouvée', 404);
+  async lockInscriptionsAnnee(etudiantId, anneeId) {
+    const locked = await this.query(
+      'SELECT id FROM administratif_etudiant WHERE id_etudiant = ? FOR UPDATE',
+      [etudiantId]
+    );
+    if (!locked.success) {
+      return locked;
     }
     
-    return result;
+    return this.query(
+      `SELECT pe.id, pe.id_promotion
+       FROM promotion_etudiant pe
+       JOIN administratif_etudiant ae ON pe.id_adminEtudiant = ae.id
+       WHERE ae.id_etudiant = ? AND pe.id_annee_acad = ?`,
+      [etudiantId, anneeId]
+    );
   }
 
   /**
-   * Récupère une année académique par son ID
-   * @param {number} id - ID de l'année académique
+   * Récupère les étudiants inscrits dans une promotion pour une année académique (étudiants archivés exclus)
+   * @param {number} promotionId - ID de la promotion
+   * @param {number} anneeId - ID de l'année académique
+   * @param {Object} options - Options de pagination et de tri (sortBy parmi ETUDIANT_SORT_COLUMNS)
    * @returns {Promise<Object>} - Résultat avec métadonnées
    */
-  async getAnneeById(id) {
-    const result = await this.query('SELECT * FROM annee WHERE id = ?', [id]);
+  async getEtudiantsByPromotion(promotionId, anneeId, options = {}) {
+    const { limit = null, offset = 0, sortBy = 'nom', sortDir = 'ASC' } = options;
     
-    if (result.success && (Array.isArray(result.data) && result.data.length === 0)) {
-      return this.errorResponse('Année académique non trouvée', 404);
+    const sort = this.resolveEtudiantSort(sortBy, sortDir);
+    if (!sort) {
+      return this.errorResponse(`Tri invalide. Colonnes autorisées : ${Object.keys(ETUDIANT_SORT_COLUMNS).join(', ')}`, 400);
     }
     
-    return result;
-  }
-
+    let sql = `
+      SELECT e.id, e.matricule, e.nom, e.post_nom, e.prenom, e.sexe, e.date_naiss,
+             e.telephone, e.e_mail, e.avatar,
+             MAX(ae.pourcentage_exetat) AS pourcentage_exetat,
+             MIN(pe.id) AS parcours_id, MIN(pe.date_inscription) AS date_inscription
+      FROM promotion_etudiant pe
+      JOIN administratif_etudiant ae ON pe.id_adminEtudiant = ae.id
+      JOIN etudiant e ON ae.id_etudiant = e.id
+      WHERE pe.id_promotion = ? AND pe.id_annee_acad = ? AND e.deleted_at IS NULL
+      GROUP BY e.id
+      ORDER BY ${sort.column} ${sort.direction}, e.id
+    `;
+    const params = [promotionId, anneeId];
+    
+    if (limit !== null) {
+      sql += ' LIMIT ? OFFSET ?';
+      params.push(parseInt(limit, 10), parseInt(offset, 10));
+    }
+    
+    return this.query(sql, params);
+  }
+
   /**
-   * Crée une nouvelle année académique
+   * Compte, au total et par sexe, les étudiants inscrits dans une promotion pour une année académique
+   * @param {number} promotionId - ID de la promotion
+   * @param {number} anneeId - ID de l'année académique
+   * @returns {Promise<Object>} - Résultat avec { total, totalHomme, totalFemme, totalAutre } dans data
+   */
+  async countEtudiantsByPromotion(promotionId, anneeId) {
+    const result = await this.query(`
+      SELECT COUNT(DISTINCT e.id) AS total,
+             COUNT(DISTINCT CASE WHEN e.sexe = 'M' THEN e.id END) AS totalHomme,
+             COUNT(DISTINCT CASE WHEN e.sexe = 'F' THEN e.id END) AS totalFemme
+      FROM promotion_etudiant pe
+      JOIN administratif_etudiant ae ON pe.id_adminEtudiant = ae.id
+      JOIN etudiant e ON ae.id_etudiant = e.id
+      WHERE pe.id_promotion = ? AND pe.id_annee_acad = ? AND e.deleted_at IS NULL
+    `, [promotionId, anneeId]);
+    
+    if (!result.success) {
+      return result;
+    }
+    
+    const { total, totalHomme, totalFemme } = result.data[0];
+    return this.successResponse({
+      total,
+      totalHomme,
+      totalFemme,
+      totalAutre: total - totalHomme - totalFemme
+    });
+  }
+
+  /**
+   * ------------ MÉTHODES POUR LA GESTION DES ANNÉES ACADÉMIQUES ------------
+   */
+  
+  /**
+   * Récupère toutes les années académiques
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async getAllAnnees() {
+    return this.query('SELECT * FROM annee ORDER BY debut DESC');
+  }
+
+  /**
+   * Récupère la dernière année académique (par date de début).
+   * L'année en cours est celle marquée active : voir getActiveAnnee.
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async getLastAnnee() {
+    const result = await this.query('SELECT * FROM annee ORDER BY debut DESC LIMIT 1');
+    
+    if (result.success && (Array.isArray(result.data) && result.data.length === 0)) {
+      return this.errorResponse('Aucune année académique trouvée', 404);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Récupère l'année académique active (année en cours)
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async getActiveAnnee() {
+    const result = await this.query('SELECT * FROM annee WHERE active = 1 LIMIT 1');
+    
+    if (result.success && (Array.isArray(result.data) && result.data.length === 0)) {
+      return this.errorResponse('Aucune année académique active', 404);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Récupère l'année académique qui suit une année donnée (celle qui commence à sa fin)
+   * @param {number} anneeId - ID de l'année académique
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async getAnneeSuivante(anneeId) {
+    const annee = await this.getAnneeById(anneeId);
+    if (!annee.success) {
+      return annee;
+    }
+    
+    const result = await this.query(
+      'SELECT * FROM annee WHERE debut >= ? ORDER BY debut LIMIT 1',
+      [annee.data[0].fin]
+    );
+    
+    if (result.success && result.data.length === 0) {
+      return this.errorResponse(`Aucune année académique après ${annee.data[0].debut}-${annee.data[0].fin}`, 404);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Récupère une année académique par son ID
+   * @param {number} id - ID de l'année académique
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async getAnneeById(id) {
+    const result = await this.query('SELECT * FROM annee WHERE id = ?', [id]);
+    
+    if (result.success && (Array.isArray(result.data) && result.data.length === 0)) {
+      return this.errorResponse('Année académique non trouvée', 404);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Verrouille la table annee jusqu'à la fin de la transaction (quelques lignes seulement),
+   * pour que la vérification des chevauchements et l'écriture qui suit ne soient pas entrelacées
+   * avec celles d'une autre requête. A appeler dans transaction().
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   * @private
+   */
+  async _lockAnnees() {
+    return this.query('SELECT id FROM annee FOR UPDATE');
+  }
+
+  /**
+   * Vérifie les bornes d'une année académique et qu'elle ne chevauche aucune autre année.
+   * Deux années qui se suivent (2024-2025 puis 2025-2026) ne se chevauchent pas.
    * @param {number} debut - Année de début
    * @param {number} fin - Année de fin
-   * @returns {Promise<Object>} - Résultat avec métadonnées
+   * @param {number|null} excludeId - ID de l'année modifiée (exclue de la vérification)
+   * @returns {Promise<Object>} - Résultat en succès si l'année est valide
+   * @private
    */
-  async createAnnee(debut, fin) {
-    // Valider les années
-    if (!debut || !fin || isNaN(debut) || isNaN(fin)) {
+  async _validateAnnee(debut, fin, excludeId = null) {
+    if (!Number.isInteger(debut) || !Number.isInteger(fin)) {
       return this.errorResponse('Les années de début et de fin doivent être des nombres valides', 400);
     }
     
@@ -1054,17 +1943,58 @@ class EtudiantModel extends PromotionModel {
       return this.errorResponse('L\'année de fin doit être supérieure à l\'année de début', 400);
     }
     
-    // Vérifier si cette année académique existe déjà
-    const anneeExists = await this.query(
-      'SELECT id FROM annee WHERE debut = ? AND fin = ?',
-      [debut, fin]
+    const overlap = await this.query(
+      'SELECT id, debut, fin FROM annee WHERE debut < ? AND fin > ? AND id <> ? LIMIT 1',
+      [fin, debut, excludeId || 0]
     );
     
-    if (anneeExists.success && Array.isArray(anneeExists.data) && anneeExists.data.length > 0) {
-      return this.errorResponse('Cette année académique existe déjà', 409);
+    if (!overlap.success) {
+      return overlap;
+    }
+    
+    if (overlap.data.length > 0) {
+      const { debut: autreDebut, fin: autreFin } = overlap.data[0];
+      return this.errorResponse(
+        `L'année académique ${debut}-${fin} chevauche l'année ${autreDebut}-${autreFin}`,
+        409
+      );
     }
     
-    return this.query('INSERT INTO annee (debut, fin) VALUES (?, ?)', [debut, fin]);
+    return this.successResponse(null);
+  }
+
+  /**
+   * Crée une nouvelle année académique. La première année créée devient l'année active.
+   * @param {number} debut - Année de début
+   * @param {number} fin - Année de fin
+   * @param {Object} options - { active } pour en faire l'année active
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async createAnnee(debut, fin, options = {}) {
+    debut = Number(debut);
+    fin = Number(fin);
+    
+    return this.transaction(async (tx) => {
+      // Le chevauchement est vérifié sous verrou : deux créations simultanées ne passent pas toutes les deux
+      const locked = await tx._lockAnnees();
+      if (!locked.success) return locked;
+      
+      const valid = await tx._validateAnnee(debut, fin);
+      if (!valid.success) return valid;
+      
+      const active = await tx.query('SELECT id FROM annee WHERE active = 1 LIMIT 1');
+      if (!active.success) return active;
+      
+      const inserted = await tx.query('INSERT INTO annee (debut, fin) VALUES (?, ?)', [debut, fin]);
+      if (!inserted.success) return inserted;
+      
+      if (options.active || active.data.length === 0) {
+        const activated = await tx.setActiveAnnee(inserted.metadata.insertId);
+        if (!activated.success) return activated;
+      }
+      
+      return inserted;
+    });
   }
 
   /**
@@ -1081,29 +2011,36 @@ class EtudiantModel extends PromotionModel {
       return anneeExists;
     }
     
-    // Valider les années
-    if (!debut || !fin || isNaN(debut) || isNaN(fin)) {
-      return this.errorResponse('Les années de début et de fin doivent être des nombres valides', 400);
-    }
-    
-    if (fin <= debut) {
-      return this.errorResponse('L\'année de fin doit être supérieure à l\'année de début', 400);
-    }
-    
-    // Vérifier si une autre année académique avec ces valeurs existe déjà
-    const duplicateCheck = await this.query(
-      'SELECT id FROM annee WHERE debut = ? AND fin = ? AND id != ?',
-      [debut, fin, id]
-    );
+    debut = Number(debut);
+    fin = Number(fin);
     
-    if (duplicateCheck.success && Array.isArray(duplicateCheck.data) && duplicateCheck.data.length > 0) {
-      return this.errorResponse('Une autre année académique avec ces valeurs existe déjà', 409);
+    return this.transaction(async (tx) => {
+      const locked = await tx._lockAnnees();
+      if (!locked.success) return locked;
+      
+      const valid = await tx._validateAnnee(debut, fin, id);
+      if (!valid.success) return valid;
+      
+      return tx.query(
+        'UPDATE annee SET debut = ?, fin = ? WHERE id = ?',
+        [debut, fin, id]
+      );
+    });
+  }
+
+  /**
+   * Définit l'année académique active (une seule à la fois)
+   * @param {number} id - ID de l'année académique
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async setActiveAnnee(id) {
+    const anneeExists = await this.getAnneeById(id);
+    if (!anneeExists.success) {
+      return anneeExists;
     }
     
-    return this.query(
-      'UPDATE annee SET debut = ?, fin = ? WHERE id = ?',
-      [debut, fin, id]
-    );
+    // Une seule requête : il n'existe jamais deux années actives ni aucune entre deux étapes
+    return this.query('UPDATE annee SET active = (id = ?)', [id]);
   }
 
   /**
@@ -1118,6 +2055,10 @@ class EtudiantModel extends PromotionModel {
       return anneeExists;
     }
     
+    if (anneeExists.data[0].active) {
+      return this.errorResponse('Impossible de supprimer l\'année académique active', 409);
+    }
+    
     // Vérifier les dépendances
     const tables = [
       { name: 'promotion_etudiant', field: 'id_annee_acad' },
@@ -1159,6 +2100,7 @@ class EtudiantModel extends PromotionModel {
     
     const etudiant = etudiantResult.data[0];
     const etudiantComplet = { ...etudiant };
+    delete etudiantComplet.mdp;
     
     // Récupérer les informations administratives
     const adminResult = await this.getAdministratifEtudiant(id).catch(() => null);
@@ -1168,8 +2110,8 @@ class EtudiantModel extends PromotionModel {
     
     // Récupérer l'origine (si implémenté)
     try {
-      const origineModel = require('./OrigineModel');
-      const origineResult = await origineModel.getFormattedOrigineEtudiant(id).catch(() => null);
+      const OrigineModel = require('./OrigineModel');
+      const origineResult = await new OrigineModel().getFormattedOrigineEtudiant(id).catch(() => null);
       if (origineResult) {
         etudiantComplet.origine = origineResult;
       }
@@ -1197,18 +2139,18 @@ class EtudiantModel extends PromotionModel {
   }
 
   /**
-   * Récupère les statistiques des étudiants
+   * Récupère les statistiques des étudiants (étudiants archivés exclus)
    * @returns {Promise<Object>} - Statistiques des étudiants
    */
   async getStatistiques() {
     const stats = {};
     
     // Nombre total d'étudiants
-    const totalResult = await this.query('SELECT COUNT(*) as total FROM etudiant');
+    const totalResult = await this.query('SELECT COUNT(*) as total FROM etudiant WHERE deleted_at IS NULL');
     stats.total = totalResult.success ? totalResult.data[0].total : 0;
     
     // Répartition par sexe
-    const sexeResult = await this.query('SELECT sexe, COUNT(*) as nombre FROM etudiant GROUP BY sexe');
+    const sexeResult = await this.query('SELECT sexe, COUNT(*) as nombre FROM etudiant WHERE deleted_at IS NULL GROUP BY sexe');
     stats.par_sexe = {};
     if (sexeResult.success) {
       sexeResult.data.forEach(row => {
@@ -1239,16 +2181,13 @@ class EtudiantModel extends PromotionModel {
   }
 
   /**
-   * Recherche avancée d'étudiants avec filtres multiples
-   * @param {Object} filtres - Critères de recherche
-   * @param {Object} options - Options de pagination et de tri
-   * @returns {Promise<Object>} - Résultat avec métadonnées
+   * Construit la partie FROM / WHERE commune à rechercheAvancee et countRechercheAvancee
+   * @param {Object} filtres - Critères de recherche (includeArchived pour inclure les étudiants archivés)
+   * @returns {Object} - { sql, params }
+   * @private
    */
-  async rechercheAvancee(filtres = {}, options = {}) {
-    const { limit = null, offset = 0, sortBy = 'e.nom', sortDir = 'ASC' } = options;
-    
+  _rechercheAvanceeFrom(filtres = {}) {
     let sql = `
-      SELECT e.*
       FROM etudiant e
       LEFT JOIN administratif_etudiant ae ON e.id = ae.id_etudiant
       LEFT JOIN promotion_etudiant pe ON ae.id = pe.id_adminEtudiant
@@ -1256,7 +2195,7 @@ class EtudiantModel extends PromotionModel {
       LEFT JOIN promotion p ON pe.id_promotion = p.id
       LEFT JOIN section s ON p.id_section = s.id
       LEFT JOIN niveau n ON p.id_niveau = n.id
-      WHERE 1=1
+      WHERE ${this.notArchived('e', filtres)}
     `;
     
     const params = [];
@@ -1298,12 +2237,12 @@ class EtudiantModel extends PromotionModel {
       params.push(`%${filtres.option}%`);
     }
     
-    if (filtres.pourcentage_exetat_min) {
+    if (filtres.pourcentage_exetat_min !== undefined && filtres.pourcentage_exetat_min !== null) {
       sql += ' AND ae.pourcentage_exetat >= ?';
       params.push(filtres.pourcentage_exetat_min);
     }
     
-    if (filtres.pourcentage_exetat_max) {
+    if (filtres.pourcentage_exetat_max !== undefined && filtres.pourcentage_exetat_max !== null) {
       sql += ' AND ae.pourcentage_exetat <= ?';
       params.push(filtres.pourcentage_exetat_max);
     }
@@ -1324,8 +2263,31 @@ class EtudiantModel extends PromotionModel {
       params.push(filtres.niveau_id);
     }
     
+    return { sql, params };
+  }
+
+  /**
+   * Recherche avancée d'étudiants avec filtres multiples
+   * @param {Object} filtres - Critères de recherche
+   * @param {Object} options - Options de pagination et de tri (sortBy parmi ETUDIANT_SORT_COLUMNS)
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async rechercheAvancee(filtres = {}, options = {}) {
+    const { limit = null, offset = 0, sortBy = 'nom', sortDir = 'ASC' } = options;
+    
+    const sort = this.resolveEtudiantSort(sortBy, sortDir);
+    if (!sort) {
+      return this.errorResponse(`Tri invalide. Colonnes autorisées : ${Object.keys(ETUDIANT_SORT_COLUMNS).join(', ')}`, 400);
+    }
+    
+    const from = this._rechercheAvanceeFrom(filtres);
+    const columns = ['id', ...ETUDIANT_WRITABLE_FIELDS].map(field => `e.${field}`).join(', ');
+    
+    let sql = `SELECT ${columns} ${from.sql}`;
+    const params = [...from.params];
+    
     sql += ' GROUP BY e.id';
-    sql += ` ORDER BY ${sortBy} ${sortDir}`;
+    sql += ` ORDER BY ${sort.column} ${sort.direction}, e.id ASC`;
     
     if (limit !== null) {
       sql += ' LIMIT ? OFFSET ?';
@@ -1334,6 +2296,432 @@ class EtudiantModel extends PromotionModel {
     
     return this.query(sql, params);
   }
+
+  /**
+   * Lit, au fil de l'eau, les étudiants correspondant aux critères de rechercheAvancee pour un export.
+   * Chaque ligne contient l'identité (sans mdp), les informations administratives, l'origine
+   * (colonnes attendues par OrigineModel.formatOrigine, préfixées origine_id / id_ville / ...) et la
+   * promotion actuelle, c'est-à-dire la première du parcours tel que l'ordonne getParcoursByEtudiant.
+   * @param {Object} filtres - Critères de recherche (voir rechercheAvancee)
+   * @param {Object} options - { sortBy, sortDir } (voir ETUDIANT_SORT_COLUMNS)
+   * @returns {Object} - Résultat avec le flux de lignes dans data
+   */
+  exportRechercheAvancee(filtres = {}, options = {}) {
+    const { sortBy = 'nom', sortDir = 'ASC' } = options;
+    
+    const sort = this.resolveEtudiantSort(sortBy, sortDir);
+    if (!sort) {
+      return this.errorResponse(`Tri invalide. Colonnes autorisées : ${Object.keys(ETUDIANT_SORT_COLUMNS).join(', ')}`, 400);
+    }
+    
+    const from = this._rechercheAvanceeFrom(filtres);
+    const identite = ['id', ...ETUDIANT_WRITABLE_FIELDS].map(field => `e.${field}`).join(', ');
+    
+    // La sous-requête f applique les filtres et le tri de rechercheAvancee (un seul étudiant par ligne) ;
+    // les tables liées sont jointes sur une seule ligne par étudiant (la plus récente) pour ne pas le dupliquer
+    const sql = `
+      SELECT ${identite},
+             ae.section, ae.option, ae.annee AS annee_diplome, ae.pourcentage_exetat,
+             oe.id AS origine_id, oe.id_ville, v.nomVille,
+             pr.id AS province_id, pr.nomProvince,
+             pays.id AS pays_id, pays.nomPays, pays.codeTel,
+             cp.id AS promotion_id, cp.orientation AS promotion_orientation,
+             cs.designation AS section_designation, cn.intitule AS niveau_intitule,
+             ca.debut AS annee_debut, ca.fin AS annee_fin
+      FROM (SELECT e.id, ${sort.column} AS sort_key ${from.sql} GROUP BY e.id) f
+      JOIN etudiant e ON e.id = f.id
+      LEFT JOIN administratif_etudiant ae ON ae.id = (
+        SELECT MAX(ae2.id) FROM administratif_etudiant ae2 WHERE ae2.id_etudiant = e.id
+      )
+      LEFT JOIN origine_etudiant oe ON oe.id = (
+        SELECT MAX(oe2.id) FROM origine_etudiant oe2 WHERE oe2.id_etudiant = e.id
+      )
+      LEFT JOIN ville v ON oe.id_ville = v.id
+      LEFT JOIN province pr ON v.id_province = pr.id
+      LEFT JOIN pays ON pr.id_pays = pays.id
+      LEFT JOIN promotion_etudiant cpe ON cpe.id = (
+        SELECT pe2.id
+        FROM promotion_etudiant pe2
+        JOIN administratif_etudiant ae3 ON pe2.id_adminEtudiant = ae3.id
+        JOIN annee a2 ON pe2.id_annee_acad = a2.id
+        WHERE ae3.id_etudiant = e.id
+        ORDER BY a2.debut DESC, pe2.id DESC
+        LIMIT 1
+      )
+      LEFT JOIN promotion cp ON cpe.id_promotion = cp.id
+      LEFT JOIN section cs ON cp.id_section = cs.id
+      LEFT JOIN niveau cn ON cp.id_niveau = cn.id
+      LEFT JOIN annee ca ON cpe.id_annee_acad = ca.id
+      ORDER BY f.sort_key ${sort.direction}, e.id ASC
+    `;
+    
+    return this.successResponse(this.stream(sql, from.params));
+  }
+
+  /**
+   * Compte les étudiants correspondant aux critères de rechercheAvancee, au total et par sexe
+   * @param {Object} filtres - Critères de recherche
+   * @returns {Promise<Object>} - Résultat avec { total, totalHomme, totalFemme, totalAutre } dans data
+   */
+  async countRechercheAvancee(filtres = {}) {
+    const from = this._rechercheAvanceeFrom(filtres);
+    
+    const result = await this.query(`
+      SELECT COUNT(DISTINCT e.id) AS total,
+             COUNT(DISTINCT CASE WHEN e.sexe = 'M' THEN e.id END) AS totalHomme,
+             COUNT(DISTINCT CASE WHEN e.sexe = 'F' THEN e.id END) AS totalFemme
+      ${from.sql}
+    `, from.params);
+    
+    if (!result.success) {
+      return result;
+    }
+    
+    const { total, totalHomme, totalFemme } = result.data[0];
+    return this.successResponse({
+      total,
+      totalHomme,
+      totalFemme,
+      totalAutre: total - totalHomme - totalFemme
+    });
+  }
+
+  /**
+   * Vérifie une colonne et un sens de tri demandés par le client
+   * @param {string} sortBy - Nom public de la colonne (ex: 'nom', 'matricule')
+   * @param {string} sortDir - 'ASC' ou 'DESC'
+   * @returns {Object|null} - { column, direction } ou null si le tri n'est pas autorisé
+   */
+  resolveEtudiantSort(sortBy = 'nom', sortDir = 'ASC') {
+    const key = String(sortBy).replace(/^e\./, '');
+    const direction = String(sortDir).toUpperCase();
+    
+    if (!Object.prototype.hasOwnProperty.call(ETUDIANT_SORT_COLUMNS, key) || !['ASC', 'DESC'].includes(direction)) {
+      return null;
+    }
+    
+    return { column: ETUDIANT_SORT_COLUMNS[key], direction };
+  }
+
+  /**
+   * ------------ MÉTHODES POUR LA DÉTECTION ET LA FUSION DES DOUBLONS ------------
+   */
+
+  /**
+   * Récupère les champs utiles à la détection des doublons pour tous les étudiants non archivés
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async getEtudiantsPourDoublons() {
+    return this.query(
+      'SELECT id, matricule, nom, post_nom, prenom, sexe, date_naiss, telephone, e_mail FROM etudiant WHERE deleted_at IS NULL ORDER BY id'
+    );
+  }
+
+  /**
+   * Fusionne un doublon dans l'étudiant conservé, dans une seule transaction :
+   * - administratif_etudiant / promotion_etudiant, origine_etudiant, fiche_cotation, deliberation et
+   *   commande_enrollement du doublon sont rattachés à l'étudiant conservé
+   * - les champs vides de l'étudiant conservé sont complétés par ceux du doublon
+   * - le doublon est supprimé et la fusion est inscrite dans etudiant_merge_log
+   *
+   * La fusion est refusée (409) si les deux fiches se contredisent : inscriptions dans deux
+   * promotions différentes la même année, cotes pour la même matière et la même année, ou décisions
+   * publiées par le même jury.
+   *
+   * @param {number} survivantId - ID de l'étudiant conservé
+   * @param {number} doublonId - ID du doublon à supprimer
+   * @param {number|null} agentId - Agent qui effectue la fusion
+   * @returns {Promise<Object>} - Résultat avec { id_survivant, id_doublon, details } dans data
+   */
+  async mergeEtudiants(survivantId, doublonId, agentId = null) {
+    survivantId = parseInt(survivantId, 10);
+    doublonId = parseInt(doublonId, 10);
+
+    if (!survivantId || !doublonId) {
+      return this.errorResponse('Les IDs de l\'étudiant conservé et du doublon sont obligatoires', 400);
+    }
+
+    if (survivantId === doublonId) {
+      return this.errorResponse('Un étudiant ne peut pas être fusionné avec lui-même', 400);
+    }
+
+    const result = await this.transaction(async (tx) => {
+      const etudiants = await tx.query('SELECT * FROM etudiant WHERE id IN (?, ?) FOR UPDATE', [survivantId, doublonId]);
+      if (!etudiants.success) return etudiants;
+
+      const survivant = etudiants.data.find(row => row.id === survivantId);
+      const doublon = etudiants.data.find(row => row.id === doublonId);
+      if (!survivant || !doublon) {
+        return tx.errorResponse(survivant ? 'Doublon non trouvé' : 'Étudiant conservé non trouvé', 404);
+      }
+
+      if (survivant.deleted_at) {
+        return tx.errorResponse('L\'étudiant conservé est archivé : restaurez-le avant la fusion', 409);
+      }
+
+      const details = {};
+      const steps = [
+        () => tx._mergeAdministratif(survivantId, doublonId, details),
+        () => tx._mergeFichesCotation(survivantId, doublonId, details),
+        () => tx._mergeDeliberations(survivantId, doublonId, details),
+        () => tx._mergeRows('commande_enrollement', survivantId, doublonId, details),
+        () => tx._mergeOrigine(survivantId, doublonId, details)
+      ];
+
+      for (const step of steps) {
+        const stepResult = await step();
+        if (!stepResult.success) return stepResult;
+      }
+
+      // Le doublon est supprimé avant de compléter l'étudiant conservé (e-mail ou téléphone uniques)
+      const deleted = await tx.query('DELETE FROM etudiant WHERE id = ?', [doublonId]);
+      if (!deleted.success) return deleted;
+
+      const completions = ETUDIANT_WRITABLE_FIELDS
+        .filter(field => field !== 'matricule')
+        .filter(field => (survivant[field] === null || survivant[field] === '') && doublon[field] !== null && doublon[field] !== '');
+
+      if (completions.length > 0) {
+        const updated = await tx.query(
+          `UPDATE etudiant SET ${completions.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+          [...completions.map(field => doublon[field]), survivantId]
+        );
+        if (!updated.success) return updated;
+      }
+      details.champs_completes = completions;
+
+      const { mdp, ...doublonData } = doublon;
+      const logged = await tx.query(
+        'INSERT INTO etudiant_merge_log (id_survivant, id_doublon, doublon_data, details, id_agent) VALUES (?, ?, ?, ?, ?)',
+        [survivantId, doublonId, JSON.stringify(doublonData), JSON.stringify(details), agentId]
+      );
+      if (!logged.success) return logged;
+
+      return tx.successResponse({ id_survivant: survivantId, id_doublon: doublonId, details });
+    });
+
+    if (result.success) {
+      // Le compte du doublon n'existe plus : ses sessions ne doivent pas survivre
+      await sessionService.revokeSubject('etudiant', doublonId);
+    }
+
+    return result;
+  }
+
+  /**
+   * Récupère le journal des fusions
+   * @param {Object} options - { limit (1 à 500, 50 par défaut), offset (0 par défaut) } ; une valeur invalide prend la valeur par défaut
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async getMergeLogs(options = {}) {
+    const limit = parseInt(options.limit, 10);
+    const offset = parseInt(options.offset, 10);
+    const result = await this.query(
+      'SELECT * FROM etudiant_merge_log ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?',
+      [Number.isNaN(limit) ? 50 : Math.min(Math.max(limit, 1), 500), Number.isNaN(offset) ? 0 : Math.max(offset, 0)]
+    );
+
+    if (result.success) {
+      result.data = result.data.map(row => ({
+        ...row,
+        doublon_data: JSON.parse(row.doublon_data),
+        details: JSON.parse(row.details)
+      }));
+    }
+
+    return result;
+  }
+
+  /**
+   * Rattache les informations administratives et le parcours du doublon (étape de mergeEtudiants)
+   * @param {number} survivantId - ID de l'étudiant conservé
+   * @param {number} doublonId - ID du doublon
+   * @param {Object} details - Compte rendu de la fusion, complété par cette étape
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   * @private
+   */
+  async _mergeAdministratif(survivantId, doublonId, details) {
+    const admins = await this.query(
+      'SELECT * FROM administratif_etudiant WHERE id_etudiant IN (?, ?)',
+      [survivantId, doublonId]
+    );
+    if (!admins.success) return admins;
+
+    const survivantAdmin = admins.data.find(row => row.id_etudiant === survivantId);
+    const doublonAdmin = admins.data.find(row => row.id_etudiant === doublonId);
+    details.administratif_etudiant = 0;
+    details.promotion_etudiant = 0;
+
+    if (!doublonAdmin) {
+      return this.successResponse(details);
+    }
+
+    // Pas d'informations administratives côté conservé : celles du doublon (et son parcours) sont reprises telles quelles
+    if (!survivantAdmin) {
+      const moved = await this.query(
+        'UPDATE administratif_etudiant SET id_etudiant = ? WHERE id = ?',
+        [survivantId, doublonAdmin.id]
+      );
+      if (!moved.success) return moved;
+
+      const parcours = await this.query(
+        'SELECT COUNT(*) AS total FROM promotion_etudiant WHERE id_adminEtudiant = ?',
+        [doublonAdmin.id]
+      );
+      if (!parcours.success) return parcours;
+
+      details.administratif_etudiant = 1;
+      details.promotion_etudiant = parcours.data[0].total;
+      return this.successResponse(details);
+    }
+
+    // Sinon le parcours du doublon rejoint celui de l'étudiant conservé, année par année
+    const parcours = await this.query(
+      'SELECT * FROM promotion_etudiant WHERE id_adminEtudiant IN (?, ?)',
+      [survivantAdmin.id, doublonAdmin.id]
+    );
+    if (!parcours.success) return parcours;
+
+    const survivantParcours = parcours.data.filter(row => row.id_adminEtudiant === survivantAdmin.id);
+    for (const inscription of parcours.data.filter(row => row.id_adminEtudiant === doublonAdmin.id)) {
+      const sameYear = survivantParcours.find(row => row.id_annee_acad === inscription.id_annee_acad);
+
+      if (sameYear && sameYear.id_promotion !== inscription.id_promotion) {
+        return this.errorResponse(
+          `Fusion impossible : les deux fiches sont inscrites dans des promotions différentes pour l'année ${inscription.id_annee_acad}`,
+          409
+        );
+      }
+
+      const saved = sameYear
+        ? await this.query('DELETE FROM promotion_etudiant WHERE id = ?', [inscription.id])
+        : await this.query('UPDATE promotion_etudiant SET id_adminEtudiant = ? WHERE id = ?', [survivantAdmin.id, inscription.id]);
+      if (!saved.success) return saved;
+
+      if (!sameYear) details.promotion_etudiant++;
+    }
+
+    // Champs administratifs manquants complétés par ceux du doublon (option est un mot réservé MySQL : colonnes échappées)
+    const completions = ['section', 'option', 'annee', 'pourcentage_exetat']
+      .filter(field => survivantAdmin[field] === null && doublonAdmin[field] !== null);
+
+    if (completions.length > 0) {
+      const updated = await this.query(
+        `UPDATE administratif_etudiant SET ${completions.map(field => `\`${field}\` = ?`).join(', ')} WHERE id = ?`,
+        [...completions.map(field => doublonAdmin[field]), survivantAdmin.id]
+      );
+      if (!updated.success) return updated;
+    }
+
+    return this.query('DELETE FROM administratif_etudiant WHERE id = ?', [doublonAdmin.id]);
+  }
+
+  /**
+   * Rattache les fiches de cotation du doublon (étape de mergeEtudiants)
+   * @param {number} survivantId - ID de l'étudiant conservé
+   * @param {number} doublonId - ID du doublon
+   * @param {Object} details - Compte rendu de la fusion, complété par cette étape
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   * @private
+   */
+  async _mergeFichesCotation(survivantId, doublonId, details) {
+    const conflicts = await this.query(
+      `SELECT d.id_matiere, d.id_annee
+       FROM fiche_cotation d
+       JOIN fiche_cotation s ON s.id_matiere = d.id_matiere AND s.id_annee = d.id_annee AND s.id_etudiant = ?
+       WHERE d.id_etudiant = ?`,
+      [survivantId, doublonId]
+    );
+    if (!conflicts.success) return conflicts;
+
+    if (conflicts.data.length > 0) {
+      const list = conflicts.data.map(row => `matière ${row.id_matiere} / année ${row.id_annee}`).join(', ');
+      return this.errorResponse(`Fusion impossible : les deux fiches ont des cotes pour ${list}`, 409);
+    }
+
+    return this._mergeRows('fiche_cotation', survivantId, doublonId, details);
+  }
+
+  /**
+   * Rattache les décisions de délibération du doublon (étape de mergeEtudiants).
+   * Un jury ne garde qu'une décision par étudiant (uq_deliberation_etudiant) : quand les deux fiches ont été
+   * délibérées par le même jury, la décision du doublon est supprimée si aucune des deux n'est publiée
+   * (le jury recalcule ensuite la délibération, listée dans details.deliberations_a_recalculer), sinon la fusion
+   * est refusée.
+   * @param {number} survivantId - ID de l'étudiant conservé
+   * @param {number} doublonId - ID du doublon
+   * @param {Object} details - Compte rendu de la fusion, complété par cette étape
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   * @private
+   */
+  async _mergeDeliberations(survivantId, doublonId, details) {
+    const conflicts = await this.query(
+      `SELECT d.id, d.id_niveau_jury, d.statut, s.statut AS statut_survivant
+       FROM deliberation d
+       JOIN deliberation s ON s.id_niveau_jury = d.id_niveau_jury AND s.id_etudiant = ?
+       WHERE d.id_etudiant = ?
+       FOR UPDATE`,
+      [survivantId, doublonId]
+    );
+    if (!conflicts.success) return conflicts;
+
+    const publiees = conflicts.data.filter(row => row.statut === 'publie' || row.statut_survivant === 'publie');
+    if (publiees.length > 0) {
+      const list = publiees.map(row => row.id_niveau_jury).join(', ');
+      return this.errorResponse(
+        `Fusion impossible : les deux fiches ont une décision publiée par le même jury (niveau-jury ${list}) ; annulez la publication avant la fusion`,
+        409
+      );
+    }
+
+    for (const conflict of conflicts.data) {
+      const deleted = await this.query('DELETE FROM deliberation WHERE id = ?', [conflict.id]);
+      if (!deleted.success) return deleted;
+    }
+    details.deliberations_a_recalculer = conflicts.data.map(row => row.id_niveau_jury);
+
+    return this._mergeRows('deliberation', survivantId, doublonId, details);
+  }
+
+  /**
+   * Rattache l'origine du doublon si l'étudiant conservé n'en a pas, la supprime sinon (étape de mergeEtudiants)
+   * @param {number} survivantId - ID de l'étudiant conservé
+   * @param {number} doublonId - ID du doublon
+   * @param {Object} details - Compte rendu de la fusion, complété par cette étape
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   * @private
+   */
+  async _mergeOrigine(survivantId, doublonId, details) {
+    const existing = await this.query('SELECT id FROM origine_etudiant WHERE id_etudiant = ? LIMIT 1', [survivantId]);
+    if (!existing.success) return existing;
+
+    if (existing.data.length > 0) {
+      details.origine_etudiant = 0;
+      return this.query('DELETE FROM origine_etudiant WHERE id_etudiant = ?', [doublonId]);
+    }
+
+    return this._mergeRows('origine_etudiant', survivantId, doublonId, details);
+  }
+
+  /**
+   * Rattache toutes les lignes d'une table liée par id_etudiant (étape de mergeEtudiants)
+   * @param {string} table - Table liée
+   * @param {number} survivantId - ID de l'étudiant conservé
+   * @param {number} doublonId - ID du doublon
+   * @param {Object} details - Compte rendu de la fusion, complété par cette étape
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   * @private
+   */
+  async _mergeRows(table, survivantId, doublonId, details) {
+    const result = await this.query(`UPDATE ${table} SET id_etudiant = ? WHERE id_etudiant = ?`, [survivantId, doublonId]);
+
+    if (result.success) {
+      details[table] = result.metadata.affectedRows;
+    }
+
+    return result;
+  }
+
 }
 
 module.exports = EtudiantModel;
\ No newline at end of file
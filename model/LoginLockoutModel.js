@@ -0,0 +1,58 @@
+const Model = require('./Model');
+
+/**
+ * Modèle pour le journal des verrouillages de connexion
+ * Structure: login_lockout(id, scope, identifier, ip, failures, locked_until, created_at, unlocked_at, unlocked_by)
+ *
+ * Les compteurs de tentatives vivent dans memcached (services/loginThrottle.js) ;
+ * cette table ne garde que l'historique des verrouillages pour le suivi des attaques.
+ */
+class LoginLockoutModel extends Model {
+  /**
+   * Enregistre un verrouillage
+   * @param {Object} lockout - { scope, identifier, ip, failures, locked_until }
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async logLockout(lockout) {
+    const { scope, identifier, ip = null, failures, locked_until } = lockout;
+
+    return this.query(
+      'INSERT INTO login_lockout (scope, identifier, ip, failures, locked_until) VALUES (?, ?, ?, ?, ?)',
+      [scope, identifier, ip, failures, locked_until]
+    );
+  }
+
+  /**
+   * Récupère les verrouillages, du plus récent au plus ancien
+   * @param {Object} options - { activeOnly, limit, offset }
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async getLockouts(options = {}) {
+    const { activeOnly = false, limit = 50, offset = 0 } = options;
+
+    let sql = 'SELECT * FROM login_lockout';
+    if (activeOnly) {
+      sql += ' WHERE unlocked_at IS NULL AND locked_until > NOW()';
+    }
+    sql += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
+
+    return this.query(sql, [parseInt(limit, 10), parseInt(offset, 10)]);
+  }
+
+  /**
+   * Marque comme levés les verrouillages en cours d'un identifiant
+   * @param {string} scope - agent, admin, etudiant, user ou ip
+   * @param {string} identifier - Login normalisé ou adresse IP
+   * @param {number} agentId - ID de l'administrateur qui déverrouille
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async markUnlocked(scope, identifier, agentId) {
+    return this.query(
+      `UPDATE login_lockout SET unlocked_at = NOW(), unlocked_by = ?
+       WHERE scope = ? AND identifier = ? AND unlocked_at IS NULL AND locked_until > NOW()`,
+      [agentId, scope, identifier]
+    );
+  }
+}
+
+module.exports = LoginLockoutModel;
@@ -12,7 +12,7 @@ class Model {
    */
   async query(sql, params = []) {
     try {
-      const result = await db.query(sql, params);
+      const result = await this._execute(sql, params);
       
       return {
         success: true,
@@ -38,6 +38,95 @@ class Model {
     }
   }
 
+  /**
+   * Exécute une requête SELECT et renvoie ses lignes au fil de l'eau, sans les charger toutes en mémoire.
+   * La lecture est suspendue tant que le consommateur ne suit pas (for await, pipe).
+   * @param {string} sql - Requête SQL
+   * @param {Array} params - Paramètres pour la requête préparée
+   * @returns {Readable} - Flux d'objets (une ligne par objet) ; les erreurs SQL sont émises sur le flux
+   */
+  stream(sql, params = []) {
+    return db.pool.pool.query(sql, params).stream();
+  }
+
+  /**
+   * Exécute une requête sur le pool ; remplacé par la connexion de la transaction dans transaction()
+   * @param {string} sql - Requête SQL
+   * @param {Array} params - Paramètres pour la requête préparée
+   * @returns {Promise<*>} - Lignes ou résultat MySQL
+   * @private
+   */
+  async _execute(sql, params) {
+    return db.query(sql, params);
+  }
+
+  /**
+   * Condition SQL qui écarte les lignes archivées (suppression logique : deleted_at renseigné)
+   * @param {string} table - Nom ou alias de la table
+   * @param {Object} options - { includeArchived } pour garder aussi les lignes archivées
+   * @returns {string} - Condition à placer dans un WHERE
+   */
+  notArchived(table, options = {}) {
+    return options.includeArchived ? '1=1' : `${table}.deleted_at IS NULL`;
+  }
+
+  /**
+   * Renvoie un autre modèle travaillant sur la même connexion que celui-ci.
+   * Hors transaction, c'est le modèle lui-même ; dans transaction(), il est lié à la connexion.
+   * @param {Model} model - Modèle à utiliser
+   * @returns {Model}
+   */
+  use(model) {
+    return model;
+  }
+
+  /**
+   * Exécute plusieurs opérations dans une même transaction.
+   *
+   * Le callback reçoit une copie du modèle dont toutes les requêtes (this.query et donc
+   * toutes les méthodes existantes) passent par la connexion de la transaction.
+   * tx.use(autreModele) donne la même chose pour un autre modèle (ex: Origine).
+   *
+   * La transaction est annulée si le callback lève une erreur ou renvoie un résultat
+   * { success: false } ; elle est validée sinon.
+   *
+   * @param {Function} work - async (tx) => résultat
+   * @returns {Promise<*>} - Valeur renvoyée par le callback
+   */
+  async transaction(work) {
+    const connection = await db.pool.getConnection();
+
+    const bind = (model) => {
+      const scoped = Object.create(model);
+      scoped._execute = async (sql, params) => {
+        const [rows] = await connection.query(sql, params);
+        return rows;
+      };
+      // Une transaction imbriquée réutilise la transaction en cours
+      scoped.transaction = async (nestedWork) => nestedWork(scoped);
+      scoped.use = bind;
+      return scoped;
+    };
+
+    try {
+      await connection.beginTransaction();
+      const result = await work(bind(this));
+
+      if (result && result.success === false) {
+        await connection.rollback();
+      } else {
+        await connection.commit();
+      }
+
+      return result;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
   /**
    * Génère un message de statut basé sur les résultats de la requête
    * @param {Object} result - Résultat de la requête MySQL
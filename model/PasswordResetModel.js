@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const Model = require('./Model');
+
+/**
+ * Modèle pour la gestion des jetons de réinitialisation de mot de passe
+ * Structure: password_reset(id, user_type, user_id, token_hash, expires_at, used_at, created_at)
+ *
+ * Le jeton en clair n'est renvoyé qu'à la création (pour l'e-mail) ; seule son
+ * empreinte SHA-256 est stockée.
+ */
+class PasswordResetModel extends Model {
+  /**
+   * Calcule l'empreinte d'un jeton
+   * @param {string} token - Jeton en clair
+   * @returns {string}
+   * @private
+   */
+  _hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Crée un jeton de réinitialisation. Les jetons encore valides du même compte sont invalidés.
+   * @param {string} userType - 'agent' ou 'etudiant'
+   * @param {number} userId - ID du compte
+   * @param {number} ttlMinutes - Durée de validité en minutes
+   * @returns {Promise<Object>} - Résultat avec { token, expires_at } dans data
+   */
+  async createResetToken(userType, userId, ttlMinutes = 30) {
+    if (!['agent', 'etudiant'].includes(userType)) {
+      return this.errorResponse('Type de compte invalide', 400);
+    }
+
+    const revoked = await this.query(
+      'UPDATE password_reset SET used_at = NOW() WHERE user_type = ? AND user_id = ? AND used_at IS NULL',
+      [userType, userId]
+    );
+    if (!revoked.success) {
+      return revoked;
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+    const result = await this.query(
+      'INSERT INTO password_reset (user_type, user_id, token_hash, expires_at) VALUES (?, ?, ?, ?)',
+      [userType, userId, this._hashToken(token), expiresAt]
+    );
+    if (!result.success) {
+      return result;
+    }
+
+    return this.successResponse({ token, expires_at: expiresAt }, result.metadata);
+  }
+
+  /**
+   * Consomme un jeton : il est marqué comme utilisé de façon atomique, puis ne peut plus servir
+   * @param {string} token - Jeton en clair
+   * @returns {Promise<Object>} - Résultat avec { user_type, user_id } dans data
+   */
+  async consumeResetToken(token) {
+    if (!token) {
+      return this.errorResponse('Le jeton est obligatoire', 400);
+    }
+
+    const tokenHash = this._hashToken(token);
+
+    // L'UPDATE conditionnel garantit qu'un jeton ne peut être consommé qu'une fois,
+    // même si deux requêtes arrivent en même temps
+    const updated = await this.query(
+      'UPDATE password_reset SET used_at = NOW() WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()',
+      [tokenHash]
+    );
+    if (!updated.success) {
+      return updated;
+    }
+    if (updated.metadata.affectedRows !== 1) {
+      return this.errorResponse('Jeton invalide ou expiré', 400);
+    }
+
+    const result = await this.query(
+      'SELECT user_type, user_id FROM password_reset WHERE token_hash = ?',
+      [tokenHash]
+    );
+    if (!result.success) {
+      return result;
+    }
+
+    return this.successResponse(result.data[0]);
+  }
+}
+
+module.exports = PasswordResetModel;
@@ -1,9 +1,11 @@
 const SectionModel = require('./SectionModel');
+const { COMPOSANTES, DEFAULT_BAREME, NUMERIC_FIELDS, validateBareme } = require('../utils/bareme');
 
 /**
  * Modèle pour la gestion de la table 'promotion'
  * Structure: promotion(id, id_section, id_niveau, orientation, vision)
- * Relations: niveau(id, intitule, systeme)
+ * Relations: niveau(id, intitule, systeme, ordre)
+ *            ordre : rang du niveau dans son système (1, 2, 3...), utilisé pour le passage au niveau suivant
  */
 class PromotionModel extends SectionModel {
   /**
@@ -18,6 +20,7 @@ class PromotionModel extends SectionModel {
       SELECT p.*, 
              n.intitule as niveau_intitule, 
              n.systeme as niveau_systeme,
+             n.ordre as niveau_ordre,
              s.designation as section_designation
       FROM promotion p
       JOIN niveau n ON p.id_niveau = n.id
@@ -295,9 +298,10 @@ class PromotionModel extends SectionModel {
    * Crée un nouveau niveau
    * @param {string} intitule - Intitulé du niveau
    * @param {string} systeme - Système du niveau
+   * @param {number|null} ordre - Rang du niveau dans son système
    * @returns {Promise<Object>} - Résultat avec métadonnées
    */
-  async createNiveau(intitule, systeme) {
+  async createNiveau(intitule, systeme, ordre = null) {
     if (!intitule || intitule.trim() === '') {
       return this.errorResponse('Intitule is required', 400);
     }
@@ -309,7 +313,7 @@ class PromotionModel extends SectionModel {
       return this.errorResponse('A niveau with this intitule already exists', 409);
     }
     
-    return this.query('INSERT INTO niveau (intitule, systeme) VALUES (?, ?)', [intitule, systeme]);
+    return this.query('INSERT INTO niveau (intitule, systeme, ordre) VALUES (?, ?, ?)', [intitule, systeme, ordre]);
   }
 
   /**
@@ -317,9 +321,10 @@ class PromotionModel extends SectionModel {
    * @param {number} id - ID du niveau
    * @param {string} intitule - Nouvel intitulé
    * @param {string} systeme - Nouveau système
+   * @param {number} ordre - Nouveau rang dans le système
    * @returns {Promise<Object>} - Résultat avec métadonnées
    */
-  async updateNiveau(id, intitule, systeme) {
+  async updateNiveau(id, intitule, systeme, ordre) {
     // Vérifier si le niveau existe
     const niveauExists = await this.getNiveauById(id);
     if (!niveauExists.success) {
@@ -327,7 +332,7 @@ class PromotionModel extends SectionModel {
     }
     
     // Vérifier si les données sont fournies
-    if ((!intitule || intitule.trim() === '') && !systeme) {
+    if ((!intitule || intitule.trim() === '') && !systeme && ordre === undefined) {
       return this.errorResponse('No valid data provided for update', 400);
     }
     
@@ -356,6 +361,11 @@ class PromotionModel extends SectionModel {
       params.push(systeme);
     }
     
+    if (ordre !== undefined) {
+      updates.push('ordre = ?');
+      params.push(ordre);
+    }
+    
     params.push(id);
     return this.query(`UPDATE niveau SET ${updates.join(', ')} WHERE id = ?`, params);
   }
@@ -538,6 +548,7 @@ class PromotionModel extends SectionModel {
       SELECT aa.*, a.nom, a.post_nom, a.prenom, a.matricule
       FROM administratif_agent aa
       JOIN agent a ON aa.id_agent = a.id
+      WHERE a.deleted_at IS NULL
       ORDER BY a.nom, a.post_nom, a.prenom
     `);
   }
@@ -638,7 +649,7 @@ class PromotionModel extends SectionModel {
       SELECT a.*, aa.diplome, aa.niveau
       FROM agent a
       JOIN administratif_agent aa ON a.id = aa.id_agent
-      WHERE 1=1
+      WHERE ${this.notArchived('a', options)}
     `;
     const params = [];
     
@@ -1068,6 +1079,7 @@ async getAllUnites(options = {}) {
              u.code as unite_code,
              p.id as promotion_id,
              p.orientation as promotion_orientation,
+             p.id_section, p.id_niveau,
              s.designation as section_designation,
              n.intitule as niveau_intitule
       FROM matiere m
@@ -1321,6 +1333,390 @@ async getAllUnites(options = {}) {
     return this.query('DELETE FROM matiere WHERE id = ?', [id]);
   }
   
+  /**
+   * ------------ MÉTHODES POUR LA GESTION DES BARÈMES DE COTATION ------------
+   * Structure: bareme_cotation(id, id_matiere, id_promotion, id_annee, max_tp, max_td, max_examen, max_rattrapage,
+   *            poids_tp, poids_td, poids_examen, echelle, seuil, politique_rattrapage, portee)
+   * Un barème s'applique à partir de l'année id_annee, jusqu'à l'année d'un barème plus récent de même portée ;
+   * id_annee nul (barèmes antérieurs à la datation) : années qu'aucun barème daté ne couvre.
+   * Voir utils/bareme.js pour le calcul des notes.
+   */
+
+  /**
+   * Sous-requête scalaire : ID du barème d'une portée en vigueur l'année ab
+   * @private
+   * @param {string} portee - Condition sur b (ex: 'b.id_matiere = mb.id')
+   * @returns {string}
+   */
+  _baremeEnVigueurSql(portee) {
+    return `(
+        SELECT b.id FROM bareme_cotation b
+        LEFT JOIN annee ba ON b.id_annee = ba.id
+        WHERE ${portee} AND (b.id_annee IS NULL OR ba.debut <= ab.debut)
+        ORDER BY b.id_annee IS NULL, ba.debut DESC
+        LIMIT 1
+      )`;
+  }
+
+  /**
+   * Sous-requête donnant le barème applicable à chaque matière pour chaque année (à joindre sur id_matiere
+   * et id_annee) : celui de la matière, sinon celui de sa promotion, sinon le barème général, sinon DEFAULT_BAREME.
+   * origine vaut matiere, promotion, general ou defaut.
+   * @returns {string}
+   */
+  baremeMatiereSql() {
+    const columns = Object.keys(DEFAULT_BAREME).map(field => {
+      const fallback = typeof DEFAULT_BAREME[field] === 'string' ? `'${DEFAULT_BAREME[field]}'` : DEFAULT_BAREME[field];
+      return `COALESCE(bm.${field}, bp.${field}, bg.${field}, ${fallback}) AS ${field}`;
+    });
+
+    return `
+      SELECT mb.id AS id_matiere, ab.id AS id_annee, ub.id_promotion,
+             ${columns.join(',\n             ')},
+             COALESCE(bm.id, bp.id, bg.id) AS id_bareme,
+             CASE
+               WHEN bm.id IS NOT NULL THEN 'matiere'
+               WHEN bp.id IS NOT NULL THEN 'promotion'
+               WHEN bg.id IS NOT NULL THEN 'general'
+               ELSE 'defaut'
+             END AS origine
+      FROM matiere mb
+      JOIN unite ub ON mb.id_unite = ub.id
+      CROSS JOIN annee ab
+      LEFT JOIN bareme_cotation bm ON bm.id = ${this._baremeEnVigueurSql('b.id_matiere = mb.id')}
+      LEFT JOIN bareme_cotation bp ON bp.id = ${this._baremeEnVigueurSql('b.id_promotion = ub.id_promotion AND b.id_matiere IS NULL')}
+      LEFT JOIN bareme_cotation bg ON bg.id = ${this._baremeEnVigueurSql('b.id_matiere IS NULL AND b.id_promotion IS NULL')}
+    `;
+  }
+
+  /**
+   * Expressions SQL des notes d'une fiche fc selon son barème b, sur l'échelle du barème :
+   * session = echelle × Σ (poids × cote / max) / Σ poids, rattrapage = echelle × rattrapage / max_rattrapage.
+   * Sans barème configuré, b porte DEFAULT_BAREME et la même formule s'applique.
+   * @returns {Object} - { session, rattrapage }
+   */
+  noteSql() {
+    const session = COMPOSANTES.map(cote => `b.poids_${cote} * fc.${cote} / b.max_${cote}`).join(' + ');
+    const poids = COMPOSANTES.map(cote => `b.poids_${cote}`).join(' + ');
+
+    return {
+      session: `ROUND(b.echelle * (${session}) / (${poids}), 2)`,
+      rattrapage: 'ROUND(fc.rattrapage * b.echelle / b.max_rattrapage, 2)'
+    };
+  }
+
+  /**
+   * Sous-requête remplaçant fiche_cotation (à utiliser avec un alias, ex: FROM (...) fc) : toutes les colonnes
+   * de la fiche, plus ses notes calculées selon le barème de sa matière pour l'année de la fiche (voir noteSql) :
+   * total (note de session), note_rattrapage et note_finale sur l'échelle du barème, echelle, seuil,
+   * politique_rattrapage, bareme_origine, valide (1 ou 0) et resultat.
+   * @returns {string}
+   */
+  ficheCotationSql() {
+    const notes = this.noteSql();
+
+    return `
+      SELECT n.*,
+             COALESCE(n.note_finale >= n.seuil, 0) AS valide,
+             CASE
+               WHEN n.rattrapage IS NULL AND n.total >= n.seuil THEN 'Réussi'
+               WHEN n.rattrapage IS NULL THEN 'Échoué'
+               WHEN n.note_finale >= n.seuil AND n.total >= n.seuil THEN 'Réussi'
+               WHEN n.note_finale >= n.seuil THEN 'Réussi via rattrapage'
+               ELSE 'Échoué après rattrapage'
+             END AS resultat
+      FROM (
+        SELECT s.*,
+               CASE
+                 WHEN s.rattrapage IS NULL THEN s.total
+                 WHEN s.politique_rattrapage = 'remplace' THEN s.note_rattrapage
+                 WHEN s.politique_rattrapage = 'plafonnee' THEN GREATEST(s.total, LEAST(s.note_rattrapage, s.seuil))
+                 ELSE GREATEST(s.total, s.note_rattrapage)
+               END AS note_finale
+        FROM (
+          SELECT fc.*,
+                 ${notes.session} AS total,
+                 ${notes.rattrapage} AS note_rattrapage,
+                 b.echelle, b.seuil, b.politique_rattrapage, b.origine AS bareme_origine
+          FROM fiche_cotation fc
+          JOIN (${this.baremeMatiereSql()}) b ON b.id_matiere = fc.id_matiere AND b.id_annee = fc.id_annee
+        ) s
+      ) n
+    `;
+  }
+
+  /**
+   * Convertit les colonnes numériques d'un barème lu en base (DECIMAL renvoyés en texte)
+   * @param {Object} row - Ligne de bareme_cotation ou de baremeMatiereSql
+   * @returns {Object}
+   */
+  formatBareme(row) {
+    const bareme = { ...row };
+    for (const field of NUMERIC_FIELDS) {
+      bareme[field] = Number(row[field]);
+    }
+    return bareme;
+  }
+
+  /**
+   * Récupère les barèmes configurés
+   * @param {Object} filters - { matiereId, promotionId, anneeId } (absents : tous) ;
+   *                           anneeId : barèmes datés de cette année
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async getBaremes(filters = {}) {
+    const { matiereId = null, promotionId = null, anneeId = null } = filters;
+
+    let sql = `
+      SELECT b.*,
+             m.designation as matiere_designation, m.code as matiere_code,
+             COALESCE(b.id_promotion, u.id_promotion) as promotion_id,
+             a.debut as annee_debut, a.fin as annee_fin
+      FROM bareme_cotation b
+      LEFT JOIN matiere m ON b.id_matiere = m.id
+      LEFT JOIN unite u ON m.id_unite = u.id
+      LEFT JOIN annee a ON b.id_annee = a.id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (matiereId) {
+      sql += ' AND b.id_matiere = ?';
+      params.push(matiereId);
+    }
+
+    if (promotionId) {
+      sql += ' AND COALESCE(b.id_promotion, u.id_promotion) = ?';
+      params.push(promotionId);
+    }
+
+    if (anneeId) {
+      sql += ' AND b.id_annee = ?';
+      params.push(anneeId);
+    }
+
+    sql += ' ORDER BY b.id_matiere IS NOT NULL, b.id_promotion IS NOT NULL, promotion_id, b.id_matiere, a.debut';
+
+    const result = await this.query(sql, params);
+    if (!result.success) {
+      return result;
+    }
+
+    return this.successResponse(result.data.map(row => this.formatBareme(row)), result.metadata);
+  }
+
+  /**
+   * Récupère le barème applicable à une matière pour une année académique
+   * @param {number} matiereId - ID de la matière
+   * @param {number} anneeId - ID de l'année académique
+   * @returns {Promise<Object>} - Résultat avec le barème dans data (origine : matiere, promotion, general ou defaut)
+   */
+  async getBaremeMatiere(matiereId, anneeId) {
+    const result = await this.query(
+      `SELECT b.* FROM (${this.baremeMatiereSql()}) b WHERE b.id_matiere = ? AND b.id_annee = ?`,
+      [matiereId, anneeId]
+    );
+
+    if (!result.success) {
+      return result;
+    }
+
+    if (result.data.length === 0) {
+      return this.errorResponse('Matière ou année académique non trouvée', 404);
+    }
+
+    return this.successResponse(this.formatBareme(result.data[0]));
+  }
+
+  /**
+   * Refuse la modification d'un barème qui s'applique à une délibération publiée
+   * @private
+   * @param {number} baremeId - ID du barème
+   * @returns {Promise<Object|null>} - Erreur 409, erreur de requête ou null
+   */
+  async _baremePublie(baremeId) {
+    const result = await this.query(`
+      SELECT a.debut, a.fin
+      FROM (${this.baremeMatiereSql()}) b
+      JOIN deliberation d ON d.id_annee = b.id_annee AND d.id_promotion = b.id_promotion AND d.statut = 'publie'
+      JOIN annee a ON b.id_annee = a.id
+      WHERE b.id_bareme = ?
+      LIMIT 1
+    `, [baremeId]);
+
+    if (!result.success) {
+      return result;
+    }
+
+    if (result.data.length > 0) {
+      const { debut, fin } = result.data[0];
+      return this.errorResponse(
+        `Ce barème s'applique à une délibération publiée (${debut}-${fin}) : annulez la publication ou datez le barème d'une année suivante`,
+        409
+      );
+    }
+
+    return null;
+  }
+
+  /**
+   * Refuse un barème dont une cote maximale est inférieure à des cotes déjà saisies
+   * @private
+   * @param {string} condition - Condition sur b (barème applicable, voir baremeMatiereSql)
+   * @param {Array} params - Paramètres de la condition
+   * @returns {Promise<Object|null>} - Erreur 409, erreur de requête ou null
+   */
+  async _cotesHorsBareme(condition, params) {
+    const depassements = [...COMPOSANTES, 'rattrapage'].map(cote => `fc.${cote} > b.max_${cote}`).join(' OR ');
+    const result = await this.query(`
+      SELECT COUNT(*) AS total
+      FROM fiche_cotation fc
+      JOIN (${this.baremeMatiereSql()}) b ON b.id_matiere = fc.id_matiere AND b.id_annee = fc.id_annee
+      WHERE (${condition}) AND (${depassements})
+    `, params);
+
+    if (!result.success) {
+      return result;
+    }
+
+    const total = Number(result.data[0].total);
+    if (total > 0) {
+      return this.errorResponse(`${total} fiche(s) de cotation ont des cotes supérieures aux maximums de ce barème`, 409);
+    }
+
+    return null;
+  }
+
+  /**
+   * Définit le barème d'une matière, d'une promotion ou le barème général à partir d'une année académique
+   * (remplace le barème de même portée daté de cette année). Les années précédentes gardent leur barème.
+   * Les champs absents prennent la valeur par défaut (voir utils/bareme.js).
+   * Refusé si le barème s'applique à une délibération publiée ou si des cotes saisies dépassent ses maximums.
+   * @param {Object} scope - { matiereId } ou { promotionId } (aucun des deux : barème général), et anneeId
+   * @param {Object} baremeData - max_tp, max_td, max_examen, max_rattrapage, poids_tp, poids_td, poids_examen,
+   *                              echelle, seuil, politique_rattrapage
+   * @returns {Promise<Object>} - Résultat avec le barème enregistré dans data
+   */
+  async setBareme(scope, baremeData) {
+    const { matiereId = null, promotionId = null, anneeId = null } = scope;
+
+    if (matiereId && promotionId) {
+      return this.errorResponse('Un barème porte sur une matière ou sur une promotion, pas les deux', 400);
+    }
+
+    if (!anneeId) {
+      return this.errorResponse('L\'année académique à partir de laquelle le barème s\'applique est obligatoire', 400);
+    }
+
+    const { bareme, errors } = validateBareme(baremeData);
+    if (errors) {
+      return this.errorResponse(errors.join(' ; '), 400);
+    }
+
+    if (matiereId) {
+      const matiere = await this.query('SELECT id FROM matiere WHERE id = ?', [matiereId]);
+      if (matiere.success && matiere.data.length === 0) {
+        return this.errorResponse('Matière non trouvée', 404);
+      }
+    }
+
+    if (promotionId) {
+      const promotion = await this.query('SELECT id FROM promotion WHERE id = ?', [promotionId]);
+      if (promotion.success && promotion.data.length === 0) {
+        return this.errorResponse('Promotion non trouvée', 404);
+      }
+    }
+
+    const annee = await this.query('SELECT id FROM annee WHERE id = ?', [anneeId]);
+    if (annee.success && annee.data.length === 0) {
+      return this.errorResponse('Année académique non trouvée', 404);
+    }
+
+    const fields = Object.keys(DEFAULT_BAREME);
+    const values = fields.map(field => bareme[field]);
+
+    // Les vérifications portent sur l'état après l'écriture : une erreur annule la transaction
+    return this.transaction(async (tx) => {
+      const existing = await tx.query(
+        'SELECT id FROM bareme_cotation WHERE id_matiere <=> ? AND id_promotion <=> ? AND id_annee = ? FOR UPDATE',
+        [matiereId, promotionId, anneeId]
+      );
+
+      if (!existing.success) {
+        return existing;
+      }
+
+      let id;
+      if (existing.data.length > 0) {
+        id = existing.data[0].id;
+        const updated = await tx.query(
+          `UPDATE bareme_cotation SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+          [...values, id]
+        );
+        if (!updated.success) {
+          return updated;
+        }
+      } else {
+        const inserted = await tx.query(
+          `INSERT INTO bareme_cotation (id_matiere, id_promotion, id_annee, ${fields.join(', ')})
+           VALUES (?, ?, ?, ${fields.map(() => '?').join(', ')})`,
+          [matiereId, promotionId, anneeId, ...values]
+        );
+        if (!inserted.success) {
+          return inserted;
+        }
+        id = inserted.metadata.insertId;
+      }
+
+      const refus = await tx._baremePublie(id) || await tx._cotesHorsBareme('b.id_bareme = ?', [id]);
+      if (refus) {
+        return refus;
+      }
+
+      return tx.successResponse({ id, id_matiere: matiereId, id_promotion: promotionId, id_annee: anneeId, ...bareme });
+    });
+  }
+
+  /**
+   * Supprime un barème configuré (le barème précédent de même portée, ou plus général, s'applique de nouveau).
+   * Refusé si le barème s'applique à une délibération publiée ou si des cotes saisies dépassent
+   * les maximums du barème qui le remplace.
+   * @param {number} id - ID du barème
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async deleteBareme(id) {
+    return this.transaction(async (tx) => {
+      const bareme = await tx.query('SELECT * FROM bareme_cotation WHERE id = ? FOR UPDATE', [id]);
+      if (!bareme.success) {
+        return bareme;
+      }
+
+      if (bareme.data.length === 0) {
+        return tx.errorResponse('Barème non trouvé', 404);
+      }
+
+      const publie = await tx._baremePublie(id);
+      if (publie) {
+        return publie;
+      }
+
+      const result = await tx.query('DELETE FROM bareme_cotation WHERE id = ?', [id]);
+      if (!result.success) {
+        return result;
+      }
+
+      // Matières que couvrait le barème supprimé
+      const { id_matiere: matiereId, id_promotion: promotionId } = bareme.data[0];
+      const horsBareme = matiereId
+        ? await tx._cotesHorsBareme('b.id_matiere = ?', [matiereId])
+        : promotionId
+          ? await tx._cotesHorsBareme('b.id_promotion = ?', [promotionId])
+          : await tx._cotesHorsBareme('1 = 1', []);
+
+      return horsBareme || result;
+    });
+  }
+
   /**
    * ------------ MÉTHODES UTILITAIRES POUR LES UNITÉS ET MATIÈRES ------------
    */
@@ -0,0 +1,331 @@
+const Model = require('./Model');
+const {
+  validatePattern,
+  contextTokens,
+  sectionInitials,
+  renderPattern,
+  sequenceMatcher
+} = require('../utils/codePattern');
+
+/**
+ * Modèle pour la génération des codes séquentiels (matricules, codes de jury)
+ * Structure des tables:
+ * - code_sequence(counter_key, value, updated_at)
+ * - code_pattern(id, target, id_section, id_annee, pattern, created_at)
+ *
+ * Chaque préfixe produit par un modèle (ex: "GI-25-") a son propre compteur. Le compteur
+ * est incrémenté dans une transaction : la ligne reste verrouillée jusqu'à la fin de
+ * celle-ci, deux générations simultanées obtiennent donc deux numéros différents.
+ * Un compteur créé pour la première fois repart du plus grand numéro déjà attribué.
+ */
+
+// Types de codes générés : colonne qui les stocke et modèle utilisé sans configuration
+const CODE_TARGETS = {
+  matricule: {
+    table: 'etudiant',
+    column: 'matricule',
+    defaultPattern: process.env.MATRICULE_PATTERN || 'E{YY}{SEQ:4}'
+  },
+  jury: {
+    table: 'jury',
+    column: 'code',
+    defaultPattern: process.env.JURY_CODE_PATTERN || '{SECTION}-{SEQ:3}'
+  }
+};
+
+// Nombre de numéros essayés quand le code produit est déjà pris (code saisi à la main)
+const MAX_ATTEMPTS = 20;
+
+class SequenceModel extends Model {
+  /**
+   * ------------ MÉTHODES POUR LA GESTION DES MODÈLES DE CODES ------------
+   */
+
+  /**
+   * Récupère les modèles configurés
+   * @param {string|null} target - Type de code (matricule, jury) ou null pour tous
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async getPatterns(target = null) {
+    if (target) {
+      return this.query(
+        'SELECT * FROM code_pattern WHERE target = ? ORDER BY id_section, id_annee',
+        [target]
+      );
+    }
+
+    return this.query('SELECT * FROM code_pattern ORDER BY target, id_section, id_annee');
+  }
+
+  /**
+   * Récupère le modèle applicable : section et année, puis section seule, puis année seule,
+   * puis modèle général, et à défaut le modèle par défaut du type de code
+   * @param {string} target - Type de code
+   * @param {Object} context - { sectionId, anneeId }
+   * @returns {Promise<Object>} - Résultat avec { pattern, id } dans data (id null pour le modèle par défaut)
+   */
+  async getPattern(target, context = {}) {
+    if (!CODE_TARGETS[target]) {
+      return this.errorResponse(`Type de code inconnu : ${target}`, 400);
+    }
+
+    const { sectionId = null, anneeId = null } = context;
+    const result = await this.query(
+      `SELECT id, pattern FROM code_pattern
+       WHERE target = ?
+         AND (id_section = ? OR id_section IS NULL)
+         AND (id_annee = ? OR id_annee IS NULL)
+       ORDER BY id_section IS NULL, id_annee IS NULL, id DESC
+       LIMIT 1`,
+      [target, sectionId, anneeId]
+    );
+
+    if (!result.success) {
+      return result;
+    }
+
+    if (result.data.length === 0) {
+      return this.successResponse({ id: null, pattern: CODE_TARGETS[target].defaultPattern });
+    }
+
+    return this.successResponse(result.data[0]);
+  }
+
+  /**
+   * Définit le modèle d'un type de code pour une section et/ou une année (remplace l'existant)
+   * @param {string} target - Type de code
+   * @param {string} pattern - Modèle (voir utils/codePattern.js)
+   * @param {Object} scope - { sectionId, anneeId } (null : toutes)
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async setPattern(target, pattern, scope = {}) {
+    if (!CODE_TARGETS[target]) {
+      return this.errorResponse(`Type de code inconnu : ${target}`, 400);
+    }
+
+    const errors = validatePattern(pattern);
+    if (errors.length > 0) {
+      return this.errorResponse(errors.join(' ; '), 400);
+    }
+
+    const { sectionId = null, anneeId = null } = scope;
+
+    if (sectionId) {
+      const section = await this.query('SELECT id FROM section WHERE id = ?', [sectionId]);
+      if (section.success && section.data.length === 0) {
+        return this.errorResponse('Section non trouvée', 404);
+      }
+    }
+
+    if (anneeId) {
+      const annee = await this.query('SELECT id FROM annee WHERE id = ?', [anneeId]);
+      if (annee.success && annee.data.length === 0) {
+        return this.errorResponse('Année académique non trouvée', 404);
+      }
+    }
+
+    const existing = await this.query(
+      'SELECT id FROM code_pattern WHERE target = ? AND id_section <=> ? AND id_annee <=> ?',
+      [target, sectionId, anneeId]
+    );
+
+    if (!existing.success) {
+      return existing;
+    }
+
+    if (existing.data.length > 0) {
+      return this.query('UPDATE code_pattern SET pattern = ? WHERE id = ?', [pattern, existing.data[0].id]);
+    }
+
+    return this.query(
+      'INSERT INTO code_pattern (target, id_section, id_annee, pattern) VALUES (?, ?, ?, ?)',
+      [target, sectionId, anneeId, pattern]
+    );
+  }
+
+  /**
+   * Supprime un modèle configuré (le modèle plus général s'applique de nouveau)
+   * @param {number} id - ID du modèle
+   * @returns {Promise<Object>} - Résultat avec métadonnées
+   */
+  async deletePattern(id) {
+    const result = await this.query('DELETE FROM code_pattern WHERE id = ?', [id]);
+
+    if (result.success && result.metadata.affectedRows === 0) {
+      return this.errorResponse('Modèle non trouvé', 404);
+    }
+
+    return result;
+  }
+
+  /**
+   * ------------ MÉTHODES POUR LA GÉNÉRATION DES CODES ------------
+   */
+
+  /**
+   * Détermine le modèle applicable et la valeur de ses jetons de contexte
+   * @param {string} target - Type de code
+   * @param {Object} context - { sectionId, anneeId }
+   * @returns {Promise<Object>} - Résultat avec { pattern, values } dans data
+   */
+  async resolvePattern(target, context = {}) {
+    const patternResult = await this.getPattern(target, context);
+    if (!patternResult.success) {
+      return patternResult;
+    }
+
+    const { pattern } = patternResult.data;
+    const tokens = contextTokens(pattern);
+    const values = {};
+
+    if (tokens.includes('SECTION')) {
+      if (!context.sectionId) {
+        return this.errorResponse(`Le modèle ${pattern} nécessite une section`, 400);
+      }
+
+      const section = await this.query('SELECT designation FROM section WHERE id = ?', [context.sectionId]);
+      if (!section.success) {
+        return section;
+      }
+      if (section.data.length === 0) {
+        return this.errorResponse('Section non trouvée', 404);
+      }
+
+      values.SECTION = sectionInitials(section.data[0].designation);
+      if (!values.SECTION) {
+        return this.errorResponse('Impossible de calculer les initiales de la section', 400);
+      }
+    }
+
+    if (tokens.includes('YY') || tokens.includes('YYYY')) {
+      let year = new Date().getFullYear();
+
+      if (context.anneeId) {
+        const annee = await this.query('SELECT debut FROM annee WHERE id = ?', [context.anneeId]);
+        if (!annee.success) {
+          return annee;
+        }
+        if (annee.data.length === 0) {
+          return this.errorResponse('Année académique non trouvée', 404);
+        }
+        year = annee.data[0].debut;
+      }
+
+      values.YYYY = String(year);
+      values.YY = String(year).slice(-2);
+    }
+
+    return this.successResponse({ pattern, values });
+  }
+
+  /**
+   * Génère le prochain code d'un type donné. À appeler via tx.use(...) pour que le compteur
+   * fasse partie d'une transaction plus large ; sinon le numéro est réservé immédiatement
+   * (un numéro peut alors être perdu si l'enregistrement qui suit échoue).
+   * @param {string} target - Type de code (matricule, jury)
+   * @param {Object} context - { sectionId, anneeId }
+   * @returns {Promise<Object>} - Résultat avec le code dans data
+   */
+  async generateCode(target, context = {}) {
+    const resolved = await this.resolvePattern(target, context);
+    if (!resolved.success) {
+      return resolved;
+    }
+
+    const { pattern, values } = resolved.data;
+    const { table, column } = CODE_TARGETS[target];
+    const counterKey = `${target}:${renderPattern(pattern, values, null)}`;
+
+    return this.transaction(async (tx) => {
+      for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const next = await tx._nextValue(counterKey, () => tx._maxExistingSequence(target, pattern, values));
+        if (!next.success) {
+          return next;
+        }
+
+        const code = renderPattern(pattern, values, next.data);
+        const taken = await tx.query(`SELECT 1 FROM ${table} WHERE ${column} = ? LIMIT 1`, [code]);
+        if (!taken.success) {
+          return taken;
+        }
+
+        if (taken.data.length === 0) {
+          return tx.successResponse(code);
+        }
+      }
+
+      return tx.errorResponse('Impossible de générer un code unique', 409);
+    });
+  }
+
+  /**
+   * Incrémente un compteur et renvoie sa nouvelle valeur (doit être appelé dans une transaction)
+   * @param {string} counterKey - Clé du compteur
+   * @param {Function} seed - async () => résultat avec le dernier numéro déjà attribué, appelé si le compteur n'existe pas
+   * @returns {Promise<Object>} - Résultat avec la valeur dans data
+   * @private
+   */
+  async _nextValue(counterKey, seed) {
+    const updated = await this.query(
+      'UPDATE code_sequence SET value = value + 1 WHERE counter_key = ?',
+      [counterKey]
+    );
+    if (!updated.success) {
+      return updated;
+    }
+
+    if (updated.metadata.affectedRows === 0) {
+      const last = await seed();
+      if (!last.success) {
+        return last;
+      }
+
+      // Un autre appel a pu créer le compteur entre-temps : on l'incrémente alors normalement
+      const inserted = await this.query(
+        'INSERT INTO code_sequence (counter_key, value) VALUES (?, ?) ON DUPLICATE KEY UPDATE value = value + 1',
+        [counterKey, last.data + 1]
+      );
+      if (!inserted.success) {
+        return inserted;
+      }
+    }
+
+    const current = await this.query('SELECT value FROM code_sequence WHERE counter_key = ?', [counterKey]);
+    if (!current.success) {
+      return current;
+    }
+
+    return this.successResponse(current.data[0].value);
+  }
+
+  /**
+   * Cherche le plus grand numéro déjà attribué pour un modèle et un contexte
+   * @param {string} target - Type de code
+   * @param {string} pattern - Modèle
+   * @param {Object} values - Valeurs des jetons de contexte
+   * @returns {Promise<Object>} - Résultat avec le numéro dans data (0 si aucun)
+   * @private
+   */
+  async _maxExistingSequence(target, pattern, values) {
+    const { table, column } = CODE_TARGETS[target];
+    const prefix = renderPattern(pattern, values, null).split('{SEQ}')[0];
+
+    const result = await this.query(
+      `SELECT ${column} AS code FROM ${table} WHERE ${column} LIKE ?`,
+      [`${prefix.replace(/[\\%_]/g, '\\$&')}%`]
+    );
+    if (!result.success) {
+      return result;
+    }
+
+    const matcher = sequenceMatcher(pattern, values);
+    const max = result.data.reduce((highest, row) => {
+      const match = matcher.exec(row.code || '');
+      return match ? Math.max(highest, parseInt(match[1], 10)) : highest;
+    }, 0);
+
+    return this.successResponse(max);
+  }
+}
+
+module.exports = SequenceModel;
@@ -4,6 +4,10 @@ const SectionModel = require('./SectionModel');
 const PromotionModel = require('./PromotionModel');
 const EtudiantModel = require('./EtudiantModel');
 const CotesModel = require('./CotesModel');
+const DeliberationModel = require('./DeliberationModel');
+const PasswordResetModel = require('./PasswordResetModel');
+const LoginLockoutModel = require('./LoginLockoutModel');
+const SequenceModel = require('./SequenceModel');
 
 /**
  * Exporte tous les modèles dans un objet unique
@@ -16,7 +20,11 @@ module.exports = {
     Section: new SectionModel(),
     Promotion: new PromotionModel(),
     Etudiant: new EtudiantModel(),
-    Cotes: new CotesModel()
+    Cotes: new CotesModel(),
+    Deliberation: new DeliberationModel(),
+    PasswordReset: new PasswordResetModel(),
+    LoginLockout: new LoginLockoutModel(),
+    Sequence: new SequenceModel()
 };
 
 /**
@@ -1,13 +1,90 @@
 const express = require('express');
 const router = express.Router();
 const { Etudiant } = require('../model');
+const { authenticateToken, requireAdmin, adminOnlyMutations } = require('../middleware/auth');
+const { getStatusCode } = require('../utils/http');
+const { previewPassage, appliquerPassage } = require('../services/anneeRollover');
 
+// Toute opération d'écriture est réservée aux administrateurs
+router.use(adminOnlyMutations);
+
+/**
+ * Répond avec l'année académique enregistrée
+ * @param {Object} res - Réponse Express
+ * @param {Object} result - Résultat du modèle
+ * @param {number} id - ID de l'année
+ * @param {number} status - Code HTTP en cas de succès
+ * @param {string} message - Message de succès
+ */
+const sendSavedAnnee = async (res, result, id, status, message) => {
+    if (!result.success) {
+        return res.status(getStatusCode(result)).json({
+            success: false,
+            message: result.error
+        });
+    }
+
+    const saved = await Etudiant.getAnneeById(id);
+
+    return res.status(status).json({
+        success: true,
+        message,
+        data: saved.success ? saved.data[0] : { id }
+    });
+};
+
+/**
+ * Convertit un identifiant optionnel
+ * @param {*} value - Valeur reçue
+ * @returns {number|null}
+ */
+const optionalId = (value) => (value === undefined || value === null || value === '' ? null : parseInt(value, 10));
+
+/**
+ * @route   GET /api/annees
+ * @desc    Liste les années académiques (la plus récente d'abord)
+ * @access  Private
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const result = await Etudiant.getAllAnnees();
+
+        if (!result.success) {
+            return res.status(getStatusCode(result)).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Années académiques récupérées avec succès',
+            data: result.data
+        });
+    } catch (error) {
+        console.error('Erreur lors de la récupération des années académiques :', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erreur interne du serveur',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/annees/current
+ * @desc    Récupère l'année académique active
+ * @access  Public
+ */
 router.get('/current', async (req, res) => {
     try {
-        const result = await Etudiant.getLastAnnee();
+        const result = await Etudiant.getActiveAnnee();
 
         if (!result.success) {
-            return res.status(result.code || 500).json(result);
+            return res.status(getStatusCode(result)).json({
+                success: false,
+                message: result.error
+            });
         }
         return res.status(200).json({
             success: true,
@@ -17,8 +94,202 @@ router.get('/current', async (req, res) => {
 
 
     } catch (error) {
-        console.error('Erreur lors de la récupération des étudiants :', error);
-        res.status(500).json({ 
+        console.error('Erreur lors de la récupération de l\'année académique courante :', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erreur interne du serveur',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/annees/:id
+ * @desc    Récupère une année académique
+ * @access  Private
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const result = await Etudiant.getAnneeById(req.params.id);
+
+        if (!result.success) {
+            return res.status(getStatusCode(result)).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Année académique récupérée avec succès',
+            data: result.data[0]
+        });
+    } catch (error) {
+        console.error('Erreur lors de la récupération de l\'année académique :', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erreur interne du serveur',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/annees
+ * @desc    Crée une année académique { debut, fin, active }
+ * @access  Admin
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { debut, fin, active = false } = req.body || {};
+        const result = await Etudiant.createAnnee(debut, fin, { active: active === true });
+        return sendSavedAnnee(res, result, result.success && result.metadata.insertId, 201, 'Année académique créée avec succès');
+    } catch (error) {
+        console.error('Erreur lors de la création de l\'année académique :', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erreur interne du serveur',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/annees/:id
+ * @desc    Modifie une année académique { debut, fin }
+ * @access  Admin
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const { debut, fin } = req.body || {};
+        const result = await Etudiant.updateAnnee(req.params.id, debut, fin);
+        return sendSavedAnnee(res, result, req.params.id, 200, 'Année académique mise à jour avec succès');
+    } catch (error) {
+        console.error('Erreur lors de la mise à jour de l\'année académique :', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erreur interne du serveur',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/annees/:id/activate
+ * @desc    Fait de cette année l'année académique active
+ * @access  Admin
+ */
+router.post('/:id/activate', async (req, res) => {
+    try {
+        const result = await Etudiant.setActiveAnnee(req.params.id);
+        return sendSavedAnnee(res, result, req.params.id, 200, 'Année académique activée avec succès');
+    } catch (error) {
+        console.error('Erreur lors de l\'activation de l\'année académique :', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erreur interne du serveur',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/annees/:id/passage
+ * @desc    Prévisualise le passage des étudiants de l'année :id vers ?cibleId= (par défaut l'année suivante),
+ *          éventuellement limité à ?promotionId= : résultat de chaque étudiant et promotion proposée
+ * @access  Admin
+ */
+router.get('/:id/passage', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const result = await previewPassage(req.params.id, {
+            cibleId: optionalId(req.query.cibleId),
+            promotionId: optionalId(req.query.promotionId)
+        });
+
+        if (!result.success) {
+            return res.status(getStatusCode(result)).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Prévisualisation du passage : aucune inscription enregistrée',
+            data: result.data
+        });
+    } catch (error) {
+        console.error('Erreur lors de la prévisualisation du passage d\'année :', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erreur interne du serveur',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/annees/:id/passage
+ * @desc    Inscrit dans l'année cible les étudiants de l'année :id selon la prévisualisation,
+ *          corrigée par { decisions: [{ etudiantId, promotionId }] } (promotionId null : étudiant écarté).
+ *          Corps : { cibleId, promotionId, dateInscription, decisions }
+ * @access  Admin
+ */
+router.post('/:id/passage', async (req, res) => {
+    try {
+        const { cibleId, promotionId, dateInscription, decisions } = req.body || {};
+        const result = await appliquerPassage(req.params.id, {
+            cibleId: optionalId(cibleId),
+            promotionId: optionalId(promotionId),
+            dateInscription: dateInscription || null,
+            decisions
+        });
+
+        if (!result.success) {
+            return res.status(getStatusCode(result)).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        return res.status(201).json({
+            success: true,
+            message: `${result.data.inscrits.length} étudiant(s) inscrit(s), ${result.data.ignores.length} écarté(s)`,
+            data: result.data
+        });
+    } catch (error) {
+        console.error('Erreur lors du passage d\'année :', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erreur interne du serveur',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/annees/:id
+ * @desc    Supprime une année académique non active et sans inscriptions ni cotes
+ * @access  Admin
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const result = await Etudiant.deleteAnnee(req.params.id);
+
+        if (!result.success) {
+            return res.status(getStatusCode(result)).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Année académique supprimée avec succès'
+        });
+    } catch (error) {
+        console.error('Erreur lors de la suppression de l\'année académique :', error);
+        res.status(500).json({
             success: false,
             message: 'Erreur interne du serveur',
             error: error.message
@@ -26,4 +297,4 @@ router.get('/current', async (req, res) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
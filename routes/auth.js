@@ -1,17 +1,26 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const { db } = require('../config');
+const { Agent, Cotes, Etudiant, LoginLockout } = require('../model');
+const { getStatusCode } = require('../utils/http');
+const { authenticateToken, requireAdmin, allowPendingPasswordChange } = require('../middleware/auth');
+const { throttleLogin } = require('../middleware/loginThrottle');
+const {
+  password: passwordService,
+  permissions: permissionService,
+  sessions: sessionService,
+  passwordReset: passwordResetService,
+  loginThrottle: loginThrottleService
+} = require('../services');
 
 // Login route
-router.post('/login', async (req, res) => {
+router.post('/login', throttleLogin('user', 'username'), async (req, res) => {
   try {
     const { username, password } = req.body;
     
-    // In production, passwords should be hashed and properly verified
     const users = await db.query(
-      'SELECT * FROM users WHERE username = ? AND password = ?',
-      [username, password]
+      'SELECT * FROM users WHERE username = ?',
+      [username]
     );
     
     if (users.length === 0) {
@@ -19,39 +28,521 @@ router.post('/login', async (req, res) => {
     }
     
     const user = users[0];
-    const token = jwt.sign(
-      { userId: user.id, username: user.username },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
+    const { valid, needsRehash } = await passwordService.verifyPassword(password, user.password);
+    if (!valid) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    
+    // Replace a legacy plaintext password with its hash
+    if (needsRehash) {
+      const hashedPassword = await passwordService.hashPassword(password);
+      await db.query('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, user.id]);
+    }
+    
+    const { token, refreshToken, expiresIn } = await sessionService.createSession(
+      { userId: user.id, username: user.username }
     );
     
-    res.json({ token, user: { id: user.id, username: user.username } });
+    res.json({ token, refreshToken, expiresIn, user: { id: user.id, username: user.username } });
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Middleware to authenticate token
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-  
-  if (!token) return res.status(401).json({ error: 'Authentication required' });
-  
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) return res.status(403).json({ error: 'Invalid or expired token' });
-    req.user = user;
-    next();
-  });
-};
+/**
+ * @route   POST /api/auth/agent/login
+ * @desc    Authentifie un agent par matricule ou e-mail et mot de passe
+ * @access  Public
+ */
+router.post('/agent/login', throttleLogin('agent', 'login'), async (req, res) => {
+  try {
+    const { login, password } = req.body;
+
+    const result = await Agent.verifyCredentials(login, password);
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const agent = result.data[0];
+
+    const profileResult = await Agent.getAgentWithFullInfo(agent.id);
+    if (!profileResult.success) {
+      return res.status(getStatusCode(profileResult)).json({
+        success: false,
+        message: profileResult.error
+      });
+    }
+
+    const rolesResult = await Cotes.getJuryRolesByAgent(agent.id);
+    const juryRoles = rolesResult.success
+      ? rolesResult.data.map(row => ({ juryId: row.jury_id, code: row.jury_code, role: row.role }))
+      : [];
+
+    const profile = profileResult.data;
+    const { token, refreshToken, expiresIn } = await sessionService.createSession({
+      type: 'agent',
+      agentId: agent.id,
+      matricule: agent.matricule,
+      isAdmin: profile.is_admin,
+      juryRoles,
+      mustChangePassword: Boolean(agent.must_change_password)
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Connexion réussie',
+      token,
+      refreshToken,
+      expiresIn,
+      mustChangePassword: Boolean(agent.must_change_password),
+      data: { ...profile, jury_roles: juryRoles }
+    });
+  } catch (error) {
+    console.error('Agent login error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/admin/login
+ * @desc    Authentifie un administrateur système (matricule + mot de passe administrateur)
+ * @access  Public
+ */
+router.post('/admin/login', throttleLogin('admin', 'matricule'), async (req, res) => {
+  try {
+    const { matricule, password } = req.body;
+
+    const result = await Agent.authenticateAdmin(matricule, password);
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const admin = result.data;
+    const { token, refreshToken, expiresIn } = await sessionService.createSession({
+      type: 'agent',
+      role: 'admin',
+      agentId: admin.agent_id,
+      adminId: admin.admin_id,
+      matricule: admin.matricule,
+      isAdmin: true
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Connexion administrateur réussie',
+      token,
+      refreshToken,
+      expiresIn,
+      data: admin
+    });
+  } catch (error) {
+    console.error('Admin login error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/admin/confirm
+ * @desc    Confirme le mot de passe administrateur de l'utilisateur connecté avant une opération sensible
+ *          (tentatives limitées avec celles de /admin/login sur le même compte)
+ * @access  Admin
+ */
+router.post('/admin/confirm', authenticateToken, requireAdmin, throttleLogin('admin', req => req.user.matricule), async (req, res) => {
+  try {
+    const valid = await Agent.verifyAdminCredentials(req.user.matricule, req.body.password);
+
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Mot de passe administrateur incorrect'
+      });
+    }
+
+    return res.status(200).json({ success: true, valid: true });
+  } catch (error) {
+    console.error('Admin confirm error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/etudiant/login
+ * @desc    Authentifie un étudiant par matricule ou e-mail et mot de passe
+ * @access  Public
+ */
+router.post('/etudiant/login', throttleLogin('etudiant', 'login'), async (req, res) => {
+  try {
+    const { login, password } = req.body;
+
+    const result = await Etudiant.verifyEtudiantCredentials(login, password);
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const etudiant = result.data[0];
+    const { token, refreshToken, expiresIn } = await sessionService.createSession({
+      type: 'etudiant',
+      etudiantId: etudiant.id,
+      matricule: etudiant.matricule,
+      mustChangePassword: Boolean(etudiant.must_change_password)
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Connexion réussie',
+      token,
+      refreshToken,
+      expiresIn,
+      mustChangePassword: Boolean(etudiant.must_change_password),
+      data: etudiant
+    });
+  } catch (error) {
+    console.error('Etudiant login error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Renouvelle le jeton d'accès ; le jeton de rafraîchissement fourni est remplacé
+ * @access  Public (jeton de rafraîchissement requis)
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Le jeton de rafraîchissement est requis'
+      });
+    }
+
+    const result = await sessionService.refreshSession(refreshToken);
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Jeton de rafraîchissement invalide ou expiré'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Jeton renouvelé',
+      ...result
+    });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Ferme la session courante (le jeton d'accès et le jeton de rafraîchissement deviennent invalides)
+ * @access  Authentifié
+ */
+router.post('/logout', allowPendingPasswordChange, authenticateToken, async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user.sid);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Déconnexion réussie'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Ferme toutes les sessions de l'utilisateur connecté (tous les appareils)
+ * @access  Authentifié
+ */
+router.post('/logout-all', allowPendingPasswordChange, authenticateToken, async (req, res) => {
+  try {
+    const [type, id] = sessionService.subjectOf(req.user).split(':');
+    const revoked = await sessionService.revokeSubject(type, id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Toutes les sessions ont été fermées',
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/password/forgot
+ * @desc    Envoie un lien de réinitialisation à l'adresse e-mail du compte (type: agent | etudiant)
+ * @access  Public
+ */
+router.post('/password/forgot', async (req, res) => {
+  try {
+    const { type, login } = req.body;
+
+    if (!['agent', 'etudiant'].includes(type) || !login) {
+      return res.status(400).json({
+        success: false,
+        message: 'Le type de compte (agent ou etudiant) et le login sont obligatoires'
+      });
+    }
+
+    await passwordResetService.requestPasswordReset(type, login);
+
+    // Même réponse que le compte existe ou non
+    return res.status(200).json({
+      success: true,
+      message: 'Si un compte correspond, un lien de réinitialisation a été envoyé à son adresse e-mail'
+    });
+  } catch (error) {
+    console.error('Password forgot error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/password/reset
+ * @desc    Définit un nouveau mot de passe à partir du jeton reçu par e-mail
+ * @access  Public (jeton de réinitialisation requis)
+ */
+router.post('/password/reset', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const result = await passwordResetService.resetPassword(token, password);
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Mot de passe réinitialisé, vous pouvez vous connecter'
+    });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/password/change
+ * @desc    Change le mot de passe de l'agent ou de l'étudiant connecté.
+ *          Seule route accessible tant que le changement de première connexion n'est pas fait.
+ * @access  Agent, Etudiant
+ */
+router.post('/password/change', allowPendingPasswordChange, authenticateToken, async (req, res) => {
+  try {
+    const { oldPassword, newPassword } = req.body;
+    const { type, agentId, etudiantId } = req.user;
+
+    let result;
+    if (type === 'etudiant') {
+      result = await Etudiant.updateEtudiantPassword(etudiantId, oldPassword, newPassword);
+    } else if (agentId) {
+      result = await Agent.updatePassword(agentId, oldPassword, newPassword);
+    } else {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès réservé aux agents et aux étudiants'
+      });
+    }
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    // Fermer toutes les sessions puis en ouvrir une nouvelle, sans l'obligation de changement
+    const [subjectType, subjectId] = sessionService.subjectOf(req.user).split(':');
+    await sessionService.revokeSubject(subjectType, subjectId);
+
+    const { sid, iat, exp, ...claims } = req.user;
+    const { token, refreshToken, expiresIn } = await sessionService.createSession({
+      ...claims,
+      mustChangePassword: false
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Mot de passe modifié',
+      token,
+      refreshToken,
+      expiresIn
+    });
+  } catch (error) {
+    console.error('Password change error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/lockouts
+ * @desc    Journal des verrouillages de connexion (?active=true pour les verrouillages en cours)
+ * @access  Admin
+ */
+router.get('/lockouts', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { active, limit = 50, offset = 0 } = req.query;
+
+    const result = await LoginLockout.getLockouts({
+      activeOnly: active === 'true',
+      limit,
+      offset
+    });
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json(result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Verrouillages de connexion',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Lockouts error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/lockouts/unlock
+ * @desc    Lève le verrouillage d'un compte ({ scope, login }) ou d'une adresse IP ({ ip })
+ * @access  Admin
+ */
+router.post('/lockouts/unlock', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { scope, login, ip } = req.body;
+
+    if (!ip && (!loginThrottleService.SCOPES.includes(scope) || !login)) {
+      return res.status(400).json({
+        success: false,
+        message: `Indiquez une adresse IP ou un login avec son type (${loginThrottleService.SCOPES.join(', ')})`
+      });
+    }
+
+    const target = await loginThrottleService.unlock(ip ? { ip } : { scope, login }, req.user.agentId);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Verrouillage levé',
+      data: target
+    });
+  } catch (error) {
+    console.error('Unlock error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
 
 // Check if token is valid
-router.get('/verify', authenticateToken, (req, res) => {
+router.get('/verify', allowPendingPasswordChange, authenticateToken, (req, res) => {
   res.json({ valid: true, user: req.user });
 });
 
+/**
+ * @route   GET /api/auth/permissions
+ * @desc    Liste les permissions effectives de l'agent connecté et leur provenance
+ * @access  Agent
+ */
+router.get('/permissions', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.agentId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accès réservé aux agents'
+      });
+    }
+
+    const result = await permissionService.getAgentPermissions(req.user.agentId, {
+      adminSession: req.user.role === 'admin'
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Permissions de l\'agent',
+      data: result
+    });
+  } catch (error) {
+    console.error('Permissions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
 module.exports = {
   router,
-  authenticateToken
+  authenticateToken,
+  requireAdmin
 };
\ No newline at end of file
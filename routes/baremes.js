@@ -0,0 +1,153 @@
+const express = require('express');
+const router = express.Router();
+const { Promotion } = require('../model');
+const { authenticateToken, adminOnlyMutations } = require('../middleware/auth');
+const { withAnnee } = require('../middleware/annee');
+const { DEFAULT_BAREME, ECHELLES, POLITIQUES_RATTRAPAGE } = require('../utils/bareme');
+const { getStatusCode } = require('../utils/http');
+
+// Barèmes de cotation : consultation par tout utilisateur connecté, configuration par les administrateurs
+router.use(authenticateToken, adminOnlyMutations);
+
+/**
+ * Convertit un identifiant optionnel de la requête
+ * @param {*} value - Valeur reçue
+ * @returns {number|null}
+ */
+const optionalId = (value) => (value === undefined || value === null || value === '' ? null : parseInt(value, 10));
+
+/**
+ * @route   GET /api/baremes
+ * @desc    Liste les barèmes configurés (?matiereId=, ?promotionId= : barèmes de la promotion et de ses matières,
+ *          ?anneeId= : barèmes datés de cette année), avec le barème par défaut et les valeurs acceptées
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const result = await Promotion.getBaremes({
+      matiereId: optionalId(req.query.matiereId),
+      promotionId: optionalId(req.query.promotionId),
+      anneeId: optionalId(req.query.anneeId)
+    });
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({ success: false, message: result.error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Barèmes récupérés avec succès',
+      data: {
+        baremes: result.data,
+        defaut: DEFAULT_BAREME,
+        echelles: ECHELLES,
+        politiques_rattrapage: POLITIQUES_RATTRAPAGE
+      }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des barèmes :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/baremes/matieres/:id
+ * @desc    Barème applicable à une matière pour une année (?anneeId=, année active par défaut)
+ *          (origine : matiere, promotion, general ou defaut)
+ * @access  Private
+ */
+router.get('/matieres/:id', withAnnee(), async (req, res) => {
+  try {
+    const result = await Promotion.getBaremeMatiere(req.params.id, req.anneeId);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({ success: false, message: result.error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Barème applicable',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération du barème de la matière :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/baremes
+ * @desc    Définit le barème { matiereId } ou { promotionId } (aucun des deux : barème général) à partir de
+ *          l'année anneeId (année active par défaut) : max_tp, max_td, max_examen, max_rattrapage, poids_tp,
+ *          poids_td, poids_examen, echelle, seuil, politique_rattrapage (remplace, meilleure, plafonnee).
+ *          Les champs absents prennent la valeur par défaut. Les années précédentes gardent leur barème ;
+ *          409 si le barème s'applique à une délibération publiée ou si des cotes saisies dépassent ses maximums
+ * @access  Admin
+ */
+router.put('/', withAnnee(), async (req, res) => {
+  try {
+    // anneeId / annee_id sont lus par withAnnee et ne font pas partie du barème
+    const { matiereId, promotionId, anneeId, annee_id, ...baremeData } = req.body || {};
+
+    const result = await Promotion.setBareme({
+      matiereId: optionalId(matiereId),
+      promotionId: optionalId(promotionId),
+      anneeId: req.anneeId
+    }, baremeData);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({ success: false, message: result.error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Barème enregistré avec succès',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'enregistrement du barème :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/baremes/:id
+ * @desc    Supprime un barème configuré (le barème précédent de même portée, ou plus général, s'applique de nouveau) ;
+ *          409 si le barème s'applique à une délibération publiée
+ * @access  Admin
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await Promotion.deleteBareme(req.params.id);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({ success: false, message: result.error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Barème supprimé avec succès'
+    });
+  } catch (error) {
+    console.error('Erreur lors de la suppression du barème :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
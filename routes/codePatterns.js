@@ -0,0 +1,137 @@
+const express = require('express');
+const router = express.Router();
+const { Sequence } = require('../model');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { renderPattern } = require('../utils/codePattern');
+const { getStatusCode } = require('../utils/http');
+
+// Configuration des modèles de matricules et de codes de jury : administrateurs uniquement
+router.use(authenticateToken, requireAdmin);
+
+/**
+ * Convertit un identifiant optionnel de la requête
+ * @param {*} value - Valeur reçue
+ * @returns {number|null}
+ */
+const optionalId = (value) => (value === undefined || value === null || value === '' ? null : parseInt(value, 10));
+
+/**
+ * @route   GET /api/code-patterns
+ * @desc    Liste les modèles configurés (?target=matricule|jury)
+ * @access  Admin
+ */
+router.get('/', async (req, res) => {
+  try {
+    const result = await Sequence.getPatterns(req.query.target || null);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({ success: false, message: result.error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Modèles de codes récupérés avec succès',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des modèles de codes :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/code-patterns/preview
+ * @desc    Modèle applicable pour ?target=&sectionId=&anneeId=, avec un exemple de code (numéro 1)
+ * @access  Admin
+ */
+router.get('/preview', async (req, res) => {
+  try {
+    const result = await Sequence.resolvePattern(req.query.target, {
+      sectionId: optionalId(req.query.sectionId),
+      anneeId: optionalId(req.query.anneeId)
+    });
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({ success: false, message: result.error });
+    }
+
+    const { pattern, values } = result.data;
+    return res.status(200).json({
+      success: true,
+      message: 'Modèle applicable',
+      data: { pattern, example: renderPattern(pattern, values, 1) }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la prévisualisation du modèle de code :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/code-patterns
+ * @desc    Définit le modèle { target, pattern } pour { sectionId, anneeId } (absents : toutes)
+ * @access  Admin
+ */
+router.put('/', async (req, res) => {
+  try {
+    const { target, pattern, sectionId, anneeId } = req.body || {};
+
+    const result = await Sequence.setPattern(target, pattern, {
+      sectionId: optionalId(sectionId),
+      anneeId: optionalId(anneeId)
+    });
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({ success: false, message: result.error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Modèle de code enregistré avec succès'
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'enregistrement du modèle de code :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/code-patterns/:id
+ * @desc    Supprime un modèle configuré
+ * @access  Admin
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await Sequence.deletePattern(req.params.id);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({ success: false, message: result.error });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Modèle de code supprimé avec succès'
+    });
+  } catch (error) {
+    console.error('Erreur lors de la suppression du modèle de code :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
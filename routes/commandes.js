@@ -1,8 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const { Etudiant } = require('../model');
+const { authenticateToken, adminOnlyMutations } = require('../middleware/auth');
+const { can } = require('../middleware/permissions');
 
-router.get('/', async (req, res) => {
+// Toute opération d'écriture est réservée aux administrateurs
+router.use(adminOnlyMutations);
+
+router.get('/', authenticateToken, can('finance:read'), async (req, res) => {
     try {
         const result = await Etudiant.getAllCommandesEnrollement();
 
@@ -34,7 +39,7 @@ router.get('/', async (req, res) => {
     }
 });
 
-router.get('/annee/:id', async (req, res) => {
+router.get('/annee/:id', authenticateToken, can('finance:read', req => `annee:${req.params.id}`), async (req, res) => {
     try {
         const { id } = req.params;
         const result = await Etudiant.getSoldeCommandesEnrollementByAnnee(id);
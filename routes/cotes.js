@@ -0,0 +1,324 @@
+const express = require('express');
+const router = express.Router();
+const { Cotes } = require('../model');
+const { authenticateToken, requireAgent } = require('../middleware/auth');
+const { can } = require('../middleware/permissions');
+const { uploadSpreadsheet } = require('../middleware/upload');
+const { withAnnee } = require('../middleware/annee');
+const { getStatusCode } = require('../utils/http');
+const { getGrille, enregistrerGrille, importGrille, exportGrille } = require('../services/grilleCotes');
+
+/**
+ * Saisie des cotes par les membres des jurys.
+ * L'agent qui saisit est toujours celui du jeton : il n'est jamais lu dans la requête.
+ * Chaque cote modifiée est enregistrée dans l'historique (table insertion).
+ */
+router.use(authenticateToken, requireAgent);
+
+const COTES = ['tp', 'td', 'examen', 'rattrapage'];
+
+/**
+ * Portées de lecture d'une fiche : niveau et année (jurys), section (chefs de section)
+ * @param {Object} req - Requête Express
+ * @returns {Promise<Array<string>|null>}
+ */
+const ficheScopes = async (req) => {
+  const fiche = await Cotes.getFicheCotationById(req.params.id);
+  if (!fiche.success) return null;
+
+  const { id_niveau, id_annee, id_section } = fiche.data[0];
+  return [`niveau:${id_niveau}:annee:${id_annee}`, `section:${id_section}`];
+};
+
+/**
+ * Portées de lecture de la grille d'une matière pour l'année demandée (req.anneeId, voir withAnnee)
+ * @param {Object} req - Requête Express
+ * @returns {Promise<Array<string>|null>}
+ */
+const matiereScopes = async (req) => {
+  const matiere = await Cotes.getMatiereById(req.params.id);
+  if (!matiere.success) return null;
+
+  const { id_niveau, id_section } = matiere.data[0];
+  return [`niveau:${id_niveau}:annee:${req.anneeId}`, `section:${id_section}`];
+};
+
+/**
+ * Répond avec le rapport d'une saisie de grille
+ * @param {Object} res - Réponse Express
+ * @param {Object} result - Résultat de enregistrerGrille ou importGrille
+ */
+const sendRapport = (res, result) => {
+  if (!result.success) {
+    return res.status(getStatusCode(result)).json({
+      success: false,
+      message: result.error,
+      data: result.data
+    });
+  }
+
+  const { dryRun, cellules, modifiees, fichesCreees } = result.data;
+  return res.status(200).json({
+    success: true,
+    message: dryRun
+      ? `Simulation terminée : ${cellules} cote(s) à modifier, aucune cote enregistrée`
+      : `${modifiees} cote(s) enregistrée(s), ${fichesCreees} fiche(s) créée(s)`,
+    data: result.data
+  });
+};
+
+/**
+ * Répond avec la fiche et son historique de saisie
+ * @param {Object} res - Réponse Express
+ * @param {number} ficheId - ID de la fiche
+ * @param {number} status - Code HTTP en cas de succès
+ * @param {string} message - Message de succès
+ */
+const sendFiche = async (res, ficheId, status, message) => {
+  const fiche = await Cotes.getFicheCotationById(ficheId);
+  if (!fiche.success) {
+    return res.status(getStatusCode(fiche)).json({
+      success: false,
+      message: fiche.error
+    });
+  }
+
+  const historique = await Cotes.getInsertionsByFicheId(ficheId);
+
+  return res.status(status).json({
+    success: true,
+    message,
+    data: {
+      ...fiche.data[0],
+      historique: historique.success ? historique.data : []
+    }
+  });
+};
+
+/**
+ * @route   GET /api/cotes/fiches/:id
+ * @desc    Fiche de cotation avec l'historique de ses modifications (la plus récente d'abord)
+ * @access  Agent (grades:read sur le niveau et l'année, ou sur la section)
+ */
+router.get('/fiches/:id', can('grades:read', ficheScopes), async (req, res) => {
+  try {
+    return await sendFiche(res, req.params.id, 200, 'Fiche de cotation récupérée avec succès');
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la fiche de cotation :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/cotes/fiches
+ * @desc    Crée ou complète la fiche d'un étudiant pour une matière et une année
+ *          { etudiantId, matiereId, anneeId (année active par défaut), tp, td, examen, rattrapage, description }.
+ *          Une cote absente garde sa valeur, une cote à null est effacée.
+ *          Réservé aux membres du jury du niveau pour cette année
+ * @access  Agent
+ */
+router.post('/fiches', withAnnee(), async (req, res) => {
+  try {
+    const { etudiantId, matiereId, description = '' } = req.body || {};
+    if (!etudiantId || !matiereId) {
+      return res.status(400).json({
+        success: false,
+        message: 'etudiantId et matiereId sont obligatoires'
+      });
+    }
+
+    const cotationData = {};
+    for (const cote of COTES) {
+      if (req.body[cote] !== undefined) cotationData[cote] = req.body[cote];
+    }
+
+    const result = await Cotes.enregistrerFiche(
+      etudiantId,
+      matiereId,
+      req.anneeId,
+      cotationData,
+      req.user.agentId,
+      description
+    );
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const { fiche, created } = result.data;
+    return await sendFiche(
+      res,
+      fiche.id,
+      created ? 201 : 200,
+      created ? 'Fiche de cotation créée avec succès' : 'Fiche de cotation mise à jour avec succès'
+    );
+  } catch (error) {
+    console.error('Erreur lors de l\'enregistrement de la fiche de cotation :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/cotes/fiches/:id/:cote
+ * @desc    Modifie une cote (tp, td, examen ou rattrapage) de la fiche { valeur, description }.
+ *          Réservé aux membres du jury du niveau pour l'année de la fiche
+ * @access  Agent
+ */
+router.put('/fiches/:id/:cote', async (req, res) => {
+  try {
+    const { valeur, description = '' } = req.body || {};
+    const nouvelleValeur = valeur === '' || valeur === null ? NaN : Number(valeur);
+    if (!Number.isFinite(nouvelleValeur)) {
+      return res.status(400).json({
+        success: false,
+        message: 'valeur doit être un nombre'
+      });
+    }
+
+    // La cote et son historique sont enregistrés ensemble
+    const result = await Cotes.transaction(tx => tx.modifierCote(
+      req.params.id,
+      req.user.agentId,
+      req.params.cote,
+      nouvelleValeur,
+      description
+    ));
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return await sendFiche(res, req.params.id, 200, 'Cote modifiée avec succès');
+  } catch (error) {
+    console.error('Erreur lors de la modification de la cote :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/cotes/matieres/:id/grille
+ * @desc    Grille de la matière : étudiants inscrits dans sa promotion pour l'année (année active par défaut)
+ *          avec leur fiche, et les cotes que l'agent peut saisir (autorisations, null hors jury).
+ *          ?format=csv|xlsx télécharge la grille à compléter puis à importer
+ * @access  Agent (grades:read sur le niveau et l'année, ou sur la section)
+ */
+router.get('/matieres/:id/grille', withAnnee(), can('grades:read', matiereScopes), async (req, res) => {
+  try {
+    const { format } = req.query;
+
+    if (format) {
+      const result = await exportGrille(req.params.id, req.anneeId, format);
+      if (!result.success) {
+        return res.status(getStatusCode(result)).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      const { body, contentType, fileName } = result.data;
+      res.set('Content-Type', contentType);
+      res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+      return res.status(200).send(body);
+    }
+
+    const result = await getGrille(req.params.id, req.anneeId, req.user.agentId);
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Grille de cotation récupérée avec succès',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la grille de cotation :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/cotes/matieres/:id/grille
+ * @desc    Saisie groupée { anneeId, cotes: [{ etudiantId | matricule, tp, td, examen, rattrapage }], description, dryRun }.
+ *          Seules les cotes renseignées sont modifiées ; rattrapage null l'efface.
+ *          Tout est enregistré dans une seule transaction, ou rien si une ligne est refusée (422 avec le rapport)
+ * @access  Agent (membre du jury du niveau pour l'année)
+ */
+router.put('/matieres/:id/grille', withAnnee(), async (req, res) => {
+  try {
+    const { cotes, description = '', dryRun = false } = req.body || {};
+
+    const result = await enregistrerGrille(req.params.id, req.anneeId, cotes, req.user.agentId, {
+      description,
+      dryRun: dryRun === true || dryRun === 'true'
+    });
+
+    return sendRapport(res, result);
+  } catch (error) {
+    console.error('Erreur lors de la saisie de la grille de cotation :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/cotes/matieres/:id/grille/import
+ * @desc    Saisie de la grille depuis un fichier CSV ou XLSX (champ "file") : colonnes etudiant_id ou matricule,
+ *          et tp, td, examen, rattrapage (cellule vide = cote inchangée).
+ *          Simulation par défaut ; ?dryRun=false pour enregistrer
+ * @access  Agent (membre du jury du niveau pour l'année)
+ */
+router.post('/matieres/:id/grille/import', uploadSpreadsheet, withAnnee(), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fichier manquant (champ "file", CSV ou XLSX)'
+      });
+    }
+
+    const result = await importGrille(req.file.buffer, req.file.originalname, req.params.id, req.anneeId, req.user.agentId, {
+      description: req.body && req.body.description,
+      dryRun: req.query.dryRun !== 'false'
+    });
+
+    return sendRapport(res, result);
+  } catch (error) {
+    console.error('Erreur lors de l\'import de la grille de cotation :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
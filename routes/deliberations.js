@@ -0,0 +1,565 @@
+const express = require('express');
+const router = express.Router();
+const { Deliberation } = require('../model');
+const { authenticateToken, requireAdmin, requireAgent } = require('../middleware/auth');
+const { can } = require('../middleware/permissions');
+const { withAnnee } = require('../middleware/annee');
+const { DEFAULT_SEUILS_LMD } = require('../utils/lmd');
+const { getStatusCode } = require('../utils/http');
+
+/**
+ * Délibérations des jurys, par association niveau-jury (:id).
+ * Consultation : grades:read sur le niveau et l'année (jurys) ou sur la section (chefs de section).
+ * Calcul, dérogations, publication et règles du niveau : deliberation:write (président et secrétaire du jury).
+ * Règles générales et seuils de compensation LMD : administrateurs.
+ * L'agent qui agit est toujours celui du jeton.
+ */
+router.use(authenticateToken, requireAgent);
+
+/**
+ * Portées d'une association niveau-jury : niveau et année, puis section
+ * @param {number} niveauJuryId - ID de l'association niveau-jury
+ * @returns {Promise<Array<string>|null>}
+ */
+const niveauJuryScopes = async (niveauJuryId) => {
+  const niveauJury = await Deliberation.getNiveauJuryById(niveauJuryId);
+  if (!niveauJury.success) return null;
+
+  const { id_niveau, id_annee, id_section } = niveauJury.data[0];
+  return [`niveau:${id_niveau}:annee:${id_annee}`, `section:${id_section}`];
+};
+
+// Lecture : jury du niveau ou chef de la section
+const readScopes = req => niveauJuryScopes(req.params.id);
+
+// Écriture : jury du niveau uniquement
+const writeScope = async (req) => {
+  const scopes = await niveauJuryScopes(req.params.id);
+  return scopes && scopes[0];
+};
+
+// Décision d'un étudiant : portée de son association niveau-jury
+const decisionScope = async (req) => {
+  const decision = await Deliberation.getDeliberationById(req.params.id);
+  if (!decision.success) return null;
+
+  const scopes = await niveauJuryScopes(decision.data[0].id_niveau_jury);
+  return scopes && scopes[0];
+};
+
+/**
+ * @route   GET /api/deliberations/regles
+ * @desc    Règles de décision générales (règles par défaut si aucune n'est configurée)
+ * @access  Agent
+ */
+router.get('/regles', async (req, res) => {
+  try {
+    const result = await Deliberation.getRegles(null);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Règles de décision récupérées avec succès',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des règles de décision :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/deliberations/regles
+ * @desc    Remplace les règles de décision générales { regles: [{ code, libelle, moyenne_min, max_echecs,
+ *          credits_min, admis }] }, évaluées dans l'ordre
+ * @access  Admin
+ */
+router.put('/regles', requireAdmin, async (req, res) => {
+  try {
+    const result = await Deliberation.setRegles(null, (req.body || {}).regles);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Règles de décision enregistrées avec succès',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'enregistrement des règles de décision :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/deliberations/regles
+ * @desc    Supprime les règles générales (les règles par défaut s'appliquent de nouveau)
+ * @access  Admin
+ */
+router.delete('/regles', requireAdmin, async (req, res) => {
+  try {
+    const result = await Deliberation.deleteRegles(null);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Règles de décision supprimées avec succès'
+    });
+  } catch (error) {
+    console.error('Erreur lors de la suppression des règles de décision :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Convertit un identifiant optionnel de la requête
+ * @param {*} value - Valeur reçue
+ * @returns {number|null}
+ */
+const optionalId = (value) => (value === undefined || value === null || value === '' ? null : parseInt(value, 10));
+
+/**
+ * @route   GET /api/deliberations/lmd/seuils
+ * @desc    Seuils de compensation LMD configurés (?niveauId=, ?anneeId= : seuils datés de cette année),
+ *          avec les seuils par défaut
+ * @access  Agent
+ */
+router.get('/lmd/seuils', async (req, res) => {
+  try {
+    const result = await Deliberation.getSeuilsLmd({
+      niveauId: optionalId(req.query.niveauId),
+      anneeId: optionalId(req.query.anneeId)
+    });
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Seuils de compensation récupérés avec succès',
+      data: { seuils: result.data, defaut: DEFAULT_SEUILS_LMD }
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des seuils de compensation :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/deliberations/lmd/seuils/niveaux/:id
+ * @desc    Seuils de compensation applicables à un niveau pour une année (?anneeId=, année active par défaut)
+ *          (origine : niveau, general ou defaut)
+ * @access  Agent
+ */
+router.get('/lmd/seuils/niveaux/:id', withAnnee(), async (req, res) => {
+  try {
+    const result = await Deliberation.getSeuilsLmdNiveau(req.params.id, req.anneeId);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Seuils de compensation applicables',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des seuils de compensation du niveau :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/deliberations/lmd/seuils
+ * @desc    Définit les seuils de compensation { niveauId } (absent : seuils généraux) à partir de l'année anneeId
+ *          (année active par défaut) : seuil_ue, note_eliminatoire sur 20. Les champs absents prennent la valeur
+ *          par défaut. Les années précédentes gardent leurs seuils ; 409 si les seuils s'appliquent à une
+ *          délibération publiée
+ * @access  Admin
+ */
+router.put('/lmd/seuils', requireAdmin, withAnnee(), async (req, res) => {
+  try {
+    // anneeId / annee_id sont lus par withAnnee et ne font pas partie des seuils
+    const { niveauId, anneeId, annee_id, ...seuilsData } = req.body || {};
+
+    const result = await Deliberation.setSeuilsLmd({ niveauId: optionalId(niveauId), anneeId: req.anneeId }, seuilsData);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Seuils de compensation enregistrés avec succès',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'enregistrement des seuils de compensation :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/deliberations/lmd/seuils/:id
+ * @desc    Supprime des seuils configurés (les seuils précédents de même portée, ou plus généraux, s'appliquent
+ *          de nouveau) ; 409 si les seuils s'appliquent à une délibération publiée
+ * @access  Admin
+ */
+router.delete('/lmd/seuils/:id', requireAdmin, async (req, res) => {
+  try {
+    const result = await Deliberation.deleteSeuilsLmd(req.params.id);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Seuils de compensation supprimés avec succès'
+    });
+  } catch (error) {
+    console.error('Erreur lors de la suppression des seuils de compensation :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/deliberations/decisions/:id
+ * @desc    Dérogation du jury { decision, justification } : remplace la décision calculée d'un étudiant.
+ *          Choisir la décision calculée annule la dérogation
+ * @access  Agent (deliberation:write sur le niveau et l'année)
+ */
+router.put('/decisions/:id', can('deliberation:write', decisionScope), async (req, res) => {
+  try {
+    const { decision, justification } = req.body || {};
+    const result = await Deliberation.derogerDecision(req.params.id, req.user.agentId, decision, justification);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Décision enregistrée avec succès',
+      data: result.data[0]
+    });
+  } catch (error) {
+    console.error('Erreur lors de la dérogation :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/deliberations/:id
+ * @desc    Délibération de l'association niveau-jury : statut, résumé par décision et résultat de chaque étudiant
+ *          (moyenne sur 20, crédits validés, matières non validées, décision calculée et retenue)
+ * @access  Agent (grades:read sur le niveau et l'année, ou sur la section)
+ */
+router.get('/:id', can('grades:read', readScopes), async (req, res) => {
+  try {
+    const result = await Deliberation.getDeliberation(req.params.id);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Délibération récupérée avec succès',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la délibération :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/deliberations/:id/calcul
+ * @desc    Calcule (ou recalcule) les résultats et décisions ; les dérogations sont conservées
+ * @access  Agent (deliberation:write sur le niveau et l'année)
+ */
+router.post('/:id/calcul', can('deliberation:write', writeScope), async (req, res) => {
+  try {
+    const result = await Deliberation.calculerDeliberation(req.params.id, req.user.agentId);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Délibération calculée avec succès',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors du calcul de la délibération :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/deliberations/:id/publication
+ * @desc    Publie la délibération : les étudiants voient leur décision, qui n'est plus modifiable
+ * @access  Agent (deliberation:write sur le niveau et l'année)
+ */
+router.post('/:id/publication', can('deliberation:write', writeScope), async (req, res) => {
+  try {
+    const result = await Deliberation.publierDeliberation(req.params.id, req.user.agentId);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `Délibération publiée : ${result.data.publiees} décision(s)`,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors de la publication de la délibération :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/deliberations/:id/publication
+ * @desc    Annule la publication { justification } : la délibération redevient modifiable
+ * @access  Agent (deliberation:write sur le niveau et l'année)
+ */
+router.delete('/:id/publication', can('deliberation:write', writeScope), async (req, res) => {
+  try {
+    const result = await Deliberation.annulerPublication(req.params.id, req.user.agentId, (req.body || {}).justification);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Publication annulée avec succès'
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'annulation de la publication :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/deliberations/:id/historique
+ * @desc    Journal de la délibération : calculs, dérogations, publications et annulations
+ * @access  Agent (grades:read sur le niveau et l'année, ou sur la section)
+ */
+router.get('/:id/historique', can('grades:read', readScopes), async (req, res) => {
+  try {
+    const result = await Deliberation.getHistoriqueDeliberation(req.params.id);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Historique de la délibération récupéré avec succès',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération de l\'historique de la délibération :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/deliberations/:id/regles
+ * @desc    Règles de décision applicables au niveau (origine : niveau_jury, general ou defaut)
+ * @access  Agent (grades:read sur le niveau et l'année, ou sur la section)
+ */
+router.get('/:id/regles', can('grades:read', readScopes), async (req, res) => {
+  try {
+    const result = await Deliberation.getRegles(req.params.id);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Règles de décision récupérées avec succès',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des règles de décision :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/deliberations/:id/regles
+ * @desc    Remplace les règles de décision propres au niveau { regles } (voir PUT /api/deliberations/regles)
+ * @access  Agent (deliberation:write sur le niveau et l'année)
+ */
+router.put('/:id/regles', can('deliberation:write', writeScope), async (req, res) => {
+  try {
+    const result = await Deliberation.setRegles(req.params.id, (req.body || {}).regles);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Règles de décision enregistrées avec succès',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'enregistrement des règles de décision :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/deliberations/:id/regles
+ * @desc    Supprime les règles propres au niveau (les règles générales s'appliquent de nouveau)
+ * @access  Agent (deliberation:write sur le niveau et l'année)
+ */
+router.delete('/:id/regles', can('deliberation:write', writeScope), async (req, res) => {
+  try {
+    const result = await Deliberation.deleteRegles(req.params.id);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Règles de décision supprimées avec succès'
+    });
+  } catch (error) {
+    console.error('Erreur lors de la suppression des règles de décision :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
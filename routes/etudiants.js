@@ -1,14 +1,58 @@
 const express = require('express');
 const router = express.Router();
-const { Etudiant } = require('../model')
+const { Etudiant, Deliberation } = require('../model')
+const { authenticateToken, adminOnlyMutations } = require('../middleware/auth');
+const { can } = require('../middleware/permissions');
+const { uploadSpreadsheet, uploadImage } = require('../middleware/upload');
+const { withAnnee } = require('../middleware/annee');
+const { getStatusCode, sendImage } = require('../utils/http');
+const { importEtudiants } = require('../services/etudiantImport');
+const { exportEtudiants } = require('../services/etudiantExport');
+const { DEFAULT_SEUIL, findDoublons, findDoublonsOf } = require('../services/etudiantDoublons');
+const { EXETAT_MIN, EXETAT_MAX } = require('../utils/exetat');
+const { saveAvatar, removeAvatar, readAvatar } = require('../services/avatars');
 
+// Toute opération d'écriture est réservée aux administrateurs
+router.use(adminOnlyMutations);
+
+
+/**
+ * Les étudiants archivés ne sont visibles que des agents qui ont students:read.
+ * Sur une route publique, ?includeArchived est ignoré pour un appelant anonyme ; avec un jeton,
+ * il est vérifié (401/403 si le jeton ou la permission ne conviennent pas).
+ */
+const archivedAccess = (req, res, next) => {
+  if (!isTrue(req.query.includeArchived) || !req.headers['authorization']) {
+    return next();
+  }
+
+  authenticateToken(req, res, () => can('students:read')(req, res, next));
+};
+
+/**
+ * Portées de lecture des cotes d'un étudiant : niveau et année de chacune de ses inscriptions (jurys),
+ * section de chacune de ses promotions (chefs de section). Sans inscription, seule grades:read sans portée convient.
+ * @param {Object} req - Requête Express
+ * @returns {Promise<Array<string>|null>}
+ */
+const etudiantGradesScopes = async (req) => {
+  const parcours = await Etudiant.getParcoursByEtudiant(req.params.id);
+  if (!parcours.success) return null;
+
+  const scopes = parcours.data.flatMap(({ id_niveau, id_annee_acad, id_section }) => [
+    `niveau:${id_niveau}:annee:${id_annee_acad}`,
+    `section:${id_section}`
+  ]);
+  return scopes.length > 0 ? scopes : [`etudiant:${req.params.id}`];
+};
 
 /**
  * @route   GET /api/etudiants
  * @desc    Récupère tous les étudiants avec pagination et tri
- * @access  Private
+ *          (includeArchived : agents avec students:read uniquement, ignoré sans jeton)
+ * @access  Public
  */
-router.get('/', async (req, res) => {
+router.get('/', archivedAccess, async (req, res) => {
   try {
     // Extraire les paramètres de requête pour la pagination et le tri
     const { 
@@ -16,7 +60,8 @@ router.get('/', async (req, res) => {
       limit = 10, 
       sortBy = 'nom', 
       sortDir = 'ASC',
-      search = null
+      search = null,
+      includeArchived
     } = req.query;
     
     // Calculer l'offset pour la pagination
@@ -27,7 +72,8 @@ router.get('/', async (req, res) => {
       limit: parseInt(limit), 
       offset, 
       sortBy, 
-      sortDir 
+      sortDir,
+      includeArchived: Boolean(req.user) && isTrue(includeArchived)
     };
     
     // Exécuter la requête appropriée selon si une recherche est demandée
@@ -40,19 +86,16 @@ router.get('/', async (req, res) => {
     
     // Gérer le cas où la requête échoue
     if (!result.success) {
-      return res.status(result.code || 500).json(result);
+      return res.status(getStatusCode(result)).json(result);
     }
 
-    // Si la requête réussit, récupérer le nombre total d'étudiants pour la pagination
-    const totalResult = await Etudiant.query('SELECT COUNT(*) as total FROM etudiant');
-    const totalCount = totalResult.success ? totalResult.data[0].total : 0;
-
-    // Total des étudiants par sexe
-    const totalBySexe = await Etudiant.query('SELECT sexe, COUNT(*) as total FROM etudiant GROUP BY sexe');
+    // Total pour la pagination, avec le même filtre que la liste (recherche comprise), et par sexe
+    const totalBySexe = await Etudiant.countEtudiants(search, options);
     const totalBySexeData = totalBySexe.success ? totalBySexe.data : [];
+    const totalCount = totalBySexeData.reduce((sum, row) => sum + Number(row.total), 0);
 
     const totalBySexeMap = totalBySexeData.reduce((acc, curr) => {
-        acc[curr.sexe] = curr.total;
+        acc[curr.sexe] = Number(curr.total);
         return acc;
         }, {});
 
@@ -85,6 +128,269 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * Interprète un paramètre de requête booléen (true / 1)
+ * @param {*} value - Valeur reçue
+ * @returns {boolean}
+ */
+function isTrue(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Extrait les filtres de rechercheAvancee des paramètres de requête
+ * @param {Object} query - Paramètres de la requête
+ * @returns {Object} - { filtres } ou { error }
+ */
+function parseRechercheFiltres(query) {
+  const filtres = {};
+  for (const field of ['nom', 'post_nom', 'prenom', 'matricule', 'sexe', 'section', 'option']) {
+    if (query[field]) filtres[field] = String(query[field]);
+  }
+
+  // Filtres numériques
+  for (const field of ['pourcentage_exetat_min', 'pourcentage_exetat_max', 'promotion_id', 'annee_id', 'niveau_id']) {
+    if (query[field] === undefined || query[field] === '') continue;
+
+    const value = Number(query[field]);
+    if (!Number.isFinite(value)) {
+      return { error: `Le filtre ${field} doit être un nombre` };
+    }
+    filtres[field] = value;
+  }
+
+  // Les étudiants archivés sont exclus sauf demande explicite
+  filtres.includeArchived = isTrue(query.includeArchived);
+
+  return { filtres };
+}
+
+/**
+ * Lit le score minimal des doublons (?seuil=, entre 0 et 100)
+ * @param {*} value - Valeur reçue
+ * @returns {number|null} - Seuil, ou null s'il est invalide
+ */
+function parseSeuil(value) {
+  if (value === undefined || value === '') return DEFAULT_SEUIL;
+
+  const seuil = Number(value);
+  return Number.isFinite(seuil) && seuil >= 0 && seuil <= 100 ? seuil : null;
+}
+
+/**
+ * @route   GET /api/etudiants/search
+ * @desc    Recherche avancée : nom, post_nom, prenom, matricule, sexe, section, option,
+ *          pourcentage_exetat_min/max, promotion_id, annee_id, niveau_id, includeArchived, avec pagination et tri
+ * @access  Private (students:read)
+ */
+router.get('/search', authenticateToken, can('students:read'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      sortBy = 'nom',
+      sortDir = 'ASC',
+      ...query
+    } = req.query;
+
+    const pageNumber = parseInt(page, 10);
+    const limitNumber = parseInt(limit, 10);
+    if (!(pageNumber >= 1) || !(limitNumber >= 1 && limitNumber <= 500)) {
+      return res.status(400).json({
+        success: false,
+        message: 'page doit être >= 1 et limit compris entre 1 et 500'
+      });
+    }
+
+    const { filtres, error } = parseRechercheFiltres(query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const result = await Etudiant.rechercheAvancee(filtres, {
+      limit: limitNumber,
+      offset: (pageNumber - 1) * limitNumber,
+      sortBy,
+      sortDir
+    });
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const countResult = await Etudiant.countRechercheAvancee(filtres);
+    if (!countResult.success) {
+      return res.status(getStatusCode(countResult)).json({
+        success: false,
+        message: countResult.error
+      });
+    }
+
+    const { total, ...sexeCounts } = countResult.data;
+
+    return res.status(200).json({
+      success: true,
+      data: result.data,
+      filtres,
+      pagination: {
+        total,
+        page: pageNumber,
+        limit: limitNumber,
+        pages: Math.ceil(total / limitNumber),
+        sexeCounts
+      }
+    });
+  } catch (error) {
+    console.error('Error in GET /api/etudiants/search:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/etudiants/export
+ * @desc    Exporte les étudiants filtrés comme /search (sans pagination), au fil de l'eau.
+ *          format : csv (défaut), xlsx ou json ; columns : colonnes et/ou groupes séparés par des virgules
+ *          (identite, administratif, origine, promotion ; défaut identite,promotion) ;
+ *          delimiter : séparateur CSV (, par défaut, ; pour les tableurs en français)
+ * @access  Private (students:read)
+ */
+router.get('/export', authenticateToken, can('students:read'), async (req, res) => {
+  try {
+    const { format = 'csv', columns, sortBy = 'nom', sortDir = 'ASC', delimiter, ...query } = req.query;
+
+    if (delimiter !== undefined && ![',', ';'].includes(delimiter)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Le séparateur doit être , ou ;'
+      });
+    }
+
+    const { filtres, error } = parseRechercheFiltres(query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const result = await exportEtudiants(res, filtres, {
+      format,
+      columns,
+      sortBy,
+      sortDir,
+      delimiter,
+      onStart: ({ contentType, extension }) => {
+        const date = new Date().toISOString().slice(0, 10);
+        res.status(200);
+        res.set('Content-Type', contentType);
+        res.set('Content-Disposition', `attachment; filename="etudiants-${date}.${extension}"`);
+      }
+    });
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+  } catch (error) {
+    console.error('Error in GET /api/etudiants/export:', error);
+
+    // Erreur en cours d'export : la réponse est déjà partie, on ne peut que l'interrompre
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/etudiants/doublons
+ * @desc    Paires d'étudiants probablement enregistrés deux fois (?seuil= score minimal, ?limit=)
+ * @access  Private (students:read)
+ */
+router.get('/doublons', authenticateToken, can('students:read'), async (req, res) => {
+  try {
+    const seuil = parseSeuil(req.query.seuil);
+    const limit = req.query.limit === undefined ? 100 : parseInt(req.query.limit, 10);
+    if (seuil === null || !(limit >= 1 && limit <= 1000)) {
+      return res.status(400).json({
+        success: false,
+        message: 'seuil doit être compris entre 0 et 100 et limit entre 1 et 1000'
+      });
+    }
+
+    const result = await findDoublons({ seuil, limit });
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: result.data,
+      total: result.metadata.total,
+      seuil
+    });
+  } catch (error) {
+    console.error('Error in GET /api/etudiants/doublons:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/etudiants/fusions
+ * @desc    Journal des fusions de doublons (?limit=, ?offset=)
+ * @access  Private (students:read)
+ */
+router.get('/fusions', authenticateToken, can('students:read'), async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+    const result = await Etudiant.getMergeLogs({ limit, offset });
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error in GET /api/etudiants/fusions:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
 router.get('/stats', async (req, res) => {
   try {
     const response = await Etudiant.getStatistiques();
@@ -110,4 +416,848 @@ router.get('/stats', async (req, res) => {
   }
 })
 
+/**
+ * @route   GET /api/etudiants/stats/exetat
+ * @desc    Statistiques d'admission : répartition des pourcentages à l'exetat par année académique
+ *          et par promotion (?annee_id=, ?promotion_id= pour se limiter à une année ou une promotion)
+ * @access  Private (students:read)
+ */
+router.get('/stats/exetat', authenticateToken, can('students:read'), async (req, res) => {
+  try {
+    const { filtres, error } = parseRechercheFiltres(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const result = await Etudiant.getStatistiquesExetat({
+      anneeId: filtres.annee_id,
+      promotionId: filtres.promotion_id
+    });
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Statistiques d\'admission',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors du calcul des statistiques d\'admission :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/etudiants/administratif/references
+ * @desc    Référentiel des sections et options du secondaire (désignations et alias reconnus),
+ *          et bornes du pourcentage à l'exetat
+ * @access  Private
+ */
+router.get('/administratif/references', authenticateToken, async (req, res) => {
+  try {
+    const result = await Etudiant.getExetatReferences();
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json(result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        sections: result.data,
+        pourcentage_exetat: { min: EXETAT_MIN, max: EXETAT_MAX }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching exetat references:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Route d'écriture du référentiel : appelle la méthode du modèle et renvoie son résultat
+ * @param {Function} action - (req) => Promise<Object> résultat du modèle
+ * @param {number} successCode - Code HTTP en cas de succès
+ * @returns {Function} - Handler Express
+ */
+const referenceHandler = (action, successCode = 200) => async (req, res) => {
+  try {
+    const result = await action(req);
+    return res.status(result.success ? successCode : getStatusCode(result)).json(result);
+  } catch (error) {
+    console.error('Error updating exetat references:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @route   POST /api/etudiants/administratif/references/sections
+ * @desc    Ajoute une section au référentiel { designation, aliases }
+ * @access  Private (admin)
+ */
+router.post('/administratif/references/sections', authenticateToken,
+  referenceHandler(req => Etudiant.createExetatSection(req.body), 201));
+
+/**
+ * @route   PUT /api/etudiants/administratif/references/sections/:id
+ * @desc    Renomme une section ou remplace ses alias { designation, aliases }
+ * @access  Private (admin)
+ */
+router.put('/administratif/references/sections/:id', authenticateToken,
+  referenceHandler(req => Etudiant.updateExetatSection(req.params.id, req.body)));
+
+/**
+ * @route   DELETE /api/etudiants/administratif/references/sections/:id
+ * @desc    Supprime une section et ses options du référentiel
+ * @access  Private (admin)
+ */
+router.delete('/administratif/references/sections/:id', authenticateToken,
+  referenceHandler(req => Etudiant.deleteExetatSection(req.params.id)));
+
+/**
+ * @route   POST /api/etudiants/administratif/references/sections/:id/options
+ * @desc    Ajoute une option à une section { designation, aliases }
+ * @access  Private (admin)
+ */
+router.post('/administratif/references/sections/:id/options', authenticateToken,
+  referenceHandler(req => Etudiant.createExetatOption(req.params.id, req.body), 201));
+
+/**
+ * @route   PUT /api/etudiants/administratif/references/options/:id
+ * @desc    Renomme une option ou remplace ses alias { designation, aliases }
+ * @access  Private (admin)
+ */
+router.put('/administratif/references/options/:id', authenticateToken,
+  referenceHandler(req => Etudiant.updateExetatOption(req.params.id, req.body)));
+
+/**
+ * @route   DELETE /api/etudiants/administratif/references/options/:id
+ * @desc    Supprime une option du référentiel
+ * @access  Private (admin)
+ */
+router.delete('/administratif/references/options/:id', authenticateToken,
+  referenceHandler(req => Etudiant.deleteExetatOption(req.params.id)));
+
+/**
+ * Retire le mot de passe d'une ligne etudiant avant de la renvoyer
+ * @param {Object} etudiant - Ligne de la table etudiant
+ * @returns {Object}
+ */
+const withoutPassword = (etudiant) => {
+  const { mdp, ...data } = etudiant;
+  return data;
+};
+
+/**
+ * Crée ou met à jour un étudiant puis renvoie la fiche enregistrée
+ * @param {Object} res - Réponse Express
+ * @param {Object} result - Résultat de createEtudiant / updateEtudiant
+ * @param {number} id - ID de l'étudiant
+ * @param {number} status - Code HTTP en cas de succès
+ * @param {string} message - Message de succès
+ */
+const sendSavedEtudiant = async (res, result, id, status, message) => {
+  if (!result.success) {
+    return res.status(getStatusCode(result)).json({
+      success: false,
+      message: result.error
+    });
+  }
+
+  const saved = await Etudiant.getEtudiantById(id);
+
+  return res.status(status).json({
+    success: true,
+    message,
+    data: saved.success ? withoutPassword(saved.data[0]) : { id }
+  });
+};
+
+/**
+ * @route   GET /api/etudiants/:id
+ * @desc    Récupère un étudiant par son ID
+ * @access  Private (students:read)
+ */
+router.get('/:id', authenticateToken, can('students:read'), async (req, res) => {
+  try {
+    const result = await Etudiant.getEtudiantById(req.params.id, { includeArchived: isTrue(req.query.includeArchived) });
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Étudiant récupéré avec succès',
+      data: withoutPassword(result.data[0])
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération de l\'étudiant :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/etudiants/:id/complet
+ * @desc    Récupère la fiche complète d'un étudiant (administratif, origine, parcours, commandes)
+ * @access  Private (students:read)
+ */
+router.get('/:id/complet', authenticateToken, can('students:read'), async (req, res) => {
+  try {
+    const result = await Etudiant.getEtudiantComplet(req.params.id);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Fiche complète de l\'étudiant',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la fiche de l\'étudiant :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/etudiants/:id/doublons
+ * @desc    Doublons possibles d'un étudiant, du plus probable au moins probable (?seuil=)
+ * @access  Private (students:read)
+ */
+router.get('/:id/doublons', authenticateToken, can('students:read'), async (req, res) => {
+  try {
+    const seuil = parseSeuil(req.query.seuil);
+    if (seuil === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'seuil doit être compris entre 0 et 100'
+      });
+    }
+
+    const result = await findDoublonsOf(req.params.id, { seuil });
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: result.data,
+      seuil
+    });
+  } catch (error) {
+    console.error('Error in GET /api/etudiants/:id/doublons:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/etudiants/:id/parcours
+ * @desc    Parcours académique d'un étudiant (promotions suivies par année, la plus récente d'abord)
+ * @access  Private (students:read)
+ */
+router.get('/:id/parcours', authenticateToken, can('students:read'), async (req, res) => {
+  try {
+    const result = await Etudiant.getParcoursByEtudiant(req.params.id);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Parcours de l\'étudiant récupéré avec succès',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération du parcours de l\'étudiant :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/etudiants/:id/lmd
+ * @desc    Bilan LMD de l'étudiant : semestres et UE validés (avec compensation), crédits capitalisés
+ *          et UE à reprendre, pour les promotions du système LMD
+ * @access  Private (grades:read sur le niveau et l'année d'une inscription de l'étudiant, ou sur la section)
+ */
+router.get('/:id/lmd', authenticateToken, can('grades:read', etudiantGradesScopes), async (req, res) => {
+  try {
+    const result = await Deliberation.getBilanLmd(req.params.id);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Bilan LMD de l\'étudiant récupéré avec succès',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération du bilan LMD de l\'étudiant :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/etudiants/:id/administratif
+ * @desc    Informations administratives de l'étudiant (secondaire : section, option, année et pourcentage à l'exetat)
+ * @access  Private (students:read)
+ */
+router.get('/:id/administratif', authenticateToken, can('students:read'), async (req, res) => {
+  try {
+    const result = await Etudiant.getAdministratifEtudiant(req.params.id);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Informations administratives récupérées avec succès',
+      data: result.data[0]
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des informations administratives :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/etudiants/:id/avatar
+ * @desc    Image de l'avatar de l'étudiant (?size=full, medium par défaut, ou thumb)
+ * @access  Private (students:read)
+ */
+router.get('/:id/avatar', authenticateToken, can('students:read'), async (req, res) => {
+  try {
+    const result = await readAvatar('etudiant', req.params.id, req.query.size);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return sendImage(req, res, result.data);
+  } catch (error) {
+    console.error('Erreur lors de la lecture de l\'avatar :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/etudiants
+ * @desc    Crée un étudiant (le matricule est généré s'il n'est pas fourni).
+ *          Avec promotion_id, l'étudiant est inscrit dans la promotion pour annee_id (année active par défaut),
+ *          et le matricule généré suit le modèle de la section et de l'année d'inscription, comme à l'import
+ * @access  Admin
+ */
+router.post('/', withAnnee({ required: false }), async (req, res) => {
+  try {
+    const body = req.body || {};
+
+    if (body.promotion_id === undefined || body.promotion_id === null || body.promotion_id === '') {
+      const result = await Etudiant.createEtudiant(body);
+      return sendSavedEtudiant(res, result, result.success && result.metadata.insertId, 201, 'Étudiant créé avec succès');
+    }
+
+    if (!req.anneeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'L\'année académique est obligatoire pour inscrire l\'étudiant dans une promotion'
+      });
+    }
+
+    const promotion = await Etudiant.getPromotionById(body.promotion_id);
+    if (!promotion.success) {
+      return res.status(getStatusCode(promotion)).json({
+        success: false,
+        message: promotion.error
+      });
+    }
+
+    const { id: promotionId, id_section: sectionId } = promotion.data[0];
+    const result = await Etudiant.transaction(async (tx) => {
+      const created = await tx.createEtudiant(body, { sectionId, anneeId: req.anneeId });
+      if (!created.success) return created;
+
+      const etudiantId = created.metadata.insertId;
+      const administratif = await tx.setAdministratifEtudiant(etudiantId, {});
+      if (!administratif.success) return administratif;
+
+      const parcours = await tx.ajouterParcours(etudiantId, promotionId, req.anneeId);
+      if (!parcours.success) return parcours;
+
+      return created;
+    });
+
+    return sendSavedEtudiant(res, result, result.success && result.metadata.insertId, 201, 'Étudiant créé avec succès');
+  } catch (error) {
+    console.error('Erreur lors de la création de l\'étudiant :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/etudiants/import
+ * @desc    Importe des étudiants depuis un fichier CSV ou XLSX (champ "file").
+ *          Par défaut simulation (?dryRun=true) : renvoie le rapport ligne par ligne sans rien enregistrer.
+ *          Avec ?dryRun=false, toutes les lignes sont enregistrées dans une seule transaction.
+ *          annee_id (requête ou corps, année active par défaut) s'applique aux lignes qui ont une promotion
+ *          sans année académique.
+ * @access  Admin
+ */
+router.post('/import', uploadSpreadsheet, withAnnee({ required: false }), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fichier manquant (champ "file", CSV ou XLSX)'
+      });
+    }
+
+    const dryRun = req.query.dryRun !== 'false';
+    const result = await importEtudiants(req.file.buffer, req.file.originalname, {
+      dryRun,
+      annee_id: req.anneeId
+    });
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error,
+        data: result.data
+      });
+    }
+
+    return res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? 'Simulation terminée : aucun étudiant enregistré'
+        : `${result.data.imported} étudiant(s) importé(s) avec succès`,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'import des étudiants :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/etudiants/:id/fusion
+ * @desc    Fusionne le doublon { doublonId } dans l'étudiant :id, qui est conservé
+ * @access  Admin
+ */
+router.post('/:id/fusion', async (req, res) => {
+  try {
+    const { doublonId } = req.body || {};
+    if (!doublonId) {
+      return res.status(400).json({
+        success: false,
+        message: 'doublonId est obligatoire'
+      });
+    }
+
+    const result = await Etudiant.mergeEtudiants(req.params.id, doublonId, req.user.agentId || null);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Doublon fusionné avec succès',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors de la fusion des étudiants :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/etudiants/:id/parcours
+ * @desc    Inscrit l'étudiant dans une promotion { promotionId, anneeId (année active par défaut), dateInscription }
+ * @access  Admin
+ */
+router.post('/:id/parcours', withAnnee(), async (req, res) => {
+  try {
+    const { promotionId, dateInscription = null } = req.body || {};
+    if (!promotionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'promotionId est obligatoire'
+      });
+    }
+
+    const result = await Etudiant.ajouterParcours(req.params.id, promotionId, req.anneeId, dateInscription);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const parcours = await Etudiant.getParcoursByEtudiant(req.params.id);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Étudiant inscrit dans la promotion avec succès',
+      data: parcours.success ? parcours.data : { id: result.metadata.insertId }
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'ajout du parcours :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/etudiants/:id/parcours/:parcoursId
+ * @desc    Supprime une inscription du parcours de l'étudiant (refusé si des cotes existent pour cette année)
+ * @access  Admin
+ */
+router.delete('/:id/parcours/:parcoursId', async (req, res) => {
+  try {
+    const result = await Etudiant.supprimerParcours(req.params.parcoursId, req.params.id);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Parcours supprimé avec succès'
+    });
+  } catch (error) {
+    console.error('Erreur lors de la suppression du parcours :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/etudiants/:id/administratif
+ * @desc    Crée ou remplace les informations administratives { section, option, annee, pourcentage_exetat }.
+ *          Section et option sont ramenées à la liste de référence (GET /administratif/references)
+ * @access  Admin
+ */
+router.put('/:id/administratif', async (req, res) => {
+  try {
+    const { section, option, annee, pourcentage_exetat } = req.body || {};
+    const result = await Etudiant.setAdministratifEtudiant(req.params.id, { section, option, annee, pourcentage_exetat });
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const saved = await Etudiant.getAdministratifEtudiant(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Informations administratives enregistrées avec succès',
+      data: saved.success ? saved.data[0] : null
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'enregistrement des informations administratives :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/etudiants/:id/administratif
+ * @desc    Supprime les informations administratives (refusé si elles sont liées à un parcours)
+ * @access  Admin
+ */
+router.delete('/:id/administratif', async (req, res) => {
+  try {
+    const result = await Etudiant.deleteAdministratifEtudiant(req.params.id);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Informations administratives supprimées avec succès'
+    });
+  } catch (error) {
+    console.error('Erreur lors de la suppression des informations administratives :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/etudiants/:id/avatar
+ * @desc    Remplace l'avatar de l'étudiant : image JPEG, PNG ou WebP de 2 Mo au plus dans le champ "avatar"
+ *          (multipart/form-data), enregistrée en plusieurs tailles
+ * @access  Admin
+ */
+router.put('/:id/avatar', uploadImage, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Aucune image reçue (champ "avatar")'
+      });
+    }
+
+    const result = await saveAvatar('etudiant', req.params.id, req.file.buffer);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Avatar enregistré avec succès',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'enregistrement de l\'avatar :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/etudiants/:id/avatar
+ * @desc    Retire l'avatar de l'étudiant
+ * @access  Admin
+ */
+router.delete('/:id/avatar', async (req, res) => {
+  try {
+    const result = await removeAvatar('etudiant', req.params.id);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Avatar supprimé avec succès'
+    });
+  } catch (error) {
+    console.error('Erreur lors de la suppression de l\'avatar :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/etudiants/:id
+ * @desc    Remplace les informations d'un étudiant (nom, post_nom, prenom et sexe obligatoires)
+ * @access  Admin
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const missing = ['nom', 'post_nom', 'prenom', 'sexe'].filter(field => !body[field]);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Champs obligatoires manquants : ${missing.join(', ')}`
+      });
+    }
+
+    const result = await Etudiant.updateEtudiant(req.params.id, body);
+    return sendSavedEtudiant(res, result, req.params.id, 200, 'Étudiant mis à jour avec succès');
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour de l\'étudiant :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/etudiants/:id
+ * @desc    Modifie uniquement les champs fournis d'un étudiant
+ * @access  Admin
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const result = await Etudiant.updateEtudiant(req.params.id, req.body || {});
+    return sendSavedEtudiant(res, result, req.params.id, 200, 'Étudiant mis à jour avec succès');
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour de l\'étudiant :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/etudiants/:id/restore
+ * @desc    Restaure un étudiant archivé
+ * @access  Admin
+ */
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const result = await Etudiant.restoreEtudiant(req.params.id);
+    return sendSavedEtudiant(res, result, req.params.id, 200, 'Étudiant restauré avec succès');
+  } catch (error) {
+    console.error('Erreur lors de la restauration de l\'étudiant :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/etudiants/:id
+ * @desc    Archive un étudiant (suppression logique, restaurable via POST /:id/restore)
+ * @access  Admin
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await Etudiant.deleteEtudiant(req.params.id, req.user.agentId || null);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Étudiant archivé avec succès'
+    });
+  } catch (error) {
+    console.error('Erreur lors de la suppression de l\'étudiant :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -5,6 +5,12 @@ const commandeRoutes = require('./commandes');
 const logsRoutes = require('./logs');
 const sectionRoutes = require('./sections');
 const promotionRoutes = require('./promotion');
+const meRoutes = require('./me');
+const codePatternRoutes = require('./codePatterns');
+const anneeRoutes = require('./annee');
+const coteRoutes = require('./cotes');
+const baremeRoutes = require('./baremes');
+const deliberationRoutes = require('./deliberations');
 
 // Add more route imports here as your application grows
 
@@ -16,6 +22,12 @@ module.exports = (app) => {
   app.use('/api/logs', logsRoutes);
   app.use('/api/sections', sectionRoutes);
   app.use('/api/promotions', promotionRoutes);
+  app.use('/api/me', meRoutes);
+  app.use('/api/code-patterns', codePatternRoutes);
+  app.use('/api/annees', anneeRoutes);
+  app.use('/api/cotes', coteRoutes);
+  app.use('/api/baremes', baremeRoutes);
+  app.use('/api/deliberations', deliberationRoutes);
   // Add more routes here
   
   // Default 404 handler for API routes
@@ -1,8 +1,35 @@
 const express = require('express');
 const router = express.Router();
 const { Cotes } = require('../model');
+const { authenticateToken, adminOnlyMutations } = require('../middleware/auth');
+const { can, loadPermissions } = require('../middleware/permissions');
+const { permissions: permissionService } = require('../services');
 
-router.get('/', async (req, res) => {
+// Toute opération d'écriture est réservée aux administrateurs
+router.use(adminOnlyMutations);
+
+/**
+ * Portées d'une saisie : niveau et année (jurys), section (chefs de section)
+ * @param {number} anneeId - ID de l'année académique
+ * @param {Object} row - Ligne avec id_niveau et id_section
+ * @returns {Array<string>}
+ */
+const saisieScopes = (anneeId, { id_niveau, id_section }) => [`niveau:${id_niveau}:annee:${anneeId}`, `section:${id_section}`];
+
+/**
+ * Portées du journal d'une année : celles des niveaux et sections cotés pendant l'année.
+ * Une année sans cote n'a que sa propre portée, couverte par grades:read sans portée.
+ * @param {Object} req - Requête Express
+ * @returns {Promise<Array<string>>}
+ */
+const anneeScopes = async (req) => {
+    const anneeId = parseInt(req.params.id);
+    const result = await Cotes.getNiveauxSectionsByAnnee(anneeId);
+    const scopes = result.success ? result.data.flatMap(row => saisieScopes(anneeId, row)) : [];
+    return scopes.length > 0 ? scopes : [`annee:${anneeId}`];
+};
+
+router.get('/', authenticateToken, can('grades:read'), async (req, res) => {
     try {
         const result = await Cotes.getAllInsertions();
 
@@ -26,19 +53,26 @@ router.get('/', async (req, res) => {
     }
 });
 
-router.get('/annee/:id', async (req, res) => {
+// Un membre de jury ou un chef de section ne lit que les saisies de ses niveaux ou de sa section
+router.get('/annee/:id', authenticateToken, can('grades:read', anneeScopes), async (req, res) => {
     try {
-        const { id } = req.params;
+        const anneeId = parseInt(req.params.id);
         
-        const result = await Cotes.getInsertionsByAnnee(parseInt(id));
+        const result = await Cotes.getInsertionsByAnnee(anneeId);
         
         // if (!result.success) {
         //     return res.status(result.code || 500).json(result);
         // }
+        const permissions = await loadPermissions(req);
+        const data = result.success
+            ? result.data.filter(row => saisieScopes(anneeId, row)
+                .some(scope => permissionService.hasPermission(permissions, `grades:read:${scope}`)))
+            : result.data;
+
         return res.status(200).json({
             success: true,
             message: 'Cotes récupérées avec succès',
-            data: result.data,
+            data,
         });
 
 
@@ -0,0 +1,287 @@
+const express = require('express');
+const router = express.Router();
+const { Etudiant, Deliberation } = require('../model');
+const { authenticateToken, requireEtudiant } = require('../middleware/auth');
+const { uploadImage } = require('../middleware/upload');
+const { getStatusCode, sendImage } = require('../utils/http');
+const { saveAvatar, removeAvatar, readAvatar } = require('../services/avatars');
+
+/**
+ * Portail étudiant : toutes les routes portent uniquement sur l'étudiant du jeton.
+ * Aucun identifiant d'étudiant n'est accepté dans l'URL, le corps ou la requête.
+ */
+router.use(authenticateToken, requireEtudiant);
+
+/**
+ * @route   GET /api/me
+ * @desc    Récupère le profil complet de l'étudiant connecté
+ * @access  Etudiant
+ */
+router.get('/', async (req, res) => {
+  try {
+    const result = await Etudiant.getEtudiantComplet(req.user.etudiantId);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json(result);
+    }
+
+    const profil = { ...result.data };
+    delete profil.mdp;
+
+    return res.status(200).json({
+      success: true,
+      message: 'Profil de l\'étudiant',
+      data: profil
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération du profil :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/me/cotes
+ * @desc    Récupère les notes de l'étudiant connecté (filtre optionnel ?annee=), pour les seules années
+ *          dont sa délibération est publiée
+ * @access  Etudiant
+ */
+router.get('/cotes', async (req, res) => {
+  try {
+    const anneeId = req.query.annee ? parseInt(req.query.annee, 10) : null;
+    const result = await Etudiant.getFichesCotationByEtudiant(req.user.etudiantId, anneeId, { publiees: true });
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json(result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Notes de l\'étudiant',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des notes :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/me/moyennes
+ * @desc    Récupère la moyenne de l'étudiant connecté pour chaque année académique dont sa délibération
+ *          est publiée
+ * @access  Etudiant
+ */
+router.get('/moyennes', async (req, res) => {
+  try {
+    const result = await Etudiant.getMoyennesByEtudiant(req.user.etudiantId, { publiees: true });
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json(result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Moyennes de l\'étudiant',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors du calcul des moyennes :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/me/deliberations
+ * @desc    Décisions de délibération publiées de l'étudiant connecté (filtre optionnel ?annee=)
+ * @access  Etudiant
+ */
+router.get('/deliberations', async (req, res) => {
+  try {
+    const anneeId = req.query.annee ? parseInt(req.query.annee, 10) : null;
+    const result = await Deliberation.getDecisionsPubliees(req.user.etudiantId, anneeId);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json(result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Décisions de délibération de l\'étudiant',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des délibérations :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/me/lmd
+ * @desc    Bilan LMD de l'étudiant connecté : semestres et UE validés, crédits capitalisés et UE à reprendre,
+ *          calculés sur les seules années dont sa délibération est publiée
+ * @access  Etudiant
+ */
+router.get('/lmd', async (req, res) => {
+  try {
+    const result = await Deliberation.getBilanLmd(req.user.etudiantId, { publiees: true });
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json(result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Bilan LMD de l\'étudiant',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors du calcul du bilan LMD :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/me/commandes
+ * @desc    Récupère les commandes d'enrollement de l'étudiant connecté
+ * @access  Etudiant
+ */
+router.get('/commandes', async (req, res) => {
+  try {
+    const result = await Etudiant.getCommandesEnrollementByEtudiant(req.user.etudiantId);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json(result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Commandes de l\'étudiant',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des commandes :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/me/avatar
+ * @desc    Image de l'avatar de l'étudiant connecté (?size=full, medium par défaut, ou thumb)
+ * @access  Etudiant
+ */
+router.get('/avatar', async (req, res) => {
+  try {
+    const result = await readAvatar('etudiant', req.user.etudiantId, req.query.size);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return sendImage(req, res, result.data);
+  } catch (error) {
+    console.error('Erreur lors de la lecture de l\'avatar :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/me/avatar
+ * @desc    Remplace l'avatar de l'étudiant connecté : image JPEG, PNG ou WebP de 2 Mo au plus dans le champ "avatar"
+ *          (multipart/form-data), enregistrée en plusieurs tailles
+ * @access  Etudiant
+ */
+router.put('/avatar', uploadImage, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Aucune image reçue (champ "avatar")'
+      });
+    }
+
+    const result = await saveAvatar('etudiant', req.user.etudiantId, req.file.buffer);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Avatar enregistré avec succès',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'enregistrement de l\'avatar :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/me/avatar
+ * @desc    Retire l'avatar de l'étudiant connecté
+ * @access  Etudiant
+ */
+router.delete('/avatar', async (req, res) => {
+  try {
+    const result = await removeAvatar('etudiant', req.user.etudiantId);
+
+    if (!result.success) {
+      return res.status(getStatusCode(result)).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Avatar supprimé avec succès'
+    });
+  } catch (error) {
+    console.error('Erreur lors de la suppression de l\'avatar :', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erreur interne du serveur',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
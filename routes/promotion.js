@@ -1,6 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { Promotion } = require('../model');
+const { Promotion, Etudiant } = require('../model');
+const { authenticateToken, adminOnlyMutations } = require('../middleware/auth');
+const { can } = require('../middleware/permissions');
+const { withAnnee } = require('../middleware/annee');
+const { getStatusCode } = require('../utils/http');
+
+// Toute opération d'écriture est réservée aux administrateurs
+router.use(adminOnlyMutations);
 
 router.get('/', async (req, res) => {
     try {
@@ -50,6 +57,74 @@ router.get('/:id', async (req, res) => {
     }
 })
 
+/**
+ * @route   GET /api/promotions/:id/etudiants
+ * @desc    Étudiants inscrits dans la promotion pour une année académique (?annee=, année active par défaut),
+ *          avec pagination (?page=, ?limit=), tri (?sortBy=, ?sortDir=) et effectifs par sexe
+ * @access  Private (students:read sur la section de la promotion)
+ */
+router.get('/:id/etudiants', authenticateToken, can('students:read', async (req) => {
+    const promotion = await Promotion.getPromotionById(req.params.id);
+    return promotion.success ? `section:${promotion.data[0].id_section}` : null;
+}), withAnnee({ keys: ['annee', 'anneeId', 'annee_id'] }), async (req, res) => {
+    try {
+        const { page = 1, limit = 50, sortBy = 'nom', sortDir = 'ASC' } = req.query;
+
+        const pageNumber = parseInt(page, 10);
+        const limitNumber = parseInt(limit, 10);
+        if (!(pageNumber >= 1) || !(limitNumber >= 1 && limitNumber <= 500)) {
+            return res.status(400).json({
+                success: false,
+                message: 'page doit être >= 1 et limit compris entre 1 et 500'
+            });
+        }
+
+        const result = await Etudiant.getEtudiantsByPromotion(req.params.id, req.anneeId, {
+            limit: limitNumber,
+            offset: (pageNumber - 1) * limitNumber,
+            sortBy,
+            sortDir
+        });
+
+        if (!result.success) {
+            return res.status(getStatusCode(result)).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        const countResult = await Etudiant.countEtudiantsByPromotion(req.params.id, req.anneeId);
+        if (!countResult.success) {
+            return res.status(getStatusCode(countResult)).json({
+                success: false,
+                message: countResult.error
+            });
+        }
+
+        const { total, ...sexeCounts } = countResult.data;
+
+        return res.status(200).json({
+            success: true,
+            data: result.data,
+            annee: req.anneeId,
+            pagination: {
+                total,
+                page: pageNumber,
+                limit: limitNumber,
+                pages: Math.ceil(total / limitNumber),
+                sexeCounts
+            }
+        });
+    } catch (error) {
+        console.error('Erreur lors de la récupération des étudiants de la promotion :', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erreur interne du serveur',
+            error: error.message
+        });
+    }
+});
+
 router.get('/stats', async (req, res) => {
     try {
         const { id } = req.params;
@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { Promotion, Section } = require('../model');
+const { adminOnlyMutations } = require('../middleware/auth');
+
+// Toute opération d'écriture est réservée aux administrateurs
+router.use(adminOnlyMutations);
 
 router.get('/', async (req, res) => {
     try {
@@ -1,11 +1,118 @@
 const express = require('express');
 const router = express.Router();
 const { Agent } = require('../model');
+const { authenticateToken, requireAgent, adminOnlyMutations } = require('../middleware/auth');
+const { can } = require('../middleware/permissions');
+const { uploadImage } = require('../middleware/upload');
+const { getStatusCode, sendImage } = require('../utils/http');
+const { saveAvatar, removeAvatar, readAvatar } = require('../services/avatars');
 
-router.get('/:id', async (req, res) => {
+/**
+ * @route   GET /api/users/me/avatar
+ * @desc    Image de l'avatar de l'agent connecté (?size=full, medium par défaut, ou thumb)
+ * @access  Agent
+ */
+router.get('/me/avatar', authenticateToken, requireAgent, async (req, res) => {
+    try {
+        const result = await readAvatar('agent', req.user.agentId, req.query.size);
+
+        if (!result.success) {
+            return res.status(getStatusCode(result)).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        return sendImage(req, res, result.data);
+    } catch (error) {
+        console.error('Erreur lors de la lecture de l\'avatar :', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erreur interne du serveur',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/users/me/avatar
+ * @desc    Remplace l'avatar de l'agent connecté : image JPEG, PNG ou WebP de 2 Mo au plus dans le champ "avatar"
+ *          (multipart/form-data), enregistrée en plusieurs tailles
+ * @access  Agent
+ */
+router.put('/me/avatar', authenticateToken, requireAgent, uploadImage, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Aucune image reçue (champ "avatar")'
+            });
+        }
+
+        const result = await saveAvatar('agent', req.user.agentId, req.file.buffer);
+
+        if (!result.success) {
+            return res.status(getStatusCode(result)).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Avatar enregistré avec succès',
+            data: result.data
+        });
+    } catch (error) {
+        console.error('Erreur lors de l\'enregistrement de l\'avatar :', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erreur interne du serveur',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/users/me/avatar
+ * @desc    Retire l'avatar de l'agent connecté
+ * @access  Agent
+ */
+router.delete('/me/avatar', authenticateToken, requireAgent, async (req, res) => {
+    try {
+        const result = await removeAvatar('agent', req.user.agentId);
+
+        if (!result.success) {
+            return res.status(getStatusCode(result)).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Avatar supprimé avec succès'
+        });
+    } catch (error) {
+        console.error('Erreur lors de la suppression de l\'avatar :', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erreur interne du serveur',
+            error: error.message
+        });
+    }
+});
+
+// Toute autre opération d'écriture est réservée aux administrateurs
+// (les routes /me ci-dessus permettent à chaque agent de gérer son propre avatar)
+router.use(adminOnlyMutations);
+
+router.get('/:id', authenticateToken, can('agents:read'), async (req, res) => {
     try {
         const { id } = req.params;
-        const result = await Agent.getAgentById(id);
+        const result = await Agent.getAgentById(id, {
+            includeArchived: req.query.includeArchived === 'true' || req.query.includeArchived === '1'
+        });
 
         if (!result.success) {
             return res.status(result.code || 500).json(result);
@@ -26,4 +133,167 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+/**
+ * @route   GET /api/users/:id/avatar
+ * @desc    Image de l'avatar de l'agent (?size=full, medium par défaut, ou thumb)
+ * @access  Private (agents:read)
+ */
+router.get('/:id/avatar', authenticateToken, can('agents:read'), async (req, res) => {
+    try {
+        const result = await readAvatar('agent', req.params.id, req.query.size);
+
+        if (!result.success) {
+            return res.status(getStatusCode(result)).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        return sendImage(req, res, result.data);
+    } catch (error) {
+        console.error('Erreur lors de la lecture de l\'avatar :', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erreur interne du serveur',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/users/:id/avatar
+ * @desc    Remplace l'avatar de l'agent : image JPEG, PNG ou WebP de 2 Mo au plus dans le champ "avatar"
+ *          (multipart/form-data), enregistrée en plusieurs tailles
+ * @access  Admin
+ */
+router.put('/:id/avatar', uploadImage, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Aucune image reçue (champ "avatar")'
+            });
+        }
+
+        const result = await saveAvatar('agent', req.params.id, req.file.buffer);
+
+        if (!result.success) {
+            return res.status(getStatusCode(result)).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Avatar enregistré avec succès',
+            data: result.data
+        });
+    } catch (error) {
+        console.error('Erreur lors de l\'enregistrement de l\'avatar :', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erreur interne du serveur',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/users/:id/avatar
+ * @desc    Retire l'avatar de l'agent
+ * @access  Admin
+ */
+router.delete('/:id/avatar', async (req, res) => {
+    try {
+        const result = await removeAvatar('agent', req.params.id);
+
+        if (!result.success) {
+            return res.status(getStatusCode(result)).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Avatar supprimé avec succès'
+        });
+    } catch (error) {
+        console.error('Erreur lors de la suppression de l\'avatar :', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erreur interne du serveur',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/users/:id/restore
+ * @desc    Restaure un agent archivé
+ * @access  Admin
+ */
+router.post('/:id/restore', async (req, res) => {
+    try {
+        const result = await Agent.restoreAgent(req.params.id);
+
+        if (!result.success) {
+            return res.status(getStatusCode(result)).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Agent restauré avec succès'
+        });
+    } catch (error) {
+        console.error('Erreur lors de la restauration de l\'agent :', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erreur interne du serveur',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/users/:id
+ * @desc    Archive un agent (suppression logique, restaurable via POST /:id/restore)
+ * @access  Admin
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        if (String(req.user.agentId) === String(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Vous ne pouvez pas archiver votre propre compte'
+            });
+        }
+
+        const result = await Agent.deleteAgent(req.params.id, req.user.agentId || null);
+
+        if (!result.success) {
+            return res.status(getStatusCode(result)).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Agent archivé avec succès'
+        });
+    } catch (error) {
+        console.error('Erreur lors de l\'archivage de l\'agent :', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erreur interne du serveur',
+            error: error.message
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,345 @@
+const { Etudiant, Deliberation } = require('../model');
+const { MOYENNE_ECHELLE } = require('../utils/bareme');
+
+/**
+ * Passage des étudiants d'une année académique à la suivante
+ *
+ * Pour chaque étudiant inscrit dans l'année source, le résultat de l'année détermine la promotion
+ * proposée dans l'année cible. La décision publiée du jury (DeliberationModel) prime ; à défaut,
+ * la moyenne (EtudiantModel.calculateMoyenne) est comparée à SEUIL_REUSSITE :
+ * - admis : promotion du niveau suivant (niveau.ordre) de la même
+ *   section, dans la même orientation
+ * - ajourné : même promotion (redoublement)
+ * Les étudiants sans note, déjà inscrits dans l'année cible ou en fin de cycle sont écartés.
+ *
+ * previewPassage renvoie les propositions sans rien enregistrer ; appliquerPassage les enregistre,
+ * éventuellement corrigées après revue, dans une seule transaction.
+ */
+
+// Moyenne annuelle minimale d'un admis, sur MOYENNE_ECHELLE
+const SEUIL_REUSSITE = MOYENNE_ECHELLE / 2;
+
+// Codes des refus de ajouterParcours qui écartent l'étudiant sans annuler tout le passage
+const SKIPPABLE_CODES = [400, 404, 409];
+
+/**
+ * Libellé d'une promotion (niveau - section - orientation)
+ * @param {Object} promotion - Ligne de getAllPromotions
+ * @returns {string}
+ */
+function promotionLabel(promotion) {
+  return [promotion.niveau_intitule, promotion.section_designation, promotion.orientation].filter(Boolean).join(' - ');
+}
+
+/**
+ * Résumé d'une promotion renvoyé dans les propositions
+ * @param {Object|undefined} promotion - Ligne de getAllPromotions
+ * @returns {Object|null}
+ */
+function promotionSummary(promotion) {
+  return promotion ? { id: promotion.id, libelle: promotionLabel(promotion) } : null;
+}
+
+/**
+ * Cherche la promotion du niveau suivant : même section et même système, plus petit rang
+ * supérieur, même orientation (ou seule promotion de ce niveau)
+ * @param {Object} promotion - Promotion de l'année source
+ * @param {Array<Object>} promotions - Toutes les promotions
+ * @returns {Object} - { promotion } ou { raison }
+ */
+function findPromotionSuivante(promotion, promotions) {
+  if (promotion.niveau_ordre === null || promotion.niveau_ordre === undefined) {
+    return { raison: `Rang du niveau ${promotion.niveau_intitule} non renseigné` };
+  }
+
+  const suivantes = promotions.filter(candidate => candidate.id_section === promotion.id_section
+    && candidate.niveau_systeme === promotion.niveau_systeme
+    && candidate.niveau_ordre !== null
+    && candidate.niveau_ordre > promotion.niveau_ordre);
+
+  if (suivantes.length === 0) {
+    return { raison: 'Fin de cycle : aucun niveau suivant dans la section' };
+  }
+
+  const ordre = Math.min(...suivantes.map(candidate => candidate.niveau_ordre));
+  const niveauSuivant = suivantes.filter(candidate => candidate.niveau_ordre === ordre);
+  const memeOrientation = niveauSuivant.find(candidate => (candidate.orientation || null) === (promotion.orientation || null));
+
+  if (memeOrientation) {
+    return { promotion: memeOrientation };
+  }
+
+  if (niveauSuivant.length === 1) {
+    return { promotion: niveauSuivant[0] };
+  }
+
+  return { raison: 'Plusieurs promotions possibles au niveau suivant : à choisir lors de la revue' };
+}
+
+/**
+ * Détermine le résultat d'un étudiant pour l'année source
+ * @param {number} etudiantId - ID de l'étudiant
+ * @param {number} anneeId - ID de l'année source
+ * @returns {Promise<Object>} - { moyenne, resultat: 'admis' | 'ajourne', decision (délibération publiée) } ou { raison }
+ */
+async function resultatEtudiant(etudiantId, anneeId) {
+  const decisions = await Deliberation.getDecisionsPubliees(etudiantId, anneeId);
+  if (!decisions.success) {
+    throw new Error(decisions.error);
+  }
+
+  if (decisions.data.length > 0) {
+    const { moyenne, admis, decision } = decisions.data[0];
+    return { moyenne, resultat: admis ? 'admis' : 'ajourne', decision };
+  }
+
+  const moyenne = await Etudiant.calculateMoyenne(etudiantId, anneeId);
+
+  if (!moyenne.success) {
+    if (moyenne.metadata.code === 404) {
+      return { raison: 'Aucune note dans l\'année source' };
+    }
+    throw new Error(moyenne.error);
+  }
+
+  const valeur = moyenne.data.moyenne;
+  return { moyenne: valeur, resultat: valeur >= SEUIL_REUSSITE ? 'admis' : 'ajourne' };
+}
+
+/**
+ * Vérifie les deux années du passage
+ * @param {number} sourceId - ID de l'année source
+ * @param {number|null} cibleId - ID de l'année cible (null : année qui suit l'année source)
+ * @returns {Promise<Object>} - Résultat avec { source, cible } dans data
+ */
+async function resolveAnnees(sourceId, cibleId) {
+  const source = await Etudiant.getAnneeById(sourceId);
+  if (!source.success) {
+    return source;
+  }
+
+  const cible = cibleId ? await Etudiant.getAnneeById(cibleId) : await Etudiant.getAnneeSuivante(sourceId);
+  if (!cible.success) {
+    return cible;
+  }
+
+  if (cible.data[0].debut < source.data[0].fin) {
+    return Etudiant.errorResponse('L\'année cible doit suivre l\'année source', 400);
+  }
+
+  return Etudiant.successResponse({ source: source.data[0], cible: cible.data[0] });
+}
+
+/**
+ * Calcule les propositions de passage
+ * @param {number} sourceId - ID de l'année source
+ * @param {Object} options - { cibleId, promotionId } (promotionId : se limiter à une promotion de l'année source)
+ * @returns {Promise<Object>} - Résultat au format des modèles ;
+ *                              data = { source, cible, promotions, inscritsCible, propositions }
+ */
+async function buildPlan(sourceId, options = {}) {
+  const annees = await resolveAnnees(sourceId, options.cibleId || null);
+  if (!annees.success) {
+    return annees;
+  }
+
+  const { source, cible } = annees.data;
+  const [inscriptions, dejaInscrits, promotions] = await Promise.all([
+    Etudiant.getInscriptionsByAnnee(source.id, { promotionId: options.promotionId || null }),
+    Etudiant.getInscriptionsByAnnee(cible.id),
+    Etudiant.getAllPromotions()
+  ]);
+
+  for (const result of [inscriptions, dejaInscrits, promotions]) {
+    if (!result.success) {
+      return result;
+    }
+  }
+
+  const promotionsById = new Map(promotions.data.map(promotion => [promotion.id, promotion]));
+  const inscritsCible = new Set(dejaInscrits.data.map(row => row.etudiant_id));
+  const vus = new Set();
+  const propositions = [];
+
+  for (const inscription of inscriptions.data) {
+    const promotion = promotionsById.get(inscription.id_promotion);
+    const proposition = {
+      etudiant: {
+        id: inscription.etudiant_id,
+        matricule: inscription.matricule,
+        nom: inscription.nom,
+        post_nom: inscription.post_nom,
+        prenom: inscription.prenom
+      },
+      promotionSource: promotionSummary(promotion),
+      moyenne: null,
+      resultat: null,
+      promotionCible: null,
+      action: 'ignorer',
+      raison: null
+    };
+    propositions.push(proposition);
+
+    if (vus.has(inscription.etudiant_id)) {
+      proposition.raison = 'Plusieurs inscriptions dans l\'année source : traité une seule fois';
+      continue;
+    }
+    vus.add(inscription.etudiant_id);
+
+    if (inscritsCible.has(inscription.etudiant_id)) {
+      proposition.raison = 'Déjà inscrit dans l\'année cible';
+      continue;
+    }
+
+    const resultat = await resultatEtudiant(inscription.etudiant_id, source.id);
+    if (resultat.raison) {
+      proposition.raison = resultat.raison;
+      continue;
+    }
+    proposition.moyenne = resultat.moyenne;
+    proposition.resultat = resultat.resultat;
+    if (resultat.decision) {
+      proposition.decision = resultat.decision;
+    }
+
+    const suivante = resultat.resultat === 'admis'
+      ? findPromotionSuivante(promotion, promotions.data)
+      : { promotion };
+
+    if (suivante.raison) {
+      proposition.raison = suivante.raison;
+      continue;
+    }
+
+    proposition.promotionCible = promotionSummary(suivante.promotion);
+    proposition.action = 'inscrire';
+  }
+
+  return Etudiant.successResponse({ source, cible, promotions: promotionsById, inscritsCible, propositions });
+}
+
+/**
+ * Prévisualise le passage d'une année à la suivante (rien n'est enregistré)
+ * @param {number} sourceId - ID de l'année source
+ * @param {Object} options - { cibleId, promotionId }
+ * @returns {Promise<Object>} - Résultat au format des modèles ; data = { source, cible, resume, propositions }
+ */
+async function previewPassage(sourceId, options = {}) {
+  const plan = await buildPlan(sourceId, options);
+  if (!plan.success) {
+    return plan;
+  }
+
+  const { source, cible, propositions } = plan.data;
+  const aInscrire = propositions.filter(proposition => proposition.action === 'inscrire');
+
+  return Etudiant.successResponse({
+    source,
+    cible,
+    resume: {
+      total: propositions.length,
+      admis: aInscrire.filter(proposition => proposition.resultat === 'admis').length,
+      ajournes: aInscrire.filter(proposition => proposition.resultat === 'ajourne').length,
+      ignores: propositions.length - aInscrire.length
+    },
+    propositions
+  });
+}
+
+/**
+ * Enregistre le passage : inscrit dans l'année cible les étudiants proposés, en une seule transaction
+ * @param {number} sourceId - ID de l'année source
+ * @param {Object} options - { cibleId, promotionId, dateInscription,
+ *                           decisions: [{ etudiantId, promotionId }] } corrections issues de la revue
+ *                           (promotionId null : étudiant écarté)
+ * @returns {Promise<Object>} - Résultat au format des modèles ; data = { source, cible, inscrits, ignores }
+ */
+async function appliquerPassage(sourceId, options = {}) {
+  const { decisions = [], dateInscription = null } = options;
+
+  if (!Array.isArray(decisions)) {
+    return Etudiant.errorResponse('decisions doit être une liste', 400);
+  }
+
+  const plan = await buildPlan(sourceId, options);
+  if (!plan.success) {
+    return plan;
+  }
+
+  const { source, cible, promotions, inscritsCible, propositions } = plan.data;
+  const parEtudiant = new Map();
+  for (const proposition of propositions) {
+    if (!parEtudiant.has(proposition.etudiant.id)) parEtudiant.set(proposition.etudiant.id, proposition);
+  }
+
+  // Corrections de la revue
+  for (const decision of decisions) {
+    const proposition = parEtudiant.get(Number(decision.etudiantId));
+    if (!proposition) {
+      return Etudiant.errorResponse(`L'étudiant ${decision.etudiantId} n'est pas concerné par ce passage`, 400);
+    }
+
+    if (inscritsCible.has(proposition.etudiant.id)) {
+      return Etudiant.errorResponse(`L'étudiant ${decision.etudiantId} est déjà inscrit dans l'année cible`, 409);
+    }
+
+    if (decision.promotionId === null) {
+      proposition.action = 'ignorer';
+      proposition.raison = 'Écarté lors de la revue';
+      continue;
+    }
+
+    const promotion = promotions.get(Number(decision.promotionId));
+    if (!promotion) {
+      return Etudiant.errorResponse(`Promotion inconnue : ${decision.promotionId}`, 400);
+    }
+
+    proposition.promotionCible = promotionSummary(promotion);
+    proposition.action = 'inscrire';
+    proposition.raison = null;
+  }
+
+  return Etudiant.transaction(async (tx) => {
+    const inscrits = [];
+    const ignores = propositions
+      .filter(proposition => proposition.action !== 'inscrire')
+      .map(proposition => ({ etudiant: proposition.etudiant, raison: proposition.raison }));
+
+    for (const proposition of parEtudiant.values()) {
+      if (proposition.action !== 'inscrire') continue;
+
+      // Revérifié sous verrou : l'étudiant a pu être inscrit depuis le calcul du plan (autre passage simultané...)
+      const existantes = await tx.lockInscriptionsAnnee(proposition.etudiant.id, cible.id);
+      if (!existantes.success) return existantes;
+      if (existantes.data.length > 0) {
+        ignores.push({ etudiant: proposition.etudiant, raison: 'Déjà inscrit dans l\'année cible' });
+        continue;
+      }
+
+      const saved = await tx.ajouterParcours(proposition.etudiant.id, proposition.promotionCible.id, cible.id, dateInscription);
+      if (!saved.success) {
+        if (!SKIPPABLE_CODES.includes(saved.metadata.code)) {
+          return saved;
+        }
+        ignores.push({ etudiant: proposition.etudiant, raison: saved.error });
+        continue;
+      }
+
+      inscrits.push({
+        etudiant: proposition.etudiant,
+        resultat: proposition.resultat,
+        moyenne: proposition.moyenne,
+        promotion: proposition.promotionCible,
+        parcoursId: saved.metadata.insertId
+      });
+    }
+
+    return tx.successResponse({ source, cible, inscrits, ignores });
+  });
+}
+
+module.exports = {
+  SEUIL_REUSSITE,
+  previewPassage,
+  appliquerPassage
+};
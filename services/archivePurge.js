@@ -0,0 +1,102 @@
+const { Etudiant, Agent } = require('../model');
+const { removeAvatarFiles } = require('./avatars');
+
+/**
+ * Purge des étudiants et agents archivés (suppression logique, voir deleteEtudiant / deleteAgent)
+ *
+ * Une fiche archivée n'est supprimée définitivement qu'après ARCHIVE_RETENTION_DAYS jours,
+ * et jamais si des cotes y sont rattachées (cotes de l'étudiant, cotes saisies ou jury de l'agent).
+ * Les images d'avatar des fiches supprimées sont effacées du stockage (services/avatars).
+ * La purge tourne toutes les ARCHIVE_PURGE_INTERVAL_HOURS heures si ARCHIVE_PURGE_ENABLED=true.
+ */
+
+const RETENTION_DAYS = parseInt(process.env.ARCHIVE_RETENTION_DAYS, 10) || 10 * 365;
+
+// setInterval n'accepte pas plus de 2^31 - 1 ms (environ 596 heures) : au-delà, le délai vaut 1 ms
+const MAX_INTERVAL_HOURS = Math.floor((2 ** 31 - 1) / (60 * 60 * 1000));
+
+/**
+ * Intervalle entre deux purges, en heures, ramené entre 1 et MAX_INTERVAL_HOURS
+ * @param {string} value - Valeur de ARCHIVE_PURGE_INTERVAL_HOURS
+ * @returns {number}
+ */
+function intervalHours(value) {
+  const hours = parseInt(value, 10) || 24;
+  if (hours > MAX_INTERVAL_HOURS) {
+    console.warn(`ARCHIVE_PURGE_INTERVAL_HOURS ramené à ${MAX_INTERVAL_HOURS} heures (maximum de setInterval)`);
+    return MAX_INTERVAL_HOURS;
+  }
+  return Math.max(1, hours);
+}
+
+/**
+ * Supprime définitivement les étudiants et agents archivés depuis plus longtemps que la durée de conservation
+ * @param {Object} options - { retentionDays }
+ * @returns {Promise<Object>} - Résultat au format des modèles ; data = { retentionDays, etudiants, agents }
+ */
+async function purgeArchived(options = {}) {
+  const { retentionDays = RETENTION_DAYS } = options;
+
+  if (!Number.isInteger(retentionDays) || retentionDays < 1) {
+    return Etudiant.errorResponse('La durée de conservation doit être un nombre entier de jours (>= 1)', 400);
+  }
+
+  const etudiants = await Etudiant.purgeArchivedEtudiants(retentionDays);
+  if (!etudiants.success) {
+    return etudiants;
+  }
+
+  const agents = await Agent.purgeArchivedAgents(retentionDays);
+  if (!agents.success) {
+    return agents;
+  }
+
+  // Les fiches sont supprimées : leurs images ne sont plus référencées
+  const { avatars: etudiantAvatars, ...etudiantsReport } = etudiants.data;
+  const { avatars: agentAvatars, ...agentsReport } = agents.data;
+  for (const avatar of [...etudiantAvatars, ...agentAvatars]) {
+    await removeAvatarFiles(avatar);
+  }
+
+  return Etudiant.successResponse({ retentionDays, etudiants: etudiantsReport, agents: agentsReport });
+}
+
+/**
+ * Lance la purge périodique si elle est activée (ARCHIVE_PURGE_ENABLED=true)
+ * @returns {Object|null} - Minuteur, ou null si la purge est désactivée
+ */
+function startArchivePurgeJob() {
+  if (process.env.ARCHIVE_PURGE_ENABLED !== 'true') {
+    return null;
+  }
+
+  const run = async () => {
+    try {
+      const result = await purgeArchived();
+      if (!result.success) {
+        console.error('Purge des archives en échec :', result.error);
+        return;
+      }
+
+      const { etudiants, agents } = result.data;
+      console.log(
+        `Purge des archives : ${etudiants.purged.length} étudiant(s) et ${agents.purged.length} agent(s) supprimés, `
+        + `${etudiants.skipped.length + agents.skipped.length} conservé(s)`
+      );
+    } catch (error) {
+      console.error('Purge des archives en échec :', error);
+    }
+  };
+
+  const timer = setInterval(run, intervalHours(process.env.ARCHIVE_PURGE_INTERVAL_HOURS) * 60 * 60 * 1000);
+  // Le minuteur ne doit pas empêcher le processus de s'arrêter
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  MAX_INTERVAL_HOURS,
+  intervalHours,
+  purgeArchived,
+  startArchivePurgeJob
+};
@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { Agent, Etudiant } = require('../model');
+const storage = require('./storage');
+
+/**
+ * Avatars des étudiants et des agents
+ *
+ * L'image envoyée est décodée (JPEG, PNG ou WebP uniquement, quel que soit le type annoncé),
+ * redressée selon son orientation EXIF puis recadrée au carré dans chaque taille de AVATAR_SIZES.
+ * Les métadonnées (EXIF, GPS...) ne sont pas conservées.
+ *
+ * Les images sont écrites par services/storage sous avatars/<type>/<id>/<jeton>-<taille>.webp ;
+ * la colonne avatar contient le préfixe avatars/<type>/<id>/<jeton>. Un nouveau jeton à chaque envoi
+ * permet aux clients de garder les images en cache ; les images précédentes sont supprimées.
+ */
+
+// Côté en pixels de chaque taille
+const AVATAR_SIZES = {
+  full: 512,
+  medium: 256,
+  thumb: 64
+};
+
+const DEFAULT_SIZE = 'medium';
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp'];
+const AVATAR_PREFIX = 'avatars/';
+
+// Refuse les images trop grandes une fois décodées (fichier compressé de petite taille mais énorme en mémoire)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+const OWNERS = {
+  etudiant: { model: Etudiant, find: id => Etudiant.getEtudiantById(id) },
+  agent: { model: Agent, find: id => Agent.getAgentById(id) }
+};
+
+/**
+ * Clé d'une taille d'avatar
+ * @param {string} avatar - Valeur de la colonne avatar
+ * @param {string} size - Taille (clé de AVATAR_SIZES)
+ * @returns {string}
+ */
+function variantKey(avatar, size) {
+  return `${avatar}-${size}.webp`;
+}
+
+/**
+ * Indique si la colonne avatar désigne une image gérée par ce service
+ * (les anciennes valeurs saisies à la main, URL ou chemins, ne le sont pas)
+ * @param {string|null} avatar - Valeur de la colonne avatar
+ * @returns {boolean}
+ */
+function isManaged(avatar) {
+  return typeof avatar === 'string' && avatar.startsWith(AVATAR_PREFIX);
+}
+
+/**
+ * Supprime toutes les tailles d'un avatar ; les échecs sont seulement journalisés
+ * @param {string} avatar - Valeur de la colonne avatar
+ * @returns {Promise<void>}
+ */
+async function removeVariants(avatar) {
+  await Promise.all(Object.keys(AVATAR_SIZES).map(size => storage.removeFile(variantKey(avatar, size))
+    .catch(error => console.error(`Suppression de l'avatar ${variantKey(avatar, size)} impossible :`, error.message))));
+}
+
+/**
+ * Récupère l'étudiant ou l'agent propriétaire de l'avatar
+ * @param {string} type - etudiant ou agent
+ * @param {number} id - ID
+ * @returns {Promise<Object>} - Résultat au format des modèles ; data = { owner, row }
+ */
+async function findOwner(type, id) {
+  const owner = OWNERS[type];
+  if (!owner) {
+    throw new Error(`Type de propriétaire d'avatar inconnu : ${type}`);
+  }
+
+  const result = await owner.find(id);
+  if (!result.success) {
+    return result;
+  }
+
+  return owner.model.successResponse({ owner, row: result.data[0] });
+}
+
+/**
+ * Produit les images de chaque taille
+ * @param {Buffer} buffer - Fichier reçu
+ * @returns {Promise<Object>} - { images: { taille: Buffer } } ou { error }
+ */
+async function renderVariants(buffer) {
+  const options = { limitInputPixels: MAX_INPUT_PIXELS };
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer, options).metadata();
+  } catch (error) {
+    return { error: 'Image illisible ou trop grande' };
+  }
+
+  if (!ACCEPTED_FORMATS.includes(metadata.format)) {
+    return { error: `Format d'image non pris en charge (${ACCEPTED_FORMATS.join(', ')} uniquement)` };
+  }
+
+  const images = {};
+  try {
+    for (const [size, pixels] of Object.entries(AVATAR_SIZES)) {
+      images[size] = await sharp(buffer, options)
+        .rotate()
+        .resize(pixels, pixels, { fit: 'cover' })
+        .webp({ quality: 82 })
+        .toBuffer();
+    }
+  } catch (error) {
+    return { error: 'Image illisible ou trop grande' };
+  }
+
+  return { images };
+}
+
+/**
+ * Enregistre un nouvel avatar et supprime le précédent
+ * @param {string} type - etudiant ou agent
+ * @param {number} id - ID de l'étudiant ou de l'agent
+ * @param {Buffer} buffer - Fichier reçu
+ * @returns {Promise<Object>} - Résultat au format des modèles ; data = { avatar, sizes }
+ */
+async function saveAvatar(type, id, buffer) {
+  const found = await findOwner(type, id);
+  if (!found.success) {
+    return found;
+  }
+
+  const { owner, row } = found.data;
+  const { images, error } = await renderVariants(buffer);
+  if (error) {
+    return owner.model.errorResponse(error, 400);
+  }
+
+  const avatar = `${AVATAR_PREFIX}${type}/${row.id}/${crypto.randomBytes(8).toString('hex')}`;
+
+  try {
+    for (const [size, image] of Object.entries(images)) {
+      await storage.putFile(variantKey(avatar, size), image, 'image/webp');
+    }
+  } catch (storageError) {
+    await removeVariants(avatar);
+    throw storageError;
+  }
+
+  const updated = await owner.model.updateAvatar(row.id, avatar);
+  if (!updated.success) {
+    await removeVariants(avatar);
+    return updated;
+  }
+
+  if (isManaged(row.avatar)) {
+    await removeVariants(row.avatar);
+  }
+
+  return owner.model.successResponse({ avatar, sizes: Object.keys(AVATAR_SIZES) });
+}
+
+/**
+ * Retire l'avatar et supprime ses images
+ * @param {string} type - etudiant ou agent
+ * @param {number} id - ID de l'étudiant ou de l'agent
+ * @returns {Promise<Object>} - Résultat au format des modèles
+ */
+async function removeAvatar(type, id) {
+  const found = await findOwner(type, id);
+  if (!found.success) {
+    return found;
+  }
+
+  const { owner, row } = found.data;
+  if (!row.avatar) {
+    return owner.model.errorResponse('Aucun avatar', 404);
+  }
+
+  const updated = await owner.model.updateAvatar(row.id, null);
+  if (!updated.success) {
+    return updated;
+  }
+
+  if (isManaged(row.avatar)) {
+    await removeVariants(row.avatar);
+  }
+
+  return owner.model.successResponse(null);
+}
+
+/**
+ * Supprime les images d'un avatar dont la fiche a déjà été supprimée (purge des archives).
+ * Les valeurs qui ne désignent pas une image gérée par ce service sont ignorées.
+ * @param {string|null} avatar - Valeur de la colonne avatar
+ * @returns {Promise<void>}
+ */
+async function removeAvatarFiles(avatar) {
+  if (isManaged(avatar)) {
+    await removeVariants(avatar);
+  }
+}
+
+/**
+ * Lit une taille de l'avatar
+ * @param {string} type - etudiant ou agent
+ * @param {number} id - ID de l'étudiant ou de l'agent
+ * @param {string} size - full, medium (par défaut) ou thumb
+ * @returns {Promise<Object>} - Résultat au format des modèles ; data = { body, contentType, etag }
+ */
+async function readAvatar(type, id, size = DEFAULT_SIZE) {
+  const found = await findOwner(type, id);
+  if (!found.success) {
+    return found;
+  }
+
+  const { owner, row } = found.data;
+  if (!AVATAR_SIZES[size]) {
+    return owner.model.errorResponse(`Taille inconnue : ${size} (${Object.keys(AVATAR_SIZES).join(', ')})`, 400);
+  }
+
+  if (!isManaged(row.avatar)) {
+    return owner.model.errorResponse('Aucun avatar', 404);
+  }
+
+  const file = await storage.getFile(variantKey(row.avatar, size));
+  if (!file) {
+    return owner.model.errorResponse('Image de l\'avatar introuvable', 404);
+  }
+
+  const token = row.avatar.split('/').pop();
+  return owner.model.successResponse({ ...file, etag: `"${token}-${size}"` });
+}
+
+module.exports = {
+  AVATAR_SIZES,
+  saveAvatar,
+  removeAvatar,
+  removeAvatarFiles,
+  readAvatar
+};
@@ -0,0 +1,306 @@
+const { Etudiant } = require('../model');
+
+/**
+ * Détection des étudiants enregistrés plusieurs fois
+ *
+ * Deux fiches sont comparées sur leurs noms normalisés (sans accents ni casse, dans n'importe
+ * quel ordre et quel que soit le champ nom / post_nom / prenom qui les contient), leur date de
+ * naissance, leur téléphone et leur e-mail. Le score va de 0 à 100.
+ */
+
+const DEFAULT_SEUIL = 65;
+
+// Poids de chaque critère dans le score
+const WEIGHTS = {
+  noms: 70,
+  dateNaissance: 20,
+  dateDifferente: -25,
+  telephone: 10,
+  email: 10
+};
+
+// Au-delà, un groupe de fiches partageant la même clé (prénom très courant...) n'est pas comparé deux à deux
+const MAX_BLOCK_SIZE = 300;
+
+/**
+ * Normalise un texte : minuscules, sans accents ni caractères autres que lettres et chiffres
+ * @param {string} value - Texte
+ * @returns {string}
+ */
+function normalize(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .trim();
+}
+
+/**
+ * Mots des noms d'un étudiant, normalisés et triés
+ * @param {Object} etudiant - Étudiant (nom, post_nom, prenom)
+ * @returns {Array<string>}
+ */
+function nameTokens(etudiant) {
+  return [etudiant.nom, etudiant.post_nom, etudiant.prenom]
+    .map(normalize)
+    .join(' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort();
+}
+
+/**
+ * Distance d'édition entre deux mots
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Similarité de deux mots (1 : identiques, 0 : rien en commun)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function wordSimilarity(a, b) {
+  const length = Math.max(a.length, b.length);
+  return length === 0 ? 1 : 1 - levenshtein(a, b) / length;
+}
+
+/**
+ * Similarité de deux listes de mots, indépendamment de leur ordre : chaque mot est associé
+ * au mot le plus proche de l'autre liste, les mots sans correspondant comptent pour 0
+ * @param {Array<string>} tokensA
+ * @param {Array<string>} tokensB
+ * @returns {number} - Entre 0 et 1
+ */
+function namesSimilarity(tokensA, tokensB) {
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+  const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+  const available = [...longer];
+  let total = 0;
+
+  for (const token of shorter) {
+    let bestIndex = 0;
+    let best = -1;
+    available.forEach((candidate, index) => {
+      const similarity = wordSimilarity(token, candidate);
+      if (similarity > best) {
+        best = similarity;
+        bestIndex = index;
+      }
+    });
+    total += best;
+    available.splice(bestIndex, 1);
+  }
+
+  return total / longer.length;
+}
+
+/**
+ * Date au format AAAA-MM-JJ, ou null
+ * @param {Date|string|null} value
+ * @returns {string|null}
+ */
+function dateKey(value) {
+  if (!value) return null;
+  if (!(value instanceof Date)) return String(value).slice(0, 10);
+
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${value.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Numéro de téléphone réduit à ses 9 derniers chiffres (indicatif et 0 initial ignorés), ou null
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+function phoneKey(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length >= 6 ? digits.slice(-9) : null;
+}
+
+/**
+ * Prépare un étudiant pour la comparaison
+ * @param {Object} etudiant - Ligne de la table etudiant
+ * @returns {Object} - { etudiant, tokens, date, phone, email }
+ */
+function profile(etudiant) {
+  return {
+    etudiant,
+    tokens: nameTokens(etudiant),
+    date: dateKey(etudiant.date_naiss),
+    phone: phoneKey(etudiant.telephone),
+    email: etudiant.e_mail ? etudiant.e_mail.trim().toLowerCase() : null
+  };
+}
+
+/**
+ * Calcule le score de ressemblance de deux étudiants préparés par profile()
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Object} - { score, raisons }
+ */
+function scoreProfiles(a, b) {
+  const raisons = [];
+  const noms = namesSimilarity(a.tokens, b.tokens);
+  let score = noms * WEIGHTS.noms;
+  raisons.push(`noms similaires à ${Math.round(noms * 100)} %`);
+
+  if (a.date && b.date) {
+    if (a.date === b.date) {
+      score += WEIGHTS.dateNaissance;
+      raisons.push('même date de naissance');
+    } else {
+      score += WEIGHTS.dateDifferente;
+      raisons.push('dates de naissance différentes');
+    }
+  }
+
+  if (a.phone && a.phone === b.phone) {
+    score += WEIGHTS.telephone;
+    raisons.push('même téléphone');
+  }
+
+  if (a.email && a.email === b.email) {
+    score += WEIGHTS.email;
+    raisons.push('même e-mail');
+  }
+
+  return { score: Math.max(0, Math.min(100, Math.round(score))), raisons };
+}
+
+/**
+ * Informations renvoyées pour chaque étudiant d'une paire
+ * @param {Object} etudiant
+ * @returns {Object}
+ */
+function summary(etudiant) {
+  const { id, matricule, nom, post_nom, prenom, sexe, date_naiss, telephone, e_mail } = etudiant;
+  return { id, matricule, nom, post_nom, prenom, sexe, date_naiss: dateKey(date_naiss), telephone, e_mail };
+}
+
+/**
+ * Clés de regroupement d'un étudiant : deux fiches ne sont comparées que si elles partagent une clé
+ * (un mot de leurs noms normalisés, la date de naissance, le téléphone ou l'e-mail)
+ * @param {Object} item - Étudiant préparé par profile()
+ * @returns {Set<string>}
+ */
+function blockKeys(item) {
+  const keys = new Set(item.tokens.filter(token => token.length > 1).map(token => `nom:${token}`));
+  if (item.date) keys.add(`date:${item.date}`);
+  if (item.phone) keys.add(`tel:${item.phone}`);
+  if (item.email) keys.add(`mail:${item.email}`);
+  return keys;
+}
+
+/**
+ * Cherche les doublons possibles d'un étudiant
+ * @param {number} etudiantId - ID de l'étudiant
+ * @param {Object} options - { seuil } score minimal (65 par défaut)
+ * @returns {Promise<Object>} - Résultat au format des modèles ; data = [{ score, raisons, etudiant }]
+ */
+async function findDoublonsOf(etudiantId, options = {}) {
+  const { seuil = DEFAULT_SEUIL } = options;
+
+  const etudiant = await Etudiant.getEtudiantById(etudiantId);
+  if (!etudiant.success) {
+    return etudiant;
+  }
+
+  // Mêmes candidats que findDoublons : les fiches qui partagent une clé de regroupement
+  const etudiants = await Etudiant.getEtudiantsPourDoublons();
+  if (!etudiants.success) {
+    return etudiants;
+  }
+
+  const reference = profile(etudiant.data[0]);
+  const keys = blockKeys(reference);
+  const doublons = etudiants.data
+    .filter(candidate => candidate.id !== reference.etudiant.id)
+    .map(profile)
+    .filter(candidate => [...blockKeys(candidate)].some(key => keys.has(key)))
+    .map(candidate => ({ ...scoreProfiles(reference, candidate), etudiant: summary(candidate.etudiant) }))
+    .filter(doublon => doublon.score >= seuil)
+    .sort((a, b) => b.score - a.score);
+
+  return Etudiant.successResponse(doublons);
+}
+
+/**
+ * Cherche les paires de doublons possibles dans toute la table etudiant.
+ * Seules les fiches qui partagent un mot de leurs noms, la date de naissance, le téléphone
+ * ou l'e-mail sont comparées.
+ * @param {Object} options - { seuil, limit }
+ * @returns {Promise<Object>} - Résultat au format des modèles ; data = [{ score, raisons, etudiants: [a, b] }]
+ */
+async function findDoublons(options = {}) {
+  const { seuil = DEFAULT_SEUIL, limit = 100 } = options;
+
+  const etudiants = await Etudiant.getEtudiantsPourDoublons();
+  if (!etudiants.success) {
+    return etudiants;
+  }
+
+  const profiles = etudiants.data.map(profile);
+  const blocks = new Map();
+  const addToBlock = (key, index) => {
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(index);
+  };
+
+  profiles.forEach((item, index) => {
+    blockKeys(item).forEach(key => addToBlock(key, index));
+  });
+
+  const compared = new Set();
+  const pairs = [];
+
+  for (const indexes of blocks.values()) {
+    if (indexes.length < 2 || indexes.length > MAX_BLOCK_SIZE) continue;
+
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        const key = `${indexes[i]}:${indexes[j]}`;
+        if (compared.has(key)) continue;
+        compared.add(key);
+
+        const a = profiles[indexes[i]];
+        const b = profiles[indexes[j]];
+        const { score, raisons } = scoreProfiles(a, b);
+        if (score >= seuil) {
+          pairs.push({ score, raisons, etudiants: [summary(a.etudiant), summary(b.etudiant)] });
+        }
+      }
+    }
+  }
+
+  pairs.sort((a, b) => b.score - a.score);
+  return Etudiant.successResponse(pairs.slice(0, limit), { total: pairs.length });
+}
+
+module.exports = {
+  DEFAULT_SEUIL,
+  findDoublons,
+  findDoublonsOf
+};
@@ -0,0 +1,283 @@
+const ExcelJS = require('exceljs');
+const { Etudiant, Origine } = require('../model');
+const csv = require('../utils/csv');
+
+/**
+ * Export des listes d'étudiants (CSV, XLSX ou JSON)
+ *
+ * Les lignes sont lues au fil de l'eau (EtudiantModel.exportRechercheAvancee) et écrites
+ * dans la réponse au fur et à mesure : exporter toute la table etudiant ne la charge pas en mémoire.
+ * Seules les colonnes de EXPORT_COLUMNS peuvent être exportées (jamais mdp).
+ * Dans les fichiers CSV et XLSX, un texte qui commence comme une formule est neutralisé (csv.neutralizeFormula).
+ */
+
+/**
+ * Met une date au format AAAA-MM-JJ (date locale, sans décalage de fuseau)
+ * @param {Date|string|null} value - Date lue en base
+ * @returns {string}
+ */
+function formatDate(value) {
+  if (!(value instanceof Date)) return value || '';
+
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${value.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Origine formatée par OrigineModel.formatOrigine, ou null si l'étudiant n'en a pas
+ * @param {Object} row - Ligne lue en base
+ * @returns {Object|null}
+ */
+function origineOf(row) {
+  if (!row.origine_id) return null;
+  return Origine.formatOrigine({ ...row, id: row.origine_id });
+}
+
+// Colonnes exportables, dans l'ordre d'export, regroupées par thème
+const EXPORT_COLUMNS = {
+  id: { group: 'identite', label: 'ID', value: row => row.id },
+  matricule: { group: 'identite', label: 'Matricule', value: row => row.matricule },
+  nom: { group: 'identite', label: 'Nom', value: row => row.nom },
+  post_nom: { group: 'identite', label: 'Post-nom', value: row => row.post_nom },
+  prenom: { group: 'identite', label: 'Prénom', value: row => row.prenom },
+  sexe: { group: 'identite', label: 'Sexe', value: row => row.sexe },
+  date_naiss: { group: 'identite', label: 'Date de naissance', value: row => formatDate(row.date_naiss) },
+  telephone: { group: 'identite', label: 'Téléphone', value: row => row.telephone },
+  adresse: { group: 'identite', label: 'Adresse', value: row => row.adresse },
+  e_mail: { group: 'identite', label: 'E-mail', value: row => row.e_mail },
+  vision: { group: 'identite', label: 'Vision', value: row => row.vision },
+
+  section: { group: 'administratif', label: 'Section (secondaire)', value: row => row.section },
+  option: { group: 'administratif', label: 'Option (secondaire)', value: row => row.option },
+  annee_diplome: { group: 'administratif', label: 'Année du diplôme', value: row => row.annee_diplome },
+  pourcentage_exetat: { group: 'administratif', label: 'Pourcentage exetat', value: row => row.pourcentage_exetat },
+
+  origine: { group: 'origine', label: 'Origine', value: row => (origineOf(row) || {}).formatted },
+  ville: { group: 'origine', label: 'Ville', value: row => row.nomVille },
+  province: { group: 'origine', label: 'Province', value: row => row.nomProvince },
+  pays: { group: 'origine', label: 'Pays', value: row => row.nomPays },
+
+  promotion: {
+    group: 'promotion',
+    label: 'Promotion',
+    value: row => (row.promotion_id
+      ? [row.niveau_intitule, row.section_designation, row.promotion_orientation].filter(Boolean).join(' - ')
+      : '')
+  },
+  niveau: { group: 'promotion', label: 'Niveau', value: row => row.niveau_intitule },
+  section_promotion: { group: 'promotion', label: 'Section', value: row => row.section_designation },
+  annee_academique: {
+    group: 'promotion',
+    label: 'Année académique',
+    value: row => (row.annee_debut ? `${row.annee_debut}-${row.annee_fin}` : '')
+  }
+};
+
+const DEFAULT_GROUPS = ['identite', 'promotion'];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+/**
+ * Détermine les colonnes à exporter
+ * @param {string|Array<string>} selection - Colonnes et/ou groupes (identite, administratif, origine, promotion),
+ *                                          séparés par des virgules ; vide : identite et promotion
+ * @returns {Object} - { columns } ou { error }
+ */
+function resolveColumns(selection) {
+  const requested = (Array.isArray(selection) ? selection.join(',') : String(selection || ''))
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+  const items = requested.length > 0 ? requested : DEFAULT_GROUPS;
+  const groups = [...new Set(Object.values(EXPORT_COLUMNS).map(column => column.group))];
+  const unknown = items.filter(item => !EXPORT_COLUMNS[item] && !groups.includes(item));
+
+  if (unknown.length > 0) {
+    return {
+      error: `Colonnes inconnues : ${unknown.join(', ')}. Groupes : ${groups.join(', ')} ; `
+        + `colonnes : ${Object.keys(EXPORT_COLUMNS).join(', ')}`
+    };
+  }
+
+  // Ordre de EXPORT_COLUMNS, sans doublon
+  const columns = Object.keys(EXPORT_COLUMNS)
+    .filter(key => items.includes(key) || items.includes(EXPORT_COLUMNS[key].group));
+
+  return { columns };
+}
+
+/**
+ * Vérifie que le client est toujours connecté
+ * @param {Writable} output - Flux de sortie
+ * @throws {Error} - Si la sortie est fermée (client déconnecté)
+ */
+function ensureOpen(output) {
+  if (output.destroyed || output.writableEnded) {
+    throw new Error('Connexion interrompue pendant l\'export');
+  }
+}
+
+/**
+ * Écrit un morceau dans la sortie en respectant sa capacité (attend "drain" si nécessaire).
+ * Une sortie fermée ou en erreur pendant l'attente rejette la promesse au lieu de la laisser en suspens.
+ * @param {Writable} output - Flux de sortie
+ * @param {string|Buffer} chunk - Données
+ * @returns {Promise<void>}
+ */
+function write(output, chunk) {
+  ensureOpen(output);
+  if (output.write(chunk)) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      output.off('drain', onDrain);
+      output.off('close', onClose);
+      output.off('error', onError);
+    };
+    const onDrain = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error('Connexion interrompue pendant l\'export'));
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+    output.on('drain', onDrain);
+    output.on('close', onClose);
+    output.on('error', onError);
+
+    // Fermée entre l'écriture et l'abonnement : "close" ne sera plus émis
+    if (output.destroyed) onClose();
+  });
+}
+
+/**
+ * Écrit les lignes au format demandé puis termine la sortie
+ * @param {Writable} output - Flux de sortie (réponse HTTP)
+ * @param {string} format - csv, xlsx ou json
+ * @param {AsyncIterable<Object>} rows - Lignes lues en base
+ * @param {Array<string>} columns - Colonnes à exporter (voir resolveColumns)
+ * @param {Object} options - { delimiter } pour le CSV
+ * @returns {Promise<number>} - Nombre de lignes exportées
+ */
+async function writeExport(output, format, rows, columns, options = {}) {
+  const values = row => columns.map(key => {
+    const value = EXPORT_COLUMNS[key].value(row);
+    return value === undefined ? null : value;
+  });
+  let count = 0;
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: false });
+    const worksheet = workbook.addWorksheet('Etudiants');
+    worksheet.addRow(columns.map(key => EXPORT_COLUMNS[key].label)).commit();
+
+    for await (const row of rows) {
+      // ExcelJS n'attend pas la sortie : sans ce contrôle, un export abandonné continuerait en mémoire
+      ensureOpen(output);
+      worksheet.addRow(values(row).map(csv.neutralizeFormula)).commit();
+      count++;
+    }
+
+    worksheet.commit();
+    await workbook.commit();
+    return count;
+  }
+
+  if (format === 'json') {
+    await write(output, '[');
+    for await (const row of rows) {
+      const rowValues = values(row);
+      const item = Object.fromEntries(columns.map((key, index) => [key, rowValues[index]]));
+      await write(output, `${count > 0 ? ',' : ''}\n${JSON.stringify(item)}`);
+      count++;
+    }
+    await write(output, '\n]\n');
+    output.end();
+    return count;
+  }
+
+  // CSV : BOM pour que les tableurs reconnaissent l'UTF-8
+  const delimiter = options.delimiter || ',';
+  await write(output, '\uFEFF' + csv.formatRow(columns.map(key => EXPORT_COLUMNS[key].label), delimiter));
+  for await (const row of rows) {
+    await write(output, csv.formatRow(values(row), delimiter));
+    count++;
+  }
+  output.end();
+  return count;
+}
+
+/**
+ * Reconstitue la suite des lignes après lecture de la première
+ * @param {Object} first - Premier résultat de l'itérateur
+ * @param {AsyncIterator} iterator - Itérateur du flux de lignes
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* resume(first, iterator) {
+  try {
+    if (first.done) return;
+    yield first.value;
+
+    let next;
+    while (!(next = await iterator.next()).done) {
+      yield next.value;
+    }
+  } finally {
+    // Export interrompu : libère la requête en cours
+    await iterator.return();
+  }
+}
+
+/**
+ * Exporte les étudiants correspondant aux critères de recherche
+ * @param {Writable} output - Flux de sortie (réponse HTTP)
+ * @param {Object} filtres - Critères de rechercheAvancee
+ * @param {Object} options - { format, columns, sortBy, sortDir, delimiter, onStart(format) }
+ *                           onStart est appelé juste avant la première écriture (en-têtes HTTP)
+ * @returns {Promise<Object>} - Résultat au format des modèles ; data = { count }
+ */
+async function exportEtudiants(output, filtres, options = {}) {
+  const { format = 'csv', columns: selection, sortBy, sortDir, delimiter, onStart } = options;
+
+  if (!EXPORT_FORMATS[format]) {
+    return Etudiant.errorResponse(`Format inconnu : ${format} (${Object.keys(EXPORT_FORMATS).join(', ')})`, 400);
+  }
+
+  const { columns, error } = resolveColumns(selection);
+  if (error) {
+    return Etudiant.errorResponse(error, 400);
+  }
+
+  const source = Etudiant.exportRechercheAvancee(filtres, { sortBy, sortDir });
+  if (!source.success) {
+    return source;
+  }
+
+  // La première ligne est lue avant d'écrire quoi que ce soit : une erreur SQL peut encore
+  // être renvoyée comme une réponse d'erreur normale
+  const iterator = source.data[Symbol.asyncIterator]();
+  const first = await iterator.next();
+
+  if (onStart) onStart(EXPORT_FORMATS[format]);
+
+  const count = await writeExport(output, format, resume(first, iterator), columns, { delimiter });
+  return Etudiant.successResponse({ count });
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  resolveColumns,
+  exportEtudiants
+};
@@ -0,0 +1,331 @@
+const { Etudiant, Origine } = require('../model');
+const { SpreadsheetError, readSpreadsheet } = require('../utils/spreadsheet');
+const { normalizeSectionOption, parsePourcentageExetat } = require('../utils/exetat');
+
+/**
+ * Import en masse d'étudiants depuis un fichier CSV ou XLSX
+ *
+ * Chaque ligne alimente etudiant, et selon les colonnes présentes administratif_etudiant,
+ * origine_etudiant et promotion_etudiant. L'import se fait en deux temps :
+ * - validation de toutes les lignes (rapport ligne par ligne, seul résultat en mode simulation)
+ * - enregistrement de toutes les lignes dans une seule transaction, uniquement si aucune ligne n'est en erreur
+ */
+
+// Colonnes reconnues (clé interne -> en-têtes normalisés acceptés dans le fichier)
+const COLUMN_ALIASES = {
+  nom: ['nom'],
+  post_nom: ['post_nom', 'postnom'],
+  prenom: ['prenom'],
+  sexe: ['sexe', 'genre'],
+  matricule: ['matricule'],
+  date_naiss: ['date_naiss', 'date_naissance', 'date_de_naissance'],
+  telephone: ['telephone', 'tel'],
+  adresse: ['adresse'],
+  e_mail: ['e_mail', 'email', 'mail'],
+  vision: ['vision'],
+  section: ['section'],
+  option: ['option'],
+  annee: ['annee_diplome', 'annee_exetat'],
+  pourcentage_exetat: ['pourcentage_exetat', 'exetat', 'pourcentage'],
+  ville: ['ville', 'ville_origine', 'id_ville'],
+  promotion_id: ['promotion_id', 'id_promotion', 'promotion'],
+  annee_id: ['annee_id', 'id_annee', 'annee_academique']
+};
+
+const SEXES = { m: 'M', masculin: 'M', homme: 'M', f: 'F', feminin: 'F', féminin: 'F', femme: 'F' };
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Récupère la valeur d'une colonne en tenant compte de ses alias
+ * @param {Object} values - Valeurs de la ligne indexées par en-tête normalisé
+ * @param {string} key - Clé interne
+ * @returns {string} - Valeur ('' si absente)
+ */
+function pick(values, key) {
+  const header = COLUMN_ALIASES[key].find(alias => values[alias] !== undefined && values[alias] !== '');
+  return header ? values[header] : '';
+}
+
+/**
+ * Convertit une date JJ/MM/AAAA ou AAAA-MM-JJ en AAAA-MM-JJ
+ * @param {string} value - Date saisie
+ * @returns {string|null} - Date normalisée ou null si invalide
+ */
+function parseDate(value) {
+  let match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) return value;
+
+  match = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (match) {
+    const [, day, month, year] = match;
+    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Charge les référentiels nécessaires à la validation
+ * @returns {Promise<Object>} - { promotions (ID -> ID de section), annees, villesById, villesByName, emails, matricules,
+ *                              exetat (référentiel des sections et options du secondaire) }
+ */
+async function loadReferences() {
+  const [promotions, annees, villes, existing, exetat] = await Promise.all([
+    Etudiant.getAllPromotions(),
+    Etudiant.getAllAnnees(),
+    Origine.getAllVilles(),
+    Etudiant.query('SELECT matricule, e_mail FROM etudiant'),
+    Etudiant.getExetatReferentiel()
+  ]);
+
+  for (const result of [promotions, annees, villes, existing, exetat]) {
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+  }
+
+  return {
+    promotions: new Map(promotions.data.map(row => [row.id, row.id_section])),
+    annees: new Set(annees.data.map(row => row.id)),
+    villesById: new Set(villes.data.map(row => row.id)),
+    villesByName: new Map(villes.data.map(row => [String(row.nomVille).trim().toLowerCase(), row.id])),
+    emails: new Set(existing.data.filter(row => row.e_mail).map(row => row.e_mail.toLowerCase())),
+    matricules: new Set(existing.data.filter(row => row.matricule).map(row => row.matricule.toLowerCase())),
+    exetat: exetat.data
+  };
+}
+
+/**
+ * Valide une ligne et la convertit en données prêtes à enregistrer
+ * @param {Object} row - { line, values }
+ * @param {Object} refs - Référentiels (voir loadReferences), complétés au fil des lignes
+ * @param {Object} defaults - { annee_id } appliqué aux lignes qui n'ont pas d'année académique
+ * @returns {Object} - { line, errors, etudiant, administratif, villeId, parcours }
+ */
+function validateRow(row, refs, defaults) {
+  const { line, values } = row;
+  const errors = [];
+
+  const etudiant = {};
+  for (const field of ['nom', 'post_nom', 'prenom', 'matricule', 'telephone', 'adresse', 'e_mail', 'vision']) {
+    const value = pick(values, field);
+    if (value) etudiant[field] = value;
+  }
+
+  // Identité
+  for (const [field, label] of [['nom', 'Le nom'], ['post_nom', 'Le post-nom'], ['prenom', 'Le prénom']]) {
+    if (!etudiant[field]) errors.push(`${label} est obligatoire`);
+  }
+
+  const sexe = SEXES[pick(values, 'sexe').toLowerCase()];
+  if (!sexe) {
+    errors.push('Le sexe est obligatoire (M ou F)');
+  } else {
+    etudiant.sexe = sexe;
+  }
+
+  const dateNaiss = pick(values, 'date_naiss');
+  if (dateNaiss) {
+    etudiant.date_naiss = parseDate(dateNaiss);
+    if (!etudiant.date_naiss) errors.push(`Date de naissance invalide : ${dateNaiss}`);
+  }
+
+  // Unicité (base et lignes précédentes du fichier)
+  if (etudiant.e_mail) {
+    const email = etudiant.e_mail.toLowerCase();
+    if (!EMAIL_PATTERN.test(email)) {
+      errors.push(`E-mail invalide : ${etudiant.e_mail}`);
+    } else if (refs.emails.has(email)) {
+      errors.push(`E-mail déjà utilisé : ${etudiant.e_mail}`);
+    } else {
+      refs.emails.add(email);
+    }
+  }
+
+  if (etudiant.matricule) {
+    const matricule = etudiant.matricule.toLowerCase();
+    if (refs.matricules.has(matricule)) {
+      errors.push(`Matricule déjà utilisé : ${etudiant.matricule}`);
+    } else {
+      refs.matricules.add(matricule);
+    }
+  }
+
+  // Informations administratives (section et option ramenées au référentiel)
+  const administratif = {};
+  const annee = pick(values, 'annee');
+  if (annee) administratif.annee = annee;
+
+  const secondaire = normalizeSectionOption(pick(values, 'section'), pick(values, 'option'), refs.exetat);
+  if (secondaire.error) {
+    errors.push(secondaire.error);
+  } else {
+    if (secondaire.section) administratif.section = secondaire.section;
+    if (secondaire.option) administratif.option = secondaire.option;
+  }
+
+  const pourcentage = parsePourcentageExetat(pick(values, 'pourcentage_exetat'));
+  if (pourcentage.error) {
+    errors.push(pourcentage.error);
+  } else if (pourcentage.value !== null) {
+    administratif.pourcentage_exetat = pourcentage.value;
+  }
+
+  // Origine : ID ou nom de la ville
+  let villeId = null;
+  const ville = pick(values, 'ville');
+  if (ville) {
+    if (/^\d+$/.test(ville)) {
+      villeId = refs.villesById.has(parseInt(ville, 10)) ? parseInt(ville, 10) : null;
+    } else {
+      villeId = refs.villesByName.get(ville.toLowerCase()) || null;
+    }
+    if (!villeId) {
+      errors.push(`Ville inconnue : ${ville}`);
+    }
+  }
+
+  // Inscription dans une promotion
+  let parcours = null;
+  const promotion = pick(values, 'promotion_id');
+  if (promotion) {
+    const promotionId = parseInt(promotion, 10);
+    const anneeValue = pick(values, 'annee_id') || defaults.annee_id;
+    const anneeId = anneeValue ? parseInt(anneeValue, 10) : null;
+
+    if (!refs.promotions.has(promotionId)) {
+      errors.push(`Promotion inconnue : ${promotion}`);
+    }
+    if (!anneeId) {
+      errors.push('L\'année académique est obligatoire pour inscrire l\'étudiant dans une promotion');
+    } else if (!refs.annees.has(anneeId)) {
+      errors.push(`Année académique inconnue : ${anneeValue}`);
+    }
+
+    parcours = { promotionId, anneeId, sectionId: refs.promotions.get(promotionId) || null };
+  }
+
+  return { line, errors, etudiant, administratif, villeId, parcours };
+}
+
+/**
+ * Enregistre une ligne validée dans la transaction
+ * @param {Object} tx - Modèle Etudiant lié à la transaction
+ * @param {Object} row - Ligne validée (voir validateRow)
+ * @returns {Promise<Object>} - Résultat avec { id, matricule } dans data
+ */
+async function saveRow(tx, row) {
+  // Le matricule généré suit le modèle de la section et de l'année d'inscription
+  const context = row.parcours
+    ? { sectionId: row.parcours.sectionId, anneeId: row.parcours.anneeId }
+    : {};
+
+  const created = await tx.createEtudiant({ ...row.etudiant }, context);
+  if (!created.success) return created;
+
+  const etudiantId = created.metadata.insertId;
+
+  if (Object.keys(row.administratif).length > 0 || row.parcours) {
+    const administratif = await tx.setAdministratifEtudiant(etudiantId, row.administratif);
+    if (!administratif.success) return administratif;
+  }
+
+  if (row.villeId) {
+    const origine = await tx.use(Origine).setOrigineEtudiant(etudiantId, row.villeId);
+    if (!origine.success) return origine;
+  }
+
+  if (row.parcours) {
+    const parcours = await tx.ajouterParcours(etudiantId, row.parcours.promotionId, row.parcours.anneeId);
+    if (!parcours.success) return parcours;
+  }
+
+  const saved = await tx.getEtudiantById(etudiantId);
+  if (!saved.success) return saved;
+
+  return tx.successResponse({ id: etudiantId, matricule: saved.data[0].matricule });
+}
+
+/**
+ * Importe (ou simule l'import) d'un fichier d'étudiants
+ * @param {Buffer} buffer - Contenu du fichier
+ * @param {string} fileName - Nom du fichier (.csv ou .xlsx)
+ * @param {Object} options - { dryRun, annee_id }
+ * @returns {Promise<Object>} - Résultat au format des modèles ; data = rapport { dryRun, total, valid, invalid, imported, rows }
+ */
+async function importEtudiants(buffer, fileName, options = {}) {
+  const { dryRun = true, annee_id: anneeId = null } = options;
+
+  let sheet;
+  try {
+    sheet = await readSpreadsheet(buffer, fileName);
+  } catch (error) {
+    if (error instanceof SpreadsheetError) return Etudiant.errorResponse(error.message, 400);
+    throw error;
+  }
+
+  const { headers, rows } = sheet;
+  if (rows.length === 0) {
+    return Etudiant.errorResponse('Le fichier ne contient aucune ligne à importer', 400);
+  }
+
+  const missingColumns = ['nom', 'post_nom', 'prenom', 'sexe']
+    .filter(key => !COLUMN_ALIASES[key].some(alias => headers.includes(alias)));
+  if (missingColumns.length > 0) {
+    return Etudiant.errorResponse(`Colonnes obligatoires absentes : ${missingColumns.join(', ')}`, 400);
+  }
+
+  const refs = await loadReferences();
+  const validated = rows.map(row => validateRow(row, refs, { annee_id: anneeId }));
+  const invalid = validated.filter(row => row.errors.length > 0).length;
+
+  const report = {
+    dryRun,
+    total: validated.length,
+    valid: validated.length - invalid,
+    invalid,
+    imported: 0,
+    rows: validated.map(row => ({
+      line: row.line,
+      status: row.errors.length > 0 ? 'error' : 'ok',
+      nom: [row.etudiant.nom, row.etudiant.post_nom, row.etudiant.prenom].filter(Boolean).join(' '),
+      errors: row.errors
+    }))
+  };
+
+  if (dryRun) {
+    return Etudiant.successResponse(report);
+  }
+
+  if (invalid > 0) {
+    return {
+      ...Etudiant.errorResponse('Import refusé : corrigez les lignes en erreur puis relancez', 422),
+      data: report
+    };
+  }
+
+  return Etudiant.transaction(async (tx) => {
+    for (const [index, row] of validated.entries()) {
+      const saved = await saveRow(tx, row);
+      if (!saved.success) {
+        report.rows[index].status = 'error';
+        report.rows[index].errors.push(saved.error);
+        return {
+          ...tx.errorResponse(`Import annulé à la ligne ${row.line} : ${saved.error}`, 422),
+          data: report
+        };
+      }
+
+      report.rows[index].id = saved.data.id;
+      report.rows[index].matricule = saved.data.matricule;
+    }
+
+    report.imported = validated.length;
+    return tx.successResponse(report);
+  });
+}
+
+module.exports = {
+  COLUMN_ALIASES,
+  importEtudiants
+};
@@ -0,0 +1,472 @@
+const ExcelJS = require('exceljs');
+const { Cotes } = require('../model');
+const csv = require('../utils/csv');
+const { SpreadsheetError, readSpreadsheet } = require('../utils/spreadsheet');
+
+/**
+ * Grille de cotation d'une matière : une ligne par étudiant inscrit dans la promotion de la matière
+ * pour l'année, avec sa fiche de cotation.
+ *
+ * Une saisie de grille (JSON ou fichier CSV / XLSX) ne modifie que les cellules renseignées :
+ * - toutes les lignes sont d'abord vérifiées (étudiant inscrit, cotes dans le barème de la matière) ;
+ * - les cellules modifiées sont ensuite enregistrées dans une seule transaction. Chaque fiche touchée
+ *   passe par CotesModel.verifierAutorisation (jury de l'agent, rattrapages) et chaque cellule
+ *   modifiée est journalisée dans insertion. Une erreur annule toute la saisie.
+ */
+
+const COTES = ['tp', 'td', 'examen', 'rattrapage'];
+
+// Colonnes reconnues dans les fichiers (clé interne -> en-têtes normalisés acceptés)
+const COLUMN_ALIASES = {
+  etudiant_id: ['etudiant_id', 'id_etudiant', 'id'],
+  matricule: ['matricule'],
+  tp: ['tp'],
+  td: ['td'],
+  examen: ['examen', 'exam'],
+  rattrapage: ['rattrapage', 'ratt']
+};
+
+const GRILLE_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const EXPORT_HEADERS = ['etudiant_id', 'matricule', 'nom', 'post_nom', 'prenom', ...COTES];
+
+/**
+ * Charge la grille : matière, année et étudiants inscrits avec leur fiche
+ * @param {number} matiereId - ID de la matière
+ * @param {number} anneeId - ID de l'année académique
+ * @returns {Promise<Object>} - Résultat au format des modèles ; data = { matiere, annee, bareme, etudiants }
+ */
+async function loadGrille(matiereId, anneeId) {
+  const matiere = await Cotes.getMatiereById(matiereId);
+  if (!matiere.success) {
+    return matiere;
+  }
+
+  const annee = await Cotes.getAnneeById(anneeId);
+  if (!annee.success) {
+    return annee;
+  }
+
+  const { promotion_id: promotionId } = matiere.data[0];
+  const [bareme, inscriptions, fiches] = await Promise.all([
+    Cotes.getBaremeMatiere(matiereId, anneeId),
+    Cotes.getInscriptionsByAnnee(anneeId, { promotionId }),
+    Cotes.getFichesCotationByMatiere(matiereId, anneeId)
+  ]);
+
+  for (const result of [bareme, inscriptions, fiches]) {
+    if (!result.success) {
+      return result;
+    }
+  }
+
+  const fichesByEtudiant = new Map(fiches.data.map(fiche => [fiche.id_etudiant, fiche]));
+  const etudiants = new Map();
+
+  for (const inscription of inscriptions.data) {
+    if (etudiants.has(inscription.etudiant_id)) continue;
+
+    const fiche = fichesByEtudiant.get(inscription.etudiant_id) || null;
+    etudiants.set(inscription.etudiant_id, {
+      id: inscription.etudiant_id,
+      matricule: inscription.matricule,
+      nom: inscription.nom,
+      post_nom: inscription.post_nom,
+      prenom: inscription.prenom,
+      fiche_id: fiche ? fiche.id : null,
+      ...Object.fromEntries(COTES.map(cote => [cote, fiche ? fiche[cote] : null])),
+      total: fiche ? fiche.total : null,
+      note_finale: fiche ? fiche.note_finale : null,
+      resultat: fiche ? fiche.resultat : null
+    });
+  }
+
+  const { id, designation, code, niveau_intitule, section_designation, promotion_orientation } = matiere.data[0];
+  const { debut, fin } = annee.data[0];
+
+  return Cotes.successResponse({
+    matiere: {
+      id,
+      designation,
+      code,
+      promotion: {
+        id: promotionId,
+        libelle: [niveau_intitule, section_designation, promotion_orientation].filter(Boolean).join(' - ')
+      }
+    },
+    annee: { id: annee.data[0].id, debut, fin },
+    bareme: bareme.data,
+    etudiants: Array.from(etudiants.values())
+  });
+}
+
+/**
+ * Grille d'une matière, avec les cotes que l'agent peut saisir
+ * @param {number} matiereId - ID de la matière
+ * @param {number} anneeId - ID de l'année académique
+ * @param {number} agentId - ID de l'agent connecté
+ * @returns {Promise<Object>} - Résultat au format des modèles ;
+ *                              data = { matiere, annee, bareme, autorisations (null hors jury), etudiants }
+ */
+async function getGrille(matiereId, anneeId, agentId) {
+  const grille = await loadGrille(matiereId, anneeId);
+  if (!grille.success) {
+    return grille;
+  }
+
+  const jury = await Cotes.getJuryAutorise(agentId, matiereId, anneeId);
+  const autorisations = jury.success
+    ? { tp: true, td: true, examen: true, rattrapage: jury.data.autorisation !== 'restreinte' }
+    : null;
+
+  return Cotes.successResponse({ ...grille.data, autorisations });
+}
+
+/**
+ * Lit la valeur d'une cellule
+ * @param {string} cote - tp, td, examen ou rattrapage
+ * @param {*} value - Valeur reçue (nombre, texte "12,5", vide, ou null pour effacer un rattrapage)
+ * @param {Object} bareme - Barème de la matière (cote maximale de chaque composante)
+ * @returns {Object} - { skip } si la cellule n'est pas renseignée, { value } ou { error }
+ */
+function parseCote(cote, value, bareme) {
+  if (value === undefined || value === '') {
+    return { skip: true };
+  }
+
+  if (value === null) {
+    return cote === 'rattrapage' ? { value: null } : { error: `${cote} ne peut pas être effacé` };
+  }
+
+  const number = typeof value === 'number' ? value : Number(String(value).replace(',', '.').trim());
+  const max = bareme[`max_${cote}`];
+  if (!Number.isFinite(number) || number < 0 || number > max) {
+    return { error: `${cote} invalide : ${value} (entre 0 et ${max})` };
+  }
+
+  return { value: number };
+}
+
+/**
+ * Compare deux valeurs de cote (les décimales lues en base arrivent parfois en texte)
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function sameCote(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a === null || a === undefined) && (b === null || b === undefined);
+  }
+  return Number(a) === Number(b);
+}
+
+/**
+ * Vérifie les lignes reçues et calcule les cellules modifiées
+ * @param {Object} grille - Données de loadGrille
+ * @param {Array<Object>} lignes - [{ line, etudiantId | matricule, tp, td, examen, rattrapage }]
+ * @returns {Object} - Rapport { total, valid, invalid, cellules, rows }
+ */
+function planGrille(grille, lignes) {
+  const byId = new Map(grille.etudiants.map(etudiant => [etudiant.id, etudiant]));
+  const byMatricule = new Map(grille.etudiants
+    .filter(etudiant => etudiant.matricule)
+    .map(etudiant => [String(etudiant.matricule).toLowerCase(), etudiant]));
+  const vus = new Set();
+
+  const rows = lignes.map((ligne, index) => {
+    const row = { line: ligne.line || index + 1, etudiant: null, status: 'ok', changes: [], errors: [] };
+
+    let etudiant = null;
+    if (ligne.etudiantId !== undefined && ligne.etudiantId !== null && ligne.etudiantId !== '') {
+      etudiant = byId.get(Number(ligne.etudiantId));
+    } else if (ligne.matricule) {
+      etudiant = byMatricule.get(String(ligne.matricule).trim().toLowerCase());
+    } else {
+      row.errors.push('Étudiant non précisé (etudiantId ou matricule)');
+    }
+
+    if (!etudiant && row.errors.length === 0) {
+      row.errors.push(`Étudiant ${ligne.etudiantId || ligne.matricule} non inscrit dans la promotion de la matière pour cette année`);
+    }
+
+    if (etudiant) {
+      row.etudiant = { id: etudiant.id, matricule: etudiant.matricule, nom: etudiant.nom, post_nom: etudiant.post_nom, prenom: etudiant.prenom };
+      if (vus.has(etudiant.id)) {
+        row.errors.push('Étudiant présent sur plusieurs lignes');
+      }
+      vus.add(etudiant.id);
+    }
+
+    for (const cote of COTES) {
+      const parsed = parseCote(cote, ligne[cote], grille.bareme);
+      if (parsed.skip) continue;
+      if (parsed.error) {
+        row.errors.push(parsed.error);
+        continue;
+      }
+
+      // Sans fiche, toute cote renseignée la crée (sauf un rattrapage effacé, déjà vide)
+      const ancienne = etudiant ? etudiant[cote] : null;
+      const modifiee = etudiant && etudiant.fiche_id === null
+        ? parsed.value !== null
+        : !sameCote(ancienne, parsed.value);
+      if (etudiant && modifiee) {
+        row.changes.push({ cote, ancienne, nouvelle: parsed.value });
+      }
+    }
+
+    if (row.errors.length > 0) {
+      row.status = 'error';
+    } else if (row.changes.length === 0) {
+      row.status = 'inchange';
+    }
+
+    return row;
+  });
+
+  const invalid = rows.filter(row => row.status === 'error').length;
+  return {
+    total: rows.length,
+    valid: rows.length - invalid,
+    invalid,
+    cellules: rows.reduce((count, row) => count + (row.status === 'error' ? 0 : row.changes.length), 0),
+    rows
+  };
+}
+
+/**
+ * Enregistre les cellules modifiées d'une ligne (dans la transaction en cours)
+ * @param {Object} tx - Modèle lié à la transaction
+ * @param {Object} context - { matiereId, anneeId, agentId, description }
+ * @param {Object} row - Ligne du rapport de planGrille
+ * @returns {Promise<Object>} - Résultat au format des modèles ; data = { created, modifiees }
+ */
+async function saveRow(tx, context, row) {
+  const { matiereId, anneeId, agentId, description } = context;
+  const label = row.etudiant.matricule || `étudiant ${row.etudiant.id}`;
+
+  const locked = await tx.query(
+    'SELECT * FROM fiche_cotation WHERE id_etudiant = ? AND id_matiere = ? AND id_annee = ? FOR UPDATE',
+    [row.etudiant.id, matiereId, anneeId]
+  );
+  if (!locked.success) return locked;
+
+  // Délibération publiée : les cotes de l'étudiant pour l'année ne sont plus modifiables
+  const publiee = await tx._cotesPubliees(row.etudiant.id, anneeId);
+  if (publiee) {
+    return { ...publiee, error: `Ligne ${row.line} (${label}) : ${publiee.error}` };
+  }
+
+  let fiche = locked.data[0] || null;
+  const created = !fiche;
+
+  if (created) {
+    // Fiche vide : les cellules saisies sont écrites (et journalisées) une à une ci-dessous
+    const vide = Object.fromEntries(COTES.map(cote => [cote, null]));
+    const saved = await tx.setFicheCotation(row.etudiant.id, matiereId, anneeId, vide);
+    if (!saved.success) return saved;
+
+    const reloaded = await tx.query('SELECT * FROM fiche_cotation WHERE id = ?', [saved.metadata.insertId]);
+    if (!reloaded.success) return reloaded;
+    fiche = reloaded.data[0];
+  }
+
+  const autorisation = await tx.verifierAutorisation(agentId, fiche.id);
+  if (!autorisation.success) {
+    return { ...autorisation, error: `Ligne ${row.line} (${label}) : ${autorisation.error}` };
+  }
+
+  let modifiees = 0;
+  for (const { cote, nouvelle } of row.changes) {
+    if (!autorisation.data.autorisations[cote]) {
+      return tx.errorResponse(`Ligne ${row.line} (${label}) : ce jury n'est pas autorisé à modifier les ${cote === 'rattrapage' ? 'rattrapages' : cote}`, 403);
+    }
+
+    // Valeur relue sous verrou : une saisie concurrente a pu la modifier depuis le calcul du rapport
+    const ancienne = created ? null : fiche[cote];
+    if (!created && sameCote(ancienne, nouvelle)) continue;
+
+    const updated = await tx.query(`UPDATE fiche_cotation SET ${cote} = ? WHERE id = ?`, [nouvelle, fiche.id]);
+    if (!updated.success) return updated;
+
+    const logged = await tx.logInsertion(
+      fiche.id,
+      agentId,
+      cote,
+      ancienne,
+      description || `Saisie de la grille : cote ${cote} ${ancienne === null ? '-' : ancienne} -> ${nouvelle === null ? '-' : nouvelle}`
+    );
+    if (!logged.success) return logged;
+    modifiees++;
+  }
+
+  return tx.successResponse({ created, modifiees });
+}
+
+/**
+ * Vérifie puis enregistre (ou simule) une saisie de grille
+ * @param {Object} grille - Données de loadGrille
+ * @param {Array<Object>} lignes - Lignes reçues
+ * @param {Object} options - { matiereId, anneeId, agentId, description, dryRun }
+ * @returns {Promise<Object>} - Résultat au format des modèles ; data = rapport
+ *                              { dryRun, total, valid, invalid, cellules, modifiees, fichesCreees, rows }
+ */
+async function traiterGrille(grille, lignes, options) {
+  const { dryRun = false } = options;
+  const report = { dryRun, ...planGrille(grille, lignes), modifiees: 0, fichesCreees: 0 };
+
+  if (dryRun) {
+    return Cotes.successResponse(report);
+  }
+
+  if (report.invalid > 0) {
+    return {
+      ...Cotes.errorResponse('Saisie refusée : corrigez les lignes en erreur puis relancez', 422),
+      data: report
+    };
+  }
+
+  return Cotes.transaction(async (tx) => {
+    for (const row of report.rows) {
+      if (row.changes.length === 0) continue;
+
+      const saved = await saveRow(tx, options, row);
+      if (!saved.success) return saved;
+
+      report.modifiees += saved.data.modifiees;
+      if (saved.data.created) report.fichesCreees++;
+    }
+
+    return tx.successResponse(report);
+  });
+}
+
+/**
+ * Enregistre une saisie de grille reçue en JSON
+ * @param {number} matiereId - ID de la matière
+ * @param {number} anneeId - ID de l'année académique
+ * @param {Array<Object>} lignes - [{ etudiantId | matricule, tp, td, examen, rattrapage }] ;
+ *                                 une cote absente ou vide n'est pas modifiée, rattrapage null l'efface
+ * @param {number} agentId - ID de l'agent connecté
+ * @param {Object} options - { description, dryRun }
+ * @returns {Promise<Object>} - Résultat au format des modèles ; data = rapport (voir traiterGrille)
+ */
+async function enregistrerGrille(matiereId, anneeId, lignes, agentId, options = {}) {
+  if (!Array.isArray(lignes) || lignes.length === 0) {
+    return Cotes.errorResponse('cotes doit être une liste non vide', 400);
+  }
+
+  const grille = await loadGrille(matiereId, anneeId);
+  if (!grille.success) {
+    return grille;
+  }
+
+  return traiterGrille(grille.data, lignes, { ...options, matiereId, anneeId, agentId });
+}
+
+/**
+ * Importe (ou simule l'import) d'une grille CSV ou XLSX : colonnes etudiant_id ou matricule,
+ * et au moins une des colonnes tp, td, examen, rattrapage
+ * @param {Buffer} buffer - Contenu du fichier
+ * @param {string} fileName - Nom du fichier (.csv ou .xlsx)
+ * @param {number} matiereId - ID de la matière
+ * @param {number} anneeId - ID de l'année académique
+ * @param {number} agentId - ID de l'agent connecté
+ * @param {Object} options - { description, dryRun } (simulation par défaut)
+ * @returns {Promise<Object>} - Résultat au format des modèles ; data = rapport (voir traiterGrille)
+ */
+async function importGrille(buffer, fileName, matiereId, anneeId, agentId, options = {}) {
+  const { dryRun = true } = options;
+
+  let sheet;
+  try {
+    sheet = await readSpreadsheet(buffer, fileName);
+  } catch (error) {
+    if (error instanceof SpreadsheetError) return Cotes.errorResponse(error.message, 400);
+    throw error;
+  }
+
+  const { headers, rows } = sheet;
+  if (rows.length === 0) {
+    return Cotes.errorResponse('Le fichier ne contient aucune ligne à importer', 400);
+  }
+
+  const column = key => COLUMN_ALIASES[key].find(alias => headers.includes(alias));
+  if (!column('etudiant_id') && !column('matricule')) {
+    return Cotes.errorResponse('Colonne etudiant_id ou matricule absente', 400);
+  }
+  if (!COTES.some(cote => column(cote))) {
+    return Cotes.errorResponse(`Aucune colonne de cote (${COTES.join(', ')})`, 400);
+  }
+
+  const lignes = rows.map(row => {
+    const ligne = { line: row.line };
+    for (const key of Object.keys(COLUMN_ALIASES)) {
+      const header = column(key);
+      if (!header) continue;
+
+      const value = row.values[header];
+      ligne[key === 'etudiant_id' ? 'etudiantId' : key] = value;
+    }
+    return ligne;
+  });
+
+  const grille = await loadGrille(matiereId, anneeId);
+  if (!grille.success) {
+    return grille;
+  }
+
+  return traiterGrille(grille.data, lignes, { ...options, dryRun, matiereId, anneeId, agentId });
+}
+
+/**
+ * Produit la grille au format CSV ou XLSX, à compléter puis à importer
+ * @param {number} matiereId - ID de la matière
+ * @param {number} anneeId - ID de l'année académique
+ * @param {string} format - csv ou xlsx
+ * @returns {Promise<Object>} - Résultat au format des modèles ; data = { body, contentType, fileName }
+ */
+async function exportGrille(matiereId, anneeId, format) {
+  if (!GRILLE_FORMATS[format]) {
+    return Cotes.errorResponse(`Format inconnu : ${format} (${Object.keys(GRILLE_FORMATS).join(', ')})`, 400);
+  }
+
+  const grille = await loadGrille(matiereId, anneeId);
+  if (!grille.success) {
+    return grille;
+  }
+
+  const { matiere, annee, etudiants } = grille.data;
+  const lines = etudiants.map(etudiant => [
+    etudiant.id, etudiant.matricule, etudiant.nom, etudiant.post_nom, etudiant.prenom,
+    ...COTES.map(cote => etudiant[cote])
+  ]);
+
+  const { contentType, extension } = GRILLE_FORMATS[format];
+  const fileName = `grille-${String(matiere.code || matiere.id).replace(/[^A-Za-z0-9_-]/g, '-')}-${annee.debut}-${annee.fin}.${extension}`;
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Cotes');
+    worksheet.addRow(EXPORT_HEADERS);
+    lines.forEach(line => worksheet.addRow(line));
+    const body = Buffer.from(await workbook.xlsx.writeBuffer());
+    return Cotes.successResponse({ body, contentType, fileName });
+  }
+
+  // CSV : BOM pour que les tableurs reconnaissent l'UTF-8
+  const body = '\uFEFF' + [EXPORT_HEADERS, ...lines].map(line => csv.formatRow(line)).join('');
+  return Cotes.successResponse({ body, contentType, fileName });
+}
+
+module.exports = {
+  COTES,
+  GRILLE_FORMATS,
+  getGrille,
+  enregistrerGrille,
+  importGrille,
+  exportGrille
+};
@@ -0,0 +1,33 @@
+const password = require('./password');
+const permissions = require('./permissions');
+const store = require('./store');
+const sessions = require('./sessions');
+const mailer = require('./mailer');
+const passwordReset = require('./passwordReset');
+const loginThrottle = require('./loginThrottle');
+const etudiantImport = require('./etudiantImport');
+const etudiantExport = require('./etudiantExport');
+const etudiantDoublons = require('./etudiantDoublons');
+const archivePurge = require('./archivePurge');
+const anneeRollover = require('./anneeRollover');
+const storage = require('./storage');
+const avatars = require('./avatars');
+const grilleCotes = require('./grilleCotes');
+
+module.exports = {
+  password,
+  permissions,
+  store,
+  sessions,
+  mailer,
+  passwordReset,
+  loginThrottle,
+  etudiantImport,
+  etudiantExport,
+  etudiantDoublons,
+  archivePurge,
+  anneeRollover,
+  storage,
+  avatars,
+  grilleCotes
+};
@@ -0,0 +1,212 @@
+const store = require('./store');
+const { LoginLockout } = require('../model');
+
+/**
+ * Protection contre les attaques par force brute sur les connexions
+ *
+ * Deux compteurs de tentatives sont tenus dans memcached (voir store.js) :
+ * - par compte : "<scope>:<login>" (scope = agent, admin, etudiant ou user)
+ * - par adresse IP, plus tolérant car plusieurs étudiants partagent souvent la même IP
+ *
+ * Chaque tentative est réservée (incrément atomique des deux compteurs) avant la vérification
+ * du mot de passe : des tentatives lancées en parallèle reçoivent des rangs distincts, et celles
+ * qui dépassent le seuil sont refusées sans vérification. Un échec laisse la réservation en place,
+ * un succès remet le compteur du compte à zéro, toute autre réponse libère la réservation.
+ *
+ * Au-delà de FREE_ATTEMPTS tentatives, chaque nouvelle tentative sur le compte est retardée
+ * (délai doublé à chaque tentative). Au seuil, le compte ou l'IP est verrouillé pour
+ * LOCKOUT_SECONDS (clé créée par un add atomique : un seul verrouillage est journalisé dans login_lockout).
+ */
+
+const ACCOUNT_MAX_FAILURES = parseInt(process.env.LOGIN_ACCOUNT_MAX_FAILURES, 10) || 5;
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 50;
+const LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_SECONDS, 10) || 15 * 60;
+const FAILURE_WINDOW_SECONDS = parseInt(process.env.LOGIN_FAILURE_WINDOW_SECONDS, 10) || 15 * 60;
+const FREE_ATTEMPTS = 2;
+const SCOPES = ['agent', 'admin', 'etudiant', 'user'];
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+
+/**
+ * Normalise un login pour qu'une variation de casse ou d'espaces ne contourne pas le compteur
+ * @param {string} login - Matricule, e-mail ou nom d'utilisateur
+ * @returns {string}
+ */
+function normalizeLogin(login) {
+  return String(login || '').trim().toLowerCase();
+}
+
+/**
+ * Clé du compteur d'un compte
+ * @param {string} scope - agent, admin, etudiant ou user
+ * @param {string} login - Login fourni
+ * @returns {string}
+ */
+function accountKey(scope, login) {
+  return `login:account:${scope}:${normalizeLogin(login)}`;
+}
+
+/**
+ * Clé du compteur d'une adresse IP
+ * @param {string} ip - Adresse IP du client
+ * @returns {string}
+ */
+function ipKey(ip) {
+  return `login:ip:${ip}`;
+}
+
+/**
+ * Clé du verrouillage associé à un compteur
+ * @param {string} key - Clé du compteur
+ * @returns {string}
+ */
+function lockKey(key) {
+  return `${key}:lock`;
+}
+
+/**
+ * Nombre de secondes restantes d'un verrouillage (0 si aucun)
+ * @param {string} key - Clé du compteur
+ * @returns {Promise<number>}
+ */
+async function remainingLock(key) {
+  const lock = await store.get(lockKey(key));
+  if (!lock || !lock.lockedUntil) return 0;
+  return Math.max(0, Math.ceil((lock.lockedUntil - Date.now()) / 1000));
+}
+
+/**
+ * Verrouille un compteur. La clé de verrouillage est créée par un add atomique : si plusieurs
+ * requêtes atteignent le seuil en même temps, une seule journalise le verrouillage.
+ * Le compteur repart de zéro : à la fin du verrouillage, de nouvelles tentatives sont possibles.
+ * @param {string} key - Clé du compteur
+ * @param {number} attempts - Nombre de tentatives atteint
+ * @param {Object} event - { scope, identifier, ip } pour la journalisation
+ */
+async function lock(key, attempts, event) {
+  const lockedUntil = Date.now() + LOCKOUT_SECONDS * 1000;
+  const created = await store.add(lockKey(key), { lockedUntil }, LOCKOUT_SECONDS);
+  await store.remove(key);
+
+  if (!created) return;
+
+  console.warn(
+    `[security] Verrouillage ${event.scope} "${event.identifier}" après ${attempts} tentatives (IP ${event.ip}) jusqu'au ${new Date(lockedUntil).toISOString()}`
+  );
+  const logged = await LoginLockout.logLockout({
+    ...event,
+    failures: attempts,
+    locked_until: new Date(lockedUntil)
+  });
+  if (!logged.success) {
+    console.error('Erreur lors de la journalisation du verrouillage :', logged.error);
+  }
+}
+
+/**
+ * Réserve une tentative de connexion, avant la vérification du mot de passe
+ * @param {string} scope - agent, admin, etudiant ou user
+ * @param {string} login - Login fourni
+ * @param {string} ip - Adresse IP du client
+ * @returns {Promise<Object>} - { locked, retryAfter (secondes), delayMs, attempt } ; attempt est à
+ *                              transmettre à recordFailure, recordSuccess ou release
+ */
+async function reserveAttempt(scope, login, ip) {
+  const identifier = normalizeLogin(login);
+  const attempt = { scope, identifier, ip, account: accountKey(scope, login), client: ipKey(ip) };
+
+  const retryAfter = Math.max(await remainingLock(attempt.account), await remainingLock(attempt.client));
+  if (retryAfter > 0) {
+    return { locked: true, retryAfter, delayMs: 0, attempt: null };
+  }
+
+  attempt.accountAttempts = await store.increment(attempt.account, FAILURE_WINDOW_SECONDS);
+  attempt.ipAttempts = await store.increment(attempt.client, FAILURE_WINDOW_SECONDS);
+
+  // Tentatives au-delà du seuil (requêtes parallèles) : refusées sans vérifier le mot de passe
+  const overAccount = attempt.accountAttempts > ACCOUNT_MAX_FAILURES;
+  const overIp = attempt.ipAttempts > IP_MAX_FAILURES;
+  if (overAccount || overIp) {
+    if (overAccount) {
+      await lock(attempt.account, attempt.accountAttempts, { scope, identifier, ip });
+    }
+    if (overIp) {
+      await lock(attempt.client, attempt.ipAttempts, { scope: 'ip', identifier: ip, ip });
+    }
+    return { locked: true, retryAfter: LOCKOUT_SECONDS, delayMs: 0, attempt: null };
+  }
+
+  const extra = attempt.accountAttempts - 1 - FREE_ATTEMPTS;
+  const delayMs = extra > 0 ? Math.min(BASE_DELAY_MS * 2 ** (extra - 1), MAX_DELAY_MS) : 0;
+
+  return { locked: false, retryAfter: 0, delayMs, attempt };
+}
+
+/**
+ * Enregistre l'échec d'une tentative réservée : la réservation est conservée et le compte
+ * ou l'IP est verrouillé au seuil
+ * @param {Object} attempt - Tentative renvoyée par reserveAttempt
+ */
+async function recordFailure(attempt) {
+  const { scope, identifier, ip } = attempt;
+
+  if (attempt.accountAttempts >= ACCOUNT_MAX_FAILURES) {
+    await lock(attempt.account, attempt.accountAttempts, { scope, identifier, ip });
+  }
+  if (attempt.ipAttempts >= IP_MAX_FAILURES) {
+    await lock(attempt.client, attempt.ipAttempts, { scope: 'ip', identifier: ip, ip });
+  }
+}
+
+/**
+ * Remet à zéro le compteur du compte après une connexion réussie.
+ * Le compteur de l'IP n'est pas remis à zéro, seule la réservation est rendue : un attaquant
+ * disposant d'un compte valide ne doit pas pouvoir effacer ses échecs sur les autres comptes.
+ * @param {Object} attempt - Tentative renvoyée par reserveAttempt
+ */
+async function recordSuccess(attempt) {
+  await store.remove(attempt.account);
+  await store.decrement(attempt.client);
+}
+
+/**
+ * Libère une tentative réservée qui n'a pas abouti à une vérification du mot de passe
+ * (requête invalide, erreur serveur...)
+ * @param {Object} attempt - Tentative renvoyée par reserveAttempt
+ */
+async function release(attempt) {
+  await store.decrement(attempt.account);
+  await store.decrement(attempt.client);
+}
+
+/**
+ * Lève le verrouillage d'un compte ou d'une IP (action administrateur)
+ * @param {Object} target - { scope, login } pour un compte ou { ip } pour une adresse IP
+ * @param {number} agentId - ID de l'administrateur
+ * @returns {Promise<Object>} - { scope, identifier }
+ */
+async function unlock(target, agentId) {
+  const { scope, identifier, key } = target.ip
+    ? { scope: 'ip', identifier: target.ip, key: ipKey(target.ip) }
+    : { scope: target.scope, identifier: normalizeLogin(target.login), key: accountKey(target.scope, target.login) };
+
+  await store.remove(lockKey(key));
+  await store.remove(key);
+
+  const result = await LoginLockout.markUnlocked(scope, identifier, agentId);
+  if (!result.success) {
+    console.error('Erreur lors de la mise à jour du journal de verrouillage :', result.error);
+  }
+
+  console.warn(`[security] Déverrouillage ${scope} "${identifier}" par l'agent ${agentId}`);
+  return { scope, identifier };
+}
+
+module.exports = {
+  SCOPES,
+  reserveAttempt,
+  recordFailure,
+  recordSuccess,
+  release,
+  unlock
+};
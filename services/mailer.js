@@ -0,0 +1,70 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Service d'envoi des e-mails
+ *
+ * Le transport est choisi par MAIL_TRANSPORT ; sans transport configuré, l'envoi échoue
+ * (les e-mails portent des liens de réinitialisation, ils ne doivent pas finir dans les logs) :
+ * - console : journalise l'expéditeur, le destinataire et l'objet, jamais le contenu (développement)
+ * - file    : écrit chaque message en JSON dans MAIL_DIR (storage/mail par défaut)
+ *
+ * Un transport réel (SMTP, API d'un fournisseur...) se branche avec registerTransport
+ * au démarrage de l'application, sans modifier les appelants :
+ *   mailer.registerTransport('smtp', async (message) => { ... });
+ */
+
+const DEFAULT_FROM = process.env.MAIL_FROM || 'no-reply@ista.local';
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '..', 'storage', 'mail');
+
+const transports = {
+  console: async (message) => {
+    console.log(`[mail] ${message.from} -> ${message.to} : ${message.subject} (contenu non journalisé)`);
+    return { transport: 'console' };
+  },
+
+  file: async (message) => {
+    await fs.mkdir(MAIL_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9.@_-]/g, '_')}.json`;
+    const filePath = path.join(MAIL_DIR, fileName);
+    await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+    return { transport: 'file', path: filePath };
+  }
+};
+
+/**
+ * Enregistre (ou remplace) un transport
+ * @param {string} name - Nom du transport, sélectionné par MAIL_TRANSPORT
+ * @param {Function} send - async (message) => Object
+ */
+function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+/**
+ * Envoie un e-mail avec le transport configuré
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} - Informations renvoyées par le transport
+ */
+async function sendMail(message) {
+  if (!message || !message.to) {
+    throw new Error('Destinataire manquant');
+  }
+
+  const name = process.env.MAIL_TRANSPORT;
+  if (!name) {
+    throw new Error('Aucun transport d\'e-mail configuré (MAIL_TRANSPORT)');
+  }
+
+  const send = transports[name];
+  if (!send) {
+    throw new Error(`Transport d'e-mail inconnu : ${name}`);
+  }
+
+  return send({ from: DEFAULT_FROM, ...message, date: new Date().toISOString() });
+}
+
+module.exports = {
+  registerTransport,
+  sendMail
+};
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Service de hachage des mots de passe (scrypt natif de Node.js) et règles de robustesse
+ *
+ * Format stocké: scrypt$<N>$<r>$<p>$<sel base64>$<hash base64>
+ * Toute valeur qui ne respecte pas ce format est considérée comme un ancien
+ * mot de passe en clair : elle est comparée telle quelle puis signalée pour
+ * être re-hachée après une connexion réussie.
+ */
+
+const PREFIX = 'scrypt';
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+const PARAMS = { N: 16384, r: 8, p: 1 };
+const MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8;
+
+/**
+ * Vérifie si une valeur stockée est un hash produit par ce service
+ * @param {string} stored - Valeur de la colonne mdp
+ * @returns {boolean}
+ */
+function isHashed(stored) {
+  return typeof stored === 'string' && stored.startsWith(`${PREFIX}$`) && stored.split('$').length === 6;
+}
+
+/**
+ * Hache un mot de passe
+ * @param {string} password - Mot de passe en clair
+ * @returns {Promise<string>} - Hash au format stocké
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const key = await scrypt(String(password), salt, KEY_LENGTH, PARAMS);
+
+  return [
+    PREFIX,
+    PARAMS.N,
+    PARAMS.r,
+    PARAMS.p,
+    salt.toString('base64'),
+    key.toString('base64')
+  ].join('$');
+}
+
+/**
+ * Vérifie un mot de passe contre la valeur stockée
+ * @param {string} password - Mot de passe fourni
+ * @param {string} stored - Valeur de la colonne mdp (hash ou ancien texte clair)
+ * @returns {Promise<Object>} - { valid, needsRehash }
+ */
+async function verifyPassword(password, stored) {
+  if (password === undefined || password === null || !stored) {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (!isHashed(stored)) {
+    // Ancienne valeur en clair : comparaison à temps constant sur des empreintes de même taille
+    const expected = crypto.createHash('sha256').update(String(stored)).digest();
+    const given = crypto.createHash('sha256').update(String(password)).digest();
+    const valid = crypto.timingSafeEqual(expected, given);
+    return { valid, needsRehash: valid };
+  }
+
+  const [, N, r, p, salt, hash] = stored.split('$');
+  const expected = Buffer.from(hash, 'base64');
+  const key = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+    N: parseInt(N, 10),
+    r: parseInt(r, 10),
+    p: parseInt(p, 10)
+  });
+
+  const valid = key.length === expected.length && crypto.timingSafeEqual(key, expected);
+  const outdated = parseInt(N, 10) !== PARAMS.N || parseInt(r, 10) !== PARAMS.r || parseInt(p, 10) !== PARAMS.p;
+
+  return { valid, needsRehash: valid && outdated };
+}
+
+/**
+ * Vérifie qu'un nouveau mot de passe respecte les règles de robustesse
+ * @param {string} password - Mot de passe proposé
+ * @param {Array<string>} personalValues - Valeurs que le mot de passe ne doit pas contenir (matricule, e-mail...)
+ * @returns {Array<string>} - Règles non respectées (tableau vide si le mot de passe est accepté)
+ */
+function checkStrength(password, personalValues = []) {
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Le mot de passe est obligatoire'];
+  }
+
+  const errors = [];
+
+  if (password.length < MIN_LENGTH) {
+    errors.push(`Le mot de passe doit contenir au moins ${MIN_LENGTH} caractères`);
+  }
+  if (!/[a-z]/.test(password)) {
+    errors.push('Le mot de passe doit contenir une lettre minuscule');
+  }
+  if (!/[A-Z]/.test(password)) {
+    errors.push('Le mot de passe doit contenir une lettre majuscule');
+  }
+  if (!/[0-9]/.test(password)) {
+    errors.push('Le mot de passe doit contenir un chiffre');
+  }
+
+  const lowered = password.toLowerCase();
+  const personal = personalValues
+    .filter(value => typeof value === 'string')
+    .map(value => value.split('@')[0].toLowerCase())
+    .filter(value => value.length >= 3);
+  if (personal.some(value => lowered.includes(value))) {
+    errors.push('Le mot de passe ne doit pas contenir le matricule ou l\'adresse e-mail');
+  }
+
+  return errors;
+}
+
+module.exports = {
+  MIN_LENGTH,
+  isHashed,
+  hashPassword,
+  verifyPassword,
+  checkStrength
+};
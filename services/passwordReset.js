@@ -0,0 +1,121 @@
+const { Agent, Etudiant, PasswordReset } = require('../model');
+const mailer = require('./mailer');
+const sessions = require('./sessions');
+
+/**
+ * Service de réinitialisation de mot de passe par e-mail
+ *
+ * 1. requestPasswordReset : crée un jeton à usage unique et l'envoie à l'adresse du compte
+ * 2. resetPassword        : consomme le jeton et remplace le mot de passe, dans une transaction
+ *
+ * Les réponses ne révèlent jamais si un compte existe pour le login fourni.
+ */
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES, 10) || 30;
+const RESET_URL = process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password';
+
+/**
+ * Recherche un compte par matricule ou e-mail
+ * @param {string} userType - 'agent' ou 'etudiant'
+ * @param {string} login - Matricule ou e-mail
+ * @returns {Promise<Object|null>} - Ligne du compte ou null
+ */
+async function findAccount(userType, login) {
+  const byEmail = login.includes('@');
+  let result;
+
+  if (userType === 'agent') {
+    result = byEmail ? await Agent.getAgentByEmail(login) : await Agent.getAgentByMatricule(login);
+  } else {
+    result = byEmail ? await Etudiant.getEtudiantByEmail(login) : await Etudiant.getEtudiantByMatricule(login);
+  }
+
+  return result.success ? result.data[0] : null;
+}
+
+/**
+ * Crée un jeton de réinitialisation et l'envoie par e-mail
+ * @param {string} userType - 'agent' ou 'etudiant'
+ * @param {string} login - Matricule ou e-mail
+ * @returns {Promise<boolean>} - true si un e-mail a été envoyé (à ne pas exposer au client)
+ */
+async function requestPasswordReset(userType, login) {
+  if (!['agent', 'etudiant'].includes(userType) || !login) {
+    return false;
+  }
+
+  const account = await findAccount(userType, login);
+  if (!account || !account.e_mail) {
+    return false;
+  }
+
+  const tokenResult = await PasswordReset.createResetToken(userType, account.id, RESET_TOKEN_TTL_MINUTES);
+  if (!tokenResult.success) {
+    console.error('Erreur lors de la création du jeton de réinitialisation :', tokenResult.error);
+    return false;
+  }
+
+  const link = `${RESET_URL}?token=${encodeURIComponent(tokenResult.data.token)}`;
+  try {
+    await mailer.sendMail({
+      to: account.e_mail,
+      subject: 'Réinitialisation de votre mot de passe',
+      text: [
+        `Bonjour ${account.prenom || account.nom || ''},`.trim(),
+        '',
+        'Une réinitialisation de mot de passe a été demandée pour votre compte.',
+        `Pour choisir un nouveau mot de passe, ouvrez ce lien (valable ${RESET_TOKEN_TTL_MINUTES} minutes) :`,
+        link,
+        '',
+        'Si vous n\'êtes pas à l\'origine de cette demande, ignorez ce message.'
+      ].join('\n')
+    });
+  } catch (error) {
+    // Une erreur d'envoi ne doit pas révéler au client que le compte existe
+    console.error('Erreur lors de l\'envoi de l\'e-mail de réinitialisation :', error);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Remplace le mot de passe du compte associé au jeton.
+ * Le jeton est consommé en premier, par un UPDATE conditionnel, dans la même transaction que
+ * le changement de mot de passe : deux requêtes simultanées avec le même jeton ne peuvent pas
+ * réussir toutes les deux. Un mot de passe refusé (trop faible) annule la transaction et le
+ * lien reçu par e-mail reste utilisable.
+ * @param {string} token - Jeton reçu par e-mail
+ * @param {string} newPassword - Nouveau mot de passe
+ * @returns {Promise<Object>} - Résultat au format des modèles { success, data, error, metadata }
+ */
+async function resetPassword(token, newPassword) {
+  let account = null;
+
+  const result = await PasswordReset.transaction(async (tx) => {
+    const consumed = await tx.consumeResetToken(token);
+    if (!consumed.success) {
+      return consumed;
+    }
+
+    account = consumed.data;
+    return account.user_type === 'agent'
+      ? tx.use(Agent).resetPassword(account.user_id, newPassword)
+      : tx.use(Etudiant).resetEtudiantPassword(account.user_id, newPassword);
+  });
+
+  if (!result.success) {
+    return result;
+  }
+
+  // Les sessions ouvertes avec l'ancien mot de passe sont fermées
+  await sessions.revokeSubject(account.user_type, account.user_id);
+
+  return result;
+}
+
+module.exports = {
+  RESET_TOKEN_TTL_MINUTES,
+  requestPasswordReset,
+  resetPassword
+};
@@ -0,0 +1,142 @@
+const { Agent, Section, Cotes } = require('../model');
+
+/**
+ * Service de calcul des permissions effectives d'un agent
+ *
+ * Une permission est une chaîne "ressource:action[:portée...]", par exemple
+ * "finance:read", "students:admin" ou "grades:write:niveau:3:annee:7".
+ *
+ * Sources:
+ * - administration : une session administrateur reçoit toutes les permissions ("*")
+ * - jury (niveau_jury) : lecture/écriture des cotes du niveau et de l'année du jury
+ * - section.id_chef : lecture des étudiants et des cotes de la section
+ * - affectation/poste : permissions associées à la désignation du poste (POSTE_PERMISSIONS)
+ */
+
+/**
+ * Permissions accordées selon la désignation du poste occupé
+ */
+const POSTE_PERMISSIONS = [
+  { pattern: /(caiss|comptab|financ|budget|tr[ée]sor)/i, permissions: ['finance:read', 'finance:write'] },
+  { pattern: /(apparit|inscription|scolarit)/i, permissions: ['students:read', 'students:write'] },
+  { pattern: /(secr[ée]taire\s+acad|secr[ée]tariat\s+acad)/i, permissions: ['students:read', 'grades:read'] },
+  { pattern: /(directeur|secr[ée]taire\s+g[ée]n[ée]ral)/i, permissions: ['students:read', 'grades:read', 'finance:read'] }
+];
+
+/**
+ * Vérifie si une permission accordée couvre une permission demandée.
+ * - "*" couvre tout
+ * - "*" dans un segment couvre n'importe quelle valeur de ce segment
+ * - une permission moins précise couvre les portées plus précises ("grades:read" couvre "grades:read:niveau:3")
+ * - l'action "admin" couvre toutes les actions de la ressource ("students:admin" couvre "students:write")
+ * @param {string} granted - Permission accordée
+ * @param {string} required - Permission demandée
+ * @returns {boolean}
+ */
+function matches(granted, required) {
+  if (granted === '*') return true;
+
+  const grantedParts = granted.split(':');
+  const requiredParts = required.split(':');
+
+  if (grantedParts.length > requiredParts.length) return false;
+
+  return grantedParts.every((part, index) => (
+    part === '*' || part === requiredParts[index] || (index === 1 && part === 'admin')
+  ));
+}
+
+/**
+ * Vérifie si une liste de permissions couvre la permission demandée
+ * @param {Array<string>} permissions - Permissions accordées
+ * @param {string} required - Permission demandée
+ * @returns {boolean}
+ */
+function hasPermission(permissions, required) {
+  return permissions.some(granted => matches(granted, required));
+}
+
+/**
+ * Calcule les permissions effectives d'un agent
+ * @param {number} agentId - ID de l'agent
+ * @param {Object} options - { adminSession: session ouverte via la connexion administrateur }
+ * @returns {Promise<Object>} - { permissions, sources }
+ */
+async function getAgentPermissions(agentId, options = {}) {
+  const { adminSession = false } = options;
+  const permissions = new Set();
+  const sources = {
+    administration: false,
+    jurys: [],
+    sections: [],
+    postes: []
+  };
+
+  // Administration : seulement pour une session administrateur encore valide en base
+  if (adminSession && await Agent.isAdmin(agentId)) {
+    sources.administration = true;
+    permissions.add('*');
+  }
+
+  // Jurys : cotes du niveau pour l'année où le jury siège
+  const juryResult = await Cotes.getNiveauxJuryByAgent(agentId);
+  if (juryResult.success) {
+    for (const row of juryResult.data) {
+      const scope = `niveau:${row.id_niveau}:annee:${row.id_annee}`;
+      permissions.add(`grades:read:${scope}`);
+      permissions.add(`grades:write:${scope}`);
+      if (row.autorisation !== 'restreinte') {
+        permissions.add(`grades:rattrapage:${scope}`);
+      }
+      if (row.role === 'president' || row.role === 'secretaire') {
+        permissions.add(`deliberation:write:${scope}`);
+      }
+      sources.jurys.push({
+        jury_id: row.jury_id,
+        jury_code: row.jury_code,
+        role: row.role,
+        niveau_id: row.id_niveau,
+        annee_id: row.id_annee
+      });
+    }
+  }
+
+  // Chef de section
+  const sectionsResult = await Section.getSectionsByIdMember(agentId);
+  if (sectionsResult.success) {
+    for (const section of sectionsResult.data) {
+      permissions.add(`students:read:section:${section.id}`);
+      permissions.add(`grades:read:section:${section.id}`);
+      sources.sections.push({ section_id: section.id, designation: section.designation });
+    }
+  }
+
+  // Affectations à des postes
+  const affectationsResult = await Section.getAffectationsByAgentId(agentId);
+  if (affectationsResult.success) {
+    for (const affectation of affectationsResult.data) {
+      const granted = POSTE_PERMISSIONS
+        .filter(rule => rule.pattern.test(affectation.poste_designation || ''))
+        .flatMap(rule => rule.permissions);
+
+      granted.forEach(permission => permissions.add(permission));
+      sources.postes.push({
+        poste_id: affectation.id_poste,
+        designation: affectation.poste_designation,
+        permissions: granted
+      });
+    }
+  }
+
+  return {
+    permissions: Array.from(permissions),
+    sources
+  };
+}
+
+module.exports = {
+  POSTE_PERMISSIONS,
+  matches,
+  hasPermission,
+  getAgentPermissions
+};
@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const store = require('./store');
+
+/**
+ * Service de gestion des sessions d'authentification
+ *
+ * Chaque connexion ouvre une session côté serveur (clé "session:<sid>") et délivre :
+ * - un jeton d'accès JWT de courte durée qui porte l'identifiant de session (sid)
+ * - un jeton de rafraîchissement opaque "<sid>.<secret>", renouvelé à chaque utilisation
+ *
+ * Seule l'empreinte SHA-256 du secret est conservée. Présenter un ancien jeton de
+ * rafraîchissement (déjà utilisé) révoque la session : il a probablement été volé.
+ * Chaque jeton ne sert qu'une fois, même présenté par deux requêtes simultanées : la première
+ * crée la marque "rotated:<sid>:<empreinte>" (store.add, atomique), la seconde est traitée
+ * comme une réutilisation.
+ * Les sessions d'un même titulaire sont indexées sous "sessions:<type>:<id>" pour
+ * permettre la déconnexion de tous les appareils. L'index n'est modifié que sous le verrou
+ * "lock:sessions:<type>:<id>" (store.add) : deux connexions simultanées n'y perdent pas de session
+ * et une session ne peut pas être créée pendant la révocation de toutes celles du titulaire.
+ */
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 7 * 24 * 60 * 60;
+
+// Verrou de l'index des sessions d'un titulaire : durée de vie (secondes, s'il n'est jamais libéré),
+// délai entre deux tentatives et nombre de tentatives avant d'abandonner
+const LOCK_TTL = 5;
+const LOCK_RETRY_MS = 20;
+const LOCK_ATTEMPTS = 250;
+
+/**
+ * Calcule l'empreinte d'un secret de rafraîchissement
+ * @param {string} secret - Secret en clair
+ * @returns {string}
+ */
+function digest(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Détermine le titulaire d'une session à partir des informations du jeton
+ * @param {Object} claims - Informations portées par le jeton d'accès
+ * @returns {string} - "agent:<id>", "etudiant:<id>" ou "user:<id>"
+ */
+function subjectOf(claims) {
+  if (claims.type === 'etudiant') return `etudiant:${claims.etudiantId}`;
+  if (claims.agentId) return `agent:${claims.agentId}`;
+  return `user:${claims.userId}`;
+}
+
+/**
+ * Signe un jeton d'accès pour une session
+ * @param {Object} claims - Informations du jeton
+ * @param {string} sid - ID de la session
+ * @returns {Object} - { token, expiresIn } (expiresIn en secondes)
+ */
+function signAccessToken(claims, sid) {
+  const token = jwt.sign({ ...claims, sid }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+  const { exp, iat } = jwt.decode(token);
+  return { token, expiresIn: exp - iat };
+}
+
+/**
+ * Exécute une opération sur l'index des sessions d'un titulaire, sous son verrou
+ * @param {string} subject - Titulaire
+ * @param {Function} work - Opération à exécuter
+ * @returns {Promise<*>} - Résultat de l'opération
+ */
+async function withSubjectLock(subject, work) {
+  const key = `lock:sessions:${subject}`;
+  const owner = crypto.randomUUID();
+
+  for (let attempt = 1; !(await store.add(key, owner, LOCK_TTL)); attempt++) {
+    if (attempt >= LOCK_ATTEMPTS) {
+      throw new Error(`Index des sessions de ${subject} verrouillé`);
+    }
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+
+  try {
+    return await work();
+  } finally {
+    // Ne pas libérer le verrou d'un autre si le nôtre a expiré entre-temps
+    if ((await store.get(key)) === owner) {
+      await store.remove(key);
+    }
+  }
+}
+
+/**
+ * Ajoute une session à l'index de son titulaire (sous le verrou du titulaire)
+ * @param {string} subject - Titulaire
+ * @param {string} sid - ID de la session
+ */
+async function indexSession(subject, sid) {
+  const key = `sessions:${subject}`;
+  const sids = (await store.get(key)) || [];
+
+  // Retirer les sessions expirées pour que l'index ne grossisse pas indéfiniment
+  const active = [];
+  for (const existing of sids) {
+    if (await store.get(`session:${existing}`)) {
+      active.push(existing);
+    }
+  }
+  active.push(sid);
+
+  await store.set(key, active, REFRESH_TOKEN_TTL);
+}
+
+/**
+ * Ouvre une session et délivre la paire de jetons
+ * @param {Object} claims - Informations à porter dans le jeton d'accès
+ * @returns {Promise<Object>} - { token, refreshToken, expiresIn }
+ */
+async function createSession(claims) {
+  const sid = crypto.randomUUID();
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const subject = subjectOf(claims);
+
+  await withSubjectLock(subject, async () => {
+    await store.set(`session:${sid}`, {
+      sid,
+      subject,
+      claims,
+      refreshHash: digest(secret),
+      createdAt: new Date().toISOString()
+    }, REFRESH_TOKEN_TTL);
+    await indexSession(subject, sid);
+  });
+
+  const { token, expiresIn } = signAccessToken(claims, sid);
+  return { token, refreshToken: `${sid}.${secret}`, expiresIn };
+}
+
+/**
+ * Renouvelle la paire de jetons à partir d'un jeton de rafraîchissement.
+ * L'ancien jeton de rafraîchissement devient inutilisable ; s'il est présenté deux fois,
+ * même simultanément, la session est révoquée.
+ * @param {string} refreshToken - Jeton de rafraîchissement "<sid>.<secret>"
+ * @returns {Promise<Object|null>} - { token, refreshToken, expiresIn } ou null si le jeton est invalide
+ */
+async function refreshSession(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+
+  const [sid, secret] = refreshToken.split('.');
+  if (!sid || !secret) return null;
+
+  const session = await store.get(`session:${sid}`);
+  if (!session) return null;
+
+  const hash = digest(secret);
+  const expected = Buffer.from(session.refreshHash, 'hex');
+  const provided = Buffer.from(hash, 'hex');
+
+  // Le jeton attendu n'est consommé qu'une fois : une requête simultanée avec le même jeton perd l'ajout
+  const reused = !crypto.timingSafeEqual(expected, provided)
+    || !(await store.add(`rotated:${sid}:${hash}`, true, REFRESH_TOKEN_TTL));
+
+  if (reused) {
+    // Réutilisation d'un jeton déjà renouvelé : la session est compromise
+    console.warn(`Jeton de rafraîchissement réutilisé, session ${sid} révoquée`);
+    await revokeSession(sid);
+    return null;
+  }
+
+  const newSecret = crypto.randomBytes(32).toString('base64url');
+  const rotated = await store.replace(`session:${sid}`, {
+    ...session,
+    refreshHash: digest(newSecret),
+    rotatedAt: new Date().toISOString()
+  }, REFRESH_TOKEN_TTL);
+
+  // Session révoquée entre la lecture et le renouvellement : elle ne doit pas être recréée
+  if (!rotated) return null;
+
+  const { token, expiresIn } = signAccessToken(session.claims, sid);
+  return { token, refreshToken: `${sid}.${newSecret}`, expiresIn };
+}
+
+/**
+ * Vérifie qu'une session n'a pas été révoquée
+ * @param {string} sid - ID de la session
+ * @returns {Promise<boolean>}
+ */
+async function isActive(sid) {
+  if (!sid) return false;
+  return Boolean(await store.get(`session:${sid}`));
+}
+
+/**
+ * Révoque une session
+ * @param {string} sid - ID de la session
+ * @returns {Promise<boolean>}
+ */
+async function revokeSession(sid) {
+  return store.remove(`session:${sid}`);
+}
+
+/**
+ * Révoque toutes les sessions d'un titulaire (déconnexion de tous les appareils)
+ * @param {string} type - 'agent', 'etudiant' ou 'user'
+ * @param {number} id - ID du titulaire
+ * @returns {Promise<number>} - Nombre de sessions révoquées
+ */
+async function revokeSubject(type, id) {
+  const subject = `${type}:${id}`;
+
+  return withSubjectLock(subject, async () => {
+    const key = `sessions:${subject}`;
+    const sids = (await store.get(key)) || [];
+
+    for (const sid of sids) {
+      await revokeSession(sid);
+    }
+    await store.remove(key);
+
+    return sids.length;
+  });
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  subjectOf,
+  createSession,
+  refreshSession,
+  isActive,
+  revokeSession,
+  revokeSubject
+};
@@ -0,0 +1,169 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Stockage des fichiers envoyés par les utilisateurs (avatars...)
+ *
+ * Le pilote est choisi par STORAGE_DRIVER :
+ * - local : fichiers sous STORAGE_DIR (storage/files par défaut)
+ * - s3    : bucket S3_BUCKET d'un service compatible S3 (AWS, MinIO...), configuré par
+ *           S3_ENDPOINT, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY et
+ *           S3_FORCE_PATH_STYLE (true pour MinIO)
+ *
+ * Un pilote fournit put(key, body, contentType), get(key) -> { body, contentType } ou null,
+ * et remove(key). Un autre pilote se branche avec registerDriver au démarrage de l'application :
+ *   storage.registerDriver('gcs', () => ({ put, get, remove }));
+ */
+
+const STORAGE_DIR = process.env.STORAGE_DIR || path.join(__dirname, '..', 'storage', 'files');
+
+// Clés acceptées : segments de lettres, chiffres, tirets, points et soulignés séparés par des /
+const KEY_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9._-]*(\/[A-Za-z0-9_-][A-Za-z0-9._-]*)*$/;
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp'
+};
+
+/**
+ * Vérifie une clé de fichier (pas de chemin absolu ni de remontée dans l'arborescence)
+ * @param {string} key - Clé
+ * @returns {string}
+ */
+function checkKey(key) {
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key) || key.split('/').includes('..')) {
+    throw new Error(`Clé de fichier invalide : ${key}`);
+  }
+  return key;
+}
+
+const drivers = {
+  local: () => ({
+    async put(key, body) {
+      const filePath = path.join(STORAGE_DIR, key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, body);
+    },
+
+    async get(key) {
+      try {
+        const body = await fs.readFile(path.join(STORAGE_DIR, key));
+        return { body, contentType: CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream' };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await fs.rm(path.join(STORAGE_DIR, key), { force: true });
+    }
+  }),
+
+  s3: () => {
+    // Chargé uniquement si le pilote S3 est utilisé
+    const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+      throw new Error('S3_BUCKET doit être défini pour le stockage S3');
+    }
+
+    const client = new S3Client({
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      region: process.env.S3_REGION || 'us-east-1',
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined
+    });
+
+    return {
+      async put(key, body, contentType) {
+        await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+      },
+
+      async get(key) {
+        try {
+          const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+          const body = Buffer.from(await response.Body.transformToByteArray());
+          return { body, contentType: response.ContentType || 'application/octet-stream' };
+        } catch (error) {
+          if (error.name === 'NoSuchKey' || (error.$metadata && error.$metadata.httpStatusCode === 404)) return null;
+          throw error;
+        }
+      },
+
+      async remove(key) {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      }
+    };
+  }
+};
+
+// Pilotes déjà instanciés (un client S3 par processus)
+const instances = new Map();
+
+/**
+ * Enregistre (ou remplace) un pilote
+ * @param {string} name - Nom du pilote, sélectionné par STORAGE_DRIVER
+ * @param {Function} factory - () => { put, get, remove }
+ */
+function registerDriver(name, factory) {
+  drivers[name] = factory;
+  instances.delete(name);
+}
+
+/**
+ * Pilote configuré par STORAGE_DRIVER
+ * @returns {Object} - { put, get, remove }
+ */
+function getDriver() {
+  const name = process.env.STORAGE_DRIVER || 'local';
+  if (!instances.has(name)) {
+    const factory = drivers[name];
+    if (!factory) {
+      throw new Error(`Pilote de stockage inconnu : ${name}`);
+    }
+    instances.set(name, factory());
+  }
+  return instances.get(name);
+}
+
+/**
+ * Enregistre un fichier
+ * @param {string} key - Clé (ex: avatars/agent/12/3f9a-thumb.webp)
+ * @param {Buffer} body - Contenu
+ * @param {string} contentType - Type MIME
+ * @returns {Promise<void>}
+ */
+async function putFile(key, body, contentType) {
+  return getDriver().put(checkKey(key), body, contentType);
+}
+
+/**
+ * Lit un fichier
+ * @param {string} key - Clé
+ * @returns {Promise<Object|null>} - { body, contentType }, ou null si le fichier n'existe pas
+ */
+async function getFile(key) {
+  return getDriver().get(checkKey(key));
+}
+
+/**
+ * Supprime un fichier (sans erreur s'il n'existe pas)
+ * @param {string} key - Clé
+ * @returns {Promise<void>}
+ */
+async function removeFile(key) {
+  return getDriver().remove(checkKey(key));
+}
+
+module.exports = {
+  registerDriver,
+  putFile,
+  getFile,
+  removeFile
+};
@@ -0,0 +1,191 @@
+const { cache } = require('../config/cache');
+
+/**
+ * Stockage clé/valeur avec expiration utilisé pour les données de sécurité
+ * (sessions, jetons à usage unique, compteurs de tentatives).
+ *
+ * Un seul stockage fait foi, choisi par SESSION_STORE :
+ * - memcached (par défaut) : si memcached ne répond pas, les opérations échouent avec
+ *   StoreUnavailableError et l'authentification est refusée (503). Aucune copie locale n'est tenue :
+ *   elle perdrait les révocations faites pendant la panne et divergerait de memcached à son retour.
+ *   Après une erreur, memcached n'est retenté qu'après RETRY_DELAY_MS pour échouer vite.
+ * - memory : Map locale au processus, pour le développement sur une seule instance.
+ */
+
+const RETRY_DELAY_MS = 5 * 1000;
+
+const DRIVER = process.env.SESSION_STORE === 'memory' ? 'memory' : 'memcached';
+
+const localStore = new Map();
+let memcachedDownUntil = 0;
+
+/**
+ * Erreur levée quand le stockage configuré ne répond pas
+ */
+class StoreUnavailableError extends Error {
+  constructor(cause) {
+    super(`Stockage des sessions indisponible : ${cause.message}`);
+    this.name = 'StoreUnavailableError';
+    this.code = 'STORE_UNAVAILABLE';
+  }
+}
+
+/**
+ * Exécute une opération memcached ; toute erreur rend le stockage indisponible pour RETRY_DELAY_MS
+ * @param {Function} operation - Opération à exécuter
+ * @returns {Promise<*>}
+ */
+async function withMemcached(operation) {
+  if (Date.now() < memcachedDownUntil) {
+    throw new StoreUnavailableError(new Error('memcached en échec récent'));
+  }
+
+  try {
+    return await operation();
+  } catch (error) {
+    if (Date.now() >= memcachedDownUntil) {
+      console.error('Memcached indisponible, authentification refusée :', error.message);
+    }
+    memcachedDownUntil = Date.now() + RETRY_DELAY_MS;
+    throw new StoreUnavailableError(error);
+  }
+}
+
+/**
+ * Lit une valeur dans la Map locale en tenant compte de son expiration
+ * @param {string} key - Clé
+ * @returns {*} - Valeur ou null
+ */
+function getLocal(key) {
+  const entry = localStore.get(key);
+  if (!entry) return null;
+
+  if (entry.expiresAt <= Date.now()) {
+    localStore.delete(key);
+    return null;
+  }
+
+  return entry.value;
+}
+
+/**
+ * Enregistre une valeur
+ * @param {string} key - Clé
+ * @param {*} value - Valeur sérialisable en JSON
+ * @param {number} ttlSeconds - Durée de vie en secondes
+ * @returns {Promise<boolean>}
+ */
+async function set(key, value, ttlSeconds) {
+  if (DRIVER === 'memory') {
+    localStore.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    return true;
+  }
+
+  return withMemcached(() => cache.set(key, value, ttlSeconds));
+}
+
+/**
+ * Récupère une valeur
+ * @param {string} key - Clé
+ * @returns {Promise<*>} - Valeur ou null si absente ou expirée
+ */
+async function get(key) {
+  if (DRIVER === 'memory') {
+    return getLocal(key);
+  }
+
+  return withMemcached(() => cache.get(key));
+}
+
+/**
+ * Supprime une valeur
+ * @param {string} key - Clé
+ * @returns {Promise<boolean>}
+ */
+async function remove(key) {
+  if (DRIVER === 'memory') {
+    localStore.delete(key);
+    return true;
+  }
+
+  return withMemcached(() => cache.delete(key));
+}
+
+/**
+ * Enregistre une valeur seulement si la clé n'existe pas encore (opération atomique)
+ * @param {string} key - Clé
+ * @param {*} value - Valeur sérialisable en JSON
+ * @param {number} ttlSeconds - Durée de vie en secondes
+ * @returns {Promise<boolean>} - true si la valeur a été créée, false si la clé existait déjà
+ */
+async function add(key, value, ttlSeconds) {
+  if (DRIVER === 'memory') {
+    if (getLocal(key) !== null) return false;
+    localStore.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    return true;
+  }
+
+  return withMemcached(() => cache.add(key, value, ttlSeconds));
+}
+
+/**
+ * Remplace une valeur seulement si la clé existe encore (opération atomique)
+ * @param {string} key - Clé
+ * @param {*} value - Valeur sérialisable en JSON
+ * @param {number} ttlSeconds - Durée de vie en secondes
+ * @returns {Promise<boolean>} - true si la valeur a été remplacée, false si la clé n'existait pas
+ */
+async function replace(key, value, ttlSeconds) {
+  if (DRIVER === 'memory') {
+    if (getLocal(key) === null) return false;
+    localStore.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    return true;
+  }
+
+  return withMemcached(() => cache.replace(key, value, ttlSeconds));
+}
+
+/**
+ * Incrémente un compteur de façon atomique ; un compteur absent est créé à 1.
+ * La durée de vie n'est fixée qu'à la création : le compteur couvre une fenêtre fixe.
+ * @param {string} key - Clé
+ * @param {number} ttlSeconds - Durée de vie en secondes
+ * @returns {Promise<number>} - Nouvelle valeur
+ */
+async function increment(key, ttlSeconds) {
+  if (DRIVER === 'memory') {
+    const entry = getLocal(key) === null ? null : localStore.get(key);
+    const value = entry ? entry.value + 1 : 1;
+    localStore.set(key, { value, expiresAt: entry ? entry.expiresAt : Date.now() + ttlSeconds * 1000 });
+    return value;
+  }
+
+  return withMemcached(() => cache.increment(key, ttlSeconds));
+}
+
+/**
+ * Décrémente un compteur de façon atomique, sans descendre sous 0
+ * @param {string} key - Clé
+ * @returns {Promise<number>} - Nouvelle valeur (0 si le compteur n'existe pas)
+ */
+async function decrement(key) {
+  if (DRIVER === 'memory') {
+    if (getLocal(key) === null) return 0;
+    const entry = localStore.get(key);
+    entry.value = Math.max(0, entry.value - 1);
+    return entry.value;
+  }
+
+  return withMemcached(() => cache.decrement(key));
+}
+
+module.exports = {
+  StoreUnavailableError,
+  set,
+  get,
+  add,
+  replace,
+  increment,
+  decrement,
+  remove
+};
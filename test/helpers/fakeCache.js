@@ -0,0 +1,50 @@
+const { cache } = require('../../config/cache');
+
+/**
+ * Remplace le client memcached (config/cache) par une Map, que l'on peut mettre en panne.
+ * A appeler avant de charger les services qui utilisent services/store.js.
+ * @returns {Object} - { entries, down(), up() }
+ */
+function installFakeCache() {
+  const entries = new Map();
+  let available = true;
+
+  const guard = () => {
+    if (!available) throw new Error('connect ECONNREFUSED');
+  };
+
+  cache.set = async (key, value) => {
+    guard();
+    entries.set(key, JSON.parse(JSON.stringify(value)));
+    return true;
+  };
+  cache.get = async (key) => {
+    guard();
+    return entries.has(key) ? entries.get(key) : null;
+  };
+  cache.add = async (key, value) => {
+    guard();
+    if (entries.has(key)) return false;
+    entries.set(key, JSON.parse(JSON.stringify(value)));
+    return true;
+  };
+  cache.replace = async (key, value) => {
+    guard();
+    if (!entries.has(key)) return false;
+    entries.set(key, JSON.parse(JSON.stringify(value)));
+    return true;
+  };
+  cache.delete = async (key) => {
+    guard();
+    entries.delete(key);
+    return true;
+  };
+
+  return {
+    entries,
+    down() { available = false; },
+    up() { available = true; }
+  };
+}
+
+module.exports = { installFakeCache };
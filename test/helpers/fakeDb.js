@@ -0,0 +1,44 @@
+const { db } = require('../../config');
+
+/**
+ * Remplace la base de données par un gestionnaire de requêtes écrit dans le test.
+ * handler(sql, params, ctx) reçoit la requête aux espaces normalisés et renvoie les lignes
+ * (SELECT) ou { affectedRows, insertId } ; une requête inattendue doit lever une erreur.
+ * Dans une transaction, ctx.onRollback(fn) enregistre l'annulation d'une écriture et
+ * ctx.onRelease(fn) une action à la fin de la transaction (ex: libérer un verrou simulé).
+ * @param {Function} handler - Gestionnaire des requêtes
+ * @returns {Object} - { queries } : requêtes exécutées, dans l'ordre
+ */
+function installFakeDb(handler) {
+  const queries = [];
+
+  const run = async (sql, params, ctx) => {
+    const normalized = sql.replace(/\s+/g, ' ').trim();
+    queries.push({ sql: normalized, params: params || [] });
+    return handler(normalized, params || [], ctx);
+  };
+
+  db.query = (sql, params) => run(sql, params, { onRollback() {}, onRelease() {} });
+
+  db.pool.getConnection = async () => {
+    const undo = [];
+    const releases = [];
+    const ctx = { onRollback: fn => undo.push(fn), onRelease: fn => releases.push(fn) };
+
+    return {
+      query: async (sql, params) => [await run(sql, params, ctx)],
+      beginTransaction: async () => {},
+      commit: async () => {},
+      rollback: async () => {
+        undo.reverse().forEach(fn => fn());
+      },
+      release() {
+        releases.splice(0).forEach(fn => fn());
+      }
+    };
+  };
+
+  return { queries };
+}
+
+module.exports = { installFakeDb };
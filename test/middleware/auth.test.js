@@ -0,0 +1,39 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.JWT_SECRET = 'test';
+process.env.SESSION_STORE = 'memory';
+
+const { Agent } = require('../../model');
+const sessions = require('../../services/sessions');
+const { adminOnlyMutations } = require('../../middleware/auth');
+
+let server;
+let base;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/ressources', adminOnlyMutations, (req, res) => res.status(200).json({ success: true }));
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const appel = async (method, session) => {
+  const headers = session ? { authorization: `Bearer ${(await sessions.createSession(session)).token}` } : {};
+  return (await fetch(`${base}/ressources`, { method, headers })).status;
+};
+
+test('les lectures passent sans contrôle, les écritures exigent un administrateur', async (t) => {
+  t.mock.method(Agent, 'isAdmin', async agentId => agentId === 1);
+
+  assert.equal(await appel('GET'), 200);
+  assert.equal(await appel('POST'), 401);
+  assert.equal(await appel('DELETE', { type: 'agent', agentId: 2 }), 403);
+  assert.equal(await appel('PUT', { type: 'agent', role: 'admin', agentId: 2 }), 403);
+  assert.equal(await appel('PATCH', { type: 'etudiant', etudiantId: 1 }), 403);
+  assert.equal(await appel('POST', { type: 'agent', role: 'admin', agentId: 1 }), 200);
+});
@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.JWT_SECRET = 'test';
+process.env.SESSION_STORE = 'memory';
+
+const { permissions } = require('../../services');
+const sessions = require('../../services/sessions');
+const { authenticateToken } = require('../../middleware/auth');
+const { can } = require('../../middleware/permissions');
+
+// Ressources connues : fiche 1 (niveau 3 en année 7, section 2)
+const scopes = async (req) => (req.params.id === '1' ? ['niveau:3:annee:7', 'section:2'] : null);
+
+let server;
+let base;
+
+before(async () => {
+  const app = express();
+  app.get('/fiches/:id', authenticateToken, can('grades:read', scopes), (req, res) => res.json({ success: true }));
+  app.get('/finances', authenticateToken, can('finance:read'), (req, res) => res.json({ success: true }));
+  app.get('/panne', authenticateToken, can('grades:read', async () => {
+    throw new Error('base indisponible');
+  }), (req, res) => res.json({ success: true }));
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+/**
+ * Appelle une route protégée avec les permissions données
+ * @returns {Promise<Object>} - { status, body, calls } (calls : chargements des permissions)
+ */
+async function appel(t, path, granted) {
+  const calls = t.mock.method(permissions, 'getAgentPermissions', async () => ({ permissions: granted }));
+  const { token } = await sessions.createSession({ type: 'agent', agentId: 5 });
+  const response = await fetch(`${base}${path}`, { headers: { authorization: `Bearer ${token}` } });
+  return { status: response.status, body: await response.json(), calls: calls.mock.callCount() };
+}
+
+test('l\'accès est accordé si l\'une des portées de la ressource est couverte', async (t) => {
+  assert.equal((await appel(t, '/fiches/1', ['grades:read:niveau:3:annee:7'])).status, 200);
+  assert.equal((await appel(t, '/fiches/1', ['grades:read:section:2'])).status, 200);
+  assert.equal((await appel(t, '/fiches/1', ['grades:read'])).status, 200);
+});
+
+test('une portée voisine est refusée avec les permissions demandées', async (t) => {
+  const { status, body } = await appel(t, '/fiches/1', ['grades:read:niveau:3:annee:8', 'grades:write:section:2']);
+
+  assert.equal(status, 403);
+  assert.deepEqual(body.required, ['grades:read:niveau:3:annee:7', 'grades:read:section:2']);
+});
+
+test('une ressource introuvable répond 404 sans charger les permissions', async (t) => {
+  const { status, calls } = await appel(t, '/fiches/2', ['grades:read']);
+
+  assert.equal(status, 404);
+  assert.equal(calls, 0);
+});
+
+test('une permission sans portée et une erreur du resolver', async (t) => {
+  t.mock.method(console, 'error', () => {});
+
+  assert.equal((await appel(t, '/finances', ['finance:read'])).status, 200);
+  assert.deepEqual((await appel(t, '/finances', ['finance:write'])).body.required, 'finance:read');
+  assert.equal((await appel(t, '/panne', ['*'])).status, 500);
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('../helpers/fakeDb');
+
+const { queries } = installFakeDb(sql => {
+  if (sql.startsWith('SELECT * FROM agent WHERE id = ?')) {
+    return [{ id: 5, matricule: 'AG0042', e_mail: 'kabeya@exemple.cd' }];
+  }
+  if (sql.startsWith('SELECT id FROM agent WHERE')) return [];
+  if (sql.startsWith('INSERT INTO agent')) return { affectedRows: 1, insertId: 6 };
+  if (sql.startsWith('UPDATE agent SET')) return { affectedRows: 1 };
+  throw new Error(`Requête inattendue : ${sql}`);
+});
+
+const { Agent } = require('../../model');
+const passwordService = require('../../services/password');
+
+const ecritures = () => queries.filter(({ sql }) => /^(INSERT|UPDATE)/.test(sql));
+
+test('un mot de passe faible choisi par l\'administrateur est refusé', async () => {
+  queries.length = 0;
+
+  const creation = await Agent.createAgent({ nom: 'Kabeya', matricule: 'AG0043', mdp: 'court' });
+  assert.equal(creation.metadata.code, 400);
+
+  // Le matricule actuel de l'agent ne peut pas servir de mot de passe
+  const modification = await Agent.updateAgent(5, { mdp: 'Ag0042secret' });
+  assert.equal(modification.metadata.code, 400);
+  assert.match(modification.error, /matricule/);
+
+  assert.deepEqual(ecritures(), []);
+});
+
+test('un mot de passe robuste est enregistré haché', async () => {
+  queries.length = 0;
+
+  const result = await Agent.updateAgent(5, { mdp: 'Robuste2024x' });
+
+  assert.equal(result.success, true);
+  const [update] = ecritures();
+  assert.ok(passwordService.isHashed(update.params[0]));
+  assert.equal((await passwordService.verifyPassword('Robuste2024x', update.params[0])).valid, true);
+});
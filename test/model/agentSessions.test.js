@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('../helpers/fakeDb');
+
+process.env.JWT_SECRET = 'test';
+process.env.SESSION_STORE = 'memory';
+
+installFakeDb((sql, params) => {
+  if (sql.startsWith('SELECT * FROM agent WHERE id = ?')) return [{ id: params[0] }];
+  if (sql.startsWith('SELECT adm.id FROM administration adm')) return [{ id: 1 }];
+  if (sql.startsWith('UPDATE agent SET deleted_at')) return { affectedRows: 1 };
+  if (sql.startsWith('DELETE FROM administration')) return { affectedRows: 1 };
+  throw new Error(`Requête inattendue : ${sql}`);
+});
+
+const { Agent, Cotes } = require('../../model');
+const sessions = require('../../services/sessions');
+
+const ouvrir = async (agentId) => {
+  const { refreshToken } = await sessions.createSession({ type: 'agent', agentId });
+  return refreshToken.split('.')[0];
+};
+
+test('archiver un agent ou lui retirer l\'administration ferme ses sessions', async () => {
+  const archive = await ouvrir(7);
+  const autre = await ouvrir(8);
+  assert.equal((await Agent.deleteAgent(7, 1)).success, true);
+  assert.equal(await sessions.isActive(archive), false);
+  assert.equal(await sessions.isActive(autre), true);
+
+  const admin = await ouvrir(9);
+  assert.equal((await Agent.removeAdmin(9)).success, true);
+  assert.equal(await sessions.isActive(admin), false);
+});
+
+test('un changement de composition du jury ferme les sessions des membres concernés', async () => {
+  const ancien = await ouvrir(10);
+  const nouveau = await ouvrir(11);
+  const hors = await ouvrir(12);
+
+  await Cotes.revokeJurySessions({ id_president: 10, id_secretaire: null }, { id_membre: 11 });
+
+  assert.equal(await sessions.isActive(ancien), false);
+  assert.equal(await sessions.isActive(nouveau), false);
+  assert.equal(await sessions.isActive(hors), true);
+});
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('../helpers/fakeDb');
+
+// Table annee simulée ; SELECT ... FOR UPDATE prend un verrou tenu jusqu'à la fin de la transaction
+const annees = [{ id: 1, debut: 2023, fin: 2024, active: 1 }];
+let lock = Promise.resolve();
+
+installFakeDb(async (sql, params, ctx) => {
+  // Chaque requête prend du temps : les deux requêtes HTTP s'entrelacent
+  await new Promise(resolve => setTimeout(resolve, 2));
+
+  if (sql === 'SELECT id FROM annee FOR UPDATE') {
+    const previous = lock;
+    let unlock;
+    lock = new Promise(resolve => { unlock = resolve; });
+    await previous;
+    ctx.onRelease(unlock);
+    return annees.map(({ id }) => ({ id }));
+  }
+  if (sql.startsWith('SELECT id, debut, fin FROM annee WHERE debut < ?')) {
+    const [fin, debut, excludeId] = params;
+    return annees.filter(a => a.debut < fin && a.fin > debut && a.id !== excludeId).slice(0, 1);
+  }
+  if (sql.startsWith('SELECT id FROM annee WHERE active = 1')) {
+    return annees.filter(a => a.active).map(({ id }) => ({ id }));
+  }
+  if (sql.startsWith('INSERT INTO annee')) {
+    const annee = { id: annees.length + 1, debut: params[0], fin: params[1], active: 0 };
+    annees.push(annee);
+    ctx.onRollback(() => annees.splice(annees.indexOf(annee), 1));
+    return { affectedRows: 1, insertId: annee.id };
+  }
+  throw new Error(`Requête inattendue : ${sql}`);
+});
+
+const { Etudiant } = require('../../model');
+
+test('deux créations simultanées de la même année : une seule réussit', async () => {
+  const results = await Promise.all([Etudiant.createAnnee(2024, 2025), Etudiant.createAnnee(2024, 2025)]);
+
+  assert.deepEqual(results.map(result => result.success).sort(), [false, true]);
+  assert.equal(results.find(result => !result.success).metadata.code, 409);
+  assert.equal(annees.filter(a => a.debut === 2024).length, 1);
+});
@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('../helpers/fakeDb');
+const { DEFAULT_BAREME, syntheseFiches } = require('../../utils/bareme');
+
+// Barèmes en base pendant le test : une écriture annulée les retire
+const state = { baremes: [], publie: false, horsBareme: 0 };
+
+const { queries } = installFakeDb((sql, params, ctx) => {
+  if (sql.startsWith('SELECT id FROM matiere WHERE id = ?')) return [{ id: params[0] }];
+  if (sql.startsWith('SELECT id FROM annee WHERE id = ?')) return [{ id: params[0] }];
+  if (sql.startsWith('SELECT id FROM promotion WHERE id = ?')) return [{ id: params[0] }];
+  if (sql.startsWith('SELECT id FROM bareme_cotation WHERE id_matiere <=> ?')) return [];
+  if (sql.startsWith('INSERT INTO bareme_cotation')) {
+    state.baremes.push(params);
+    ctx.onRollback(() => state.baremes.pop());
+    return { affectedRows: 1, insertId: 12 };
+  }
+  if (sql.startsWith('SELECT a.debut, a.fin FROM')) return state.publie ? [{ debut: 2023, fin: 2024 }] : [];
+  if (sql.startsWith('SELECT COUNT(*) AS total FROM fiche_cotation')) return [{ total: state.horsBareme }];
+  throw new Error(`Requête inattendue : ${sql}`);
+});
+
+const { Promotion } = require('../../model');
+
+const reset = () => {
+  Object.assign(state, { baremes: [], publie: false, horsBareme: 0 });
+  queries.length = 0;
+};
+
+test('un barème est daté de l\'année à partir de laquelle il s\'applique', async () => {
+  reset();
+  assert.equal((await Promotion.setBareme({ matiereId: 9 }, {})).metadata.code, 400);
+
+  const result = await Promotion.setBareme({ matiereId: 9, anneeId: 3 }, { max_examen: 40 });
+
+  assert.equal(result.success, true);
+  assert.equal(result.data.id_annee, 3);
+  assert.deepEqual(state.baremes[0].slice(0, 3), [9, null, 3]);
+  // Les contrôles ne portent que sur les matières et années où ce barème est appliqué
+  assert.deepEqual(queries.find(({ sql }) => sql.startsWith('SELECT COUNT(*)')).params, [12]);
+});
+
+test('un barème appliqué à une délibération publiée est refusé et l\'écriture annulée', async () => {
+  reset();
+  state.publie = true;
+
+  const result = await Promotion.setBareme({ promotionId: 5, anneeId: 3 }, {});
+
+  assert.equal(result.metadata.code, 409);
+  assert.match(result.error, /délibération publiée \(2023-2024\)/);
+  assert.deepEqual(state.baremes, []);
+});
+
+test('un maximum abaissé sous des cotes déjà saisies est refusé et l\'écriture annulée', async () => {
+  reset();
+  state.horsBareme = 2;
+
+  const result = await Promotion.setBareme({ anneeId: 3 }, { max_tp: 10 });
+
+  assert.equal(result.metadata.code, 409);
+  assert.match(result.error, /^2 fiche\(s\) de cotation/);
+  assert.deepEqual(state.baremes, []);
+});
+
+test('les notes se calculent avec le barème de l\'année de la fiche', () => {
+  const sql = Promotion.ficheCotationSql().replace(/\s+/g, ' ');
+
+  assert.match(sql, /b\.id_matiere = fc\.id_matiere AND b\.id_annee = fc\.id_annee/);
+  assert.match(Promotion.baremeMatiereSql().replace(/\s+/g, ' '), /ba\.debut <= ab\.debut/);
+});
+
+// Évalue une expression de noteSql (arithmétique et ROUND, valides aussi en JavaScript)
+const evaluer = (expression, b, fc) => new Function('b', 'fc', 'ROUND', `return ${expression};`)(
+  b,
+  fc,
+  (value, decimals) => Number(value.toFixed(decimals))
+);
+
+test('sans barème configuré, la note de session reste sur 20', () => {
+  const { session, rattrapage } = Promotion.noteSql();
+
+  assert.equal(evaluer(session, DEFAULT_BAREME, { tp: 6, td: 6, examen: 6 }), 6);
+  assert.equal(evaluer(session, DEFAULT_BAREME, { tp: 20, td: 20, examen: 20 }), 20);
+  assert.equal(evaluer(session, DEFAULT_BAREME, { tp: 9, td: 10, examen: 12 }), 10.33);
+  assert.equal(evaluer(rattrapage, DEFAULT_BAREME, { rattrapage: 14 }), 14);
+
+  // La moyenne annuelle reste sur l'échelle des moyennes
+  const note = evaluer(session, DEFAULT_BAREME, { tp: 6, td: 6, examen: 6 });
+  const synthese = syntheseFiches([{ matiere_credit: 4, note_finale: note, echelle: DEFAULT_BAREME.echelle, valide: 0 }]);
+  assert.equal(synthese.moyenne, 6);
+});
+
+test('un barème configuré pondère les composantes', () => {
+  const bareme = { ...DEFAULT_BAREME, max_examen: 40, poids_tp: 1, poids_td: 1, poids_examen: 2, echelle: 100 };
+
+  assert.equal(evaluer(Promotion.noteSql().session, bareme, { tp: 10, td: 20, examen: 30 }), 75);
+});
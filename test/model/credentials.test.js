@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('../helpers/fakeDb');
+const passwordService = require('../../services/password');
+
+// Colonnes mdp en base pendant le test : un ancien mot de passe en clair, remplacé par son hash à la connexion
+const state = { agent: null, admin: null, etudiant: null };
+
+const { queries } = installFakeDb((sql, params) => {
+  if (sql.startsWith('SELECT * FROM agent WHERE matricule = ?')) {
+    return params[0] === 'AG0042' ? [{ id: 5, matricule: 'AG0042', mdp: state.agent }] : [];
+  }
+  if (sql.startsWith('SELECT adm.id, adm.id_agent, adm.mdp FROM administration')) {
+    return [{ id: 2, id_agent: params[0], mdp: state.admin }];
+  }
+  if (sql.startsWith('SELECT * FROM etudiant WHERE e_mail = ?')) {
+    return params[0] === 'mbuyi@exemple.cd' ? [{ id: 3, matricule: 'ET0003', mdp: state.etudiant }] : [];
+  }
+  if (sql.startsWith('UPDATE etudiant SET mdp = ?')) {
+    state.etudiant = params[0];
+    return { affectedRows: 1 };
+  }
+  if (sql.startsWith('UPDATE agent SET mdp = ?')) {
+    state.agent = params[0];
+    return { affectedRows: 1 };
+  }
+  if (sql.startsWith('UPDATE administration SET mdp = ?')) {
+    state.admin = params[0];
+    return { affectedRows: 1 };
+  }
+  throw new Error(`Requête inattendue : ${sql}`);
+});
+
+const { Agent, Etudiant } = require('../../model');
+
+const rehachages = () => queries.filter(({ sql }) => sql.startsWith('UPDATE'));
+
+test('un mot de passe agent en clair est remplacé par son hash à la première connexion réussie', async () => {
+  state.agent = 'ancien-secret';
+  queries.length = 0;
+
+  assert.equal((await Agent.verifyCredentials('AG0042', 'mauvais')).metadata.code, 401);
+  assert.equal(state.agent, 'ancien-secret');
+
+  const result = await Agent.verifyCredentials('AG0042', 'ancien-secret');
+
+  assert.equal(result.success, true);
+  assert.equal(result.data[0].mdp, undefined);
+  assert.ok(passwordService.isHashed(state.agent));
+
+  // Le hash enregistré suffit aux connexions suivantes, sans nouvelle écriture
+  queries.length = 0;
+  assert.equal((await Agent.verifyCredentials('AG0042', 'ancien-secret')).success, true);
+  assert.deepEqual(rehachages(), []);
+});
+
+test('un login inconnu et des champs absents sont refusés', async () => {
+  assert.equal((await Agent.verifyCredentials('AG9999', 'secret')).metadata.code, 401);
+  assert.equal((await Agent.verifyCredentials('AG0042', '')).metadata.code, 400);
+});
+
+test('le mot de passe administrateur en clair est migré par authenticateAdmin', async () => {
+  state.agent = await passwordService.hashPassword('Agent2024x');
+  state.admin = 'admin-clair';
+
+  assert.equal(await Agent.verifyAdminCredentials('AG0042', 'Agent2024x'), false);
+
+  const result = await Agent.authenticateAdmin('AG0042', 'admin-clair');
+
+  assert.equal(result.success, true);
+  assert.ok(passwordService.isHashed(state.admin));
+  assert.equal(await Agent.verifyAdminCredentials('AG0042', 'admin-clair'), true);
+});
+
+test('un étudiant se connecte par e-mail ; son mot de passe en clair est migré', async () => {
+  state.etudiant = 'etudiant-clair';
+
+  assert.equal((await Etudiant.verifyEtudiantCredentials('mbuyi@exemple.cd', 'autre')).metadata.code, 401);
+  assert.equal((await Etudiant.verifyEtudiantCredentials('inconnu@exemple.cd', 'etudiant-clair')).metadata.code, 401);
+
+  const result = await Etudiant.verifyEtudiantCredentials('mbuyi@exemple.cd', 'etudiant-clair');
+
+  assert.equal(result.success, true);
+  assert.equal(result.data[0].mdp, undefined);
+  assert.ok(passwordService.isHashed(state.etudiant));
+});
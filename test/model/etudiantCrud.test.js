@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('../helpers/fakeDb');
+
+process.env.JWT_SECRET = 'test';
+process.env.SESSION_STORE = 'memory';
+
+// Étudiant 3 en base ; ET0004 et autre@exemple.cd appartiennent à un autre étudiant
+const { queries } = installFakeDb((sql, params) => {
+  if (sql.startsWith('SELECT * FROM etudiant WHERE id = ?')) return params[0] === 3 ? [{ id: 3 }] : [];
+  if (sql.startsWith('SELECT id FROM etudiant WHERE matricule = ?')) return params[0] === 'ET0004' ? [{ id: 4 }] : [];
+  if (sql.startsWith('SELECT id FROM etudiant WHERE e_mail = ?')) return params[0] === 'autre@exemple.cd' ? [{ id: 4 }] : [];
+  if (sql.startsWith('INSERT INTO etudiant')) return { affectedRows: 1, insertId: 5 };
+  if (sql.startsWith('UPDATE etudiant SET')) return { affectedRows: 1 };
+  throw new Error(`Requête inattendue : ${sql}`);
+});
+
+const { Etudiant } = require('../../model');
+const passwordService = require('../../services/password');
+const sessions = require('../../services/sessions');
+
+const identite = { nom: 'Mbuyi', post_nom: 'Kalala', prenom: 'Grace', sexe: 'F', matricule: 'ET0005' };
+
+const ecriture = () => queries.find(({ sql }) => /^(INSERT|UPDATE)/.test(sql));
+
+test('la création n\'écrit que les colonnes autorisées et hache le mot de passe initial', async () => {
+  queries.length = 0;
+
+  const result = await Etudiant.createEtudiant({
+    ...identite,
+    mdp: 'Provisoire2024',
+    must_change_password: 0,
+    deleted_at: null,
+    id: 99
+  });
+
+  assert.equal(result.success, true);
+  const { sql, params } = ecriture();
+  assert.equal(sql, 'INSERT INTO etudiant (nom, post_nom, prenom, matricule, sexe, mdp, must_change_password) VALUES (?, ?, ?, ?, ?, ?, ?)');
+  assert.ok(passwordService.isHashed(params[5]));
+  assert.equal(params[6], 1);
+});
+
+test('la création refuse un champ obligatoire manquant et un matricule ou un e-mail déjà pris', async () => {
+  queries.length = 0;
+
+  assert.equal((await Etudiant.createEtudiant({ ...identite, prenom: ' ' })).metadata.code, 400);
+  assert.equal((await Etudiant.createEtudiant({ ...identite, matricule: 'ET0004' })).metadata.code, 409);
+  assert.equal((await Etudiant.createEtudiant({ ...identite, e_mail: 'autre@exemple.cd' })).metadata.code, 409);
+  assert.equal(ecriture(), undefined);
+});
+
+test('la mise à jour ignore le mot de passe et refuse les doublons et les champs obligatoires vidés', async () => {
+  queries.length = 0;
+
+  assert.equal((await Etudiant.updateEtudiant(3, { mdp: 'x', must_change_password: 0 })).metadata.code, 400);
+  assert.equal((await Etudiant.updateEtudiant(3, { nom: '' })).metadata.code, 400);
+  assert.equal((await Etudiant.updateEtudiant(3, { matricule: 'ET0004' })).metadata.code, 409);
+  assert.equal((await Etudiant.updateEtudiant(3, { e_mail: 'autre@exemple.cd' })).metadata.code, 409);
+  assert.equal((await Etudiant.updateEtudiant(8, { nom: 'Mbuyi' })).metadata.code, 404);
+  assert.equal(ecriture(), undefined);
+
+  assert.equal((await Etudiant.updateEtudiant(3, { telephone: '0810000000', mdp: 'x' })).success, true);
+  assert.deepEqual(ecriture(), { sql: 'UPDATE etudiant SET telephone = ? WHERE id = ?', params: ['0810000000', 3] });
+});
+
+test('la suppression archive l\'étudiant et ferme ses sessions', async () => {
+  queries.length = 0;
+  const { refreshToken } = await sessions.createSession({ type: 'etudiant', etudiantId: 3 });
+
+  assert.equal((await Etudiant.deleteEtudiant(3, 1)).success, true);
+
+  assert.deepEqual(ecriture().params, [1, 3]);
+  assert.match(ecriture().sql, /^UPDATE etudiant SET deleted_at = NOW\(\)/);
+  assert.equal(await sessions.isActive(refreshToken.split('.')[0]), false);
+});
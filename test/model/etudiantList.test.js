@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('../helpers/fakeDb');
+
+const { queries } = installFakeDb((sql) => {
+  if (sql.startsWith('SELECT e.sexe, COUNT(*)')) return [{ sexe: 'M', total: 2 }];
+  if (sql.startsWith('SELECT e.id')) return [];
+  throw new Error(`Requête inattendue : ${sql}`);
+});
+
+const { Etudiant } = require('../../model');
+
+test('un tri hors liste blanche est refusé sans exécuter de requête', async () => {
+  queries.length = 0;
+
+  for (const [sortBy, sortDir] of [['nom; DROP TABLE etudiant', 'ASC'], ['(SELECT mdp)', 'ASC'], ['nom', 'ASC, mdp']]) {
+    const all = await Etudiant.getAllEtudiants({ sortBy, sortDir });
+    const search = await Etudiant.searchEtudiants('a', { sortBy, sortDir });
+    assert.equal(all.success, false);
+    assert.equal(all.metadata.code, 400);
+    assert.equal(search.metadata.code, 400);
+  }
+
+  assert.equal(queries.length, 0);
+});
+
+test('la liste passe par la colonne de la liste blanche et ne sélectionne pas le mot de passe', async () => {
+  queries.length = 0;
+  await Etudiant.searchEtudiants('kab', { sortBy: 'matricule', sortDir: 'desc', limit: 10, offset: 0 });
+
+  const { sql, params } = queries[0];
+  assert.match(sql, /ORDER BY e\.matricule DESC, e\.id/);
+  assert.doesNotMatch(sql, /\*|mdp/);
+  assert.deepEqual(params, ['%kab%', '%kab%', '%kab%', '%kab%', 10, 0]);
+});
+
+test('le total utilise le même filtre que la recherche', async () => {
+  queries.length = 0;
+  await Etudiant.searchEtudiants('kab', {});
+  await Etudiant.countEtudiants('kab', {});
+
+  const where = sql => sql.slice(sql.indexOf('WHERE'), sql.indexOf('GROUP BY'));
+  assert.equal(where(queries[0].sql), where(queries[1].sql));
+  assert.deepEqual(queries[1].params, queries[0].params);
+});
@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('../helpers/fakeDb');
+
+process.env.SESSION_STORE = 'memory';
+
+// Décisions de délibération communes aux deux fiches (même jury)
+const state = { conflits: [] };
+
+const { queries } = installFakeDb((sql) => {
+  if (sql.startsWith('SELECT * FROM etudiant WHERE id IN')) {
+    return [{ id: 1, nom: 'Kabila', e_mail: null }, { id: 2, nom: 'Kabila', e_mail: 'k@example.org' }];
+  }
+  if (sql.startsWith('SELECT * FROM administratif_etudiant')) return [];
+  if (sql.startsWith('SELECT d.id_matiere, d.id_annee FROM fiche_cotation')) return [];
+  if (sql.startsWith('SELECT d.id, d.id_niveau_jury, d.statut')) return state.conflits;
+  if (sql.startsWith('SELECT id FROM origine_etudiant')) return [];
+  if (sql.startsWith('SELECT * FROM etudiant_merge_log')) return [];
+  if (/^(UPDATE|DELETE|INSERT)/.test(sql)) return { affectedRows: 1, insertId: 1 };
+  throw new Error(`Requête inattendue : ${sql}`);
+});
+
+const { Etudiant } = require('../../model');
+
+test('les décisions de délibération du doublon sont rattachées à l\'étudiant conservé', async () => {
+  state.conflits = [];
+  queries.length = 0;
+
+  const result = await Etudiant.mergeEtudiants(1, 2);
+
+  assert.equal(result.success, true);
+  assert.deepEqual(
+    queries.find(({ sql }) => sql.startsWith('UPDATE deliberation')),
+    { sql: 'UPDATE deliberation SET id_etudiant = ? WHERE id_etudiant = ?', params: [1, 2] }
+  );
+  assert.deepEqual(result.data.details.deliberations_a_recalculer, []);
+});
+
+test('la décision en brouillon du doublon est supprimée quand le même jury a délibéré les deux fiches', async () => {
+  state.conflits = [{ id: 30, id_niveau_jury: 4, statut: 'brouillon', statut_survivant: 'brouillon' }];
+  queries.length = 0;
+
+  const result = await Etudiant.mergeEtudiants(1, 2);
+
+  assert.equal(result.success, true);
+  const deleteIndex = queries.findIndex(({ sql }) => sql === 'DELETE FROM deliberation WHERE id = ?');
+  const updateIndex = queries.findIndex(({ sql }) => sql.startsWith('UPDATE deliberation'));
+  assert.deepEqual(queries[deleteIndex].params, [30]);
+  assert.ok(deleteIndex < updateIndex);
+  assert.deepEqual(result.data.details.deliberations_a_recalculer, [4]);
+});
+
+test('la fusion est refusée quand le même jury a publié une décision pour l\'une des fiches', async () => {
+  state.conflits = [{ id: 30, id_niveau_jury: 4, statut: 'brouillon', statut_survivant: 'publie' }];
+  queries.length = 0;
+
+  const result = await Etudiant.mergeEtudiants(1, 2);
+
+  assert.equal(result.metadata.code, 409);
+  assert.equal(queries.some(({ sql }) => sql.startsWith('DELETE FROM deliberation') || sql.startsWith('DELETE FROM etudiant')), false);
+});
+
+test('le journal des fusions borne la pagination et ignore les valeurs invalides', async () => {
+  const pagination = async (options) => {
+    queries.length = 0;
+    assert.equal((await Etudiant.getMergeLogs(options)).success, true);
+    return queries[0].params;
+  };
+
+  assert.deepEqual(await pagination({}), [50, 0]);
+  assert.deepEqual(await pagination({ limit: 'abc', offset: 'x' }), [50, 0]);
+  assert.deepEqual(await pagination({ limit: '100000', offset: '-5' }), [500, 0]);
+  assert.deepEqual(await pagination({ limit: '0', offset: '20' }), [1, 20]);
+});
+
+test('la purge garde les étudiants archivés qui ont des décisions de délibération', async () => {
+  const purge = installFakeDb((sql) => {
+    if (sql.startsWith('SELECT e.id, e.avatar')) {
+      return [{ id: 7, avatar: null, has_cotes: 0, has_paiements: 0, has_deliberations: 1 }];
+    }
+    throw new Error(`Requête inattendue : ${sql}`);
+  });
+
+  const result = await Etudiant.purgeArchivedEtudiants(30);
+
+  assert.deepEqual(result.data.skipped, [{ id: 7, reason: 'délibérations enregistrées' }]);
+  assert.deepEqual(result.data.purged, []);
+  assert.match(purge.queries[0].sql, /EXISTS \(SELECT 1 FROM deliberation d WHERE d\.id_etudiant = e\.id\)/);
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('../helpers/fakeDb');
+
+const { queries } = installFakeDb((sql) => {
+  if (sql.startsWith('SELECT id, designation, aliases FROM exetat_section')) {
+    return [{ id: 1, designation: 'Scientifique', aliases: 'science|sciences' }];
+  }
+  if (sql.startsWith('SELECT id, id_section, designation, aliases FROM exetat_option')) {
+    return [{ id: 10, id_section: 1, designation: 'Biologie-Chimie', aliases: 'bc' }];
+  }
+  if (sql.startsWith('INSERT INTO exetat_')) return { affectedRows: 1, insertId: 2 };
+  throw new Error(`Requête inattendue : ${sql}`);
+});
+
+const { Etudiant } = require('../../model');
+
+test('le référentiel est lu en base avec ses alias', async () => {
+  const result = await Etudiant.getExetatReferences();
+  assert.deepEqual(result.data, [{
+    id: 1,
+    section: 'Scientifique',
+    aliases: ['science', 'sciences'],
+    options: [{ id: 10, option: 'Biologie-Chimie', aliases: ['bc'] }]
+  }]);
+});
+
+test('une nouvelle section est enregistrée avec ses alias', async () => {
+  queries.length = 0;
+  const result = await Etudiant.createExetatSection({ designation: ' Agricole ', aliases: ['agri', 'agri', ''] });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(queries.at(-1).params, ['Agricole', 'agri']);
+});
+
+test('un alias déjà utilisé par une autre entrée est refusé en 409', async () => {
+  queries.length = 0;
+  const section = await Etudiant.createExetatSection({ designation: 'Sociale', aliases: ['Sciences'] });
+  const option = await Etudiant.createExetatOption(1, { designation: 'Biochimie', aliases: ['BC'] });
+
+  assert.equal(section.metadata.code, 409);
+  assert.equal(option.metadata.code, 409);
+  assert.equal(queries.some(({ sql }) => sql.startsWith('INSERT')), false);
+});
+
+test('une désignation vide ou des alias mal formés sont refusés en 400', async () => {
+  assert.equal((await Etudiant.createExetatSection({ designation: '  ' })).metadata.code, 400);
+  assert.equal((await Etudiant.createExetatSection({ designation: 'Agricole', aliases: 'agri' })).metadata.code, 400);
+  assert.equal((await Etudiant.updateExetatOption(99, { designation: 'X' })).metadata.code, 404);
+});
@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('../helpers/fakeDb');
+const { DEFAULT_BAREME } = require('../../utils/bareme');
+
+// Étudiant 1 inscrit dans la promotion 5 en 2024 (année 3) ; fiche existante pour la matière 9
+const db = {
+  inscrit: true,
+  publiee: false,
+  fiche: { id: 40, tp: 12, td: 14, examen: 11, rattrapage: 8 }
+};
+
+const { queries } = installFakeDb((sql) => {
+  if (sql.startsWith('SELECT * FROM etudiant WHERE id = ?')) return [{ id: 1 }];
+  if (sql.startsWith('SELECT m.*, u.id_promotion FROM matiere m')) return [{ id: 9, id_promotion: 5 }];
+  if (sql.startsWith('SELECT * FROM annee WHERE id = ?')) return [{ id: 3 }];
+  if (sql.startsWith('SELECT pe.id FROM promotion_etudiant pe')) return db.inscrit ? [{ id: 70 }] : [];
+  if (sql.startsWith('SELECT id FROM deliberation WHERE id_etudiant = ?')) return db.publiee ? [{ id: 80 }] : [];
+  if (sql.startsWith('SELECT * FROM fiche_cotation WHERE id = ?')) return [{ ...db.fiche, id_etudiant: 1, id_matiere: 9, id_annee: 3 }];
+  if (sql.startsWith('SELECT * FROM agent WHERE id = ?')) return [{ id: 7 }];
+  if (sql.startsWith('SELECT id_niveau FROM promotion')) return [{ id_niveau: 2 }];
+  if (sql.startsWith('SELECT j.id, j.autorisation')) return [{ id: 4, autorisation: 'totale' }];
+  if (sql.startsWith('SELECT b.* FROM')) return [{ id_matiere: 9, ...DEFAULT_BAREME }];
+  if (sql.startsWith('SELECT id FROM fiche_cotation')) return db.fiche ? [{ id: db.fiche.id }] : [];
+  if (sql.startsWith('UPDATE fiche_cotation') || sql.startsWith('INSERT INTO fiche_cotation')) {
+    return { affectedRows: 1, insertId: 41 };
+  }
+  throw new Error(`Requête inattendue : ${sql}`);
+});
+
+const { Etudiant, Cotes } = require('../../model');
+
+const writes = () => queries.filter(({ sql }) => /^(UPDATE|INSERT)/.test(sql));
+
+test('une mise à jour partielle n\'écrit que les cotes fournies', async () => {
+  queries.length = 0;
+  const result = await Etudiant.setFicheCotation(1, 9, 3, { examen: '13.5' });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(writes(), [{ sql: 'UPDATE fiche_cotation SET examen = ? WHERE id = ?', params: [13.5, 40] }]);
+});
+
+test('rattrapage: null efface le rattrapage au lieu d\'être refusé', async () => {
+  queries.length = 0;
+  const result = await Etudiant.setFicheCotation(1, 9, 3, { rattrapage: null });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(writes(), [{ sql: 'UPDATE fiche_cotation SET rattrapage = ? WHERE id = ?', params: [null, 40] }]);
+});
+
+test('une nouvelle fiche laisse vides les cotes non fournies', async (t) => {
+  db.fiche = null;
+  t.after(() => { db.fiche = { id: 40 }; });
+  queries.length = 0;
+
+  await Etudiant.setFicheCotation(1, 9, 3, { tp: 15 });
+
+  assert.deepEqual(writes()[0].params, [1, 9, 3, 15, null, null, null]);
+});
+
+test('un étudiant qui n\'est pas inscrit dans la promotion de la matière cette année est refusé', async (t) => {
+  db.inscrit = false;
+  t.after(() => { db.inscrit = true; });
+  queries.length = 0;
+
+  const result = await Etudiant.setFicheCotation(1, 9, 3, { tp: 15 });
+
+  assert.equal(result.metadata.code, 400);
+  assert.deepEqual(writes(), []);
+  assert.deepEqual(queries.find(({ sql }) => sql.startsWith('SELECT pe.id')).params, [1, 5, 3]);
+});
+
+test('une cote hors barème reste refusée', async () => {
+  const result = await Etudiant.setFicheCotation(1, 9, 3, { td: 25 });
+  assert.equal(result.metadata.code, 400);
+});
+
+test('les cotes d\'un étudiant dont la délibération de l\'année est publiée ne sont plus modifiables', async (t) => {
+  db.publiee = true;
+  t.after(() => { db.publiee = false; });
+  queries.length = 0;
+
+  const saisie = await Etudiant.setFicheCotation(1, 9, 3, { tp: 15 });
+  const modification = await Cotes.modifierCote(40, 7, 'examen', 12);
+  const suppression = await Etudiant.deleteFicheCotation(40);
+
+  for (const result of [saisie, modification, suppression]) {
+    assert.equal(result.metadata.code, 409);
+    assert.match(result.error, /délibération .* publiée/);
+  }
+  assert.deepEqual(queries.filter(({ sql }) => /^(UPDATE|INSERT|DELETE)/.test(sql)), []);
+  assert.deepEqual(queries.find(({ sql }) => sql.startsWith('SELECT id FROM deliberation')).params, [1, 3]);
+});
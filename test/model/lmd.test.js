@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('../helpers/fakeDb');
+
+// Seuils en base pendant le test : une écriture annulée les retire
+const state = { seuils: [], publie: false, seuilsNiveau: { seuil_ue: '10.00', note_eliminatoire: '8.00' } };
+
+const { queries } = installFakeDb((sql, params, ctx) => {
+  if (sql.startsWith('SELECT id, systeme FROM niveau WHERE id = ?')) {
+    return [{ id: params[0], systeme: params[0] === 4 ? 'LMD' : 'Ancien' }];
+  }
+  if (sql.startsWith('SELECT id FROM annee WHERE id = ?')) return [{ id: params[0] }];
+  if (sql.startsWith('SELECT id FROM lmd_seuil WHERE id_niveau <=> ?')) return [];
+  if (sql.startsWith('INSERT INTO lmd_seuil')) {
+    state.seuils.push(params);
+    ctx.onRollback(() => state.seuils.pop());
+    return { affectedRows: 1, insertId: 6 };
+  }
+  if (sql.startsWith('SELECT a.debut, a.fin FROM')) return state.publie ? [{ debut: 2023, fin: 2024 }] : [];
+
+  // Bilan LMD
+  if (sql.startsWith('SELECT * FROM etudiant WHERE id = ?')) return [{ id: params[0] }];
+  if (sql.startsWith('SELECT pe.id_promotion')) {
+    return [{ id_promotion: 2, id_annee: 3, annee_debut: 2023, annee_fin: 2024, id_niveau: 4, niveau_intitule: 'L1' }];
+  }
+  if (sql.startsWith('SELECT m.id, m.designation')) {
+    return [
+      { id: 10, designation: 'Analyse', credit: 3, semestre: 1, id_unite: 1, unite_code: 'UE1', id_promotion: 2 },
+      { id: 11, designation: 'Algèbre', credit: 3, semestre: 1, id_unite: 1, unite_code: 'UE1', id_promotion: 2 }
+    ];
+  }
+  if (sql.startsWith('SELECT fc.*, a.debut as annee_debut')) {
+    return [
+      { id: 1, id_etudiant: 1, id_matiere: 10, id_annee: 3, annee_debut: 2023, note_finale: 13, echelle: 20, valide: 1 },
+      { id: 2, id_etudiant: 1, id_matiere: 11, id_annee: 3, annee_debut: 2023, note_finale: 9, echelle: 20, valide: 0 }
+    ];
+  }
+  if (sql.startsWith('SELECT s.* FROM')) return [{ id_niveau: params[0], id_annee: params[1], ...state.seuilsNiveau, origine: 'niveau' }];
+  throw new Error(`Requête inattendue : ${sql}`);
+});
+
+const { Deliberation } = require('../../model');
+
+const reset = () => {
+  Object.assign(state, { seuils: [], publie: false, seuilsNiveau: { seuil_ue: '10.00', note_eliminatoire: '8.00' } });
+  queries.length = 0;
+};
+
+test('les seuils LMD sont datés et réservés aux niveaux LMD', async () => {
+  reset();
+  assert.equal((await Deliberation.setSeuilsLmd({ niveauId: 4 }, {})).metadata.code, 400);
+  assert.equal((await Deliberation.setSeuilsLmd({ niveauId: 5, anneeId: 3 }, {})).metadata.code, 400);
+  assert.equal((await Deliberation.setSeuilsLmd({ niveauId: 4, anneeId: 3 }, { seuil_ue: 30 })).metadata.code, 400);
+
+  const result = await Deliberation.setSeuilsLmd({ niveauId: 4, anneeId: 3 }, { seuil_ue: 12 });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(state.seuils[0], [4, 3, 12, 8]);
+  assert.deepEqual(queries.find(({ sql }) => sql.startsWith('SELECT a.debut, a.fin FROM')).params, [6]);
+});
+
+test('des seuils appliqués à une délibération publiée sont refusés et l\'écriture annulée', async () => {
+  reset();
+  state.publie = true;
+
+  const result = await Deliberation.setSeuilsLmd({ anneeId: 3 }, {});
+
+  assert.equal(result.metadata.code, 409);
+  assert.match(result.error, /délibération publiée \(2023-2024\)/);
+  assert.deepEqual(state.seuils, []);
+});
+
+const lectures = () => ['SELECT pe.id_promotion', 'SELECT fc.*, a.debut as annee_debut']
+  .map(prefix => queries.find(({ sql }) => sql.startsWith(prefix)).sql);
+
+test('le bilan LMD du portail ne lit que les années publiées, celui du personnel toutes les années', async () => {
+  reset();
+  await Deliberation.getBilanLmd(1, { publiees: true });
+  for (const sql of lectures()) {
+    assert.match(sql, /dp\.statut = 'publie'/);
+  }
+
+  reset();
+  await Deliberation.getBilanLmd(1);
+  for (const sql of lectures()) {
+    assert.doesNotMatch(sql, /FROM deliberation/);
+  }
+});
+
+test('le bilan LMD applique les seuils du niveau', async () => {
+  reset();
+
+  const result = await Deliberation.getBilanLmd(1);
+
+  assert.equal(result.success, true);
+  assert.deepEqual(queries.find(({ sql }) => sql.startsWith('SELECT s.* FROM')).params, [4, 3]);
+
+  // Moyenne de l'UE 11 : compensée avec les seuils par défaut, pas avec un seuil de 12
+  assert.deepEqual(result.data.promotions[0].seuils, { seuil_ue: 10, note_eliminatoire: 8 });
+  assert.equal(result.data.credits_capitalises, 6);
+
+  reset();
+  state.seuilsNiveau = { seuil_ue: '12.00', note_eliminatoire: '8.00' };
+
+  const strict = await Deliberation.getBilanLmd(1);
+  assert.equal(strict.data.credits_capitalises, 3);
+  assert.equal(strict.data.ues_a_reprendre[0].matieres[0].id, 11);
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('../helpers/fakeDb');
+
+// Étudiant 3 (dossier administratif 30), inscrit en promotion 2 pour l'année 5 (parcours 40), coté cette année-là
+const state = { cote: true };
+
+const { queries } = installFakeDb((sql, params) => {
+  if (sql.startsWith('SELECT * FROM etudiant WHERE id = ?')) return params[0] === 3 ? [{ id: 3 }] : [];
+  if (sql.startsWith('SELECT * FROM administratif_etudiant WHERE id_etudiant = ?')) return [{ id: 30, id_etudiant: 3 }];
+  if (sql.startsWith('SELECT * FROM promotion WHERE id = ?')) return params[0] === 9 ? [] : [{ id: params[0] }];
+  if (sql.startsWith('SELECT * FROM annee WHERE id = ?')) return [{ id: params[0] }];
+  if (sql.startsWith('SELECT id FROM promotion_etudiant WHERE')) return params[1] === 2 && params[2] === 5 ? [{ id: 40 }] : [];
+  if (sql.startsWith('SELECT pe.* FROM promotion_etudiant pe JOIN administratif_etudiant ae')) {
+    return params[0] === 40 && params[1] === 3 ? [{ id: 40, id_adminEtudiant: 30, id_annee_acad: 5 }] : [];
+  }
+  if (sql.startsWith('SELECT id_etudiant FROM administratif_etudiant WHERE id = ?')) return [{ id_etudiant: 3 }];
+  if (sql.startsWith('SELECT id FROM fiche_cotation WHERE id_etudiant = ?')) return state.cote ? [{ id: 1 }] : [];
+  if (sql.startsWith('INSERT INTO promotion_etudiant')) return { affectedRows: 1, insertId: 41 };
+  if (sql.startsWith('DELETE FROM promotion_etudiant')) return { affectedRows: 1 };
+  throw new Error(`Requête inattendue : ${sql}`);
+});
+
+const { Etudiant } = require('../../model');
+
+const ecritures = () => queries.filter(({ sql }) => /^(INSERT|DELETE)/.test(sql));
+
+test('une inscription est ajoutée une seule fois par promotion et par année', async () => {
+  queries.length = 0;
+
+  assert.equal((await Etudiant.ajouterParcours(3, 2, 5)).metadata.code, 409);
+  assert.equal((await Etudiant.ajouterParcours(3, 9, 6)).metadata.code, 404);
+  assert.equal((await Etudiant.ajouterParcours(8, 2, 6)).metadata.code, 404);
+  assert.deepEqual(ecritures(), []);
+
+  const result = await Etudiant.ajouterParcours(3, 2, 6, '2025-10-01');
+  assert.equal(result.success, true);
+  assert.deepEqual(ecritures()[0].params, [30, '2025-10-01', 6, 2]);
+});
+
+test('un parcours n\'est supprimé que pour son étudiant et sans cote sur l\'année', async () => {
+  queries.length = 0;
+  state.cote = true;
+
+  assert.equal((await Etudiant.supprimerParcours(40, 4)).metadata.code, 404);
+  assert.equal((await Etudiant.supprimerParcours(40, 3)).metadata.code, 400);
+  assert.deepEqual(ecritures(), []);
+
+  state.cote = false;
+  assert.equal((await Etudiant.supprimerParcours(40, 3)).success, true);
+  assert.deepEqual(ecritures(), [{ sql: 'DELETE FROM promotion_etudiant WHERE id = ?', params: [40] }]);
+});
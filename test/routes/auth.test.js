@@ -0,0 +1,125 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'test';
+process.env.SESSION_STORE = 'memory';
+
+const { Agent, Cotes, LoginLockout } = require('../../model');
+const { router } = require('../../routes/auth');
+
+let server;
+let base;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', router);
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const post = (path, body, token) => fetch(`${base}${path}`, {
+  method: 'POST',
+  headers: { 'content-type': 'application/json', ...(token ? { authorization: `Bearer ${token}` } : {}) },
+  body: JSON.stringify(body)
+});
+
+const verify = token => fetch(`${base}/api/auth/verify`, { headers: { authorization: `Bearer ${token}` } });
+
+/**
+ * Agent 5 (AG0042, mot de passe Robuste2024x), secrétaire du jury 3
+ */
+function mockAgent(t) {
+  t.mock.method(Agent, 'verifyCredentials', async (login, password) => (password === 'Robuste2024x'
+    ? Agent.successResponse([{ id: 5, matricule: 'AG0042', must_change_password: 0 }])
+    : Agent.errorResponse('Invalid credentials', 401)));
+  t.mock.method(Agent, 'getAgentWithFullInfo', async () => Agent.successResponse({ id: 5, nom: 'Kabeya', is_admin: false }));
+  t.mock.method(Cotes, 'getJuryRolesByAgent', async () => Cotes.successResponse([
+    { jury_id: 3, jury_code: 'J-L1', role: 'secretaire' }
+  ]));
+}
+
+test('un agent se connecte par matricule et reçoit un jeton portant son identité et ses rôles de jury', async (t) => {
+  mockAgent(t);
+
+  const response = await post('/api/auth/agent/login', { login: 'AG0042', password: 'Robuste2024x' });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(body.data.jury_roles, [{ juryId: 3, code: 'J-L1', role: 'secretaire' }]);
+
+  const payload = jwt.decode(body.token);
+  assert.equal(payload.type, 'agent');
+  assert.equal(payload.agentId, 5);
+  assert.equal(payload.matricule, 'AG0042');
+  assert.equal(payload.isAdmin, false);
+  assert.deepEqual(payload.juryRoles, body.data.jury_roles);
+
+  assert.equal((await verify(body.token)).status, 200);
+});
+
+test('un mauvais mot de passe agent est refusé sans jeton', async (t) => {
+  mockAgent(t);
+
+  const response = await post('/api/auth/agent/login', { login: 'AG0042', password: 'mauvais' });
+  const body = await response.json();
+
+  assert.equal(response.status, 401);
+  assert.equal(body.token, undefined);
+});
+
+test('la connexion administrateur délivre un jeton admin, refusé dès que l\'agent n\'est plus administrateur', async (t) => {
+  t.mock.method(Agent, 'authenticateAdmin', async () => Agent.successResponse({
+    admin_id: 2, agent_id: 5, matricule: 'AG0042', role: 'admin'
+  }));
+  t.mock.method(LoginLockout, 'getLockouts', async () => LoginLockout.successResponse([]));
+  const isAdmin = t.mock.method(Agent, 'isAdmin', async () => true);
+
+  const body = await (await post('/api/auth/admin/login', { matricule: 'AG0042', password: 'Admin2024x' })).json();
+  const payload = jwt.decode(body.token);
+  assert.equal(payload.role, 'admin');
+  assert.equal(payload.agentId, 5);
+
+  const lockouts = () => fetch(`${base}/api/auth/lockouts`, { headers: { authorization: `Bearer ${body.token}` } });
+  assert.equal((await lockouts()).status, 200);
+
+  // Le rôle du jeton ne suffit pas : l'appartenance à la table administration est revérifiée
+  isAdmin.mock.mockImplementation(async () => false);
+  assert.equal((await lockouts()).status, 403);
+});
+
+test('un jeton agent sans rôle admin n\'accède pas aux routes d\'administration', async (t) => {
+  mockAgent(t);
+  t.mock.method(Agent, 'isAdmin', async () => true);
+
+  const { token } = await (await post('/api/auth/agent/login', { login: 'AG0042', password: 'Robuste2024x' })).json();
+  const response = await fetch(`${base}/api/auth/lockouts`, { headers: { authorization: `Bearer ${token}` } });
+
+  assert.equal(response.status, 403);
+});
+
+test('la déconnexion rend inutilisables le jeton d\'accès et le jeton de rafraîchissement', async (t) => {
+  mockAgent(t);
+  const { token, refreshToken } = await (await post('/api/auth/agent/login', { login: 'AG0042', password: 'Robuste2024x' })).json();
+
+  assert.equal((await post('/api/auth/logout', {}, token)).status, 200);
+
+  assert.equal((await verify(token)).status, 401);
+  assert.equal((await post('/api/auth/refresh', { refreshToken })).status, 401);
+});
+
+test('la déconnexion de tous les appareils ferme chaque session de l\'agent', async (t) => {
+  mockAgent(t);
+  const login = async () => (await post('/api/auth/agent/login', { login: 'AG0042', password: 'Robuste2024x' })).json();
+  const [premier, second] = [await login(), await login()];
+
+  const body = await (await post('/api/auth/logout-all', {}, premier.token)).json();
+
+  assert.ok(body.data.revoked >= 2);
+  assert.equal((await verify(premier.token)).status, 401);
+  assert.equal((await verify(second.token)).status, 401);
+});
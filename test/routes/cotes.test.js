@@ -0,0 +1,45 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.JWT_SECRET = 'test';
+process.env.SESSION_STORE = 'memory';
+
+const { Cotes } = require('../../model');
+const { permissions } = require('../../services');
+const sessions = require('../../services/sessions');
+const router = require('../../routes/cotes');
+
+let server;
+let base;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/cotes', router);
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+test('une erreur pendant l\'envoi de la fiche répond avec le corps d\'erreur de la route', async (t) => {
+  t.mock.method(permissions, 'getAgentPermissions', async () => ({ permissions: ['grades:read'] }));
+  t.mock.method(Cotes, 'getFicheCotationById', async () => Cotes.successResponse([
+    { id: 9, id_niveau: 4, id_annee: 3, id_section: 1 }
+  ]));
+  t.mock.method(Cotes, 'getInsertionsByFicheId', async () => {
+    throw new Error('connexion perdue');
+  });
+  t.mock.method(console, 'error', () => {});
+  const { token } = await sessions.createSession({ type: 'agent', agentId: 5 });
+
+  const response = await fetch(`${base}/api/cotes/fiches/9`, { headers: { authorization: `Bearer ${token}` } });
+
+  assert.equal(response.status, 500);
+  assert.deepEqual(await response.json(), {
+    success: false,
+    message: 'Erreur interne du serveur',
+    error: 'connexion perdue'
+  });
+});
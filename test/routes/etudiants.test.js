@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.JWT_SECRET = 'test';
+process.env.SESSION_STORE = 'memory';
+
+const { Etudiant, Deliberation } = require('../../model');
+const { permissions } = require('../../services');
+const sessions = require('../../services/sessions');
+const router = require('../../routes/etudiants');
+
+let server;
+let base;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/etudiants', router);
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+/**
+ * Appelle GET /api/etudiants?includeArchived=true et renvoie le statut et l'option transmise au modèle
+ */
+async function listArchived(t, token) {
+  const calls = [];
+  t.mock.method(Etudiant, 'getAllEtudiants', async (options) => {
+    calls.push(options);
+    return Etudiant.successResponse([]);
+  });
+  t.mock.method(Etudiant, 'countEtudiants', async () => Etudiant.successResponse([]));
+
+  const headers = token ? { authorization: `Bearer ${token}` } : {};
+  const response = await fetch(`${base}/api/etudiants?includeArchived=true`, { headers });
+  return { status: response.status, includeArchived: calls.length ? calls[0].includeArchived : undefined };
+}
+
+test('includeArchived est ignoré pour un appelant anonyme', async (t) => {
+  assert.deepEqual(await listArchived(t, null), { status: 200, includeArchived: false });
+});
+
+test('includeArchived est refusé à un agent sans students:read', async (t) => {
+  t.mock.method(permissions, 'getAgentPermissions', async () => ({ permissions: [] }));
+  const { token } = await sessions.createSession({ type: 'agent', agentId: 5 });
+
+  assert.deepEqual(await listArchived(t, token), { status: 403, includeArchived: undefined });
+});
+
+test('includeArchived est accordé à un agent avec students:read', async (t) => {
+  t.mock.method(permissions, 'getAgentPermissions', async () => ({ permissions: ['students:read'] }));
+  const { token } = await sessions.createSession({ type: 'agent', agentId: 6 });
+
+  assert.deepEqual(await listArchived(t, token), { status: 200, includeArchived: true });
+});
+
+test('un jeton étudiant n\'accède pas aux étudiants archivés', async (t) => {
+  const { token } = await sessions.createSession({ type: 'etudiant', etudiantId: 9 });
+
+  assert.deepEqual(await listArchived(t, token), { status: 403, includeArchived: undefined });
+});
+
+/**
+ * Appelle GET /api/etudiants/4/lmd avec les permissions données ; l'étudiant 4 a été inscrit en L1 (niveau 1, année 2)
+ * puis en L2 (niveau 2, année 3), dans la section 7
+ */
+async function bilanLmd(t, agentId, granted) {
+  t.mock.method(permissions, 'getAgentPermissions', async () => ({ permissions: granted }));
+  t.mock.method(Etudiant, 'getParcoursByEtudiant', async () => Etudiant.successResponse([
+    { id_niveau: 2, id_annee_acad: 3, id_section: 7 },
+    { id_niveau: 1, id_annee_acad: 2, id_section: 7 }
+  ]));
+  t.mock.method(Deliberation, 'getBilanLmd', async () => Deliberation.successResponse({ promotions: [] }));
+  const { token } = await sessions.createSession({ type: 'agent', agentId });
+
+  const response = await fetch(`${base}/api/etudiants/4/lmd`, { headers: { authorization: `Bearer ${token}` } });
+  return response.status;
+}
+
+test('le bilan LMD est accessible au jury d\'une inscription de l\'étudiant et au chef de sa section', async (t) => {
+  assert.equal(await bilanLmd(t, 10, ['grades:read:niveau:1:annee:2']), 200);
+  assert.equal(await bilanLmd(t, 11, ['grades:read:section:7']), 200);
+  assert.equal(await bilanLmd(t, 12, ['grades:read']), 200);
+});
+
+test('le bilan LMD est refusé au jury d\'un autre niveau ou d\'une autre année', async (t) => {
+  assert.equal(await bilanLmd(t, 13, ['grades:read:niveau:1:annee:3']), 403);
+  assert.equal(await bilanLmd(t, 14, ['grades:read:section:8']), 403);
+});
@@ -0,0 +1,56 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.JWT_SECRET = 'test';
+process.env.SESSION_STORE = 'memory';
+
+const { Cotes } = require('../../model');
+const { permissions } = require('../../services');
+const sessions = require('../../services/sessions');
+const router = require('../../routes/logs');
+
+let server;
+let base;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/logs', router);
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+/**
+ * Appelle GET /api/logs/annee/3 avec les permissions données ; l'année 3 a des saisies
+ * en L1 (niveau 1, section 7) et en L2 (niveau 2, section 8)
+ * @returns {Promise<Object>} - { status, ids } : statut et saisies renvoyées
+ */
+async function journal(t, agentId, granted) {
+  t.mock.method(permissions, 'getAgentPermissions', async () => ({ permissions: granted }));
+  t.mock.method(Cotes, 'getNiveauxSectionsByAnnee', async () => Cotes.successResponse([
+    { id_niveau: 1, id_section: 7 },
+    { id_niveau: 2, id_section: 8 }
+  ]));
+  t.mock.method(Cotes, 'getInsertionsByAnnee', async () => Cotes.successResponse([
+    { id: 100, annee_id: 3, id_niveau: 1, id_section: 7 },
+    { id: 101, annee_id: 3, id_niveau: 2, id_section: 8 }
+  ]));
+  const { token } = await sessions.createSession({ type: 'agent', agentId });
+
+  const response = await fetch(`${base}/api/logs/annee/3`, { headers: { authorization: `Bearer ${token}` } });
+  const body = await response.json();
+  return { status: response.status, ids: body.data && body.data.map(row => row.id) };
+}
+
+test('un membre de jury ne lit que les saisies de son niveau pour l\'année', async (t) => {
+  assert.deepEqual(await journal(t, 20, ['grades:read:niveau:2:annee:3']), { status: 200, ids: [101] });
+  assert.deepEqual(await journal(t, 21, ['grades:read:section:7']), { status: 200, ids: [100] });
+  assert.deepEqual(await journal(t, 22, ['grades:read']), { status: 200, ids: [100, 101] });
+});
+
+test('le journal d\'une année est refusé au jury d\'une autre année', async (t) => {
+  assert.equal((await journal(t, 23, ['grades:read:niveau:2:annee:4'])).status, 403);
+});
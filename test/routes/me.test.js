@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { installFakeDb } = require('../helpers/fakeDb');
+
+process.env.JWT_SECRET = 'test';
+process.env.SESSION_STORE = 'memory';
+
+// Étudiant 3, sans note ni inscription : seules les requêtes envoyées comptent
+const { queries } = installFakeDb((sql, params) => {
+  if (sql.startsWith('SELECT * FROM etudiant WHERE id = ?')) return [{ id: params[0] }];
+  if (sql.startsWith('SELECT fc.*')) return [];
+  if (sql.startsWith('SELECT DISTINCT a.id, a.debut')) return [];
+  if (sql.startsWith('SELECT pe.id_promotion')) return [];
+  throw new Error(`Requête inattendue : ${sql}`);
+});
+
+const { Etudiant } = require('../../model');
+const sessions = require('../../services/sessions');
+const router = require('../../routes/me');
+
+let server;
+let base;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/me', router);
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const get = async (path) => {
+  const { token } = await sessions.createSession({ type: 'etudiant', etudiantId: 3 });
+  return fetch(`${base}${path}`, { headers: { authorization: `Bearer ${token}` } });
+};
+
+test('notes, moyennes et bilan LMD de l\'étudiant : seulement les années dont la délibération est publiée', async () => {
+  for (const [path, prefix] of [
+    ['/api/me/cotes', 'SELECT fc.*'],
+    ['/api/me/moyennes', 'SELECT DISTINCT a.id, a.debut'],
+    ['/api/me/lmd', 'SELECT pe.id_promotion']
+  ]) {
+    queries.length = 0;
+    const response = await get(path);
+
+    assert.equal(response.status, 200, path);
+    const sql = queries.find(query => query.sql.startsWith(prefix));
+    assert.match(sql.sql, /dp\.statut = 'publie'/, path);
+    assert.equal(sql.params[0], 3, path);
+  }
+});
+
+test('les routes du portail ne lisent que l\'étudiant du jeton, quels que soient les paramètres reçus', async (t) => {
+  const lus = [];
+  t.mock.method(Etudiant, 'getEtudiantComplet', async (id) => {
+    lus.push(id);
+    return Etudiant.successResponse({ id });
+  });
+  t.mock.method(Etudiant, 'getCommandesEnrollementByEtudiant', async (id) => {
+    lus.push(id);
+    return Etudiant.successResponse([]);
+  });
+
+  for (const path of ['/api/me?id=9&etudiantId=9', '/api/me/commandes?etudiant=9', '/api/me/9']) {
+    const response = await get(path);
+    assert.notEqual(response.status, 500, path);
+  }
+
+  assert.deepEqual(lus, [3, 3]);
+});
+
+test('le portail est refusé sans jeton et aux jetons agents', async () => {
+  assert.equal((await fetch(`${base}/api/me`)).status, 401);
+
+  const { token } = await sessions.createSession({ type: 'agent', agentId: 3 });
+  const response = await fetch(`${base}/api/me`, { headers: { authorization: `Bearer ${token}` } });
+  assert.equal(response.status, 403);
+});
@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.JWT_SECRET = 'test';
+process.env.SESSION_STORE = 'memory';
+
+const { Promotion, Etudiant } = require('../../model');
+const { permissions } = require('../../services');
+const sessions = require('../../services/sessions');
+const router = require('../../routes/promotion');
+
+let server;
+let base;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/promotions', router);
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+/**
+ * Appelle GET /api/promotions/2/etudiants (promotion de la section 7) avec les permissions données
+ * @returns {Promise<Object>} - { status, body, appels } (appels : arguments de getEtudiantsByPromotion)
+ */
+async function effectif(t, query, granted) {
+  t.mock.method(permissions, 'getAgentPermissions', async () => ({ permissions: granted }));
+  t.mock.method(Promotion, 'getPromotionById', async () => Promotion.successResponse([{ id: 2, id_section: 7 }]));
+  t.mock.method(Etudiant, 'getActiveAnnee', async () => Etudiant.successResponse([{ id: 4 }]));
+  const appels = t.mock.method(Etudiant, 'getEtudiantsByPromotion', async () => Etudiant.successResponse([{ id: 11 }]));
+  t.mock.method(Etudiant, 'countEtudiantsByPromotion', async () => Etudiant.successResponse({
+    total: 23, totalHomme: 12, totalFemme: 10, totalAutre: 1
+  }));
+  const { token } = await sessions.createSession({ type: 'agent', agentId: 5 });
+
+  const response = await fetch(`${base}/api/promotions/2/etudiants${query}`, { headers: { authorization: `Bearer ${token}` } });
+  return { status: response.status, body: await response.json(), appels: appels.mock.calls.map(call => call.arguments) };
+}
+
+test('l\'effectif d\'une promotion est paginé pour l\'année demandée, avec les effectifs par sexe', async (t) => {
+  const { status, body, appels } = await effectif(t, '?annee=3&page=2&limit=10', ['students:read:section:7']);
+
+  assert.equal(status, 200);
+  assert.deepEqual(appels, [['2', 3, { limit: 10, offset: 10, sortBy: 'nom', sortDir: 'ASC' }]]);
+  assert.equal(body.annee, 3);
+  assert.deepEqual(body.pagination, {
+    total: 23,
+    page: 2,
+    limit: 10,
+    pages: 3,
+    sexeCounts: { totalHomme: 12, totalFemme: 10, totalAutre: 1 }
+  });
+});
+
+test('sans année demandée, l\'année active est utilisée', async (t) => {
+  const { appels } = await effectif(t, '', ['students:read']);
+
+  assert.equal(appels[0][1], 4);
+});
+
+test('l\'effectif est refusé hors de la section et avec une pagination invalide', async (t) => {
+  assert.equal((await effectif(t, '', ['students:read:section:8'])).status, 403);
+  assert.equal((await effectif(t, '?limit=600', ['students:read'])).status, 400);
+  assert.equal((await effectif(t, '?annee=x', ['students:read'])).status, 400);
+});
@@ -0,0 +1,71 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.JWT_SECRET = 'test';
+process.env.SESSION_STORE = 'memory';
+
+const { Agent } = require('../../model');
+const sessions = require('../../services/sessions');
+const router = require('../../routes/users');
+
+let server;
+let base;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/users', router);
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+test('un agent qui n\'est pas administrateur retire son propre avatar', async (t) => {
+  const lookups = [];
+  t.mock.method(Agent, 'getAgentById', async (id) => {
+    lookups.push(id);
+    return Agent.successResponse([{ id, avatar: 'agent-7-abc' }]);
+  });
+  const updates = [];
+  t.mock.method(Agent, 'updateAvatar', async (id, avatar) => {
+    updates.push([id, avatar]);
+    return Agent.successResponse(null);
+  });
+  const isAdmin = t.mock.method(Agent, 'isAdmin', async () => false);
+  const { token } = await sessions.createSession({ type: 'agent', agentId: 7 });
+
+  const response = await fetch(`${base}/api/users/me/avatar`, {
+    method: 'DELETE',
+    headers: { authorization: `Bearer ${token}` }
+  });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(lookups, [7]);
+  assert.deepEqual(updates, [[7, null]]);
+  assert.equal(isAdmin.mock.callCount(), 0);
+});
+
+test('l\'avatar d\'un autre agent reste réservé aux administrateurs', async (t) => {
+  t.mock.method(Agent, 'isAdmin', async () => false);
+  const { token } = await sessions.createSession({ type: 'agent', agentId: 7 });
+
+  const response = await fetch(`${base}/api/users/8/avatar`, {
+    method: 'DELETE',
+    headers: { authorization: `Bearer ${token}` }
+  });
+
+  assert.equal(response.status, 403);
+});
+
+test('un étudiant n\'accède pas aux routes /me des agents', async () => {
+  const { token } = await sessions.createSession({ type: 'etudiant', etudiantId: 3 });
+
+  const response = await fetch(`${base}/api/users/me/avatar`, {
+    method: 'DELETE',
+    headers: { authorization: `Bearer ${token}` }
+  });
+
+  assert.equal(response.status, 403);
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('../helpers/fakeDb');
+
+// Inscriptions de l'année cible (2) ; SELECT ... FOR UPDATE sur administratif_etudiant prend le verrou
+// de l'étudiant jusqu'à la fin de la transaction
+const inscriptionsCible = [];
+const locks = new Map();
+
+installFakeDb(async (sql, params, ctx) => {
+  await new Promise(resolve => setTimeout(resolve, 2));
+
+  if (sql.startsWith('SELECT id FROM administratif_etudiant WHERE id_etudiant = ? FOR UPDATE')) {
+    const previous = locks.get(params[0]) || Promise.resolve();
+    let unlock;
+    locks.set(params[0], new Promise(resolve => { unlock = resolve; }));
+    await previous;
+    ctx.onRelease(unlock);
+    return [{ id: params[0] }];
+  }
+  if (sql.startsWith('SELECT pe.id, pe.id_promotion FROM promotion_etudiant pe')) {
+    return inscriptionsCible.filter(row => row.etudiantId === params[0] && row.anneeId === params[1]);
+  }
+  if (sql.startsWith('INSERT INTO promotion_etudiant')) {
+    const row = { id: inscriptionsCible.length + 1, etudiantId: params[0], promotionId: params[1], anneeId: params[2] };
+    inscriptionsCible.push(row);
+    ctx.onRollback(() => inscriptionsCible.splice(inscriptionsCible.indexOf(row), 1));
+    return { affectedRows: 1, insertId: row.id };
+  }
+  throw new Error(`Requête inattendue : ${sql}`);
+});
+
+const { Etudiant, Deliberation } = require('../../model');
+const { appliquerPassage } = require('../../services/anneeRollover');
+
+const PROMOTIONS = [
+  { id: 10, id_section: 1, niveau_systeme: 'A3', niveau_ordre: 1, niveau_intitule: 'G1', section_designation: 'Info' },
+  { id: 11, id_section: 1, niveau_systeme: 'A3', niveau_ordre: 2, niveau_intitule: 'G2', section_designation: 'Info' }
+];
+
+const mockPlan = (t) => {
+  t.mock.method(Etudiant, 'getAnneeById', async id => Etudiant.successResponse([{ id, debut: 2024, fin: 2025 }]));
+  t.mock.method(Etudiant, 'getAnneeSuivante', async () => Etudiant.successResponse([{ id: 2, debut: 2025, fin: 2026 }]));
+  t.mock.method(Etudiant, 'getInscriptionsByAnnee', async (anneeId) => Etudiant.successResponse(anneeId === 1
+    ? [{ etudiant_id: 7, id_promotion: 10, matricule: 'M7', nom: 'Kabongo', post_nom: 'Mbuyi', prenom: 'Jean' }]
+    : []));
+  t.mock.method(Etudiant, 'getAllPromotions', async () => Etudiant.successResponse(PROMOTIONS));
+  t.mock.method(Deliberation, 'getDecisionsPubliees', async () => Deliberation.successResponse([]));
+  t.mock.method(Etudiant, 'calculateMoyenne', async () => Etudiant.successResponse({ moyenne: 14 }));
+  // ajouterParcours n'est pas concerné ici : seule l'insertion compte
+  t.mock.method(Etudiant, 'ajouterParcours', async function (etudiantId, promotionId, anneeId) {
+    return this.query('INSERT INTO promotion_etudiant (id_adminEtudiant, id_promotion, id_annee_acad) VALUES (?, ?, ?)',
+      [etudiantId, promotionId, anneeId]);
+  });
+};
+
+test('deux passages simultanés n\'inscrivent l\'étudiant qu\'une fois dans l\'année cible', async (t) => {
+  mockPlan(t);
+
+  // Le second passage demande une autre promotion : ajouterParcours ne le refuserait pas
+  const [premier, second] = await Promise.all([
+    appliquerPassage(1),
+    appliquerPassage(1, { decisions: [{ etudiantId: 7, promotionId: 10 }] })
+  ]);
+
+  assert.equal(inscriptionsCible.length, 1);
+  assert.equal(premier.data.inscrits.length + second.data.inscrits.length, 1);
+  const ignore = [...premier.data.ignores, ...second.data.ignores].find(item => item.etudiant.id === 7);
+  assert.equal(ignore.raison, 'Déjà inscrit dans l\'année cible');
+});
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Etudiant, Agent } = require('../../model');
+const storage = require('../../services/storage');
+const { MAX_INTERVAL_HOURS, intervalHours, purgeArchived } = require('../../services/archivePurge');
+
+test('l\'intervalle de purge reste dans les limites de setInterval', (t) => {
+  t.mock.method(console, 'warn', () => {});
+
+  assert.equal(MAX_INTERVAL_HOURS, 596);
+  assert.equal(intervalHours(undefined), 24);
+  assert.equal(intervalHours('12'), 12);
+  assert.equal(intervalHours('720'), MAX_INTERVAL_HOURS);
+  assert.equal(intervalHours('-5'), 1);
+  assert.ok(intervalHours('100000') * 60 * 60 * 1000 <= 2 ** 31 - 1);
+});
+
+test('la purge efface les images d\'avatar des fiches supprimées par le stockage', async (t) => {
+  t.mock.method(Etudiant, 'purgeArchivedEtudiants', async () => Etudiant.successResponse({
+    purged: [1, 2],
+    skipped: [{ id: 3, reason: 'cotes enregistrées' }],
+    avatars: ['avatars/etudiant/1/abc', 'https://exemple.org/ancienne-photo.png']
+  }));
+  t.mock.method(Agent, 'purgeArchivedAgents', async () => Agent.successResponse({
+    purged: [7],
+    skipped: [],
+    avatars: ['avatars/agent/7/def']
+  }));
+  const removed = [];
+  t.mock.method(storage, 'removeFile', async key => { removed.push(key); });
+
+  const result = await purgeArchived({ retentionDays: 30 });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.data.etudiants, { purged: [1, 2], skipped: [{ id: 3, reason: 'cotes enregistrées' }] });
+  assert.deepEqual(removed.sort(), [
+    'avatars/agent/7/def-full.webp', 'avatars/agent/7/def-medium.webp', 'avatars/agent/7/def-thumb.webp',
+    'avatars/etudiant/1/abc-full.webp', 'avatars/etudiant/1/abc-medium.webp', 'avatars/etudiant/1/abc-thumb.webp'
+  ]);
+});
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Etudiant } = require('../../model');
+const { findDoublons, findDoublonsOf } = require('../../services/etudiantDoublons');
+
+const ETUDIANTS = [
+  { id: 1, nom: 'Kabongo', post_nom: 'Mbuyi', prenom: 'Jean', date_naiss: '2003-05-01', telephone: '+243 812 345 678' },
+  // Noms permutés et accentués, téléphone au format local
+  { id: 2, nom: 'Jéan', post_nom: 'KABONGO', prenom: 'Mbuyi', date_naiss: '2003-05-01', telephone: '0812345678' },
+  // Aucun point commun
+  { id: 3, nom: 'Tshala', post_nom: 'Mwamba', prenom: 'Aline', date_naiss: '2001-01-01', telephone: null }
+];
+
+const mockEtudiants = (t) => {
+  t.mock.method(Etudiant, 'getEtudiantsPourDoublons', async () => Etudiant.successResponse(ETUDIANTS));
+  t.mock.method(Etudiant, 'getEtudiantById', async id => Etudiant.successResponse(ETUDIANTS.filter(e => e.id === id)));
+};
+
+test('findDoublonsOf trouve les mêmes doublons que findDoublons', async (t) => {
+  mockEtudiants(t);
+
+  const all = await findDoublons();
+  const of = await findDoublonsOf(1);
+
+  assert.deepEqual(all.data.map(pair => pair.etudiants.map(e => e.id)), [[1, 2]]);
+  assert.deepEqual(of.data.map(doublon => doublon.etudiant.id), [2]);
+  assert.equal(of.data[0].score, all.data[0].score);
+  assert.ok(of.data[0].raisons.includes('même téléphone'));
+});
+
+test('findDoublonsOf n\'inclut pas l\'étudiant lui-même', async (t) => {
+  mockEtudiants(t);
+
+  const of = await findDoublonsOf(3);
+  assert.deepEqual(of.data, []);
+});
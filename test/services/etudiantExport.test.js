@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable, Writable, PassThrough } = require('node:stream');
+const { Etudiant } = require('../../model');
+const { exportEtudiants } = require('../../services/etudiantExport');
+
+const rows = count => Array.from({ length: count }, (_, index) => ({
+  id: index + 1,
+  nom: index === 0 ? '=cmd|\' /C calc\'!A0' : `Nom${index}`,
+  post_nom: 'Post',
+  prenom: 'Prenom'
+}));
+
+const mockSource = (t, source) => {
+  t.mock.method(Etudiant, 'exportRechercheAvancee', () => Etudiant.successResponse(source));
+};
+
+test('le CSV exporté neutralise les cellules qui ressemblent à une formule', async (t) => {
+  mockSource(t, Readable.from(rows(2)));
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+
+  const result = await exportEtudiants(output, {}, { columns: 'id,nom' });
+
+  assert.equal(result.data.count, 2);
+  const lines = Buffer.concat(chunks).toString('utf8').split('\r\n');
+  assert.equal(lines[1], '1,\'=cmd|\' /C calc\'!A0');
+});
+
+test('un client qui se déconnecte pendant l\'export interrompt l\'export au lieu de le bloquer', async (t) => {
+  // Lecture en base plus lente que le client : la déconnexion survient entre deux écritures
+  async function* slowRows() {
+    for (const row of rows(1000)) {
+      await new Promise(resolve => setTimeout(resolve, 2));
+      yield row;
+    }
+  }
+  const source = Readable.from(slowRows());
+  mockSource(t, source);
+
+  const output = new Writable({ write(chunk, encoding, callback) { callback(); } });
+  setTimeout(() => output.destroy(), 20);
+
+  await assert.rejects(exportEtudiants(output, {}, { columns: 'id,nom' }), /Connexion interrompue/);
+  assert.equal(source.destroyed, true, 'la lecture en base est libérée');
+});
+
+test('un client lent puis déconnecté interrompt l\'attente de "drain"', async (t) => {
+  mockSource(t, Readable.from(rows(1000)));
+
+  const output = new Writable({ highWaterMark: 16, write() {} });
+  setTimeout(() => output.destroy(), 20);
+
+  await assert.rejects(exportEtudiants(output, {}, { columns: 'id,nom' }), /Connexion interrompue/);
+});
+
+test('l\'export XLSX s\'arrête quand la sortie est fermée', async (t) => {
+  mockSource(t, Readable.from(rows(1000)));
+  const output = new Writable({ write(chunk, encoding, callback) { callback(); } });
+  output.destroy();
+
+  await assert.rejects(exportEtudiants(output, {}, { format: 'xlsx', columns: 'id,nom' }), /Connexion interrompue/);
+});
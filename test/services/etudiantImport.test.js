@@ -0,0 +1,16 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('../helpers/fakeDb');
+
+installFakeDb((sql) => {
+  throw new Error(`Requête inattendue : ${sql}`);
+});
+
+const { importEtudiants } = require('../../services/etudiantImport');
+
+test('un fichier XLSX corrompu est refusé en 400 et non en erreur serveur', async () => {
+  const result = await importEtudiants(Buffer.from('PK\u0003\u0004 tronqué'), 'etudiants.xlsx');
+
+  assert.equal(result.success, false);
+  assert.equal(result.metadata.code, 400);
+});
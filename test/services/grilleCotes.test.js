@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('../helpers/fakeDb');
+const { DEFAULT_BAREME } = require('../../utils/bareme');
+
+const fiches = new Map();
+let publiee = false;
+
+const { queries } = installFakeDb((sql, params) => {
+  if (sql.startsWith('SELECT id FROM deliberation WHERE id_etudiant = ?')) return publiee ? [{ id: 80 }] : [];
+  if (sql.startsWith('SELECT * FROM fiche_cotation WHERE id_etudiant = ?')) return [];
+  if (sql.startsWith('SELECT * FROM fiche_cotation WHERE id = ?')) return [fiches.get(params[0])];
+  if (sql.startsWith('UPDATE fiche_cotation SET')) return { affectedRows: 1 };
+  throw new Error(`Requête inattendue : ${sql}`);
+});
+
+const { Cotes } = require('../../model');
+const { enregistrerGrille, importGrille } = require('../../services/grilleCotes');
+
+test('un fichier XLSX corrompu est refusé en 400 et non en erreur serveur', async () => {
+  const result = await importGrille(Buffer.from('PK\u0003\u0004 tronqué'), 'grille.xlsx', 9, 3, 7);
+
+  assert.equal(result.success, false);
+  assert.equal(result.metadata.code, 400);
+});
+
+// Grille de la matière 9 pour l'année 3 : un inscrit (M1), aucune fiche, jury autorisé sur toutes les cotes
+const mockGrille = (t) => {
+  t.mock.method(Cotes, 'getMatiereById', async () => Cotes.successResponse([{ id: 9, promotion_id: 5 }]));
+  t.mock.method(Cotes, 'getAnneeById', async () => Cotes.successResponse([{ id: 3 }]));
+  t.mock.method(Cotes, 'getBaremeMatiere', async () => Cotes.successResponse({ ...DEFAULT_BAREME }));
+  t.mock.method(Cotes, 'getInscriptionsByAnnee', async () => Cotes.successResponse([{ etudiant_id: 1, matricule: 'M1' }]));
+  t.mock.method(Cotes, 'getFichesCotationByMatiere', async () => Cotes.successResponse([]));
+  t.mock.method(Cotes, 'verifierAutorisation', async () => Cotes.successResponse({
+    autorisations: { tp: true, td: true, examen: true, rattrapage: true }
+  }));
+  t.mock.method(Cotes, 'logInsertion', async () => Cotes.successResponse(null));
+};
+
+test('une fiche créée par la grille garde vides les cellules non saisies', async (t) => {
+  mockGrille(t);
+
+  const created = [];
+  t.mock.method(Cotes, 'setFicheCotation', async (etudiantId, matiereId, anneeId, cotationData) => {
+    created.push(cotationData);
+    fiches.set(50, { id: 50, ...cotationData });
+    return Cotes.successResponse(null, { insertId: 50 });
+  });
+
+  queries.length = 0;
+  const result = await enregistrerGrille(9, 3, [{ matricule: 'M1', examen: 14 }], 7);
+
+  assert.equal(result.success, true);
+  assert.deepEqual(created, [{ tp: null, td: null, examen: null, rattrapage: null }]);
+  assert.deepEqual(
+    queries.filter(({ sql }) => sql.startsWith('UPDATE')).map(({ sql, params }) => [sql, params]),
+    [['UPDATE fiche_cotation SET examen = ? WHERE id = ?', [14, 50]]]
+  );
+});
+
+test('une ligne d\'un étudiant dont la délibération est publiée est refusée en 409', async (t) => {
+  mockGrille(t);
+  publiee = true;
+  t.after(() => { publiee = false; });
+
+  queries.length = 0;
+  const result = await enregistrerGrille(9, 3, [{ matricule: 'M1', examen: 14 }], 7);
+
+  assert.equal(result.metadata.code, 409);
+  assert.match(result.error, /^Ligne \d+ \(M1\) : La délibération/);
+  assert.deepEqual(queries.filter(({ sql }) => sql.startsWith('UPDATE')), []);
+});
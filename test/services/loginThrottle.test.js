@@ -0,0 +1,142 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { installFakeDb } = require('../helpers/fakeDb');
+
+process.env.SESSION_STORE = 'memory';
+
+const lockouts = [];
+installFakeDb((sql, params) => {
+  if (sql.startsWith('INSERT INTO login_lockout')) {
+    lockouts.push(params);
+    return { affectedRows: 1, insertId: lockouts.length };
+  }
+  if (sql.startsWith('UPDATE login_lockout')) {
+    return { affectedRows: 1 };
+  }
+  throw new Error(`Requête inattendue : ${sql}`);
+});
+
+const loginThrottle = require('../../services/loginThrottle');
+const { throttleLogin } = require('../../middleware/loginThrottle');
+
+const silence = (t) => {
+  t.mock.method(console, 'warn', () => {});
+};
+
+test('des tentatives parallèles ne dépassent pas le seuil du compte', async (t) => {
+  silence(t);
+  lockouts.length = 0;
+
+  const reservations = await Promise.all(
+    Array.from({ length: 20 }, () => loginThrottle.reserveAttempt('agent', 'parallele', '10.0.0.1'))
+  );
+
+  assert.equal(reservations.filter(r => !r.locked).length, 5);
+  assert.equal(reservations.filter(r => r.locked).length, 15);
+  assert.equal(lockouts.length, 1, 'un seul verrouillage journalisé');
+
+  const suivante = await loginThrottle.reserveAttempt('agent', 'parallele', '10.0.0.1');
+  assert.equal(suivante.locked, true);
+  assert.ok(suivante.retryAfter > 0);
+});
+
+test('la casse et les espaces du login ne contournent pas le compteur', async (t) => {
+  silence(t);
+  for (const login of ['Casse', ' casse', 'CASSE ', 'casse', 'cAsse']) {
+    const reservation = await loginThrottle.reserveAttempt('etudiant', login, '10.0.0.2');
+    await loginThrottle.recordFailure(reservation.attempt);
+  }
+
+  const reservation = await loginThrottle.reserveAttempt('etudiant', 'casse', '10.0.0.2');
+  assert.equal(reservation.locked, true);
+});
+
+test('un succès remet le compteur du compte à zéro', async () => {
+  for (let i = 0; i < 4; i++) {
+    const reservation = await loginThrottle.reserveAttempt('agent', 'succes', '10.0.0.3');
+    await loginThrottle.recordFailure(reservation.attempt);
+  }
+
+  const ok = await loginThrottle.reserveAttempt('agent', 'succes', '10.0.0.3');
+  assert.equal(ok.attempt.accountAttempts, 5);
+  await loginThrottle.recordSuccess(ok.attempt);
+
+  const apres = await loginThrottle.reserveAttempt('agent', 'succes', '10.0.0.3');
+  assert.equal(apres.attempt.accountAttempts, 1);
+  assert.equal(apres.delayMs, 0);
+});
+
+test('une tentative libérée ne compte pas comme un échec', async () => {
+  for (let i = 0; i < 10; i++) {
+    const reservation = await loginThrottle.reserveAttempt('admin', 'libere', '10.0.0.4');
+    assert.equal(reservation.locked, false);
+    await loginThrottle.release(reservation.attempt);
+  }
+});
+
+test('les tentatives au-delà des essais gratuits sont retardées', async () => {
+  const delais = [];
+  for (let i = 0; i < 5; i++) {
+    const reservation = await loginThrottle.reserveAttempt('user', 'delai', '10.0.0.5');
+    delais.push(reservation.delayMs);
+  }
+  assert.deepEqual(delais, [0, 0, 0, 500, 1000]);
+});
+
+test('le déverrouillage par un administrateur rouvre le compte', async (t) => {
+  silence(t);
+  await Promise.all(
+    Array.from({ length: 6 }, () => loginThrottle.reserveAttempt('agent', 'deverrouille', '10.0.0.6'))
+  );
+  assert.equal((await loginThrottle.reserveAttempt('agent', 'deverrouille', '10.0.0.6')).locked, true);
+
+  await loginThrottle.unlock({ scope: 'agent', login: 'deverrouille' }, 1);
+
+  const reservation = await loginThrottle.reserveAttempt('agent', 'deverrouille', '10.0.0.6');
+  assert.equal(reservation.locked, false);
+  assert.equal(reservation.attempt.accountAttempts, 1);
+});
+
+/**
+ * Exécute le middleware comme Express, puis la route (qui répond avec le statut donné)
+ * @returns {Promise<number>} - Statut envoyé
+ */
+function runMiddleware(middleware, req, routeStatus) {
+  return new Promise((resolve) => {
+    const res = new EventEmitter();
+    res.statusCode = 200;
+    res.set = () => res;
+    res.status = (code) => {
+      res.statusCode = code;
+      return res;
+    };
+    res.json = () => {
+      res.emit('finish');
+      resolve(res.statusCode);
+    };
+
+    middleware(req, res, () => res.status(routeStatus).json({}));
+  });
+}
+
+test('le middleware refuse les requêtes parallèles au-delà du seuil sans appeler la route', async (t) => {
+  silence(t);
+  const middleware = throttleLogin('admin', req => req.user.matricule);
+  const req = () => ({ ip: '10.0.0.7', body: {}, user: { matricule: 'ADM-1' } });
+
+  const statuts = await Promise.all(
+    Array.from({ length: 8 }, () => runMiddleware(middleware, req(), 401))
+  );
+
+  assert.equal(statuts.filter(s => s === 401).length, 5);
+  assert.equal(statuts.filter(s => s === 429).length, 3);
+});
+
+test('le middleware libère la réservation quand la route répond 400', async () => {
+  const middleware = throttleLogin('agent', 'login');
+
+  for (let i = 0; i < 8; i++) {
+    assert.equal(await runMiddleware(middleware, { ip: '10.0.0.8', body: { login: 'invalide' } }, 400), 400);
+  }
+});
@@ -0,0 +1,25 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mailer = require('../../services/mailer');
+
+const message = { to: 'etudiant@ista.cd', subject: 'Réinitialisation', text: 'https://ista.cd/reset?token=secret' };
+
+afterEach(() => {
+  delete process.env.MAIL_TRANSPORT;
+});
+
+test('sans transport configuré, l\'envoi échoue', async () => {
+  delete process.env.MAIL_TRANSPORT;
+  await assert.rejects(mailer.sendMail(message), /MAIL_TRANSPORT/);
+});
+
+test('le transport console ne journalise pas le contenu du message', async (t) => {
+  process.env.MAIL_TRANSPORT = 'console';
+  const log = t.mock.method(console, 'log', () => {});
+
+  await mailer.sendMail(message);
+
+  const written = log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+  assert.match(written, /etudiant@ista\.cd/);
+  assert.doesNotMatch(written, /token=secret/);
+});
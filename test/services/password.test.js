@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const passwordService = require('../../services/password');
+
+test('un mot de passe est haché avec un sel aléatoire et vérifié sans re-hachage', async () => {
+  const premier = await passwordService.hashPassword('Kinshasa2024');
+  const second = await passwordService.hashPassword('Kinshasa2024');
+
+  assert.ok(passwordService.isHashed(premier));
+  assert.notEqual(premier, second);
+  assert.deepEqual(await passwordService.verifyPassword('Kinshasa2024', premier), { valid: true, needsRehash: false });
+  assert.deepEqual(await passwordService.verifyPassword('kinshasa2024', premier), { valid: false, needsRehash: false });
+});
+
+test('un ancien mot de passe en clair est accepté puis signalé pour re-hachage', async () => {
+  assert.equal(passwordService.isHashed('secret'), false);
+  assert.deepEqual(await passwordService.verifyPassword('secret', 'secret'), { valid: true, needsRehash: true });
+  assert.deepEqual(await passwordService.verifyPassword('autre', 'secret'), { valid: false, needsRehash: false });
+});
+
+test('un mot de passe absent ou une colonne vide ne sont jamais acceptés', async () => {
+  assert.equal((await passwordService.verifyPassword('', '')).valid, false);
+  assert.equal((await passwordService.verifyPassword(undefined, 'secret')).valid, false);
+  assert.equal((await passwordService.verifyPassword('secret', null)).valid, false);
+});
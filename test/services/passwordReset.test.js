@@ -0,0 +1,67 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDb } = require('../helpers/fakeDb');
+
+process.env.SESSION_STORE = 'memory';
+process.env.JWT_SECRET = 'test';
+
+let token;
+let passwordUpdates;
+
+const { queries } = installFakeDb((sql, params, ctx) => {
+  if (sql.startsWith('UPDATE password_reset SET used_at = NOW() WHERE token_hash')) {
+    if (token.used) return { affectedRows: 0 };
+    token.used = true;
+    ctx.onRollback(() => { token.used = false; });
+    return { affectedRows: 1 };
+  }
+  if (sql.startsWith('SELECT user_type, user_id FROM password_reset')) {
+    return [{ user_type: 'agent', user_id: 7 }];
+  }
+  if (sql.startsWith('SELECT * FROM agent WHERE id')) {
+    return [{ id: 7, matricule: 'AG001', e_mail: 'agent@ista.cd' }];
+  }
+  if (sql.startsWith('UPDATE agent SET mdp')) {
+    passwordUpdates++;
+    return { affectedRows: 1 };
+  }
+  throw new Error(`Requête inattendue : ${sql}`);
+});
+
+const { resetPassword } = require('../../services/passwordReset');
+
+beforeEach(() => {
+  token = { used: false };
+  passwordUpdates = 0;
+  queries.length = 0;
+});
+
+test('le jeton est consommé avant le changement de mot de passe', async () => {
+  const result = await resetPassword('jeton', 'Nouveau2024');
+  assert.equal(result.success, true);
+
+  const consume = queries.findIndex(query => query.sql.startsWith('UPDATE password_reset'));
+  const update = queries.findIndex(query => query.sql.startsWith('UPDATE agent SET mdp'));
+  assert.ok(consume !== -1 && consume < update);
+});
+
+test('deux requêtes simultanées avec le même jeton : une seule réussit', async () => {
+  const results = await Promise.all([
+    resetPassword('jeton', 'Nouveau2024'),
+    resetPassword('jeton', 'Autre2024xx')
+  ]);
+
+  assert.deepEqual(results.map(result => result.success).sort(), [false, true]);
+  assert.equal(results.find(result => !result.success).metadata.code, 400);
+  assert.equal(passwordUpdates, 1);
+});
+
+test('un mot de passe refusé annule la consommation du jeton', async () => {
+  const weak = await resetPassword('jeton', 'faible');
+  assert.equal(weak.success, false);
+  assert.equal(token.used, false);
+
+  const retry = await resetPassword('jeton', 'Nouveau2024');
+  assert.equal(retry.success, true);
+  assert.equal(passwordUpdates, 1);
+});
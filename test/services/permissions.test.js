@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Agent, Section, Cotes } = require('../../model');
+const { matches, hasPermission, getAgentPermissions } = require('../../services/permissions');
+
+test('une permission couvre ses portées plus précises, jamais une portée voisine', () => {
+  assert.equal(matches('grades:read', 'grades:read:niveau:3:annee:7'), true);
+  assert.equal(matches('grades:read:niveau:3', 'grades:read:niveau:3:annee:7'), true);
+  assert.equal(matches('grades:read:niveau:3:annee:7', 'grades:read:niveau:3:annee:8'), false);
+  assert.equal(matches('grades:read:niveau:3', 'grades:read:niveau:31'), false);
+  assert.equal(matches('grades:read:niveau:3:annee:7', 'grades:read:niveau:3'), false);
+  assert.equal(matches('grades:read', 'grades:write'), false);
+});
+
+test('les jokers et l\'action admin', () => {
+  assert.equal(matches('*', 'finance:write'), true);
+  assert.equal(matches('grades:*:niveau:3', 'grades:write:niveau:3:annee:7'), true);
+  assert.equal(matches('students:admin', 'students:write'), true);
+  assert.equal(matches('students:admin', 'grades:write'), false);
+  assert.equal(hasPermission(['finance:read', 'grades:read:section:2'], 'grades:read:section:2'), true);
+  assert.equal(hasPermission([], 'grades:read'), false);
+});
+
+/**
+ * Agent membre du jury du niveau 3 en 2024 (année 7), chef de la section 2 et caissier
+ */
+function mockSources(t, { admin = false } = {}) {
+  t.mock.method(Agent, 'isAdmin', async () => admin);
+  t.mock.method(Cotes, 'getNiveauxJuryByAgent', async () => Cotes.successResponse([
+    { jury_id: 1, jury_code: 'J-L1', role: 'membre', autorisation: 'restreinte', id_niveau: 3, id_annee: 7 }
+  ]));
+  t.mock.method(Section, 'getSectionsByIdMember', async () => Section.successResponse([{ id: 2, designation: 'Informatique' }]));
+  t.mock.method(Section, 'getAffectationsByAgentId', async () => Section.successResponse([
+    { id_poste: 4, poste_designation: 'Caissier' }
+  ]));
+}
+
+test('les permissions effectives proviennent des jurys, des sections et des postes', async (t) => {
+  mockSources(t);
+
+  const { permissions, sources } = await getAgentPermissions(5);
+
+  assert.deepEqual(permissions.sort(), [
+    'finance:read',
+    'finance:write',
+    'grades:read:niveau:3:annee:7',
+    'grades:read:section:2',
+    'grades:write:niveau:3:annee:7',
+    'students:read:section:2'
+  ]);
+  assert.equal(sources.administration, false);
+  assert.deepEqual(sources.postes[0].permissions, ['finance:read', 'finance:write']);
+});
+
+test('toutes les permissions ne sont accordées qu\'à une session administrateur', async (t) => {
+  mockSources(t, { admin: true });
+
+  assert.equal((await getAgentPermissions(5)).permissions.includes('*'), false);
+  assert.equal((await getAgentPermissions(5, { adminSession: true })).permissions.includes('*'), true);
+});
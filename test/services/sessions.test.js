@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = 'test';
+process.env.SESSION_STORE = 'memory';
+
+const sessions = require('../../services/sessions');
+
+const sidOf = ({ refreshToken }) => refreshToken.split('.')[0];
+
+test('des connexions simultanées sont toutes révoquées avec leur titulaire', async () => {
+  const ouvertes = await Promise.all([1, 2, 3, 4].map(() => sessions.createSession({ type: 'agent', agentId: 41 })));
+  const autre = await sessions.createSession({ type: 'agent', agentId: 42 });
+
+  assert.equal(await sessions.revokeSubject('agent', 41), 4);
+
+  for (const session of ouvertes) {
+    assert.equal(await sessions.isActive(sidOf(session)), false);
+  }
+  assert.equal(await sessions.isActive(sidOf(autre)), true);
+});
+
+test('un jeton de rafraîchissement ne sert qu\'une fois ; sa réutilisation révoque la session', async () => {
+  const session = await sessions.createSession({ type: 'etudiant', etudiantId: 5 });
+
+  const renouvelee = await sessions.refreshSession(session.refreshToken);
+  assert.ok(renouvelee.token);
+  assert.notEqual(renouvelee.refreshToken, session.refreshToken);
+
+  assert.equal(await sessions.refreshSession(session.refreshToken), null);
+  assert.equal(await sessions.isActive(sidOf(session)), false);
+  assert.equal(await sessions.refreshSession(renouvelee.refreshToken), null);
+});
+
+test('deux requêtes simultanées avec le même jeton : une seule paire délivrée, la session est révoquée', async () => {
+  const session = await sessions.createSession({ type: 'agent', agentId: 43 });
+
+  const resultats = await Promise.all([
+    sessions.refreshSession(session.refreshToken),
+    sessions.refreshSession(session.refreshToken)
+  ]);
+
+  assert.equal(resultats.filter(Boolean).length, 1);
+  assert.equal(await sessions.isActive(sidOf(session)), false);
+  assert.equal(await sessions.refreshSession(resultats.find(Boolean).refreshToken), null);
+});
+
+test('un jeton mal formé est refusé', async () => {
+  assert.equal(await sessions.refreshSession('abc'), null);
+  assert.equal(await sessions.refreshSession(undefined), null);
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeCache } = require('../helpers/fakeCache');
+const { memcached: client } = require('../../config/cache');
+
+process.env.JWT_SECRET = 'test';
+delete process.env.SESSION_STORE;
+
+const memcached = installFakeCache();
+const store = require('../../services/store');
+const sessions = require('../../services/sessions');
+
+// Décalage de l'horloge, pour dépasser le délai avant de retenter memcached après une panne
+let clockOffset = 0;
+const realNow = Date.now;
+Date.now = () => realNow() + clockOffset;
+
+const panne = () => memcached.down();
+const retour = () => {
+  memcached.up();
+  clockOffset += 60 * 1000;
+};
+
+test('une panne de memcached fait échouer les opérations au lieu de basculer sur une copie locale', async (t) => {
+  await store.set('cle', { a: 1 }, 60);
+  panne();
+  t.after(retour);
+
+  await assert.rejects(store.get('cle'), { code: 'STORE_UNAVAILABLE' });
+  await assert.rejects(store.set('autre', 1, 60), { code: 'STORE_UNAVAILABLE' });
+  await assert.rejects(store.remove('cle'), { code: 'STORE_UNAVAILABLE' });
+});
+
+test('memcached revenu, les valeurs écrites avant la panne sont de nouveau lues', async () => {
+  assert.deepEqual(await store.get('cle'), { a: 1 });
+  assert.equal(await store.get('autre'), null);
+});
+
+test('pendant la panne, la session n\'est ni acceptée ni refusée à tort : la vérification échoue', async () => {
+  const session = await sessions.createSession({ type: 'agent', agentId: 1 });
+  const sid = session.refreshToken.split('.')[0];
+  assert.equal(await sessions.isActive(sid), true);
+
+  panne();
+  await assert.rejects(sessions.isActive(sid), { code: 'STORE_UNAVAILABLE' });
+  await assert.rejects(sessions.revokeSession(sid), { code: 'STORE_UNAVAILABLE' });
+  await assert.rejects(sessions.createSession({ type: 'agent', agentId: 2 }), { code: 'STORE_UNAVAILABLE' });
+
+  retour();
+  assert.equal(await sessions.isActive(sid), true);
+  await sessions.revokeSession(sid);
+  assert.equal(await sessions.isActive(sid), false);
+});
+
+test('un compteur expiré n\'est pas recréé sans expiration par une décrémentation', async (t) => {
+  const options = [];
+  t.mock.method(client, 'decrement', (key, amount, opts, callback) => {
+    options.push(opts);
+    callback(new Error('MemJS DECREMENT: Key not found'), null, null);
+  });
+
+  assert.equal(await store.decrement('login:ip:10.0.0.1'), 0);
+  assert.deepEqual(options, [{ expires: 0xffffffff }]);
+
+  // Le compteur absent n'est pas une panne : memcached reste disponible
+  assert.deepEqual(await store.get('cle'), { a: 1 });
+});
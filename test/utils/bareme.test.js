@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_BAREME, validateBareme, checkCote, syntheseFiches } = require('../../utils/bareme');
+
+test('les champs absents d\'un barème prennent la valeur par défaut', () => {
+  const { bareme } = validateBareme({ max_examen: '40', poids_examen: '2,5', politique_rattrapage: ' Plafonnee ' });
+
+  assert.deepEqual(bareme, { ...DEFAULT_BAREME, max_examen: 40, poids_examen: 2.5, politique_rattrapage: 'plafonnee' });
+});
+
+test('un barème incohérent est refusé avec chaque erreur', () => {
+  assert.deepEqual(validateBareme({ max_tp: 'vingt' }).errors, ['max_tp doit être un nombre']);
+  assert.deepEqual(validateBareme({ poids_tp: 0, poids_td: 0, poids_examen: 0 }).errors, ['Au moins une composante doit avoir un poids']);
+  assert.deepEqual(validateBareme({ max_rattrapage: 0, echelle: 15, politique_rattrapage: 'moyenne' }).errors, [
+    'max_rattrapage doit être compris entre 0 (exclu) et 1000',
+    'echelle doit valoir 10, 20, 100',
+    'politique_rattrapage doit valoir remplace, meilleure, plafonnee'
+  ]);
+  assert.deepEqual(validateBareme({ echelle: 10, seuil: 12 }).errors, ['seuil doit être compris entre 0 (exclu) et l\'échelle (10)']);
+});
+
+test('une cote doit être comprise entre 0 et le maximum du barème', () => {
+  const bareme = { ...DEFAULT_BAREME, max_tp: 10 };
+
+  assert.equal(checkCote('tp', 10, bareme), null);
+  assert.equal(checkCote('tp', 10.5, bareme), 'La cote tp doit être comprise entre 0 et 10');
+  assert.equal(checkCote('td', -1, bareme), 'La cote td doit être comprise entre 0 et 20');
+  assert.equal(checkCote('examen', NaN, bareme), 'La cote examen doit être comprise entre 0 et 20');
+});
+
+test('la moyenne annuelle ramène chaque note sur 20 et la pondère par les crédits', () => {
+  const synthese = syntheseFiches([
+    { matiere_credit: 3, note_finale: 60, echelle: 100, valide: 1 },
+    { matiere_credit: 1, note_finale: 8, echelle: 20, valide: 0 },
+    { matiere_credit: 2, note_finale: null, echelle: 20, valide: 0 }
+  ]);
+
+  assert.equal(synthese.moyenne, 7.33);
+  assert.equal(synthese.credits_total, 6);
+  assert.equal(synthese.credits_valides, 3);
+  assert.equal(synthese.reussites, 1);
+  assert.equal(synthese.echecs, 2);
+});
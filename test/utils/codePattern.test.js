@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  validatePattern,
+  contextTokens,
+  sectionInitials,
+  renderPattern,
+  sequenceMatcher
+} = require('../../utils/codePattern');
+
+test('un modèle doit contenir exactement un {SEQ} et seulement des jetons connus', () => {
+  assert.deepEqual(validatePattern('{SECTION}-{YY}-{SEQ:5}'), []);
+  assert.equal(validatePattern('MAT-{YYYY}').length, 1);
+  assert.equal(validatePattern('{SEQ}-{SEQ}').length, 1);
+  assert.match(validatePattern('{SEQ}-{FOO}')[0], /Jeton inconnu/);
+  assert.match(validatePattern('{SEQ:11}')[0], /largeur/);
+  assert.match(validatePattern('{YY:2}{SEQ}')[0], /n'accepte pas de largeur/);
+  assert.match(validatePattern('A B{SEQ}')[0], /Caractères non autorisés/);
+  assert.deepEqual(validatePattern(''), ['Le modèle est obligatoire']);
+});
+
+test('les jetons de contexte sont listés une seule fois', () => {
+  assert.deepEqual(contextTokens('{SECTION}{YY}-{SECTION}-{SEQ}'), ['SECTION', 'YY']);
+});
+
+test('les initiales de la section ignorent accents et espaces multiples', () => {
+  assert.equal(sectionInitials('Génie  Électrique'), 'GE');
+  assert.equal(sectionInitials(''), '');
+});
+
+test('le numéro de séquence est complété par des zéros et relu par sequenceMatcher', () => {
+  const values = { SECTION: 'GI', YY: '25', YYYY: '2025' };
+  const code = renderPattern('{SECTION}-{YY}-{SEQ:5}', values, 42);
+
+  assert.equal(code, 'GI-25-00042');
+  assert.equal(renderPattern('{SECTION}-{SEQ:5}', values, null), 'GI-{SEQ}');
+  assert.equal(sequenceMatcher('{SECTION}-{YY}-{SEQ:5}', values).exec(code)[1], '00042');
+  assert.equal(sequenceMatcher('{SECTION}.{SEQ}', values).test('GIX7'), false);
+});
@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const csv = require('../../utils/csv');
+
+test('les textes qui commencent comme une formule sont neutralisés', () => {
+  for (const value of ['=1+1', '+243810000000', '-2+3', '@SUM(A1)', '\t=1', '\r=1']) {
+    assert.equal(csv.neutralizeFormula(value), `'${value}`);
+  }
+  assert.equal(csv.neutralizeFormula('Kabila'), 'Kabila');
+  assert.equal(csv.neutralizeFormula(-3), -3);
+  assert.equal(csv.neutralizeFormula(null), null);
+});
+
+test('formatRow neutralise les formules et met entre guillemets si nécessaire', () => {
+  assert.equal(
+    csv.formatRow(['=HYPERLINK("http://x")', 'Mbuyi;Wa', -4.5, null], ';'),
+    '"\'=HYPERLINK(""http://x"")";"Mbuyi;Wa";-4.5;\r\n'
+  );
+});
+
+test('parseRecords détecte le séparateur et garde les numéros de ligne du fichier', () => {
+  const records = csv.parseRecords('﻿a;b\n\n"x\r\ny";2\n3;"4"""');
+  assert.deepEqual(records, [
+    { line: 1, cells: ['a', 'b'] },
+    { line: 3, cells: ['x\r\ny', '2'] },
+    { line: 5, cells: ['3', '4"'] }
+  ]);
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_REGLES, validateRegles, appliquerRegles } = require('../../utils/deliberation');
+
+const synthese = (moyenne, echecs = 0, creditsValides = 60, creditsTotal = 60) => ({
+  moyenne,
+  echecs,
+  credits_valides: creditsValides,
+  credits_total: creditsTotal
+});
+
+test('la première règle satisfaite donne la décision', () => {
+  assert.equal(appliquerRegles(synthese(18.5), DEFAULT_REGLES).code, 'PGD');
+  assert.equal(appliquerRegles(synthese(14), DEFAULT_REGLES).code, 'D');
+  assert.equal(appliquerRegles(synthese(10), DEFAULT_REGLES).code, 'ADMIS');
+  assert.equal(appliquerRegles(synthese(7.99), DEFAULT_REGLES).code, 'DOUBLE');
+});
+
+test('un échec empêche les mentions qui n\'en tolèrent aucun', () => {
+  assert.equal(appliquerRegles(synthese(16, 1), DEFAULT_REGLES).code, 'AJOURNE');
+});
+
+test('credits_min porte sur le pourcentage des crédits validés', () => {
+  const regles = [
+    { code: 'ADMIS', libelle: 'Admis', moyenne_min: 10, max_echecs: null, credits_min: 75, admis: true },
+    { code: 'AJ', libelle: 'Ajourné', moyenne_min: 0, max_echecs: null, credits_min: null, admis: false }
+  ];
+
+  assert.equal(appliquerRegles(synthese(12, 2, 45, 60), regles).code, 'ADMIS');
+  assert.equal(appliquerRegles(synthese(12, 2, 44, 60), regles).code, 'AJ');
+  assert.equal(appliquerRegles(synthese(12, 0, 0, 0), regles).code, 'AJ');
+});
+
+test('les règles sont normalisées', () => {
+  const { regles } = validateRegles([
+    { code: 'adm', libelle: ' Admis ', moyenne_min: '10,5', max_echecs: '', credits_min: null, admis: 'true' },
+    { code: 'aj', libelle: 'Ajourné', moyenne_min: 0 }
+  ], 20);
+
+  assert.deepEqual(regles[0], { code: 'ADM', libelle: 'Admis', moyenne_min: 10.5, max_echecs: null, credits_min: null, admis: true });
+  assert.equal(regles[1].admis, false);
+});
+
+test('des règles invalides sont refusées avec chaque erreur', () => {
+  assert.deepEqual(validateRegles([], 20).errors, ['regles doit être une liste non vide']);
+  assert.deepEqual(validateRegles([
+    { code: 'A', libelle: 'A', moyenne_min: 25, max_echecs: 1.5 },
+    { code: 'A', libelle: '', moyenne_min: 0, credits_min: 120 }
+  ], 20).errors, [
+    'Règle 1 : moyenne_min doit être comprise entre 0 et 20',
+    'Règle 1 : max_echecs doit être un entier positif ou vide',
+    'Règle 2 : code A en double',
+    'Règle 2 : libellé obligatoire (100 caractères au plus)',
+    'Règle 2 : credits_min doit être un pourcentage entre 0 et 100 ou vide'
+  ]);
+});
+
+test('la dernière règle doit s\'appliquer à tous les étudiants', () => {
+  assert.deepEqual(validateRegles([{ code: 'A', libelle: 'Admis', moyenne_min: 10 }], 20).errors, [
+    'La dernière règle doit s\'appliquer à tous les étudiants (moyenne_min 0, sans autre condition)'
+  ]);
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildReferentiel, normalizeSectionOption } = require('../../utils/exetat');
+
+const referentiel = buildReferentiel([
+  {
+    section: 'Scientifique',
+    aliases: ['sciences'],
+    options: [
+      { option: 'Biologie-Chimie', aliases: ['bio-chimie', 'BC'] },
+      { option: 'Chimie Industrielle', aliases: [] }
+    ]
+  },
+  {
+    section: 'Technique',
+    aliases: [],
+    options: [{ option: 'Chimie Industrielle', aliases: ['chimie'] }]
+  }
+]);
+
+test('section et option sont reconnues par désignation ou alias, sans accents ni casse', () => {
+  assert.deepEqual(
+    normalizeSectionOption('SCIENCES', 'bio chimie', referentiel),
+    { section: 'Scientifique', option: 'Biologie-Chimie' }
+  );
+  assert.deepEqual(normalizeSectionOption(null, 'bc', referentiel), { section: 'Scientifique', option: 'Biologie-Chimie' });
+  assert.deepEqual(normalizeSectionOption('', '', referentiel), { section: null, option: null });
+});
+
+test('une valeur ajoutée au référentiel est acceptée sans changer le code', () => {
+  const etendu = buildReferentiel([
+    { section: 'Agricole', aliases: ['agri'], options: [{ option: 'Agronomie', aliases: [] }] }
+  ]);
+  assert.deepEqual(normalizeSectionOption('agri', 'agronomie', etendu), { section: 'Agricole', option: 'Agronomie' });
+  assert.match(normalizeSectionOption('agri', 'agronomie', referentiel).error, /Section inconnue/);
+});
+
+test('une option inconnue ou présente dans plusieurs sections est signalée', () => {
+  assert.match(normalizeSectionOption('Scientifique', 'Latin', referentiel).error, /Option inconnue : Latin \(Biologie-Chimie, Chimie Industrielle\)/);
+  assert.match(normalizeSectionOption(null, 'Chimie Industrielle', referentiel).error, /Option ambiguë/);
+  assert.deepEqual(
+    normalizeSectionOption('Technique', 'chimie industrielle', referentiel),
+    { section: 'Technique', option: 'Chimie Industrielle' }
+  );
+});
+
+test('un alias qui désigne deux entrées est un conflit', () => {
+  const { conflicts } = buildReferentiel([
+    { section: 'Scientifique', aliases: ['S'], options: [] },
+    { section: 'Sociale', aliases: ['s'], options: [] }
+  ]);
+  assert.deepEqual(conflicts, ['s']);
+  assert.deepEqual(referentiel.conflicts, []);
+});
@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_SEUILS_LMD,
+  validateSeuilsLmd,
+  capitaliserFiches,
+  validerUnite,
+  compenserUnites,
+  bilanSemestres
+} = require('../../utils/lmd');
+
+const fiche = (annee, note, valide, extra = {}) => ({
+  id_etudiant: 1,
+  id_matiere: 7,
+  annee_debut: annee,
+  note_finale: note,
+  echelle: 20,
+  valide,
+  ...extra
+});
+
+const ligne = (note, credit, extra = {}) => ({
+  id_unite: 1,
+  matiere_credit: credit,
+  note_finale: note,
+  echelle: 20,
+  valide: note !== null && note >= 10 ? 1 : 0,
+  ...extra
+});
+
+test('une matière non acquise est reprise à la dernière tentative, même si la note baisse', () => {
+  const retenue = capitaliserFiches([fiche(2022, 9, 0), fiche(2023, 6, 0)]).get('1:7');
+
+  assert.equal(retenue.annee_debut, 2023);
+  assert.equal(retenue.note_finale, 6);
+});
+
+test('une matière acquise reste capitalisée malgré une tentative plus récente', () => {
+  const retenue = capitaliserFiches([fiche(2022, 12, 1), fiche(2023, 8, 0), fiche(2021, 4, 0)]).get('1:7');
+
+  assert.equal(retenue.annee_debut, 2022);
+  assert.equal(retenue.valide, 1);
+});
+
+test('une matière à 0 crédit ne pèse ni sur la moyenne ni sur les crédits de l\'UE', () => {
+  const unite = validerUnite([ligne(12, 4), ligne(2, 0)]);
+
+  assert.equal(unite.credits, 4);
+  assert.equal(unite.moyenne, 12);
+  assert.equal(unite.credits_acquis, 4);
+});
+
+test('une matière sans crédit renseigné compte pour 1', () => {
+  const unite = validerUnite([ligne(12, null), ligne(12, 3)]);
+
+  assert.equal(unite.credits, 4);
+});
+
+test('compensation selon les seuils par défaut', () => {
+  const unite = validerUnite([ligne(13, 2), ligne(8.5, 2)]);
+
+  assert.equal(unite.valide, true);
+  assert.equal(unite.compensee, true);
+  assert.deepEqual(unite.matieres.map(matiere => matiere.compensee), [false, true]);
+
+  // Une note éliminatoire empêche la compensation
+  assert.equal(validerUnite([ligne(14, 2), ligne(7, 2)]).valide, false);
+});
+
+test('les seuils configurés remplacent les seuils par défaut', () => {
+  const matieres = [ligne(13, 2), ligne(8.5, 2)];
+
+  assert.equal(validerUnite(matieres, { seuil_ue: 12, note_eliminatoire: 8 }).valide, false);
+  assert.equal(validerUnite(matieres, { seuil_ue: 10, note_eliminatoire: 9 }).valide, false);
+
+  const lignes = compenserUnites([ligne(6, 2, { id_unite: 2 }), ...matieres], { seuil_ue: 10, note_eliminatoire: 5 });
+  assert.deepEqual(lignes.map(matiere => matiere.acquise), [false, true, true]);
+});
+
+test('bilan par semestre avec les seuils du niveau', () => {
+  const lignes = [
+    ligne(13, 3, { id_unite: 1, semestre: 1 }),
+    ligne(9, 3, { id_unite: 1, semestre: 1 }),
+    ligne(15, 4, { id_unite: 2, semestre: 2 }),
+    ligne(4, 2, { id_unite: 2, semestre: 2 })
+  ];
+
+  const bilan = bilanSemestres(lignes, { seuil_ue: 10, note_eliminatoire: 8 });
+  assert.deepEqual(bilan.semestres.map(semestre => semestre.valide), [true, false]);
+  assert.equal(bilan.credits, 12);
+  assert.equal(bilan.credits_acquis, 10);
+
+  const strict = bilanSemestres(lignes, { seuil_ue: 12, note_eliminatoire: 8 });
+  assert.equal(strict.semestres[0].valide, false);
+  assert.equal(strict.credits_acquis, 7);
+});
+
+test('les seuils sont validés et complétés', () => {
+  assert.deepEqual(validateSeuilsLmd({}).seuils, DEFAULT_SEUILS_LMD);
+  assert.deepEqual(validateSeuilsLmd({ seuil_ue: '12,5' }).seuils, { seuil_ue: 12.5, note_eliminatoire: 8 });
+  assert.ok(validateSeuilsLmd({ seuil_ue: 25 }).errors);
+  assert.ok(validateSeuilsLmd({ note_eliminatoire: 'x' }).errors);
+  assert.ok(validateSeuilsLmd({ seuil_ue: 7, note_eliminatoire: 8 }).errors);
+});
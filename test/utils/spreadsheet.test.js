@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { SpreadsheetError, readSpreadsheet } = require('../../utils/spreadsheet');
+
+test('CSV : les numéros de ligne sont ceux du fichier, lignes vides comprises', async () => {
+  const text = 'Nom;Post-nom\r\nKabila;Mbuyi\r\n\r\n;\r\n"Ilunga\nWa";Kasongo\r\nTshala;Mwamba\r\n';
+  const { headers, rows } = await readSpreadsheet(Buffer.from(text), 'etudiants.csv');
+
+  assert.deepEqual(headers, ['nom', 'post_nom']);
+  assert.deepEqual(rows.map(row => row.line), [2, 5, 7]);
+  assert.deepEqual(rows[1].values, { nom: 'Ilunga\nWa', post_nom: 'Kasongo' });
+});
+
+test('XLSX : les numéros de ligne sont ceux de la feuille, lignes vides comprises', async () => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Etudiants');
+  sheet.getRow(1).values = ['Nom', 'Post-nom'];
+  sheet.getRow(2).values = ['Kabila', 'Mbuyi'];
+  sheet.getRow(5).values = ['Ilunga', 'Kasongo'];
+  sheet.getRow(6).values = ['', ''];
+  sheet.getRow(8).values = ['Tshala', 'Mwamba'];
+  const buffer = await workbook.xlsx.writeBuffer();
+
+  const { rows } = await readSpreadsheet(Buffer.from(buffer), 'etudiants.xlsx');
+  assert.deepEqual(rows.map(row => row.line), [2, 5, 8]);
+  assert.deepEqual(rows[2].values, { nom: 'Tshala', post_nom: 'Mwamba' });
+});
+
+test('un fichier XLSX illisible lève une SpreadsheetError', async () => {
+  await assert.rejects(readSpreadsheet(Buffer.from('pas un classeur'), 'etudiants.xlsx'), SpreadsheetError);
+  await assert.rejects(readSpreadsheet(Buffer.from('a,b'), 'etudiants.ods'), SpreadsheetError);
+});
@@ -0,0 +1,177 @@
+/**
+ * Barèmes de cotation
+ *
+ * Un barème fixe, pour une matière, pour toutes les matières d'une promotion ou pour toutes les matières :
+ * - la cote maximale de chaque composante (tp, td, examen) et du rattrapage ;
+ * - le poids de chaque composante dans la note de session ;
+ * - l'échelle de la note (/20, /100...) et le seuil de réussite sur cette échelle ;
+ * - la politique de rattrapage :
+ *   - remplace  : la note de rattrapage remplace la note de session
+ *   - meilleure : la meilleure des deux notes est retenue
+ *   - plafonnee : la meilleure des deux, la note de rattrapage étant plafonnée au seuil de réussite
+ *
+ * Un barème s'applique à partir d'une année académique, jusqu'à l'année d'un barème plus récent de même portée :
+ * le modifier ne change pas les notes des années précédentes.
+ *
+ * Note de session = echelle × Σ (poids × cote / max) / Σ poids.
+ * Sans barème configuré, DEFAULT_BAREME s'applique avec la même formule (composantes sur 20 de même poids,
+ * note sur 20, seuil 10, meilleure note avec le rattrapage) : la note de session est la moyenne des trois cotes.
+ */
+
+const COMPOSANTES = ['tp', 'td', 'examen'];
+
+const POLITIQUES_RATTRAPAGE = ['remplace', 'meilleure', 'plafonnee'];
+
+const ECHELLES = [10, 20, 100];
+
+// Échelle des moyennes annuelles (calculateMoyenne) : chaque note y est ramenée avant la pondération par les crédits
+const MOYENNE_ECHELLE = 20;
+
+// Cote maximale acceptée dans un barème (une composante notée sur plus n'a pas de sens)
+const MAX_COTE = 1000;
+
+const DEFAULT_BAREME = {
+  max_tp: 20,
+  max_td: 20,
+  max_examen: 20,
+  max_rattrapage: 20,
+  poids_tp: 1,
+  poids_td: 1,
+  poids_examen: 1,
+  echelle: 20,
+  seuil: 10,
+  politique_rattrapage: 'meilleure'
+};
+
+// Colonnes numériques de la table bareme_cotation
+const NUMERIC_FIELDS = Object.keys(DEFAULT_BAREME).filter(field => field !== 'politique_rattrapage');
+
+/**
+ * Vérifie un barème ; les champs absents prennent la valeur de DEFAULT_BAREME
+ * @param {Object} data - Champs reçus (max_tp, poids_tp, echelle, seuil, politique_rattrapage...)
+ * @returns {Object} - { bareme } ou { errors }
+ */
+function validateBareme(data = {}) {
+  const bareme = { ...DEFAULT_BAREME };
+  const errors = [];
+
+  for (const field of NUMERIC_FIELDS) {
+    if (data[field] === undefined || data[field] === null || data[field] === '') continue;
+
+    const value = Number(String(data[field]).replace(',', '.'));
+    if (!Number.isFinite(value)) {
+      errors.push(`${field} doit être un nombre`);
+      continue;
+    }
+    bareme[field] = value;
+  }
+
+  if (data.politique_rattrapage !== undefined && data.politique_rattrapage !== null) {
+    bareme.politique_rattrapage = String(data.politique_rattrapage).trim().toLowerCase();
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  for (const cote of [...COMPOSANTES, 'rattrapage']) {
+    const max = bareme[`max_${cote}`];
+    if (max <= 0 || max > MAX_COTE) {
+      errors.push(`max_${cote} doit être compris entre 0 (exclu) et ${MAX_COTE}`);
+    }
+  }
+
+  if (COMPOSANTES.some(cote => bareme[`poids_${cote}`] < 0)) {
+    errors.push('Les poids ne peuvent pas être négatifs');
+  } else if (COMPOSANTES.every(cote => bareme[`poids_${cote}`] === 0)) {
+    errors.push('Au moins une composante doit avoir un poids');
+  }
+
+  if (!ECHELLES.includes(bareme.echelle)) {
+    errors.push(`echelle doit valoir ${ECHELLES.join(', ')}`);
+  } else if (bareme.seuil <= 0 || bareme.seuil > bareme.echelle) {
+    errors.push(`seuil doit être compris entre 0 (exclu) et l'échelle (${bareme.echelle})`);
+  }
+
+  if (!POLITIQUES_RATTRAPAGE.includes(bareme.politique_rattrapage)) {
+    errors.push(`politique_rattrapage doit valoir ${POLITIQUES_RATTRAPAGE.join(', ')}`);
+  }
+
+  return errors.length > 0 ? { errors } : { bareme };
+}
+
+/**
+ * Vérifie une cote par rapport au barème de sa matière
+ * @param {string} cote - tp, td, examen ou rattrapage
+ * @param {number} valeur - Cote
+ * @param {Object} bareme - Barème applicable
+ * @returns {string|null} - Message d'erreur, ou null si la cote est valide
+ */
+function checkCote(cote, valeur, bareme) {
+  const max = Number(bareme[`max_${cote}`]);
+  if (!Number.isFinite(valeur) || valeur < 0 || valeur > max) {
+    return `La cote ${cote} doit être comprise entre 0 et ${max}`;
+  }
+  return null;
+}
+
+/**
+ * Crédit d'une matière : 1 s'il n'est pas renseigné ; une matière à 0 crédit compte pour 0
+ * @param {Object} ligne - Ligne avec matiere_credit
+ * @returns {number}
+ */
+function creditMatiere(ligne) {
+  const credit = ligne.matiere_credit;
+  if (credit === null || credit === undefined || credit === '') return 1;
+  return Number.isFinite(Number(credit)) ? Number(credit) : 1;
+}
+
+/**
+ * Résultat annuel d'un étudiant à partir de ses fiches (notes calculées selon leur barème) :
+ * moyenne pondérée par les crédits, chaque note finale étant ramenée sur MOYENNE_ECHELLE.
+ * Une fiche sans note finale compte pour 0 ; une matière sans crédit renseigné compte pour 1 (voir creditMatiere).
+ * @param {Array<Object>} fiches - Fiches avec matiere_credit, note_finale, echelle et valide
+ * @returns {Object} - { moyenne, credits_total, credits_valides, reussites, echecs, fiches_echouees }
+ */
+function syntheseFiches(fiches) {
+  let totalPoints = 0;
+  let creditsTotal = 0;
+  let creditsValides = 0;
+  const fichesEchouees = [];
+
+  for (const fiche of fiches) {
+    const credit = creditMatiere(fiche);
+    const note = fiche.note_finale === null ? 0 : Number(fiche.note_finale) * MOYENNE_ECHELLE / Number(fiche.echelle);
+
+    totalPoints += note * credit;
+    creditsTotal += credit;
+
+    if (Number(fiche.valide) === 1) {
+      creditsValides += credit;
+    } else {
+      fichesEchouees.push(fiche);
+    }
+  }
+
+  return {
+    moyenne: creditsTotal > 0 ? parseFloat((totalPoints / creditsTotal).toFixed(2)) : 0,
+    credits_total: creditsTotal,
+    credits_valides: creditsValides,
+    reussites: fiches.length - fichesEchouees.length,
+    echecs: fichesEchouees.length,
+    fiches_echouees: fichesEchouees
+  };
+}
+
+module.exports = {
+  COMPOSANTES,
+  POLITIQUES_RATTRAPAGE,
+  ECHELLES,
+  MOYENNE_ECHELLE,
+  DEFAULT_BAREME,
+  NUMERIC_FIELDS,
+  validateBareme,
+  checkCote,
+  creditMatiere,
+  syntheseFiches
+};
@@ -0,0 +1,145 @@
+/**
+ * Modèles de codes générés (matricules, codes de jury)
+ *
+ * Un modèle mélange du texte fixe et des jetons entre accolades :
+ * - {SECTION} : initiales de la désignation de la section (ex: "Génie Informatique" -> GI)
+ * - {YY} / {YYYY} : année sur 2 ou 4 chiffres (début de l'année académique si elle est connue)
+ * - {SEQ} ou {SEQ:n} : numéro de séquence, complété par des zéros sur n chiffres (obligatoire, une seule fois)
+ *
+ * Exemple : "{SECTION}-{YY}-{SEQ:5}" -> "GI-25-00042"
+ */
+
+const TOKEN_PATTERN = /\{([A-Z]+)(?::(\d+))?\}/g;
+const CONTEXT_TOKENS = ['SECTION', 'YY', 'YYYY'];
+const LITERAL_PATTERN = /^[A-Za-z0-9\-_/.]*$/;
+const MAX_PATTERN_LENGTH = 50;
+const MAX_SEQ_WIDTH = 10;
+
+/**
+ * Découpe un modèle en parties fixes et jetons
+ * @param {string} pattern - Modèle
+ * @returns {Array<Object>} - [{ literal }] ou [{ token, width }]
+ */
+function tokenize(pattern) {
+  const parts = [];
+  let lastIndex = 0;
+
+  for (const match of pattern.matchAll(TOKEN_PATTERN)) {
+    if (match.index > lastIndex) {
+      parts.push({ literal: pattern.slice(lastIndex, match.index) });
+    }
+    parts.push({ token: match[1], width: match[2] ? parseInt(match[2], 10) : null });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < pattern.length) {
+    parts.push({ literal: pattern.slice(lastIndex) });
+  }
+
+  return parts;
+}
+
+/**
+ * Vérifie qu'un modèle est utilisable
+ * @param {string} pattern - Modèle
+ * @returns {Array<string>} - Liste des erreurs (vide si le modèle est valide)
+ */
+function validatePattern(pattern) {
+  if (typeof pattern !== 'string' || pattern.trim() === '') {
+    return ['Le modèle est obligatoire'];
+  }
+
+  const errors = [];
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    errors.push(`Le modèle ne doit pas dépasser ${MAX_PATTERN_LENGTH} caractères`);
+  }
+
+  const parts = tokenize(pattern);
+  const sequences = parts.filter(part => part.token === 'SEQ');
+
+  if (sequences.length !== 1) {
+    errors.push('Le modèle doit contenir exactement un jeton {SEQ} ou {SEQ:n}');
+  } else if (sequences[0].width !== null && (sequences[0].width < 1 || sequences[0].width > MAX_SEQ_WIDTH)) {
+    errors.push(`La largeur de {SEQ:n} doit être comprise entre 1 et ${MAX_SEQ_WIDTH}`);
+  }
+
+  for (const part of parts) {
+    if (part.token && part.token !== 'SEQ' && !CONTEXT_TOKENS.includes(part.token)) {
+      errors.push(`Jeton inconnu : {${part.token}}`);
+    } else if (part.token && part.token !== 'SEQ' && part.width !== null) {
+      errors.push(`Le jeton {${part.token}} n'accepte pas de largeur`);
+    } else if (part.literal !== undefined && !LITERAL_PATTERN.test(part.literal)) {
+      errors.push(`Caractères non autorisés : "${part.literal}" (lettres, chiffres, - _ / . uniquement)`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Liste les jetons de contexte utilisés par un modèle
+ * @param {string} pattern - Modèle
+ * @returns {Array<string>} - Ex: ['SECTION', 'YY']
+ */
+function contextTokens(pattern) {
+  return [...new Set(tokenize(pattern).filter(part => part.token && part.token !== 'SEQ').map(part => part.token))];
+}
+
+/**
+ * Calcule les initiales d'une section
+ * @param {string} designation - Désignation de la section
+ * @returns {string}
+ */
+function sectionInitials(designation) {
+  return String(designation || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0))
+    .join('')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Produit un code à partir d'un modèle
+ * @param {string} pattern - Modèle
+ * @param {Object} values - Valeurs des jetons de contexte ({ SECTION, YY, YYYY })
+ * @param {number|null} sequence - Numéro de séquence (null : laisse "{SEQ}" en place)
+ * @returns {string}
+ */
+function renderPattern(pattern, values, sequence) {
+  return tokenize(pattern).map((part) => {
+    if (part.literal !== undefined) return part.literal;
+    if (part.token !== 'SEQ') return values[part.token];
+    if (sequence === null) return '{SEQ}';
+    return String(sequence).padStart(part.width || 1, '0');
+  }).join('');
+}
+
+/**
+ * Construit une expression régulière qui reconnaît les codes produits par un modèle
+ * pour un contexte donné ; le numéro de séquence est le premier groupe capturé
+ * @param {string} pattern - Modèle
+ * @param {Object} values - Valeurs des jetons de contexte
+ * @returns {RegExp}
+ */
+function sequenceMatcher(pattern, values) {
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const source = tokenize(pattern).map((part) => {
+    if (part.literal !== undefined) return escape(part.literal);
+    if (part.token !== 'SEQ') return escape(String(values[part.token]));
+    return '(\\d+)';
+  }).join('');
+
+  return new RegExp(`^${source}$`);
+}
+
+module.exports = {
+  validatePattern,
+  contextTokens,
+  sectionInitials,
+  renderPattern,
+  sequenceMatcher
+};
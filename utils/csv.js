@@ -0,0 +1,121 @@
+/**
+ * Lecture et écriture de fichiers CSV (RFC 4180 : champs entre guillemets, "" pour un guillemet)
+ *
+ * Les tableurs configurés en français exportent avec ";" : le séparateur est détecté
+ * sur la première ligne quand il n'est pas imposé.
+ */
+
+/**
+ * Détecte le séparateur utilisé sur la première ligne
+ * @param {string} text - Contenu CSV
+ * @returns {string} - ',' ou ';'
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const semicolons = (firstLine.match(/;/g) || []).length;
+  const commas = (firstLine.match(/,/g) || []).length;
+  return semicolons > commas ? ';' : ',';
+}
+
+/**
+ * Découpe un texte CSV en enregistrements, avec le numéro de la ligne du fichier où chacun commence
+ * @param {string} text - Contenu CSV
+ * @param {Object} options - { delimiter } (détecté si absent)
+ * @returns {Array<Object>} - [{ line, cells }] (les lignes entièrement vides sont ignorées)
+ */
+function parseRecords(text, options = {}) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const delimiter = options.delimiter || detectDelimiter(input);
+  const records = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        // Un champ entre guillemets peut s'étendre sur plusieurs lignes du fichier
+        if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      records.push({ line: rowLine, cells: row });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    records.push({ line: rowLine, cells: row });
+  }
+
+  return records.filter(record => record.cells.some(cell => cell.trim() !== ''));
+}
+
+// Premiers caractères qu'un tableur interprète comme le début d'une formule
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Neutralise un texte qu'un tableur exécuterait comme une formule (injection de formule) :
+ * il est précédé d'une apostrophe. Les nombres ne sont pas modifiés.
+ * @param {*} value - Valeur de la cellule
+ * @returns {*}
+ */
+function neutralizeFormula(value) {
+  if (typeof value !== 'string' || !FORMULA_PREFIXES.includes(value.charAt(0))) return value;
+  return `'${value}`;
+}
+
+/**
+ * Met une valeur au format CSV (guillemets si nécessaire, formules neutralisées)
+ * @param {*} value - Valeur de la cellule
+ * @param {string} delimiter - Séparateur
+ * @returns {string}
+ */
+function formatCell(value, delimiter = ',') {
+  if (value === null || value === undefined) return '';
+
+  const text = value instanceof Date ? value.toISOString().slice(0, 10) : String(neutralizeFormula(value));
+  if (text.includes('"') || text.includes(delimiter) || /[\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Met une ligne au format CSV
+ * @param {Array} cells - Valeurs de la ligne
+ * @param {string} delimiter - Séparateur
+ * @returns {string} - Ligne terminée par \r\n
+ */
+function formatRow(cells, delimiter = ',') {
+  return cells.map(cell => formatCell(cell, delimiter)).join(delimiter) + '\r\n';
+}
+
+module.exports = {
+  parseRecords,
+  neutralizeFormula,
+  formatRow
+};
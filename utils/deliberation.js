@@ -0,0 +1,128 @@
+/**
+ * Règles de décision des délibérations
+ *
+ * Une règle associe une décision (code, libellé, admis ou non) à des conditions sur le résultat annuel
+ * de l'étudiant (voir syntheseFiches dans utils/bareme.js) :
+ * - moyenne_min : moyenne pondérée minimale (sur MOYENNE_ECHELLE)
+ * - max_echecs : nombre maximal de matières non validées (null : sans limite)
+ * - credits_min : pourcentage minimal des crédits validés (null : sans condition)
+ *
+ * Les règles sont évaluées dans l'ordre : la première satisfaite donne la décision. La dernière règle
+ * doit s'appliquer à tous les étudiants (moyenne_min 0, sans autre condition).
+ * Sans règles configurées pour le niveau du jury ni règles générales, DEFAULT_REGLES s'appliquent.
+ */
+
+const DEFAULT_REGLES = [
+  { code: 'PGD', libelle: 'La plus grande distinction', moyenne_min: 18, max_echecs: 0, credits_min: null, admis: true },
+  { code: 'GD', libelle: 'Grande distinction', moyenne_min: 16, max_echecs: 0, credits_min: null, admis: true },
+  { code: 'D', libelle: 'Distinction', moyenne_min: 14, max_echecs: 0, credits_min: null, admis: true },
+  { code: 'S', libelle: 'Satisfaction', moyenne_min: 12, max_echecs: 0, credits_min: null, admis: true },
+  { code: 'ADMIS', libelle: 'Admis', moyenne_min: 10, max_echecs: 0, credits_min: null, admis: true },
+  { code: 'AJOURNE', libelle: 'Ajourné', moyenne_min: 8, max_echecs: null, credits_min: null, admis: false },
+  { code: 'DOUBLE', libelle: 'Double', moyenne_min: 0, max_echecs: null, credits_min: null, admis: false }
+];
+
+const CODE_PATTERN = /^[A-Z0-9_]{1,20}$/;
+const MAX_LIBELLE_LENGTH = 100;
+const MAX_REGLES = 20;
+
+// Longueur minimale de la justification d'une dérogation du jury
+const MIN_JUSTIFICATION_LENGTH = 10;
+
+/**
+ * Lit une valeur numérique optionnelle d'une règle
+ * @param {*} value - Valeur reçue
+ * @returns {number|null|undefined} - null si absente, undefined si invalide
+ */
+function optionalNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(String(value).replace(',', '.'));
+  return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Vérifie et normalise une liste de règles
+ * @param {Array<Object>} regles - [{ code, libelle, moyenne_min, max_echecs, credits_min, admis }]
+ * @param {number} echelle - Échelle des moyennes
+ * @returns {Object} - { regles } ou { errors }
+ */
+function validateRegles(regles, echelle) {
+  if (!Array.isArray(regles) || regles.length === 0) {
+    return { errors: ['regles doit être une liste non vide'] };
+  }
+  if (regles.length > MAX_REGLES) {
+    return { errors: [`${MAX_REGLES} règles au maximum`] };
+  }
+
+  const errors = [];
+  const codes = new Set();
+
+  const normalized = regles.map((regle, index) => {
+    const label = `Règle ${index + 1}`;
+    const code = String(regle.code || '').trim().toUpperCase();
+    const libelle = String(regle.libelle || '').trim();
+    const moyenneMin = optionalNumber(regle.moyenne_min);
+    const maxEchecs = optionalNumber(regle.max_echecs);
+    const creditsMin = optionalNumber(regle.credits_min);
+
+    if (!CODE_PATTERN.test(code)) {
+      errors.push(`${label} : code invalide (lettres majuscules, chiffres et _, 20 caractères au plus)`);
+    } else if (codes.has(code)) {
+      errors.push(`${label} : code ${code} en double`);
+    }
+    codes.add(code);
+
+    if (!libelle || libelle.length > MAX_LIBELLE_LENGTH) {
+      errors.push(`${label} : libellé obligatoire (${MAX_LIBELLE_LENGTH} caractères au plus)`);
+    }
+    if (moyenneMin === null || moyenneMin === undefined || moyenneMin < 0 || moyenneMin > echelle) {
+      errors.push(`${label} : moyenne_min doit être comprise entre 0 et ${echelle}`);
+    }
+    if (maxEchecs === undefined || (maxEchecs !== null && (!Number.isInteger(maxEchecs) || maxEchecs < 0))) {
+      errors.push(`${label} : max_echecs doit être un entier positif ou vide`);
+    }
+    if (creditsMin === undefined || (creditsMin !== null && (creditsMin < 0 || creditsMin > 100))) {
+      errors.push(`${label} : credits_min doit être un pourcentage entre 0 et 100 ou vide`);
+    }
+
+    return {
+      code,
+      libelle,
+      moyenne_min: moyenneMin,
+      max_echecs: maxEchecs,
+      credits_min: creditsMin,
+      admis: regle.admis === true || regle.admis === 1 || regle.admis === 'true'
+    };
+  });
+
+  const derniere = normalized[normalized.length - 1];
+  if (errors.length === 0 && (derniere.moyenne_min !== 0 || derniere.max_echecs !== null || derniere.credits_min !== null)) {
+    errors.push('La dernière règle doit s\'appliquer à tous les étudiants (moyenne_min 0, sans autre condition)');
+  }
+
+  return errors.length > 0 ? { errors } : { regles: normalized };
+}
+
+/**
+ * Détermine la décision d'un étudiant
+ * @param {Object} synthese - { moyenne, echecs, credits_total, credits_valides }
+ * @param {Array<Object>} regles - Règles dans l'ordre d'évaluation
+ * @returns {Object} - Règle retenue
+ */
+function appliquerRegles(synthese, regles) {
+  const pourcentageCredits = synthese.credits_total > 0
+    ? synthese.credits_valides * 100 / synthese.credits_total
+    : 0;
+
+  return regles.find(regle => synthese.moyenne >= Number(regle.moyenne_min)
+    && (regle.max_echecs === null || synthese.echecs <= Number(regle.max_echecs))
+    && (regle.credits_min === null || pourcentageCredits >= Number(regle.credits_min)))
+    || regles[regles.length - 1];
+}
+
+module.exports = {
+  DEFAULT_REGLES,
+  MIN_JUSTIFICATION_LENGTH,
+  validateRegles,
+  appliquerRegles
+};
@@ -0,0 +1,143 @@
+/**
+ * Informations de l'examen d'État (diplôme d'État du secondaire)
+ *
+ * - pourcentage_exetat : le diplôme est délivré à partir de EXETAT_MIN %, sur 100
+ * - section / option du secondaire : ramenées au référentiel enregistré en base (tables exetat_section
+ *   et exetat_option, gérées par les administrateurs). Une valeur est reconnue par sa désignation
+ *   ou par l'un de ses alias, sans tenir compte des accents, de la casse ni de la ponctuation
+ *   (ex: "bio-chimie", "BC" -> "Biologie-Chimie")
+ */
+
+const EXETAT_MIN = 50;
+const EXETAT_MAX = 100;
+
+// Tranches de pourcentage des statistiques d'admission : [de, à[ (la dernière inclut EXETAT_MAX)
+const EXETAT_TRANCHES = [[50, 60], [60, 70], [70, 80], [80, 90], [90, 100]];
+
+/**
+ * Clé de comparaison : minuscules, sans accents ni ponctuation
+ * @param {string} value - Texte
+ * @returns {string}
+ */
+function normalizeKey(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Index désignation / alias normalisés -> désignation de référence
+ * @param {Array<Object>} entries - [{ designation, aliases }]
+ * @returns {Object} - { index: Map, conflicts: [nom] } ; un nom qui désigne deux entrées est un conflit
+ */
+function buildIndex(entries) {
+  const index = new Map();
+  const conflicts = [];
+  for (const { designation, aliases = [] } of entries) {
+    for (const name of [designation, ...aliases]) {
+      const key = normalizeKey(name);
+      if (!key) continue;
+      if (index.has(key) && index.get(key) !== designation) {
+        conflicts.push(name);
+        continue;
+      }
+      index.set(key, designation);
+    }
+  }
+  return { index, conflicts };
+}
+
+/**
+ * Prépare le référentiel des sections et options pour normalizeSectionOption
+ * @param {Array<Object>} sections - [{ section, aliases, options: [{ option, aliases }] }]
+ *                                   (voir EtudiantModel.getExetatReferences)
+ * @returns {Object} - { sections, sectionsIndex, optionsIndex, conflicts }
+ */
+function buildReferentiel(sections) {
+  const sectionsIndex = buildIndex(sections.map(({ section, aliases }) => ({ designation: section, aliases })));
+  const conflicts = [...sectionsIndex.conflicts];
+  const optionsIndex = new Map();
+
+  for (const { section, options } of sections) {
+    const built = buildIndex(options.map(({ option, aliases }) => ({ designation: option, aliases })));
+    optionsIndex.set(section, built.index);
+    conflicts.push(...built.conflicts);
+  }
+
+  return { sections, sectionsIndex: sectionsIndex.index, optionsIndex, conflicts };
+}
+
+/**
+ * Ramène une section et une option du secondaire au référentiel.
+ * Sans section, la section est déduite de l'option si celle-ci n'appartient qu'à une section.
+ * @param {string|null} section - Section saisie
+ * @param {string|null} option - Option saisie
+ * @param {Object} referentiel - Référentiel préparé par buildReferentiel
+ * @returns {Object} - { section, option } (null si non renseignées) ou { error }
+ */
+function normalizeSectionOption(section, option, referentiel) {
+  const sectionKey = normalizeKey(section);
+  const optionKey = normalizeKey(option);
+  const { sections, sectionsIndex, optionsIndex } = referentiel;
+  let reference = null;
+
+  if (sectionKey) {
+    reference = sectionsIndex.get(sectionKey);
+    if (!reference) {
+      return { error: `Section inconnue : ${section} (${sections.map(item => item.section).join(', ')})` };
+    }
+  }
+
+  if (!optionKey) {
+    return { section: reference, option: null };
+  }
+
+  const candidates = reference ? [reference] : sections.map(item => item.section);
+  const matches = candidates
+    .filter(candidate => optionsIndex.get(candidate).has(optionKey))
+    .map(candidate => ({ section: candidate, option: optionsIndex.get(candidate).get(optionKey) }));
+
+  if (matches.length === 0) {
+    const connues = reference
+      ? ` (${sections.find(item => item.section === reference).options.map(item => item.option).join(', ')})`
+      : '';
+    return { error: `Option inconnue : ${option}${connues}` };
+  }
+
+  if (matches.length > 1) {
+    return { error: `Option ambiguë : ${option}, préciser la section` };
+  }
+
+  return matches[0];
+}
+
+/**
+ * Lit un pourcentage à l'exetat (nombre ou texte, ex: "72,5 %")
+ * @param {number|string|null} value - Valeur saisie
+ * @returns {Object} - { value } (null si non renseigné) ou { error }
+ */
+function parsePourcentageExetat(value) {
+  if (value === undefined || value === null || value === '') {
+    return { value: null };
+  }
+
+  const number = typeof value === 'number' ? value : Number(String(value).replace(',', '.').replace('%', '').trim());
+  if (!Number.isFinite(number) || number < EXETAT_MIN || number > EXETAT_MAX) {
+    return { error: `Pourcentage à l'exetat invalide : ${value} (entre ${EXETAT_MIN} et ${EXETAT_MAX})` };
+  }
+
+  return { value: number };
+}
+
+module.exports = {
+  EXETAT_MIN,
+  EXETAT_MAX,
+  EXETAT_TRANCHES,
+  normalizeKey,
+  buildReferentiel,
+  normalizeSectionOption,
+  parsePourcentageExetat
+};
@@ -0,0 +1,42 @@
+/**
+ * Utilitaires partagés par les routes HTTP
+ */
+
+/**
+ * Détermine le code HTTP à renvoyer pour un résultat de modèle en échec.
+ * Les modèles placent le code dans metadata.code (errorResponse) ; les erreurs MySQL
+ * y placent un code texte (ex: ER_DUP_ENTRY) qui ne doit pas être utilisé comme statut.
+ * @param {Object} result - Résultat renvoyé par un modèle
+ * @param {number} fallback - Code par défaut
+ * @returns {number} - Code HTTP
+ */
+function getStatusCode(result, fallback = 500) {
+  const code = result && result.metadata ? result.metadata.code : null;
+  return Number.isInteger(code) && code >= 400 && code < 600 ? code : fallback;
+}
+
+/**
+ * Envoie une image lue dans le stockage. Les images ne sont mises en cache que par le client
+ * (elles ne sont servies qu'aux utilisateurs authentifiés) ; If-None-Match évite de les renvoyer.
+ * @param {Object} req - Requête Express
+ * @param {Object} res - Réponse Express
+ * @param {Object} file - { body, contentType, etag }
+ */
+function sendImage(req, res, file) {
+  res.set({
+    'Content-Type': file.contentType,
+    'Cache-Control': 'private, max-age=86400',
+    ETag: file.etag
+  });
+
+  if (req.headers['if-none-match'] === file.etag) {
+    return res.status(304).end();
+  }
+
+  return res.status(200).send(file.body);
+}
+
+module.exports = {
+  getStatusCode,
+  sendImage
+};
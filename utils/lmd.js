@@ -0,0 +1,256 @@
+const { MOYENNE_ECHELLE, creditMatiere } = require('./bareme');
+
+/**
+ * Validation LMD : unités d'enseignement (UE), semestres et capitalisation des crédits
+ *
+ * Ne s'applique qu'aux promotions dont le niveau a le système LMD (isLmd).
+ * - Une matière (élément constitutif, EC) est acquise quand sa fiche est validée selon son barème.
+ * - Une UE est validée quand toutes ses matières sont acquises, ou par compensation : moyenne de l'UE
+ *   (pondérée par les crédits, sur MOYENNE_ECHELLE) d'au moins seuil_ue et aucune note sous note_eliminatoire.
+ *   Ces seuils se configurent par niveau (table lmd_seuil, voir DeliberationModel) ; DEFAULT_SEUILS_LMD sinon.
+ *   Les matières d'une UE validée sont toutes acquises ; la compensation ne joue qu'à l'intérieur d'une UE.
+ * - Un semestre est validé quand toutes ses UE le sont.
+ * - Les matières acquises sont capitalisées : leur fiche validée est retenue quelle que soit l'année ;
+ *   pour les autres, la fiche de l'année la plus récente (capitaliserFiches). Seules les matières
+ *   non acquises d'une UE non validée sont à reprendre.
+ */
+
+const SYSTEME_LMD = 'LMD';
+
+// Seuils de compensation sans configuration, sur MOYENNE_ECHELLE :
+// seuil_ue : moyenne minimale d'une UE validée par compensation ;
+// note_eliminatoire : sous cette note, une matière ne peut pas être compensée
+const DEFAULT_SEUILS_LMD = {
+  seuil_ue: 10,
+  note_eliminatoire: 8
+};
+
+const SEMESTRE_NON_DEFINI = 'Non défini';
+
+/**
+ * Indique si un système de niveau est LMD
+ * @param {string} systeme - Système du niveau (niveau.systeme)
+ * @returns {boolean}
+ */
+function isLmd(systeme) {
+  return String(systeme || '').trim().toUpperCase() === SYSTEME_LMD;
+}
+
+/**
+ * Valide et complète des seuils de compensation
+ * Les champs absents prennent la valeur par défaut.
+ * @param {Object} data - { seuil_ue, note_eliminatoire }
+ * @returns {Object} - { seuils } ou { errors }
+ */
+function validateSeuilsLmd(data = {}) {
+  const seuils = { ...DEFAULT_SEUILS_LMD };
+  const errors = [];
+
+  for (const field of Object.keys(DEFAULT_SEUILS_LMD)) {
+    if (data[field] === undefined || data[field] === null || data[field] === '') continue;
+
+    const value = Number(String(data[field]).replace(',', '.'));
+    if (!Number.isFinite(value) || value < 0 || value > MOYENNE_ECHELLE) {
+      errors.push(`${field} doit être un nombre compris entre 0 et ${MOYENNE_ECHELLE}`);
+      continue;
+    }
+    seuils[field] = value;
+  }
+
+  if (errors.length === 0 && seuils.note_eliminatoire > seuils.seuil_ue) {
+    errors.push('note_eliminatoire ne peut pas dépasser seuil_ue');
+  }
+
+  return errors.length > 0 ? { errors } : { seuils };
+}
+
+/**
+ * Note finale d'une fiche ramenée sur MOYENNE_ECHELLE
+ * @param {Object} fiche - Fiche avec note_finale et echelle
+ * @returns {number|null} - null si la matière n'a pas de note
+ */
+function noteSurEchelle(fiche) {
+  if (fiche.note_finale === null || fiche.note_finale === undefined) return null;
+  return Number(fiche.note_finale) * MOYENNE_ECHELLE / Number(fiche.echelle);
+}
+
+/**
+ * Retient une fiche de chaque étudiant pour chaque matière, toutes années confondues : une matière acquise
+ * reste acquise (fiche validée la plus récente), sinon la fiche de l'année la plus récente compte,
+ * même si une tentative précédente avait une meilleure note
+ * @param {Array<Object>} fiches - Fiches avec id_etudiant, id_matiere, valide et annee_debut
+ * @returns {Map<string, Object>} - Fiches retenues par clé "id_etudiant:id_matiere"
+ */
+function capitaliserFiches(fiches) {
+  const retenues = new Map();
+
+  for (const fiche of fiches) {
+    const key = `${fiche.id_etudiant}:${fiche.id_matiere}`;
+    const actuelle = retenues.get(key);
+
+    if (!actuelle) {
+      retenues.set(key, fiche);
+      continue;
+    }
+
+    const rang = candidate => [
+      Number(candidate.valide) === 1 ? 1 : 0,
+      Number(candidate.annee_debut) || 0
+    ];
+    const [a, b] = [rang(fiche), rang(actuelle)];
+    const index = a.findIndex((valeur, i) => valeur !== b[i]);
+
+    if (index !== -1 && a[index] > b[index]) {
+      retenues.set(key, fiche);
+    }
+  }
+
+  return retenues;
+}
+
+/**
+ * Valide une UE à partir de ses matières
+ * @param {Array<Object>} matieres - Lignes avec matiere_credit, note_finale, echelle et valide
+ * @param {Object} [seuils] - { seuil_ue, note_eliminatoire } (DEFAULT_SEUILS_LMD par défaut)
+ * @returns {Object} - { moyenne, credits, credits_acquis, valide, compensee, matieres } ; chaque matière
+ *                     reçoit note (sur MOYENNE_ECHELLE), acquise et compensee
+ */
+function validerUnite(matieres, seuils = DEFAULT_SEUILS_LMD) {
+  let points = 0;
+  let credits = 0;
+
+  const notes = matieres.map(matiere => {
+    const credit = creditMatiere(matiere);
+    const note = noteSurEchelle(matiere);
+    points += (note === null ? 0 : note) * credit;
+    credits += credit;
+    return note;
+  });
+
+  const moyenne = credits > 0 ? parseFloat((points / credits).toFixed(2)) : 0;
+  const toutesAcquises = matieres.every(matiere => Number(matiere.valide) === 1);
+  const compensable = moyenne >= seuils.seuil_ue
+    && notes.every(note => note !== null && note >= seuils.note_eliminatoire);
+  const valide = toutesAcquises || compensable;
+
+  const lignes = matieres.map((matiere, index) => {
+    const acquise = valide || Number(matiere.valide) === 1;
+    return {
+      ...matiere,
+      note: notes[index] === null ? null : parseFloat(notes[index].toFixed(2)),
+      acquise,
+      compensee: acquise && Number(matiere.valide) !== 1
+    };
+  });
+
+  return {
+    moyenne,
+    credits,
+    credits_acquis: lignes
+      .filter(ligne => ligne.acquise)
+      .reduce((sum, ligne) => sum + creditMatiere(ligne), 0),
+    valide,
+    compensee: valide && !toutesAcquises,
+    matieres: lignes
+  };
+}
+
+/**
+ * Applique la compensation dans chaque UE
+ * @param {Array<Object>} lignes - Lignes avec id_unite, matiere_credit, note_finale, echelle et valide
+ * @param {Object} [seuils] - { seuil_ue, note_eliminatoire } (DEFAULT_SEUILS_LMD par défaut)
+ * @returns {Array<Object>} - Lignes dans le même ordre, avec note, acquise et compensee
+ */
+function compenserUnites(lignes, seuils = DEFAULT_SEUILS_LMD) {
+  const parUnite = new Map();
+  lignes.forEach((ligne, index) => {
+    if (!parUnite.has(ligne.id_unite)) parUnite.set(ligne.id_unite, []);
+    parUnite.get(ligne.id_unite).push(index);
+  });
+
+  const resultat = new Array(lignes.length);
+  for (const indexes of parUnite.values()) {
+    const unite = validerUnite(indexes.map(index => lignes[index]), seuils);
+    indexes.forEach((index, position) => {
+      resultat[index] = unite.matieres[position];
+    });
+  }
+
+  return resultat;
+}
+
+/**
+ * Bilan par semestre et par UE d'une promotion
+ * Une UE est rattachée au premier semestre de ses matières.
+ * @param {Array<Object>} lignes - Lignes avec id_unite, unite_code, unite_designation, semestre, matiere_credit,
+ *                                 note_finale, echelle et valide
+ * @param {Object} [seuils] - { seuil_ue, note_eliminatoire } (DEFAULT_SEUILS_LMD par défaut)
+ * @returns {Object} - { semestres: [{ semestre, moyenne, credits, credits_acquis, valide, unites }], credits,
+ *                       credits_acquis }
+ */
+function bilanSemestres(lignes, seuils = DEFAULT_SEUILS_LMD) {
+  const unitesMap = new Map();
+  for (const ligne of lignes) {
+    if (!unitesMap.has(ligne.id_unite)) {
+      unitesMap.set(ligne.id_unite, {
+        id: ligne.id_unite,
+        code: ligne.unite_code,
+        designation: ligne.unite_designation,
+        semestre: null,
+        lignes: []
+      });
+    }
+
+    const unite = unitesMap.get(ligne.id_unite);
+    unite.lignes.push(ligne);
+    if (ligne.semestre !== null && ligne.semestre !== undefined
+      && (unite.semestre === null || Number(ligne.semestre) < Number(unite.semestre))) {
+      unite.semestre = ligne.semestre;
+    }
+  }
+
+  const semestreMap = {};
+  for (const { lignes: matieres, semestre, ...unite } of unitesMap.values()) {
+    const cle = semestre === null ? SEMESTRE_NON_DEFINI : semestre;
+    if (!semestreMap[cle]) {
+      semestreMap[cle] = { semestre: cle, unites: [] };
+    }
+    semestreMap[cle].unites.push({ ...unite, ...validerUnite(matieres, seuils) });
+  }
+
+  const semestres = Object.values(semestreMap)
+    .sort((a, b) => {
+      if (a.semestre === SEMESTRE_NON_DEFINI) return 1;
+      if (b.semestre === SEMESTRE_NON_DEFINI) return -1;
+      return a.semestre - b.semestre;
+    })
+    .map(({ semestre, unites }) => {
+      const credits = unites.reduce((sum, unite) => sum + unite.credits, 0);
+      const points = unites.reduce((sum, unite) => sum + unite.moyenne * unite.credits, 0);
+      return {
+        semestre,
+        moyenne: credits > 0 ? parseFloat((points / credits).toFixed(2)) : 0,
+        credits,
+        credits_acquis: unites.reduce((sum, unite) => sum + unite.credits_acquis, 0),
+        valide: unites.every(unite => unite.valide),
+        unites
+      };
+    });
+
+  return {
+    semestres,
+    credits: semestres.reduce((sum, semestre) => sum + semestre.credits, 0),
+    credits_acquis: semestres.reduce((sum, semestre) => sum + semestre.credits_acquis, 0)
+  };
+}
+
+module.exports = {
+  SYSTEME_LMD,
+  DEFAULT_SEUILS_LMD,
+  isLmd,
+  validateSeuilsLmd,
+  capitaliserFiches,
+  validerUnite,
+  compenserUnites,
+  bilanSemestres
+};
@@ -0,0 +1,126 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const csv = require('./csv');
+
+/**
+ * Lecture des fichiers tableur envoyés par les utilisateurs (CSV ou XLSX)
+ *
+ * La première ligne contient les en-têtes. Ils sont normalisés (minuscules, sans accents,
+ * espaces et tirets remplacés par "_") pour que "Post-nom" et "post_nom" désignent la même colonne.
+ */
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+/**
+ * Erreur levée quand le fichier envoyé n'est pas un tableur lisible (erreur du client, pas du serveur)
+ */
+class SpreadsheetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SpreadsheetError';
+    this.code = 'INVALID_SPREADSHEET';
+  }
+}
+
+/**
+ * Normalise un en-tête de colonne
+ * @param {string} header - En-tête brut
+ * @returns {string}
+ */
+function normalizeHeader(header) {
+  return String(header || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s\-.']+/g, '_')
+    .replace(/[^a-z0-9_]/g, '');
+}
+
+/**
+ * Convertit la valeur d'une cellule ExcelJS en texte
+ * @param {*} value - Valeur de la cellule
+ * @returns {string}
+ */
+function cellToString(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return cellToString(value.text);
+    if (value.result !== undefined) return cellToString(value.result);
+    return '';
+  }
+  return String(value);
+}
+
+/**
+ * Lit la première feuille d'un fichier XLSX
+ * @param {Buffer} buffer - Contenu du fichier
+ * @returns {Promise<Array<Object>>} - [{ line, cells }] ; line = numéro de la ligne dans la feuille
+ */
+async function readXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new SpreadsheetError('Fichier XLSX illisible ou corrompu');
+  }
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const records = [];
+  worksheet.eachRow({ includeEmpty: false }, (row) => {
+    const cells = [];
+    for (let col = 1; col <= row.cellCount; col++) {
+      cells.push(cellToString(row.getCell(col).value));
+    }
+    if (cells.some(cell => cell.trim() !== '')) {
+      records.push({ line: row.number, cells });
+    }
+  });
+
+  return records;
+}
+
+/**
+ * Lit un fichier CSV ou XLSX et renvoie ses lignes indexées par en-tête normalisé
+ * @param {Buffer} buffer - Contenu du fichier
+ * @param {string} fileName - Nom du fichier (l'extension détermine le format)
+ * @returns {Promise<Object>} - { headers, rows: [{ line, values }] } ; line = numéro de la ligne dans le fichier
+ *                              (lignes vides comprises), à citer tel quel dans les rapports
+ * @throws {SpreadsheetError} - Format non pris en charge ou fichier illisible
+ */
+async function readSpreadsheet(buffer, fileName) {
+  const extension = path.extname(fileName || '').toLowerCase();
+  if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+    throw new SpreadsheetError(`Format non pris en charge (${SPREADSHEET_EXTENSIONS.join(', ')} uniquement)`);
+  }
+
+  const records = extension === '.csv'
+    ? csv.parseRecords(buffer.toString('utf8'))
+    : await readXlsx(buffer);
+
+  if (records.length === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = records[0].cells.map(normalizeHeader);
+  const rows = records.slice(1).map(({ line, cells }) => ({
+    line,
+    values: headers.reduce((values, header, col) => {
+      if (header) values[header] = String(cells[col] === undefined ? '' : cells[col]).trim();
+      return values;
+    }, {})
+  }));
+
+  return { headers, rows };
+}
+
+module.exports = {
+  SPREADSHEET_EXTENSIONS,
+  SpreadsheetError,
+  normalizeHeader,
+  readSpreadsheet
+};